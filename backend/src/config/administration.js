@@ -0,0 +1,32 @@
+/**
+ * Administration routes a catalog peptide can be recorded with. Shown on
+ * detail pages and in side-by-side comparisons.
+ */
+const ADMINISTRATION_ROUTES = [
+  { value: 'subcutaneous', label: 'Subcutaneous injection' },
+  { value: 'intramuscular', label: 'Intramuscular injection' },
+  { value: 'oral', label: 'Oral' },
+  { value: 'intranasal', label: 'Nasal spray' },
+  { value: 'topical', label: 'Topical' }
+];
+
+const ROUTE_VALUES = ADMINISTRATION_ROUTES.map(route => route.value);
+
+/**
+ * Get the display label for an administration route
+ * @param {string|null} route - Route value
+ * @returns {string|null} Label, the value itself for unknown routes, or null without a route
+ */
+const getRouteLabel = (route) => {
+  if (!route) {
+    return null;
+  }
+  const match = ADMINISTRATION_ROUTES.find(entry => entry.value === route);
+  return match ? match.label : route;
+};
+
+module.exports = {
+  ADMINISTRATION_ROUTES,
+  ROUTE_VALUES,
+  getRouteLabel
+};
@@ -0,0 +1,355 @@
+/**
+ * Initial peptide catalog, inserted on the first start with an empty
+ * `peptides` table. Goals are listed in display priority order.
+ * Contraindications use the types and severities in config/medical.js.
+ * doseRange is the typical single dose, used by the reconstitution calculator.
+ * aliases and mechanism are indexed for catalog search. halfLife and route
+ * (one of the routes in config/administration.js) appear in comparisons.
+ */
+module.exports = [
+  // Energy
+  {
+    name: 'Peptide Alpha-E',
+    description: 'Supports natural energy production.',
+    aliases: ['PAE', 'Alpha-E'],
+    mechanism: 'Signals mitochondria to increase ATP output during periods of high demand.',
+    ageRules: [
+      { maxAge: 29, text: 'Great for young adults building stamina.' },
+      { minAge: 30, maxAge: 49, text: 'Ideal for maintaining energy levels.' },
+      { minAge: 50, text: 'Helps combat age-related energy decline.' }
+    ],
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Morning, before breakfast',
+    halfLife: 'About 4 hours',
+    route: 'subcutaneous',
+    goals: ['energy']
+  },
+  {
+    name: 'Mitochondrial Boost Complex',
+    description: 'Enhances cellular energy metabolism and reduces fatigue.',
+    aliases: ['MBC', 'Mito Boost'],
+    mechanism: 'Supports mitochondrial biogenesis and the efficiency of cellular respiration.',
+    dosage: '500 mcg once daily',
+    doseRange: { min: 250, max: 1000, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: 'About 6 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'heart_disease', severity: 'relative', reason: 'May raise resting heart rate; review with a cardiologist first' }
+    ],
+    goals: ['energy']
+  },
+  {
+    name: 'Vitality Peptide',
+    description: 'May help with sustained energy throughout the day.',
+    aliases: ['VP-1'],
+    mechanism: 'Steadies blood glucose availability to reduce mid-day energy dips.',
+    personalizedDescription: 'Based on your profile, this may help with sustained energy throughout the day.',
+    dosage: '200 mcg once daily',
+    doseRange: { min: 100, max: 400, unit: 'mcg' },
+    timing: 'Early afternoon',
+    halfLife: '2-3 hours',
+    route: 'oral',
+    goals: ['energy']
+  },
+
+  // Sleep
+  {
+    name: 'Deep Rest Peptide',
+    description: 'Promotes restful sleep and recovery.',
+    aliases: ['DRP', 'Delta Rest'],
+    mechanism: 'Promotes delta-wave sleep by modulating GABA signalling in the brain.',
+    ageRules: [
+      { maxAge: 40, text: 'Supports healthy sleep cycles.' },
+      { minAge: 41, text: 'Particularly beneficial for age-related sleep improvements.' }
+    ],
+    dosage: '100 mcg once daily',
+    doseRange: { min: 50, max: 250, unit: 'mcg' },
+    timing: '30 minutes before bed',
+    halfLife: 'About 90 minutes',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'medication', value: 'sedative', severity: 'relative', reason: 'May add to the effect of sedatives and sleep medications' },
+      { type: 'breastfeeding', severity: 'relative', reason: 'Transfer into breast milk has not been studied' }
+    ],
+    goals: ['sleep']
+  },
+  {
+    name: 'Circadian Balance Formula',
+    description: 'Helps regulate natural sleep-wake cycles and improves sleep quality.',
+    aliases: ['CBF'],
+    mechanism: 'Supports melatonin timing to keep the sleep-wake cycle aligned with daylight.',
+    dosage: '150 mcg once daily',
+    doseRange: { min: 100, max: 300, unit: 'mcg' },
+    timing: 'Evening',
+    halfLife: 'About 2 hours',
+    route: 'oral',
+    goals: ['sleep']
+  },
+  {
+    name: 'Recovery Sleep Support',
+    description: 'Supports optimal sleep recovery.',
+    aliases: ['RSS'],
+    mechanism: 'Supports growth hormone release during deep sleep for overnight repair.',
+    personalizedDescription: 'Customized for your sleep optimization needs.',
+    dosage: '100 mcg once daily',
+    doseRange: { min: 50, max: 250, unit: 'mcg' },
+    timing: 'Before bed',
+    halfLife: '3-4 hours',
+    route: 'subcutaneous',
+    goals: ['sleep']
+  },
+
+  // Focus
+  {
+    name: 'Cognitive Enhancement Peptide',
+    description: 'Supports mental clarity and focus.',
+    aliases: ['CEP', 'Cogni-P'],
+    mechanism: 'Increases BDNF expression to support neuroplasticity and memory formation.',
+    ageRules: [
+      { maxAge: 34, text: 'Perfect for cognitive performance optimization.' },
+      { minAge: 35, text: 'Helps maintain sharp mental function.' }
+    ],
+    dosage: '300 mcg once daily',
+    doseRange: { min: 150, max: 600, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: 'About 1 hour',
+    route: 'intranasal',
+    contraindications: [
+      { type: 'condition', value: 'heart_disease', severity: 'relative', reason: 'Stimulating effects may strain the cardiovascular system' },
+      { type: 'medication', value: 'antidepressant', severity: 'relative', reason: 'May interact with serotonergic antidepressants' }
+    ],
+    goals: ['focus']
+  },
+  {
+    name: 'Brain Boost Complex',
+    description: 'Enhances concentration and cognitive processing speed.',
+    aliases: ['BBC'],
+    mechanism: 'Supports acetylcholine signalling involved in attention and working memory.',
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Morning or early afternoon',
+    halfLife: 'About 30 minutes',
+    route: 'intranasal',
+    goals: ['focus']
+  },
+  {
+    name: 'Mental Clarity Support',
+    description: 'Supports mental clarity and alertness.',
+    aliases: ['MCS'],
+    mechanism: 'Reduces neuroinflammation that contributes to brain fog.',
+    personalizedDescription: 'Tailored to your cognitive enhancement goals.',
+    dosage: '200 mcg once daily',
+    doseRange: { min: 100, max: 400, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: '4-6 hours',
+    route: 'oral',
+    goals: ['focus']
+  },
+
+  // Recovery
+  {
+    name: 'Rapid Recovery Peptide',
+    description: 'Accelerates muscle recovery and repair.',
+    aliases: ['RRP', 'Repair-R'],
+    mechanism: 'Promotes angiogenesis and fibroblast migration to speed tissue repair.',
+    ageRules: [
+      { maxAge: 35, text: 'Optimizes post-workout recovery.' },
+      { minAge: 36, text: 'Essential for maintaining recovery speed with age.' }
+    ],
+    dosage: '250 mcg twice daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Post-workout and before bed',
+    halfLife: 'About 4 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'medication', value: 'anticoagulant', severity: 'relative', reason: 'May affect clotting when combined with blood thinners' }
+    ],
+    goals: ['recovery']
+  },
+  {
+    name: 'Tissue Repair Formula',
+    description: 'Supports faster healing and reduces recovery time.',
+    aliases: ['TRF'],
+    mechanism: 'Supports collagen synthesis and the formation of new blood vessels in healing tissue.',
+    dosage: '500 mcg once daily',
+    doseRange: { min: 250, max: 1000, unit: 'mcg' },
+    timing: 'Evening',
+    halfLife: 'About 12 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'active_cancer', severity: 'absolute', reason: 'Promotes cell growth and blood vessel formation' }
+    ],
+    goals: ['recovery']
+  },
+  {
+    name: 'Athletic Recovery Support',
+    description: 'Supports comprehensive recovery processes.',
+    aliases: ['ARS'],
+    mechanism: 'Stimulates growth hormone release to support muscle repair after training.',
+    personalizedDescription: 'Designed for your specific recovery needs.',
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Post-workout',
+    halfLife: 'About 2 hours',
+    route: 'intramuscular',
+    goals: ['recovery']
+  },
+
+  // Weight management
+  {
+    name: 'Metabolic Support Peptide',
+    description: 'Supports healthy metabolism.',
+    aliases: ['MSP'],
+    mechanism: 'Improves insulin sensitivity and glucose uptake in muscle.',
+    ageRules: [
+      { maxAge: 30, text: 'Optimizes metabolic function.' },
+      { minAge: 31, text: 'Helps counter age-related metabolic changes.' }
+    ],
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Morning, fasted',
+    halfLife: 'About 7 days',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'diabetes', severity: 'relative', reason: 'May change blood sugar levels; monitor glucose closely' },
+      { type: 'medication', value: 'antidiabetic', severity: 'relative', reason: 'May add to the glucose-lowering effect of diabetes medication' },
+      { type: 'pregnancy', severity: 'absolute', reason: 'Metabolic peptides have not been shown to be safe during pregnancy' }
+    ],
+    goals: ['weight_management']
+  },
+  {
+    name: 'Fat Metabolism Enhancer',
+    description: 'Promotes efficient fat burning and metabolic health.',
+    aliases: ['FME', 'Lipo-E'],
+    mechanism: 'Stimulates lipolysis and fatty acid oxidation in adipose tissue.',
+    dosage: '300 mcg once daily',
+    doseRange: { min: 150, max: 600, unit: 'mcg' },
+    timing: 'Morning, fasted',
+    halfLife: 'About 30 minutes',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'diabetes', severity: 'relative', reason: 'May change blood sugar levels; monitor glucose closely' },
+      { type: 'condition', value: 'thyroid_disorder', severity: 'relative', reason: 'May interfere with thyroid hormone balance' },
+      { type: 'pregnancy', severity: 'absolute', reason: 'Metabolic peptides have not been shown to be safe during pregnancy' }
+    ],
+    goals: ['weight_management']
+  },
+  {
+    name: 'Body Composition Support',
+    description: 'Supports healthy body composition.',
+    aliases: ['BCS'],
+    mechanism: 'Supports lean mass retention through growth hormone and IGF-1 signalling.',
+    personalizedDescription: 'Personalized for your weight management journey.',
+    dosage: '200 mcg once daily',
+    doseRange: { min: 100, max: 400, unit: 'mcg' },
+    timing: 'Before training',
+    halfLife: 'About 3 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'pregnancy', severity: 'absolute', reason: 'Not suitable while pregnant' }
+    ],
+    goals: ['weight_management']
+  },
+
+  // Longevity
+  {
+    name: 'Cellular Renewal Peptide',
+    description: 'Supports cellular repair and healthy aging.',
+    aliases: ['CRP-L'],
+    mechanism: 'Supports autophagy and the clearance of senescent cells.',
+    ageRules: [
+      { maxAge: 39, text: 'Helps build a foundation for long-term cellular health.' },
+      { minAge: 40, text: 'Targets age-related decline in cellular renewal.' }
+    ],
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Evening',
+    halfLife: 'About 24 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'active_cancer', severity: 'absolute', reason: 'Promotes cell proliferation' }
+    ],
+    goals: ['longevity']
+  },
+  {
+    name: 'Telomere Support Complex',
+    description: 'Supports genomic stability and healthy cell division.',
+    aliases: ['TSC'],
+    mechanism: 'Supports telomerase activity to slow telomere shortening.',
+    dosage: '500 mcg three times weekly',
+    doseRange: { min: 250, max: 1000, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: '8-12 hours',
+    route: 'oral',
+    contraindications: [
+      { type: 'condition', value: 'active_cancer', severity: 'absolute', reason: 'Telomere support may also benefit cancer cells' }
+    ],
+    goals: ['longevity']
+  },
+  {
+    name: 'Healthy Aging Formula',
+    description: 'Supports overall vitality as you age.',
+    aliases: ['HAF'],
+    mechanism: 'Reduces oxidative stress through antioxidant enzyme support.',
+    personalizedDescription: 'Tailored to your healthy aging goals.',
+    dosage: '200 mcg once daily',
+    doseRange: { min: 100, max: 400, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: 'About 6 hours',
+    route: 'oral',
+    goals: ['longevity']
+  },
+
+  // Immune support
+  {
+    name: 'Immune Defense Peptide',
+    description: 'Strengthens immune system function.',
+    aliases: ['IDP', 'Thymo-D'],
+    mechanism: 'Supports thymic T-cell maturation and immune surveillance.',
+    ageRules: [
+      { maxAge: 50, text: 'Supports robust immune response.' },
+      { minAge: 51, text: 'Critical for age-related immune support.' }
+    ],
+    dosage: '500 mcg twice weekly',
+    doseRange: { min: 250, max: 1000, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: 'About 2 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'autoimmune_disorders', severity: 'absolute', reason: 'Stimulating the immune system may worsen autoimmune disease' },
+      { type: 'medication', value: 'immunosuppressant', severity: 'absolute', reason: 'Works against immunosuppressive treatment' }
+    ],
+    goals: ['immune_support']
+  },
+  {
+    name: 'Immunity Boost Complex',
+    description: 'Enhances natural immune defenses and resistance.',
+    aliases: ['IBC'],
+    mechanism: 'Enhances natural killer cell activity against infected cells.',
+    dosage: '250 mcg once daily',
+    doseRange: { min: 100, max: 500, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: 'About 8 hours',
+    route: 'subcutaneous',
+    contraindications: [
+      { type: 'condition', value: 'autoimmune_disorders', severity: 'relative', reason: 'May increase immune activity; monitor symptoms' },
+      { type: 'medication', value: 'immunosuppressant', severity: 'absolute', reason: 'Works against immunosuppressive treatment' }
+    ],
+    goals: ['immune_support']
+  },
+  {
+    name: 'Wellness Protection Formula',
+    description: 'Supports overall immune wellness.',
+    aliases: ['WPF'],
+    mechanism: 'Modulates inflammatory cytokines to balance the immune response.',
+    personalizedDescription: 'Customized immune support based on your profile.',
+    dosage: '200 mcg once daily',
+    doseRange: { min: 100, max: 400, unit: 'mcg' },
+    timing: 'Morning',
+    halfLife: '4-6 hours',
+    route: 'oral',
+    goals: ['immune_support']
+  }
+];
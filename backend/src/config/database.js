@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const logger = require('../utils/logger');
+const catalogSeed = require('./catalogSeed');
 
 class Database {
   constructor() {
@@ -9,7 +10,8 @@ class Database {
 
   async initialize() {
     return new Promise((resolve, reject) => {
-      const dbPath = path.join(__dirname, '../../data/peptides.db');
+      // DATABASE_PATH can point elsewhere, e.g. ':memory:' for tests
+      const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/peptides.db');
       
       // Create data directory if it doesn't exist
       const fs = require('fs');
@@ -25,6 +27,7 @@ class Database {
         } else {
           logger.info('Connected to SQLite database');
           this.createTables()
+            .then(() => this.runMigrations())
             .then(() => resolve())
             .catch(reject);
         }
@@ -42,6 +45,14 @@ class Database {
           password TEXT NOT NULL,
           firstName TEXT,
           lastName TEXT,
+          region TEXT, -- see REGIONS in config/regulatory.js
+          excludeWadaProhibited INTEGER NOT NULL DEFAULT 0,
+          role TEXT NOT NULL DEFAULT 'user', -- see ROLES in config/roles.js
+          emailVerified INTEGER NOT NULL DEFAULT 0,
+          pendingEmail TEXT, -- new address waiting for confirmation
+          twoFactorSecret TEXT, -- base32 TOTP secret, set at enrollment
+          twoFactorEnabled INTEGER NOT NULL DEFAULT 0, -- set once enrollment is confirmed
+          twoFactorLastStep INTEGER, -- TOTP time step of the last accepted code
           createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
           updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
         )
@@ -53,8 +64,10 @@ class Database {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           userId INTEGER NOT NULL,
           age INTEGER NOT NULL,
-          healthGoal TEXT NOT NULL,
+          healthGoal TEXT NOT NULL, -- primary goal
+          healthGoals TEXT, -- JSON string of [{ goal, weight }], NULL for entries saved before multi-goal support
           suggestions TEXT NOT NULL, -- JSON string
+          warnings TEXT NOT NULL DEFAULT '[]', -- JSON string
           createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
         )
@@ -72,12 +85,289 @@ class Database {
         )
       `;
 
+      // Peptide catalog - admin-managed replacement for the hardcoded suggestion lists
+      const createPeptidesTable = `
+        CREATE TABLE IF NOT EXISTS peptides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          slug TEXT UNIQUE NOT NULL,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT NOT NULL,
+          personalizedDescription TEXT,
+          ageRules TEXT NOT NULL DEFAULT '[]', -- JSON string
+          dosage TEXT,
+          timing TEXT,
+          contraindications TEXT, -- JSON string, NULL until set
+          doseRange TEXT, -- JSON string { min, max, unit, perKg }, NULL until set
+          aliases TEXT, -- JSON string, NULL until set
+          mechanism TEXT,
+          halfLife TEXT,
+          route TEXT, -- value from config/administration.js
+          isActive INTEGER NOT NULL DEFAULT 1,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      // Full-text index over the catalog, kept in sync with peptides by the
+      // triggers below; catalog_search_vocab exposes its terms for typo matching
+      const createCatalogSearchTable = `
+        CREATE VIRTUAL TABLE IF NOT EXISTS catalog_search USING fts5(
+          name, aliases, description, mechanism,
+          content = 'peptides', content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        )
+      `;
+
+      const createCatalogSearchVocabTable = `
+        CREATE VIRTUAL TABLE IF NOT EXISTS catalog_search_vocab USING fts5vocab(catalog_search, 'row')
+      `;
+
+      const createCatalogSearchTriggers = [
+        `CREATE TRIGGER IF NOT EXISTS peptides_search_insert AFTER INSERT ON peptides BEGIN
+          INSERT INTO catalog_search (rowid, name, aliases, description, mechanism)
+          VALUES (new.id, new.name, new.aliases, new.description, new.mechanism);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS peptides_search_delete AFTER DELETE ON peptides BEGIN
+          INSERT INTO catalog_search (catalog_search, rowid, name, aliases, description, mechanism)
+          VALUES ('delete', old.id, old.name, old.aliases, old.description, old.mechanism);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS peptides_search_update AFTER UPDATE ON peptides BEGIN
+          INSERT INTO catalog_search (catalog_search, rowid, name, aliases, description, mechanism)
+          VALUES ('delete', old.id, old.name, old.aliases, old.description, old.mechanism);
+          INSERT INTO catalog_search (rowid, name, aliases, description, mechanism)
+          VALUES (new.id, new.name, new.aliases, new.description, new.mechanism);
+        END`
+      ];
+
+      // Peptide goals table - which health goals each peptide is suggested for
+      const createPeptideGoalsTable = `
+        CREATE TABLE IF NOT EXISTS peptide_goals (
+          peptideId INTEGER NOT NULL,
+          goal TEXT NOT NULL,
+          priority INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (peptideId, goal),
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Interaction knowledge - a peptide (by catalog slug) interacting with
+      // another peptide slug or a medication class/drug name
+      const createPeptideInteractionsTable = `
+        CREATE TABLE IF NOT EXISTS peptide_interactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          peptideSlug TEXT NOT NULL,
+          interactsWithType TEXT NOT NULL, -- 'peptide' or 'medication'
+          interactsWith TEXT NOT NULL,
+          severity TEXT NOT NULL,
+          rationale TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (peptideSlug, interactsWithType, interactsWith)
+        )
+      `;
+
+      // Suggestion feedback - a user's rating of one peptide in a saved suggestion
+      const createSuggestionFeedbackTable = `
+        CREATE TABLE IF NOT EXISTS suggestion_feedback (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          suggestionId INTEGER NOT NULL,
+          userId INTEGER NOT NULL,
+          peptideName TEXT NOT NULL,
+          rating INTEGER NOT NULL, -- 1-5
+          triedIt INTEGER NOT NULL DEFAULT 0,
+          notes TEXT,
+          sideEffects TEXT NOT NULL DEFAULT '[]', -- JSON string
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (suggestionId, peptideName),
+          FOREIGN KEY (suggestionId) REFERENCES user_suggestions (id) ON DELETE CASCADE,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Peptide evidence - citation records behind each catalog peptide
+      const createPeptideEvidenceTable = `
+        CREATE TABLE IF NOT EXISTS peptide_evidence (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          peptideId INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          year INTEGER NOT NULL,
+          studyType TEXT NOT NULL, -- see config/evidence.js
+          grade TEXT NOT NULL, -- A-D
+          reference TEXT NOT NULL, -- e.g. PMID or DOI
+          summary TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Regulatory status of a peptide (by catalog slug) in one region; the
+      // WADA prohibited list is stored under the pseudo-region 'WADA'
+      const createPeptideRegulatoryTable = `
+        CREATE TABLE IF NOT EXISTS peptide_regulatory_status (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          peptideSlug TEXT NOT NULL,
+          region TEXT NOT NULL,
+          status TEXT NOT NULL, -- see config/regulatory.js
+          note TEXT,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (peptideSlug, region)
+        )
+      `;
+
+      // Regimens - a user's dosing plan built from peptides in a saved suggestion
+      const createRegimensTable = `
+        CREATE TABLE IF NOT EXISTS regimens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          suggestionId INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          items TEXT NOT NULL, -- JSON string of scheduled peptides
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Batch suggestion jobs - queued by POST /suggestions/batch and polled by
+      // GET /suggestions/batch/:jobId
+      const createSuggestionBatchJobsTable = `
+        CREATE TABLE IF NOT EXISTS suggestion_batch_jobs (
+          id TEXT PRIMARY KEY, -- UUID
+          userId INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued', -- queued, processing, completed, failed
+          total INTEGER NOT NULL,
+          processed INTEGER NOT NULL DEFAULT 0,
+          results TEXT, -- JSON string of per-profile results, set on completion
+          error TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Responses stored under an Idempotency-Key header so retries replay
+      // them. Keys are scoped to an endpoint and to the user sending them
+      // ('anonymous:<ip>' without a login).
+      const createIdempotencyKeysTable = `
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope TEXT NOT NULL,
+          owner TEXT NOT NULL,
+          idempotencyKey TEXT NOT NULL,
+          requestHash TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'processing', -- processing, completed
+          responseStatus INTEGER,
+          responseBody TEXT, -- JSON string
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expiresAt DATETIME NOT NULL,
+          UNIQUE (scope, owner, idempotencyKey)
+        )
+      `;
+
+      // Health questionnaire sessions. Each user, or anonymous device, has at
+      // most one draft; submitted sessions are kept as a record of the answers.
+      const createQuestionnaireSessionsTable = `
+        CREATE TABLE IF NOT EXISTS questionnaire_sessions (
+          id TEXT PRIMARY KEY, -- UUID
+          userId INTEGER, -- NULL for anonymous drafts
+          deviceId TEXT, -- X-Device-Id of an anonymous draft
+          version INTEGER NOT NULL, -- see config/questionnaire.js
+          answers TEXT NOT NULL DEFAULT '{}', -- JSON string keyed by question ID
+          currentStep TEXT,
+          status TEXT NOT NULL DEFAULT 'draft', -- draft, submitting, submitted
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          submittedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Refresh tokens. Only a SHA-256 hash of each token is kept. Tokens rotated
+      // from the same login share a familyId, so a reused token can revoke the
+      // whole family.
+      const createRefreshTokensTable = `
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          familyId TEXT NOT NULL, -- UUID
+          tokenHash TEXT UNIQUE NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expiresAt DATETIME NOT NULL,
+          usedAt DATETIME, -- set when the token is exchanged for a new one
+          revokedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Password reset tokens, stored as SHA-256 hashes. Each can be used once.
+      const createPasswordResetTokensTable = `
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          tokenHash TEXT UNIQUE NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expiresAt DATETIME NOT NULL,
+          usedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Email verification tokens, stored as SHA-256 hashes. email is the
+      // address the token confirms: the account's own or its pendingEmail.
+      const createEmailVerificationTokensTable = `
+        CREATE TABLE IF NOT EXISTS email_verification_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          email TEXT NOT NULL,
+          tokenHash TEXT UNIQUE NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expiresAt DATETIME NOT NULL,
+          usedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Two-factor backup codes, stored as SHA-256 hashes. Each can be used once.
+      const createTwoFactorBackupCodesTable = `
+        CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          codeHash TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          usedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Seed data already applied, by seed name, so each seed runs only once
+      const createSeedHistoryTable = `
+        CREATE TABLE IF NOT EXISTS seed_history (
+          name TEXT PRIMARY KEY,
+          appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
       // Create indexes for better performance
       const createIndexes = [
         'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
         'CREATE INDEX IF NOT EXISTS idx_suggestions_user ON user_suggestions(userId)',
         'CREATE INDEX IF NOT EXISTS idx_analytics_goal ON analytics(goalType)',
-        'CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(createdAt)'
+        'CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(createdAt)',
+        'CREATE INDEX IF NOT EXISTS idx_peptide_goals_goal ON peptide_goals(goal, priority)',
+        'CREATE INDEX IF NOT EXISTS idx_peptide_interactions_with ON peptide_interactions(interactsWithType, interactsWith)',
+        'CREATE INDEX IF NOT EXISTS idx_suggestion_feedback_peptide ON suggestion_feedback(peptideName)',
+        'CREATE INDEX IF NOT EXISTS idx_regimens_user ON regimens(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_peptide_evidence_peptide ON peptide_evidence(peptideId)',
+        'CREATE INDEX IF NOT EXISTS idx_peptide_regulatory_region ON peptide_regulatory_status(region)',
+        'CREATE INDEX IF NOT EXISTS idx_suggestion_batch_jobs_user ON suggestion_batch_jobs(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expiresAt)',
+        'CREATE INDEX IF NOT EXISTS idx_questionnaire_sessions_user ON questionnaire_sessions(userId, status)',
+        'CREATE INDEX IF NOT EXISTS idx_questionnaire_sessions_device ON questionnaire_sessions(deviceId, status)',
+        'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(familyId)',
+        'CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes(userId)'
       ];
 
       this.db.serialize(() => {
@@ -105,17 +395,282 @@ class Database {
           }
         });
 
-        // Create indexes
+        this.db.run(createPeptidesTable, (err) => {
+          if (err) {
+            logger.error('Error creating peptides table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createCatalogSearchTable, (err) => {
+          if (err) {
+            logger.error('Error creating catalog search index:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createCatalogSearchVocabTable, (err) => {
+          if (err) {
+            logger.error('Error creating catalog search vocabulary:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        createCatalogSearchTriggers.forEach((triggerQuery) => {
+          this.db.run(triggerQuery, (err) => {
+            if (err) {
+              logger.error('Error creating catalog search trigger:', err);
+              reject(err);
+            }
+          });
+        });
+
+        this.db.run(createPeptideGoalsTable, (err) => {
+          if (err) {
+            logger.error('Error creating peptide goals table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createPeptideInteractionsTable, (err) => {
+          if (err) {
+            logger.error('Error creating peptide interactions table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSuggestionFeedbackTable, (err) => {
+          if (err) {
+            logger.error('Error creating suggestion feedback table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createPeptideEvidenceTable, (err) => {
+          if (err) {
+            logger.error('Error creating peptide evidence table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createPeptideRegulatoryTable, (err) => {
+          if (err) {
+            logger.error('Error creating peptide regulatory status table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createRegimensTable, (err) => {
+          if (err) {
+            logger.error('Error creating regimens table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSuggestionBatchJobsTable, (err) => {
+          if (err) {
+            logger.error('Error creating suggestion batch jobs table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createIdempotencyKeysTable, (err) => {
+          if (err) {
+            logger.error('Error creating idempotency keys table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createQuestionnaireSessionsTable, (err) => {
+          if (err) {
+            logger.error('Error creating questionnaire sessions table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createRefreshTokensTable, (err) => {
+          if (err) {
+            logger.error('Error creating refresh tokens table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createPasswordResetTokensTable, (err) => {
+          if (err) {
+            logger.error('Error creating password reset tokens table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createEmailVerificationTokensTable, (err) => {
+          if (err) {
+            logger.error('Error creating email verification tokens table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createTwoFactorBackupCodesTable, (err) => {
+          if (err) {
+            logger.error('Error creating two-factor backup codes table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSeedHistoryTable, (err) => {
+          if (err) {
+            logger.error('Error creating seed history table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        // Create indexes, resolving once the last queued statement has run so
+        // services can rely on every table existing
+        let pendingIndexes = createIndexes.length;
         createIndexes.forEach(indexQuery => {
           this.db.run(indexQuery, (err) => {
             if (err) {
               logger.error('Error creating index:', err);
             }
+
+            pendingIndexes--;
+            if (pendingIndexes === 0) {
+              logger.info('Database tables created successfully');
+              resolve();
+            }
           });
         });
+      });
+    });
+  }
 
-        logger.info('Database tables created successfully');
-        resolve();
+  // Bring databases created by earlier versions up to the current schema
+  async runMigrations() {
+    await this.addColumnIfMissing('user_suggestions', 'warnings', "TEXT NOT NULL DEFAULT '[]'");
+    await this.addColumnIfMissing('user_suggestions', 'healthGoals', 'TEXT');
+
+    // Catalog columns added after the catalog first shipped are filled from
+    // catalogSeed once, as they are added, so admin edits are never undone
+    for (const column of ['contraindications', 'doseRange', 'aliases', 'mechanism', 'halfLife', 'route']) {
+      if (await this.addColumnIfMissing('peptides', column, 'TEXT')) {
+        await this.backfillPeptideColumn(column);
+      }
+    }
+
+    await this.addColumnIfMissing('users', 'region', 'TEXT');
+    await this.addColumnIfMissing('users', 'excludeWadaProhibited', 'INTEGER NOT NULL DEFAULT 0');
+    await this.addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+
+    // Accounts created before email verification existed stay verified
+    if (await this.addColumnIfMissing('users', 'emailVerified', 'INTEGER NOT NULL DEFAULT 0')) {
+      await new Promise((resolve, reject) => {
+        this.db.run('UPDATE users SET emailVerified = 1', (err) => (err ? reject(err) : resolve()));
+      });
+    }
+    await this.addColumnIfMissing('users', 'pendingEmail', 'TEXT');
+    await this.addColumnIfMissing('users', 'twoFactorSecret', 'TEXT');
+    await this.addColumnIfMissing('users', 'twoFactorEnabled', 'INTEGER NOT NULL DEFAULT 0');
+    await this.addColumnIfMissing('users', 'twoFactorLastStep', 'INTEGER');
+  }
+
+  // Run a seed function once, inside a transaction, and record it in
+  // seed_history. A table that already has rows is recorded without seeding
+  // (databases seeded before seed_history existed). Rows admins later rename
+  // or delete are therefore never re-inserted. Resolves true when seeded.
+  async seedOnce(name, table, seed) {
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+      this.db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+    const get = (query, params = []) => new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    if (await get('SELECT name FROM seed_history WHERE name = ?', [name])) {
+      return false;
+    }
+
+    const { count } = await get(`SELECT COUNT(*) AS count FROM ${table}`);
+
+    await run('BEGIN');
+    try {
+      if (count === 0) {
+        await seed();
+      }
+      await run('INSERT INTO seed_history (name, appliedAt) VALUES (?, datetime(\'now\'))', [name]);
+      await run('COMMIT');
+    } catch (error) {
+      logger.error('Error applying seed:', { name, error: error.message });
+      await run('ROLLBACK');
+      throw error;
+    }
+
+    return count === 0;
+  }
+
+  // Copy a column's values from catalogSeed into the matching catalog peptides.
+  // Object and array values are stored as JSON strings.
+  async backfillPeptideColumn(column) {
+    for (const entry of catalogSeed) {
+      if (entry[column] === undefined) {
+        continue;
+      }
+
+      const value = typeof entry[column] === 'string' ? entry[column] : JSON.stringify(entry[column]);
+
+      await new Promise((resolve, reject) => {
+        this.db.run(`UPDATE peptides SET ${column} = ? WHERE name = ?`, [value, entry.name], (err) => {
+          if (err) {
+            logger.error('Error backfilling peptide column:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  // Add a column to an existing table unless it is already there. Resolves
+  // true when the column was added.
+  async addColumnIfMissing(table, column, definition) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+        if (err) {
+          logger.error('Error reading table info:', err);
+          reject(err);
+          return;
+        }
+
+        if (columns.some(existing => existing.name === column)) {
+          resolve(false);
+          return;
+        }
+
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+          if (alterErr) {
+            logger.error('Error adding column:', alterErr);
+            reject(alterErr);
+          } else {
+            logger.info('Database column added', { table, column });
+            resolve(true);
+          }
+        });
       });
     });
   }
@@ -0,0 +1,45 @@
+/**
+ * Evidence vocabulary for peptide citation records. Grades run from A
+ * (strongest) to D; a peptide's overall grade is the strongest grade among
+ * its evidence entries.
+ */
+const STUDY_TYPES = [
+  { value: 'human_rct', label: 'Human randomized controlled trial' },
+  { value: 'human_observational', label: 'Human observational study' },
+  { value: 'animal', label: 'Animal study' },
+  { value: 'in_vitro', label: 'In-vitro study' }
+];
+
+const STUDY_TYPE_VALUES = STUDY_TYPES.map(type => type.value);
+
+// Strongest first
+const EVIDENCE_GRADES = [
+  { value: 'A', label: 'Strong', description: 'Consistent results from well-designed human trials' },
+  { value: 'B', label: 'Moderate', description: 'Limited or inconsistent human trials' },
+  { value: 'C', label: 'Preliminary', description: 'Observational human data or consistent animal studies' },
+  { value: 'D', label: 'Very limited', description: 'Isolated animal or in-vitro findings' }
+];
+
+const GRADE_VALUES = EVIDENCE_GRADES.map(grade => grade.value);
+
+// Reported as the overall label for peptides with no evidence entries
+const UNGRADED_LABEL = 'Not graded';
+
+/**
+ * Get the display label for an evidence grade
+ * @param {string|null} grade - Grade value
+ * @returns {string} Label, or UNGRADED_LABEL for no grade
+ */
+const getGradeLabel = (grade) => {
+  const match = EVIDENCE_GRADES.find(entry => entry.value === grade);
+  return match ? match.label : UNGRADED_LABEL;
+};
+
+module.exports = {
+  STUDY_TYPES,
+  STUDY_TYPE_VALUES,
+  EVIDENCE_GRADES,
+  GRADE_VALUES,
+  UNGRADED_LABEL,
+  getGradeLabel
+};
@@ -0,0 +1,131 @@
+/**
+ * Health goal registry - the single source of truth for which goals the API
+ * accepts, how they are labelled and which age-specific warnings apply.
+ * Validation schemas, the suggestion generator, production-constraint
+ * warnings and GET /goals all read from this list.
+ */
+const HEALTH_GOALS = [
+  {
+    value: 'energy',
+    label: 'Energy & Vitality',
+    icon: '⚡',
+    description: 'Support natural energy production and reduce fatigue.'
+  },
+  {
+    value: 'sleep',
+    label: 'Better Sleep',
+    icon: '😴',
+    description: 'Improve sleep quality and regulate sleep-wake cycles.'
+  },
+  {
+    value: 'focus',
+    label: 'Mental Focus',
+    icon: '🧠',
+    description: 'Support mental clarity, concentration and cognitive function.'
+  },
+  {
+    value: 'recovery',
+    label: 'Recovery & Repair',
+    icon: '💪',
+    description: 'Support muscle recovery and tissue repair.',
+    ageWarnings: [
+      { maxAge: 24, code: 'RECOVERY_UNDER_25', severity: 'low', message: 'Young individuals typically have excellent natural recovery - consider lifestyle modifications first' }
+    ]
+  },
+  {
+    value: 'longevity',
+    label: 'Longevity & Healthy Aging',
+    icon: '⏳',
+    description: 'Support cellular health and healthy aging.',
+    ageWarnings: [
+      { maxAge: 29, code: 'LONGEVITY_UNDER_30', severity: 'low', message: 'Longevity peptides are typically most beneficial after age 30' }
+    ]
+  },
+  {
+    value: 'weight_management',
+    label: 'Weight Management',
+    icon: '⚖️',
+    description: 'Support healthy metabolism and body composition.'
+  },
+  {
+    value: 'immune_support',
+    label: 'Immune Support',
+    icon: '🛡️',
+    description: 'Strengthen natural immune defenses.'
+  }
+];
+
+const GOAL_VALUES = HEALTH_GOALS.map(goal => goal.value);
+
+// Goal used when a generator has nothing for the requested goal
+const DEFAULT_GOAL = 'energy';
+
+/**
+ * Look up a goal definition
+ * @param {string} value - Goal value, e.g. 'weight_management'
+ * @returns {Object|null} Goal definition or null if unknown
+ */
+const getGoal = (value) => HEALTH_GOALS.find(goal => goal.value === value) || null;
+
+/**
+ * Check whether a goal value is in the registry
+ * @param {string} value - Goal value
+ * @returns {boolean} True for known goals
+ */
+const isValidGoal = (value) => GOAL_VALUES.includes(value);
+
+/**
+ * Human-readable label for a goal, falling back to a title-cased value
+ * @param {string} value - Goal value
+ * @returns {string} Goal label
+ */
+const getGoalLabel = (value) => {
+  const goal = getGoal(value);
+  if (goal) {
+    return goal.label;
+  }
+
+  return value
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+/**
+ * Age-specific warnings that apply to a goal
+ * @param {string} value - Goal value
+ * @param {number} age - User age
+ * @returns {Object[]} Warnings with code, severity and message
+ */
+const getGoalAgeWarnings = (value, age) => {
+  const goal = getGoal(value);
+  if (!goal || !goal.ageWarnings) {
+    return [];
+  }
+
+  return goal.ageWarnings
+    .filter(warning => age >= (warning.minAge ?? 0) && age <= (warning.maxAge ?? Infinity))
+    .map(({ code, severity, message }) => ({ code, severity, message }));
+};
+
+/**
+ * Public view of the registry for API responses
+ * @returns {Object[]} Goals with value, label, icon and description
+ */
+const listGoals = () => HEALTH_GOALS.map(({ value, label, icon, description }) => ({
+  value,
+  label,
+  icon,
+  description
+}));
+
+module.exports = {
+  HEALTH_GOALS,
+  GOAL_VALUES,
+  DEFAULT_GOAL,
+  getGoal,
+  isValidGoal,
+  getGoalLabel,
+  getGoalAgeWarnings,
+  listGoals
+};
@@ -0,0 +1,149 @@
+/**
+ * Initial interaction knowledge, inserted on startup for any pair not yet in
+ * `peptide_interactions`. Peptides are referenced by catalog name; medications
+ * by class (see MEDICATION_CLASSES in config/medical.js) or drug name.
+ * Peptide pairs are stored once and apply in both directions.
+ */
+module.exports = [
+  // Peptide + peptide
+  {
+    peptide: 'Deep Rest Peptide',
+    peptideWith: 'Vitality Peptide',
+    severity: 'moderate',
+    rationale: 'Opposing effects on alertness - the energizing peptide can blunt sleep support and shift sleep timing.'
+  },
+  {
+    peptide: 'Deep Rest Peptide',
+    peptideWith: 'Cognitive Enhancement Peptide',
+    severity: 'moderate',
+    rationale: 'Stimulating and sedating effects work against each other; take them at opposite ends of the day if combined.'
+  },
+  {
+    peptide: 'Circadian Balance Formula',
+    peptideWith: 'Mitochondrial Boost Complex',
+    severity: 'minor',
+    rationale: 'Evening energy support may delay sleep onset; keep the energy peptide to mornings.'
+  },
+  {
+    peptide: 'Recovery Sleep Support',
+    peptideWith: 'Brain Boost Complex',
+    severity: 'minor',
+    rationale: 'Afternoon focus support can reduce sleep depth when taken late.'
+  },
+  {
+    peptide: 'Fat Metabolism Enhancer',
+    peptideWith: 'Cognitive Enhancement Peptide',
+    severity: 'moderate',
+    rationale: 'Both raise sympathetic activity; together they may increase heart rate and blood pressure.'
+  },
+  {
+    peptide: 'Metabolic Support Peptide',
+    peptideWith: 'Mitochondrial Boost Complex',
+    severity: 'minor',
+    rationale: 'Overlapping metabolic mechanisms - combining them adds little and may cause jitteriness.'
+  },
+  {
+    peptide: 'Telomere Support Complex',
+    peptideWith: 'Tissue Repair Formula',
+    severity: 'moderate',
+    rationale: 'Both promote cell growth signalling; the combined effect has not been studied.'
+  },
+  {
+    peptide: 'Cellular Renewal Peptide',
+    peptideWith: 'Rapid Recovery Peptide',
+    severity: 'minor',
+    rationale: 'Overlapping repair pathways - space doses apart to judge the effect of each.'
+  },
+  {
+    peptide: 'Immune Defense Peptide',
+    peptideWith: 'Tissue Repair Formula',
+    severity: 'minor',
+    rationale: 'Both modulate inflammation and may mask each other\'s effects.'
+  },
+
+  // Peptide + medication
+  {
+    peptide: 'Deep Rest Peptide',
+    medication: 'sedative',
+    severity: 'major',
+    rationale: 'Additive sedation with sleep medications and benzodiazepines.'
+  },
+  {
+    peptide: 'Circadian Balance Formula',
+    medication: 'sedative',
+    severity: 'moderate',
+    rationale: 'May deepen the effect of sleep medications.'
+  },
+  {
+    peptide: 'Recovery Sleep Support',
+    medication: 'sedative',
+    severity: 'moderate',
+    rationale: 'May deepen the effect of sleep medications.'
+  },
+  {
+    peptide: 'Rapid Recovery Peptide',
+    medication: 'anticoagulant',
+    severity: 'major',
+    rationale: 'May affect clotting and increase bleeding risk with blood thinners.'
+  },
+  {
+    peptide: 'Tissue Repair Formula',
+    medication: 'anticoagulant',
+    severity: 'moderate',
+    rationale: 'Angiogenic effects may increase bruising with blood thinners.'
+  },
+  {
+    peptide: 'Metabolic Support Peptide',
+    medication: 'antidiabetic',
+    severity: 'major',
+    rationale: 'Adds to the glucose-lowering effect of diabetes medication and may cause hypoglycemia.'
+  },
+  {
+    peptide: 'Fat Metabolism Enhancer',
+    medication: 'antidiabetic',
+    severity: 'moderate',
+    rationale: 'May change insulin sensitivity; monitor blood glucose.'
+  },
+  {
+    peptide: 'Cognitive Enhancement Peptide',
+    medication: 'antidepressant',
+    severity: 'moderate',
+    rationale: 'Possible serotonergic interaction with SSRIs and related antidepressants.'
+  },
+  {
+    peptide: 'Cognitive Enhancement Peptide',
+    medication: 'stimulant',
+    severity: 'moderate',
+    rationale: 'Combined stimulation may cause insomnia, anxiety or a raised heart rate.'
+  },
+  {
+    peptide: 'Brain Boost Complex',
+    medication: 'stimulant',
+    severity: 'moderate',
+    rationale: 'Combined stimulation may cause insomnia, anxiety or a raised heart rate.'
+  },
+  {
+    peptide: 'Vitality Peptide',
+    medication: 'stimulant',
+    severity: 'minor',
+    rationale: 'Mild additive stimulation; avoid late-day doses.'
+  },
+  {
+    peptide: 'Mitochondrial Boost Complex',
+    medication: 'antihypertensive',
+    severity: 'minor',
+    rationale: 'May slightly raise resting heart rate; monitor blood pressure.'
+  },
+  {
+    peptide: 'Immune Defense Peptide',
+    medication: 'immunosuppressant',
+    severity: 'major',
+    rationale: 'Works against immunosuppressive treatment.'
+  },
+  {
+    peptide: 'Immunity Boost Complex',
+    medication: 'immunosuppressant',
+    severity: 'major',
+    rationale: 'Works against immunosuppressive treatment.'
+  }
+];
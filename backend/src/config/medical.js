@@ -0,0 +1,92 @@
+/**
+ * Medical intake reference data - the conditions users can report, the
+ * medication classes catalog contraindications and interactions can refer
+ * to, and the contraindication and interaction severities.
+ */
+const SEX_OPTIONS = [
+  { value: 'female', label: 'Female' },
+  { value: 'male', label: 'Male' },
+  { value: 'intersex', label: 'Intersex' },
+  { value: 'prefer_not_to_say', label: 'Prefer not to say' }
+];
+
+const MEDICAL_CONDITIONS = [
+  { value: 'diabetes', label: 'Diabetes' },
+  { value: 'heart_disease', label: 'Heart disease' },
+  { value: 'hypertension', label: 'High blood pressure' },
+  { value: 'autoimmune_disorders', label: 'Autoimmune disorder' },
+  { value: 'kidney_disease', label: 'Kidney disease' },
+  { value: 'liver_disease', label: 'Liver disease' },
+  { value: 'thyroid_disorder', label: 'Thyroid disorder' },
+  { value: 'active_cancer', label: 'Active cancer or cancer treatment' }
+];
+
+const CONDITION_VALUES = MEDICAL_CONDITIONS.map(condition => condition.value);
+
+// Medication classes with common member drugs. A catalog contraindication of
+// type "medication" may name a class or a single drug.
+const MEDICATION_CLASSES = {
+  anticoagulant: ['warfarin', 'apixaban', 'rivaroxaban', 'dabigatran', 'heparin', 'clopidogrel'],
+  antidiabetic: ['insulin', 'metformin', 'glipizide', 'semaglutide', 'liraglutide', 'empagliflozin'],
+  immunosuppressant: ['tacrolimus', 'cyclosporine', 'methotrexate', 'prednisone', 'azathioprine'],
+  sedative: ['zolpidem', 'alprazolam', 'lorazepam', 'diazepam', 'clonazepam', 'melatonin'],
+  antidepressant: ['sertraline', 'fluoxetine', 'escitalopram', 'citalopram', 'paroxetine', 'bupropion'],
+  stimulant: ['amphetamine', 'methylphenidate', 'modafinil', 'lisdexamfetamine'],
+  antihypertensive: ['lisinopril', 'amlodipine', 'losartan', 'metoprolol', 'hydrochlorothiazide']
+};
+
+const CONTRAINDICATION_TYPES = ['condition', 'medication', 'pregnancy', 'breastfeeding'];
+
+// absolute: peptide is removed from suggestions; relative: kept but flagged
+const CONTRAINDICATION_SEVERITIES = ['absolute', 'relative'];
+
+// Interaction severities, least severe first
+const INTERACTION_SEVERITIES = ['minor', 'moderate', 'major'];
+
+/**
+ * Normalize a free-text medication name for matching
+ * @param {string} medication - Medication as entered by the user
+ * @returns {string} Lowercased, trimmed name
+ */
+const normalizeMedication = (medication) => medication.trim().toLowerCase();
+
+/**
+ * Check whether a user's medication matches a class or drug name
+ * @param {string} medication - Medication as entered by the user
+ * @param {string} target - Medication class (e.g. 'anticoagulant') or drug name
+ * @returns {boolean} True when the medication belongs to the class or is the drug
+ */
+const medicationMatches = (medication, target) => {
+  const name = normalizeMedication(medication);
+  const normalizedTarget = normalizeMedication(target);
+
+  if (name === normalizedTarget || name.includes(normalizedTarget)) {
+    return true;
+  }
+
+  const members = MEDICATION_CLASSES[normalizedTarget] || [];
+  return members.some(member => name.includes(member));
+};
+
+/**
+ * Label for a medical condition value
+ * @param {string} value - Condition value
+ * @returns {string} Condition label
+ */
+const getConditionLabel = (value) => {
+  const condition = MEDICAL_CONDITIONS.find(entry => entry.value === value);
+  return condition ? condition.label : value.replace(/_/g, ' ');
+};
+
+module.exports = {
+  SEX_OPTIONS,
+  MEDICAL_CONDITIONS,
+  CONDITION_VALUES,
+  MEDICATION_CLASSES,
+  CONTRAINDICATION_TYPES,
+  CONTRAINDICATION_SEVERITIES,
+  INTERACTION_SEVERITIES,
+  normalizeMedication,
+  medicationMatches,
+  getConditionLabel
+};
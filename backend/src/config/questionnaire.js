@@ -0,0 +1,139 @@
+const { HEALTH_GOALS } = require('./goals');
+const { SEX_OPTIONS, MEDICAL_CONDITIONS } = require('./medical');
+const { REGIONS } = require('./regulatory');
+
+/**
+ * Health questionnaire definitions. Each version is a list of steps shown one
+ * at a time; a step with `showIf` is only shown when an earlier answer equals
+ * the given value, and its answers are ignored otherwise. A question's
+ * `field` is where its answer goes in the POST /suggestions request built on
+ * submit ('healthIntake.sex' sets healthIntake.sex); questions without a
+ * field only drive branching.
+ *
+ * Question types:
+ *   number   - whole number between min and max
+ *   single   - one of options
+ *   multi    - minItems to maxItems distinct options
+ *   boolean  - yes or no
+ *   list     - minItems to maxItems free-text entries
+ *
+ * Drafts keep the version they were started on, so published versions must
+ * not be edited or removed while drafts may still use them. Add a new
+ * version instead; the highest one is offered to new drafts.
+ */
+
+const toOptions = (entries) => entries.map(({ value, label }) => ({ value, label }));
+
+const QUESTIONNAIRE_VERSIONS = [
+  {
+    version: 1,
+    title: 'Health questionnaire',
+    steps: [
+      {
+        id: 'about',
+        title: 'About you',
+        questions: [
+          { id: 'age', type: 'number', label: 'How old are you?', min: 18, max: 120, required: true, field: 'age' },
+          { id: 'sex', type: 'single', label: 'What is your sex?', options: toOptions(SEX_OPTIONS), required: false, field: 'healthIntake.sex' }
+        ]
+      },
+      {
+        id: 'goals',
+        title: 'Your goals',
+        questions: [
+          {
+            id: 'healthGoals',
+            type: 'multi',
+            label: 'What would you like support with? Pick the most important first.',
+            options: toOptions(HEALTH_GOALS),
+            minItems: 1,
+            maxItems: HEALTH_GOALS.length,
+            required: true,
+            field: 'healthGoals'
+          }
+        ]
+      },
+      {
+        id: 'pregnancy',
+        title: 'Pregnancy',
+        showIf: { question: 'sex', equals: 'female' },
+        questions: [
+          { id: 'pregnant', type: 'boolean', label: 'Are you pregnant or trying to conceive?', required: true, field: 'healthIntake.pregnant' },
+          { id: 'breastfeeding', type: 'boolean', label: 'Are you breastfeeding?', required: true, field: 'healthIntake.breastfeeding' }
+        ]
+      },
+      {
+        id: 'health',
+        title: 'Your health',
+        questions: [
+          { id: 'hasConditions', type: 'boolean', label: 'Do you have any ongoing medical conditions?', required: true },
+          { id: 'takesMedications', type: 'boolean', label: 'Do you take any prescription medications?', required: true }
+        ]
+      },
+      {
+        id: 'conditions',
+        title: 'Medical conditions',
+        showIf: { question: 'hasConditions', equals: true },
+        questions: [
+          {
+            id: 'conditions',
+            type: 'multi',
+            label: 'Which of these apply to you?',
+            options: toOptions(MEDICAL_CONDITIONS),
+            minItems: 1,
+            maxItems: MEDICAL_CONDITIONS.length,
+            required: true,
+            field: 'healthIntake.conditions'
+          }
+        ]
+      },
+      {
+        id: 'medications',
+        title: 'Medications',
+        showIf: { question: 'takesMedications', equals: true },
+        questions: [
+          {
+            id: 'medications',
+            type: 'list',
+            label: 'Which medications do you take?',
+            minItems: 1,
+            maxItems: 30,
+            required: true,
+            field: 'healthIntake.medications'
+          }
+        ]
+      },
+      {
+        id: 'location',
+        title: 'Location and sport',
+        questions: [
+          { id: 'region', type: 'single', label: 'Where do you live?', options: toOptions(REGIONS), required: false, field: 'region' },
+          {
+            id: 'testedAthlete',
+            type: 'boolean',
+            label: 'Do you compete in drug-tested sport?',
+            required: false,
+            field: 'excludeWadaProhibited'
+          }
+        ]
+      }
+    ]
+  }
+];
+
+const CURRENT_VERSION = Math.max(...QUESTIONNAIRE_VERSIONS.map(definition => definition.version));
+
+/**
+ * Get a questionnaire definition
+ * @param {number} [version] - Version number, the current version when omitted
+ * @returns {Object|null} Definition, or null for an unknown version
+ */
+const getQuestionnaire = (version = CURRENT_VERSION) => (
+  QUESTIONNAIRE_VERSIONS.find(definition => definition.version === version) || null
+);
+
+module.exports = {
+  QUESTIONNAIRE_VERSIONS,
+  CURRENT_VERSION,
+  getQuestionnaire
+};
@@ -0,0 +1,44 @@
+/**
+ * Units and syringes for the reconstitution calculator. Mass units convert
+ * through micrograms; IU measure biological activity and only convert to IU.
+ */
+const MASS_UNITS = {
+  mcg: 1,
+  mg: 1000
+};
+
+const AMOUNT_UNITS = [...Object.keys(MASS_UNITS), 'IU'];
+
+// Weight-based doses are an amount unit per kilogram of body weight
+const DOSE_UNITS = [...AMOUNT_UNITS, ...AMOUNT_UNITS.map(unit => `${unit}/kg`)];
+
+const VOLUME_UNITS = ['ml'];
+
+const BODY_WEIGHT_UNITS = {
+  kg: 1,
+  lb: 0.45359237
+};
+
+// Insulin syringes are marked at 100 units per ml; the names follow how
+// they are sold (a "U-50" is a 0.5 ml barrel with 50 markings)
+const UNITS_PER_ML = 100;
+
+const SYRINGES = [
+  { type: 'U-100', capacityMl: 1, capacityUnits: 100, increment: 2 },
+  { type: 'U-50', capacityMl: 0.5, capacityUnits: 50, increment: 1 },
+  { type: 'U-30', capacityMl: 0.3, capacityUnits: 30, increment: 0.5 }
+];
+
+// Doses below this many syringe units are hard to draw accurately
+const MIN_MEASURABLE_UNITS = 2;
+
+module.exports = {
+  MASS_UNITS,
+  AMOUNT_UNITS,
+  DOSE_UNITS,
+  VOLUME_UNITS,
+  BODY_WEIGHT_UNITS,
+  UNITS_PER_ML,
+  SYRINGES,
+  MIN_MEASURABLE_UNITS
+};
@@ -0,0 +1,40 @@
+/**
+ * Regimen scheduling options shared by validation, the schedule view and
+ * the calendar export.
+ */
+const REGIMEN_FREQUENCIES = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'every_other_day', label: 'Every other day' },
+  { value: 'weekly', label: 'Once a week' },
+  { value: 'specific_days', label: 'Specific days of the week' }
+];
+
+const FREQUENCY_VALUES = REGIMEN_FREQUENCIES.map(frequency => frequency.value);
+
+// Index matches Date.getUTCDay(); `ics` is the RFC 5545 BYDAY code
+const DAYS_OF_WEEK = [
+  { value: 'sun', label: 'Sunday', ics: 'SU' },
+  { value: 'mon', label: 'Monday', ics: 'MO' },
+  { value: 'tue', label: 'Tuesday', ics: 'TU' },
+  { value: 'wed', label: 'Wednesday', ics: 'WE' },
+  { value: 'thu', label: 'Thursday', ics: 'TH' },
+  { value: 'fri', label: 'Friday', ics: 'FR' },
+  { value: 'sat', label: 'Saturday', ics: 'SA' }
+];
+
+const DAY_VALUES = DAYS_OF_WEEK.map(day => day.value);
+
+// How long each calendar event lasts, in minutes
+const DOSE_EVENT_MINUTES = 15;
+
+// Cycled regimens without an end date are exported this many days ahead
+const CALENDAR_HORIZON_DAYS = 365;
+
+module.exports = {
+  REGIMEN_FREQUENCIES,
+  FREQUENCY_VALUES,
+  DAYS_OF_WEEK,
+  DAY_VALUES,
+  DOSE_EVENT_MINUTES,
+  CALENDAR_HORIZON_DAYS
+};
@@ -0,0 +1,61 @@
+/**
+ * Regulatory vocabulary. Each peptide's status is recorded per region in
+ * `peptide_regulatory_status`. The WADA prohibited list is stored under the
+ * pseudo-region WADA and only filters suggestions for users who opt in.
+ */
+const REGIONS = [
+  { value: 'US', label: 'United States' },
+  { value: 'EU', label: 'European Union' },
+  { value: 'UK', label: 'United Kingdom' },
+  { value: 'CA', label: 'Canada' },
+  { value: 'AU', label: 'Australia' }
+];
+
+const REGION_VALUES = REGIONS.map(region => region.value);
+
+const WADA_REGION = 'WADA';
+
+// `action` is what happens to a suggestion with this status in the user's
+// region: shown as-is, shown with the status label, or left out
+const REGULATORY_STATUSES = [
+  { value: 'approved', label: 'Approved', action: 'allow' },
+  { value: 'prescription_only', label: 'Prescription only', action: 'label' },
+  { value: 'unapproved', label: 'Not approved', action: 'label' },
+  { value: 'prohibited', label: 'Prohibited', action: 'exclude' }
+];
+
+const STATUS_VALUES = REGULATORY_STATUSES.map(status => status.value);
+
+// Reported for peptides with no status recorded in the requested region
+const NOT_LISTED_STATUS = { value: 'not_listed', label: 'No status recorded', action: 'allow' };
+
+/**
+ * Get a status definition by value
+ * @param {string} status - Status value
+ * @returns {Object} Status definition, or NOT_LISTED_STATUS for unknown values
+ */
+const getStatus = (status) => REGULATORY_STATUSES.find(entry => entry.value === status) || NOT_LISTED_STATUS;
+
+/**
+ * Get the display label for a region
+ * @param {string} region - Region value
+ * @returns {string} Label, or the value itself for unknown regions
+ */
+const getRegionLabel = (region) => {
+  if (region === WADA_REGION) {
+    return 'World Anti-Doping Agency';
+  }
+  const match = REGIONS.find(entry => entry.value === region);
+  return match ? match.label : region;
+};
+
+module.exports = {
+  REGIONS,
+  REGION_VALUES,
+  WADA_REGION,
+  REGULATORY_STATUSES,
+  STATUS_VALUES,
+  NOT_LISTED_STATUS,
+  getStatus,
+  getRegionLabel
+};
@@ -0,0 +1,44 @@
+/**
+ * Initial regulatory statuses, inserted on the first start with an empty
+ * `peptide_regulatory_status` table. Peptides are referenced by catalog
+ * name; regions and statuses come from config/regulatory.js. Entries under
+ * WADA mark peptides on the prohibited list for tested sport.
+ */
+module.exports = [
+  // Energy
+  { peptide: 'Peptide Alpha-E', region: 'WADA', status: 'prohibited', note: 'Prohibited at all times under peptide hormones and growth factors' },
+
+  // Focus
+  { peptide: 'Cognitive Enhancement Peptide', region: 'EU', status: 'prescription_only' },
+  { peptide: 'Cognitive Enhancement Peptide', region: 'UK', status: 'prescription_only' },
+  { peptide: 'Cognitive Enhancement Peptide', region: 'AU', status: 'prescription_only' },
+  { peptide: 'Cognitive Enhancement Peptide', region: 'CA', status: 'prohibited', note: 'Not authorized for sale or import' },
+
+  // Recovery
+  { peptide: 'Rapid Recovery Peptide', region: 'US', status: 'prescription_only', note: 'Compounded only with a prescription' },
+  { peptide: 'Rapid Recovery Peptide', region: 'EU', status: 'unapproved' },
+  { peptide: 'Rapid Recovery Peptide', region: 'UK', status: 'prohibited', note: 'Not licensed for human use' },
+  { peptide: 'Rapid Recovery Peptide', region: 'WADA', status: 'prohibited', note: 'Prohibited at all times as a non-approved substance' },
+  { peptide: 'Athletic Recovery Support', region: 'WADA', status: 'prohibited', note: 'Prohibited at all times under peptide hormones and growth factors' },
+
+  // Weight management
+  { peptide: 'Metabolic Support Peptide', region: 'US', status: 'prescription_only' },
+  { peptide: 'Metabolic Support Peptide', region: 'EU', status: 'prescription_only' },
+  { peptide: 'Metabolic Support Peptide', region: 'UK', status: 'prescription_only' },
+  { peptide: 'Metabolic Support Peptide', region: 'CA', status: 'prescription_only' },
+  { peptide: 'Metabolic Support Peptide', region: 'AU', status: 'prescription_only' },
+  { peptide: 'Fat Metabolism Enhancer', region: 'US', status: 'unapproved' },
+  { peptide: 'Fat Metabolism Enhancer', region: 'EU', status: 'unapproved' },
+  { peptide: 'Fat Metabolism Enhancer', region: 'AU', status: 'prohibited', note: 'Not authorized for supply' },
+  { peptide: 'Fat Metabolism Enhancer', region: 'WADA', status: 'prohibited', note: 'Prohibited at all times as a metabolic modulator' },
+  { peptide: 'Body Composition Support', region: 'WADA', status: 'prohibited', note: 'Prohibited at all times under peptide hormones and growth factors' },
+
+  // Longevity
+  { peptide: 'Telomere Support Complex', region: 'US', status: 'unapproved' },
+  { peptide: 'Telomere Support Complex', region: 'EU', status: 'unapproved' },
+
+  // Immunity
+  { peptide: 'Immune Defense Peptide', region: 'US', status: 'unapproved' },
+  { peptide: 'Immune Defense Peptide', region: 'EU', status: 'approved' },
+  { peptide: 'Immune Defense Peptide', region: 'UK', status: 'approved' }
+];
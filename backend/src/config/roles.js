@@ -0,0 +1,34 @@
+/**
+ * Account roles. New accounts are users; admins can change a role through
+ * the /users routes.
+ */
+const ROLES = [
+  { value: 'user', label: 'User' },
+  { value: 'clinician', label: 'Clinician' },
+  { value: 'admin', label: 'Administrator' }
+];
+
+const ROLE_VALUES = ROLES.map(role => role.value);
+
+const DEFAULT_ROLE = 'user';
+
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Emails listed in ADMIN_EMAILS (comma-separated), lowercased. Accounts get
+ * the admin role once one of these addresses is verified, so the first
+ * administrator can be set up without database access.
+ * @returns {Array<string>}
+ */
+const getConfiguredAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES,
+  DEFAULT_ROLE,
+  ADMIN_ROLE,
+  getConfiguredAdminEmails
+};
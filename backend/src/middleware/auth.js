@@ -1,17 +1,32 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const userService = require('../services/userService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients get a new one with their refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Two-factor login challenges use their own key, so one can never pass as an
+// access token, and only last long enough to type in a code
+const CHALLENGE_SECRET = `${JWT_SECRET}:two-factor-challenge`;
+const CHALLENGE_EXPIRES_IN = '5m';
 
 class AuthMiddleware {
-  // Generate JWT token
-  static generateToken(user) {
+  // Server secret for a purpose other than access tokens, derived from JWT_SECRET
+  static deriveSecret(purpose) {
+    return `${JWT_SECRET}:${purpose}`;
+  }
+
+  // Generate a JWT access token. sessionId is the refresh token family the
+  // token was issued with, so logout can revoke it without the refresh token.
+  static generateToken(user, sessionId) {
     const payload = {
       id: user.id,
       email: user.email,
       firstName: user.firstName,
-      lastName: user.lastName
+      lastName: user.lastName,
+      role: user.role,
+      emailVerified: user.emailVerified === 1,
+      sid: sessionId
     };
 
     return jwt.sign(payload, JWT_SECRET, {
@@ -20,6 +35,30 @@ class AuthMiddleware {
     });
   }
 
+  // Generate the token a login with a correct password gets when the account
+  // has two-factor authentication; POST /auth/login/2fa exchanges it for a session
+  static generateChallengeToken(user) {
+    return jwt.sign({ id: user.id }, CHALLENGE_SECRET, {
+      expiresIn: CHALLENGE_EXPIRES_IN,
+      issuer: 'peptide-suggestions-app'
+    });
+  }
+
+  // Decoded challenge token, or null if it is invalid or expired
+  static verifyChallengeToken(token) {
+    try {
+      return jwt.verify(token, CHALLENGE_SECRET, { issuer: 'peptide-suggestions-app' });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Seconds until a freshly generated token expires
+  static getTokenLifetime(token) {
+    const { iat, exp } = jwt.decode(token);
+    return exp - iat;
+  }
+
   // Middleware to verify JWT token
   static verifyToken(req, res, next) {
     try {
@@ -105,53 +144,106 @@ class AuthMiddleware {
     });
   }
 
-  // Verify token without middleware (for direct use)
-  static verifyTokenDirect(token) {
-    try {
-      return jwt.verify(token, JWT_SECRET);
-    } catch (error) {
-      return null;
-    }
+  /**
+   * Middleware restricting a route to the given roles (use after verifyToken).
+   * The role is checked against the database as well as the token, so a role
+   * taken away applies at once rather than when the token expires. Role
+   * accounts also need a verified email, like other account features.
+   * @param {...string} roles - Allowed roles, see config/roles.js
+   * @returns {Function} Express middleware
+   */
+  static requireRole(...roles) {
+    return async (req, res, next) => {
+      const deny = () => {
+        logger.warn('Role access denied:', {
+          userId: req.user?.id,
+          role: req.user?.role,
+          requiredRoles: roles,
+          url: req.originalUrl,
+          ip: req.ip
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: `This action requires the ${roles.join(' or ')} role`,
+            code: 'INSUFFICIENT_ROLE'
+          }
+        });
+      };
+
+      if (!req.user || !roles.includes(req.user.role)) {
+        return deny();
+      }
+
+      try {
+        const user = await userService.getUserById(req.user.id);
+        if (!user || !roles.includes(user.role)) {
+          return deny();
+        }
+
+        if (user.emailVerified !== 1) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Verify your email address to use this feature',
+              code: 'EMAIL_NOT_VERIFIED'
+            }
+          });
+        }
+
+        next();
+      } catch (error) {
+        logger.error('Role check error:', error);
+        res.status(500).json({
+          success: false,
+          error: {
+            message: 'Authentication system error',
+            code: 'AUTH_SYSTEM_ERROR'
+          }
+        });
+      }
+    };
   }
 
-  // Refresh token (generate new token from valid token)
-  static refreshToken(req, res, next) {
+  // Middleware restricting a route to accounts with a confirmed email (use
+  // after verifyToken). Checked against the database, since the token's
+  // emailVerified claim is only updated on refresh.
+  static async requireVerifiedEmail(req, res, next) {
     try {
-      if (!req.user) {
-        return res.status(401).json({
+      const user = await userService.getUserById(req.user.id);
+
+      if (!user || user.emailVerified !== 1) {
+        return res.status(403).json({
           success: false,
           error: {
-            message: 'User not authenticated',
-            code: 'USER_NOT_AUTHENTICATED'
+            message: 'Verify your email address to use this feature',
+            code: 'EMAIL_NOT_VERIFIED'
           }
         });
       }
 
-      const newToken = AuthMiddleware.generateToken(req.user);
-      
-      res.json({
-        success: true,
-        data: {
-          token: newToken,
-          user: {
-            id: req.user.id,
-            email: req.user.email,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName
-          }
-        }
-      });
+      next();
     } catch (error) {
-      logger.error('Token refresh error:', error);
-      return res.status(500).json({
+      logger.error('Email verification check error:', error);
+      res.status(500).json({
         success: false,
         error: {
-          message: 'Failed to refresh token',
-          code: 'TOKEN_REFRESH_ERROR'
+          message: 'Authentication system error',
+          code: 'AUTH_SYSTEM_ERROR'
         }
       });
     }
   }
+
+  // Verify token without middleware (for direct use)
+  static verifyTokenDirect(token) {
+    try {
+      return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+  }
 }
 
 module.exports = AuthMiddleware;
\ No newline at end of file
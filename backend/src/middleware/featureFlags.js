@@ -0,0 +1,41 @@
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a feature flag from the environment is switched on
+ * @param {string} flag - Environment variable name, e.g. 'ENABLE_PDF_EXPORT'
+ * @returns {boolean} True when the flag is set to "true"
+ */
+const isFeatureEnabled = (flag) => process.env[flag] === 'true';
+
+/**
+ * Middleware factory that blocks a route unless its feature flag is enabled
+ * @param {string} flag - Environment variable name
+ * @param {string} featureName - Human-readable feature name for the error message
+ * @returns {Function} Express middleware function
+ */
+const requireFeature = (flag, featureName) => {
+  return (req, res, next) => {
+    if (isFeatureEnabled(flag)) {
+      return next();
+    }
+
+    logger.warn('Disabled feature requested', {
+      flag,
+      endpoint: req.originalUrl,
+      method: req.method
+    });
+
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `${featureName} is not enabled on this server`,
+        code: 'FEATURE_DISABLED'
+      }
+    });
+  };
+};
+
+module.exports = {
+  isFeatureEnabled,
+  requireFeature
+};
@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const idempotencyService = require('../services/idempotencyService');
+
+// Printable ASCII, as recommended for Idempotency-Key values
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Who a key belongs to: the logged-in user, or an anonymous caller's IP so
+// one anonymous client cannot replay another's response by guessing its key
+const getOwner = req => (req.user ? `user:${req.user.id}` : `anonymous:${req.ip || 'unknown'}`);
+
+// Copy of a response body without the given dot paths
+const omitPaths = (body, paths) => {
+  if (paths.length === 0) {
+    return body;
+  }
+
+  const copy = JSON.parse(JSON.stringify(body));
+  paths.forEach((path) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((target, key) => (target ? target[key] : undefined), copy);
+    if (parent && typeof parent === 'object') {
+      delete parent[keys[keys.length - 1]];
+    }
+  });
+  return copy;
+};
+
+/**
+ * Middleware factory adding Idempotency-Key support to a route. The first
+ * response to a key is stored and replayed for identical retries; reusing the
+ * key with a different body is rejected with 422. Server errors (5xx) are not
+ * stored, so a retry runs the request again. Requests without the header are
+ * unaffected. Use after any authentication middleware so keys are scoped to
+ * the user; anonymous keys are scoped to the client IP.
+ * @param {string} scope - Endpoint name keys are scoped to, e.g. 'POST /suggestions'
+ * @param {Object} [options]
+ * @param {Array<string>} [options.omit] - Dot paths left out of the stored
+ *   response, such as issued tokens, which replays then do not include
+ * @returns {Function} Express middleware function
+ */
+const idempotent = (scope, { omit = [] } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Idempotency-Key must be 1-255 printable characters',
+          code: 'INVALID_IDEMPOTENCY_KEY'
+        }
+      });
+    }
+
+    const claim = { scope, owner: getOwner(req), key };
+    const requestHash = idempotencyService.hashRequest(key, req.body);
+
+    let existing;
+    try {
+      existing = await idempotencyService.claim(claim, requestHash);
+    } catch (error) {
+      logger.error('Idempotency check failed:', {
+        scope,
+        error: error.message
+      });
+      // Continue without idempotency
+      return next();
+    }
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            message: 'This Idempotency-Key was already used with a different request body',
+            code: 'IDEMPOTENCY_KEY_MISMATCH'
+          }
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          }
+        });
+      }
+
+      logger.info('Idempotent response replayed:', { scope, owner: claim.owner });
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before sending it, so a retry arriving as soon as
+    // the client has it is replayed rather than reported as in progress
+    let settled = false;
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      settled = true;
+      res.json = sendJson;
+
+      const store = res.statusCode >= 500
+        ? idempotencyService.release(claim)
+        : idempotencyService.complete(claim, res.statusCode, omitPaths(body, omit));
+
+      store
+        .catch(error => logger.error('Failed to store idempotent response:', { scope, error: error.message }))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    // Responses not sent as JSON are never stored
+    res.on('close', () => {
+      if (!settled) {
+        idempotencyService.release(claim)
+          .catch(error => logger.error('Failed to release idempotency key:', { scope, error: error.message }));
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -1,5 +1,125 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { GOAL_VALUES, getGoalAgeWarnings } = require('../config/goals');
+const { SEX_OPTIONS, CONDITION_VALUES } = require('../config/medical');
+const { REGION_VALUES, STATUS_VALUES, NOT_LISTED_STATUS } = require('../config/regulatory');
+
+/**
+ * Health goal field shared by every schema that accepts a goal
+ */
+const healthGoalField = Joi.string()
+  .valid(...GOAL_VALUES)
+  .messages({
+    'string.base': 'Health goal must be a text value',
+    'any.only': `Health goal must be one of: ${GOAL_VALUES.join(', ')}`,
+    'any.required': 'Health goal is required'
+  });
+
+/**
+ * Goal weight bounds for multi-goal requests
+ */
+const GOAL_WEIGHT_MIN = 0.1;
+const GOAL_WEIGHT_MAX = 10;
+
+/**
+ * A goal in a multi-goal request: a goal value, or { goal, weight }
+ */
+const goalSelectionField = Joi.alternatives()
+  .try(
+    healthGoalField,
+    Joi.object({
+      goal: healthGoalField.required(),
+      weight: Joi.number()
+        .min(GOAL_WEIGHT_MIN)
+        .max(GOAL_WEIGHT_MAX)
+        .default(1)
+        .messages({
+          'number.min': `Goal weight must be at least ${GOAL_WEIGHT_MIN}`,
+          'number.max': `Goal weight must be ${GOAL_WEIGHT_MAX} or less`
+        })
+    })
+  )
+  .messages({
+    'alternatives.match': 'Each health goal must be a goal value or an object with goal and weight',
+    'alternatives.types': 'Each health goal must be a goal value or an object with goal and weight'
+  });
+
+/**
+ * Normalize a goal selection to [{ goal, weight }] and pick the primary goal
+ * (highest weight, first listed on ties)
+ * @param {Array} selection - Validated goal values and/or { goal, weight } objects
+ * @returns {Object} { healthGoals, primaryGoal }
+ */
+const normalizeGoalSelection = (selection) => {
+  const healthGoals = selection.map(item => (
+    typeof item === 'string' ? { goal: item, weight: 1 } : item
+  ));
+  const primary = healthGoals.reduce((best, item) => (item.weight > best.weight ? item : best));
+
+  return { healthGoals, primaryGoal: primary.goal };
+};
+
+/**
+ * Warning severity levels, lowest first
+ */
+const WARNING_SEVERITIES = ['low', 'moderate', 'high'];
+
+/**
+ * Optional health intake sent with a suggestions request
+ */
+const healthIntakeSchema = Joi.object({
+  sex: Joi.string()
+    .valid(...SEX_OPTIONS.map(option => option.value))
+    .optional()
+    .messages({
+      'any.only': `Sex must be one of: ${SEX_OPTIONS.map(option => option.value).join(', ')}`
+    }),
+
+  pregnant: Joi.boolean()
+    .default(false)
+    .when('sex', {
+      is: 'male',
+      then: Joi.valid(false).messages({
+        'any.only': 'Pregnancy cannot be reported when sex is male'
+      })
+    }),
+
+  breastfeeding: Joi.boolean()
+    .default(false)
+    .when('sex', {
+      is: 'male',
+      then: Joi.valid(false).messages({
+        'any.only': 'Breastfeeding cannot be reported when sex is male'
+      })
+    }),
+
+  conditions: Joi.array()
+    .items(Joi.string().valid(...CONDITION_VALUES).messages({
+      'any.only': `Conditions must be from: ${CONDITION_VALUES.join(', ')}`
+    }))
+    .unique()
+    .max(CONDITION_VALUES.length)
+    .default([]),
+
+  medications: Joi.array()
+    .items(Joi.string().trim().min(2).max(100))
+    .max(30)
+    .default([])
+    .messages({
+      'array.max': 'No more than 30 medications can be listed'
+    })
+});
+
+/**
+ * Regulatory region, case-insensitive
+ */
+const regionField = Joi.string()
+  .uppercase()
+  .valid(...REGION_VALUES)
+  .messages({
+    'string.base': 'Region must be a text value',
+    'any.only': `Region must be one of: ${REGION_VALUES.join(', ')}`
+  });
 
 /**
  * Validation schema for suggestions request
@@ -14,19 +134,45 @@ const suggestionsSchema = Joi.object({
       'number.base': 'Age must be a number',
       'number.integer': 'Age must be a whole number',
       'number.min': 'Age must be at least 18',
-      'number.max': 'Age cannot exceed 120',
+      'number.max': 'Age must be 120 or less',
       'any.required': 'Age is required'
     }),
   
-  goal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'longevity')
-    .required()
+  // Either a single goal or several weighted goals
+  healthGoal: healthGoalField,
+
+  healthGoals: Joi.array()
+    .items(goalSelectionField)
+    .min(1)
+    .max(GOAL_VALUES.length)
+    .unique((a, b) => (a.goal || a) === (b.goal || b))
     .messages({
-      'string.base': 'Goal must be a text value',
-      'any.only': 'Goal must be one of: energy, sleep, focus, recovery, longevity',
-      'any.required': 'Health goal is required'
+      'array.min': 'At least one health goal is required',
+      'array.unique': 'Each health goal can only be listed once'
+    }),
+
+  healthIntake: healthIntakeSchema.optional(),
+
+  // Defaults to the region and WADA setting in the user's profile
+  region: regionField.optional(),
+
+  excludeWadaProhibited: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'excludeWadaProhibited must be true or false'
     })
-});
+})
+  .xor('healthGoal', 'healthGoals')
+  .messages({
+    'object.missing': 'Health goal is required',
+    'object.xor': 'Provide either healthGoal or healthGoals, not both'
+  })
+  // Downstream code always sees healthGoals as [{ goal, weight }] and
+  // healthGoal as the primary goal
+  .custom((value) => {
+    const { healthGoals, primaryGoal } = normalizeGoalSelection(value.healthGoals || [value.healthGoal]);
+    return { ...value, healthGoal: primaryGoal, healthGoals };
+  });
 
 /**
  * Validation schema for PDF export request
@@ -38,22 +184,57 @@ const pdfExportSchema = Joi.object({
     .max(120)
     .required(),
   
-  goal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'longevity')
-    .required(),
+  goal: healthGoalField.required(),
+
+  goals: Joi.array()
+    .items(Joi.object({
+      goal: healthGoalField.required(),
+      weight: Joi.number().min(GOAL_WEIGHT_MIN).max(GOAL_WEIGHT_MAX).default(1)
+    }))
+    .optional(),
     
   suggestions: Joi.array()
     .items(Joi.object({
       name: Joi.string().required(),
       description: Joi.string().required(),
-      dosage: Joi.string().optional(),
-      timing: Joi.string().optional()
+      dosage: Joi.string().allow(null, '').optional(),
+      timing: Joi.string().allow(null, '').optional(),
+      goals: Joi.array().items(healthGoalField).optional(),
+      evidence: Joi.object({
+        grade: Joi.string().allow(null).required(),
+        label: Joi.string().required(),
+        studyCount: Joi.number().integer().min(0).optional()
+      }).optional(),
+      regulatory: Joi.object({
+        region: Joi.string().valid(...REGION_VALUES).allow(null).optional(),
+        status: Joi.string().valid(...STATUS_VALUES, NOT_LISTED_STATUS.value).allow(null).optional(),
+        label: Joi.string().allow(null).optional(),
+        wadaProhibited: Joi.boolean().optional()
+      }).unknown(true).optional(),
+      cautions: Joi.array()
+        .items(Joi.object({
+          trigger: Joi.string().required(),
+          reason: Joi.string().required()
+        }).unknown(true))
+        .optional()
     }))
     .min(1)
     .required()
     .messages({
       'array.min': 'At least one suggestion is required for PDF export'
-    })
+    }),
+
+  generatedAt: Joi.date()
+    .iso()
+    .optional(),
+
+  warnings: Joi.array()
+    .items(Joi.object({
+      code: Joi.string().optional(),
+      severity: Joi.string().valid(...WARNING_SEVERITIES).required(),
+      message: Joi.string().required()
+    }))
+    .optional()
 });
 
 /**
@@ -112,34 +293,66 @@ const validatePdfExportRequest = validate(pdfExportSchema, 'body');
 
 /**
  * Custom validation for production edge cases
+ * @param {Object} request - Validated suggestions request body
+ * @returns {Array} [{ code, severity, message }], most severe first
  */
-const validateProductionConstraints = (req, res, next) => {
-  const { age, goal } = req.body;
-  
+const getProductionWarnings = ({ age, healthGoals, healthIntake }) => {
   // Additional business logic validation that might not fit in Joi
   const warnings = [];
   
   // Age-specific warnings
   if (age < 21) {
-    warnings.push('Peptide therapy for individuals under 21 requires additional medical supervision');
+    warnings.push({
+      code: 'AGE_UNDER_21',
+      severity: 'high',
+      message: 'Peptide therapy for individuals under 21 requires additional medical supervision'
+    });
   }
   
   if (age > 70) {
-    warnings.push('Enhanced medical monitoring recommended for individuals over 70');
+    warnings.push({
+      code: 'AGE_OVER_70',
+      severity: 'moderate',
+      message: 'Enhanced medical monitoring recommended for individuals over 70'
+    });
   }
   
-  // Goal-specific validation
-  if (goal === 'recovery' && age < 25) {
-    warnings.push('Young individuals typically have excellent natural recovery - consider lifestyle modifications first');
+  // Goal-specific warnings come from the goal registry
+  healthGoals.forEach(({ goal }) => {
+    getGoalAgeWarnings(goal, age)
+      .filter(warning => !warnings.some(existing => existing.code === warning.code))
+      .forEach(warning => warnings.push(warning));
+  });
+
+  // Intake warnings apply regardless of which peptides are suggested
+  if (healthIntake?.pregnant) {
+    warnings.push({
+      code: 'PREGNANCY',
+      severity: 'high',
+      message: 'Peptide therapy is contraindicated during pregnancy - do not start any peptide without your physician'
+    });
   }
-  
-  if (goal === 'longevity' && age < 30) {
-    warnings.push('Longevity peptides are typically most beneficial after age 30');
+
+  if (healthIntake?.breastfeeding) {
+    warnings.push({
+      code: 'BREASTFEEDING',
+      severity: 'moderate',
+      message: 'Consult your physician before using any peptide while breastfeeding'
+    });
   }
   
+  return warnings.sort((a, b) => (
+    WARNING_SEVERITIES.indexOf(b.severity) - WARNING_SEVERITIES.indexOf(a.severity)
+  ));
+};
+
+/**
+ * Sets req.validationWarnings from getProductionWarnings
+ */
+const validateProductionConstraints = (req, res, next) => {
   // Add warnings to request for use in response
-  req.validationWarnings = warnings;
-  
+  req.validationWarnings = getProductionWarnings(req.body);
+
   next();
 };
 
@@ -204,9 +417,15 @@ module.exports = {
   validateSuggestionsRequest,
   validatePdfExportRequest,
   validateProductionConstraints,
+  getProductionWarnings,
   validateRateLimit,
+  healthGoalField,
+  regionField,
+  normalizeGoalSelection,
+  WARNING_SEVERITIES,
   schemas: {
     suggestions: suggestionsSchema,
+    healthIntake: healthIntakeSchema,
     pdfExport: pdfExportSchema
   }
 };
\ No newline at end of file
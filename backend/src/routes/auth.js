@@ -2,7 +2,18 @@ const express = require('express');
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const userService = require('../services/userService');
+const suggestionsService = require('../services/suggestionsService');
+const pdfService = require('../services/pdfService');
+const feedbackService = require('../services/feedbackService');
+const analyticsService = require('../services/analyticsService');
+const refreshTokenService = require('../services/refreshTokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
 const AuthMiddleware = require('../middleware/auth');
+const { requireFeature } = require('../middleware/featureFlags');
+const { idempotent } = require('../middleware/idempotency');
+const { regionField } = require('../middleware/validation');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
@@ -23,6 +34,71 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Separate limit for password resets, so they do not use up login attempts
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many password reset attempts, please try again later.',
+      code: 'TOO_MANY_ATTEMPTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Second login step; separate from authLimiter so a login needs one attempt of each
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many two-factor attempts, please try again later.',
+      code: 'TOO_MANY_ATTEMPTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Second-step attempts per account, so codes cannot be guessed from many IPs
+// with fresh challenges. Requests without a valid challenge never check a
+// code and only count against twoFactorLoginLimiter.
+const twoFactorAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skip: (req) => !AuthMiddleware.verifyChallengeToken(req.body?.challengeToken),
+  keyGenerator: (req) => `user:${AuthMiddleware.verifyChallengeToken(req.body.challengeToken).id}`,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many two-factor attempts, please try again later.',
+      code: 'TOO_MANY_ATTEMPTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Verification emails per account, since the resend endpoint sends mail on demand
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many verification emails requested, please try again later.',
+      code: 'TOO_MANY_ATTEMPTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string()
@@ -76,6 +152,22 @@ const loginSchema = Joi.object({
     })
 });
 
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .max(1000)
+    .required()
+    .messages({
+      'any.required': 'Challenge token is required'
+    }),
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'any.required': 'Code is required'
+    })
+});
+
 const updateProfileSchema = Joi.object({
   firstName: Joi.string()
     .trim()
@@ -100,7 +192,10 @@ const updateProfileSchema = Joi.object({
     .optional()
     .messages({
       'string.email': 'Please provide a valid email address'
-    })
+    }),
+  // Regulatory defaults for suggestions; null clears the region
+  region: regionField.allow(null).optional(),
+  excludeWadaProhibited: Joi.boolean().optional()
 });
 
 const changePasswordSchema = Joi.object({
@@ -120,8 +215,112 @@ const changePasswordSchema = Joi.object({
     })
 });
 
-// POST /auth/register - Register new user
-router.post('/register', authLimiter, async (req, res) => {
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'any.required': 'Reset token is required'
+    }),
+  newPassword: Joi.string()
+    .min(8)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.min': 'New password must be at least 8 characters long',
+      'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, and one number',
+      'any.required': 'New password is required'
+    })
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'any.required': 'Verification token is required'
+    })
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    })
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().max(200).optional()
+});
+
+const feedbackSchema = Joi.object({
+  peptideName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Peptide name is required'
+    }),
+  rating: Joi.number()
+    .integer()
+    .min(1)
+    .max(5)
+    .required()
+    .messages({
+      'number.base': 'Rating must be a number',
+      'number.min': 'Rating must be between 1 and 5',
+      'number.max': 'Rating must be between 1 and 5',
+      'any.required': 'Rating is required'
+    }),
+  triedIt: Joi.boolean().default(false),
+  notes: Joi.string()
+    .trim()
+    .max(2000)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Notes cannot exceed 2000 characters'
+    }),
+  sideEffects: Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .max(20)
+    .default([])
+    .messages({
+      'array.max': 'No more than 20 side effects can be reported'
+    })
+});
+
+// Token fields of register, login and refresh responses: a short-lived
+// access token and the refresh token to get the next one with
+const sessionTokens = (user, refresh) => {
+  const token = AuthMiddleware.generateToken(user, refresh.familyId);
+
+  return {
+    token,
+    expiresIn: AuthMiddleware.getTokenLifetime(token),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+};
+
+// POST /auth/register - Register new user (accepts an Idempotency-Key header).
+// Replayed responses leave out the tokens; log in to get them.
+router.post('/register', authLimiter, idempotent('POST /auth/register', {
+  omit: ['data.token', 'data.expiresIn', 'data.refreshToken', 'data.refreshTokenExpiresAt']
+}), async (req, res) => {
   const requestId = uuidv4();
   
   try {
@@ -154,8 +353,17 @@ router.post('/register', authLimiter, async (req, res) => {
       lastName: lastName || ''
     });
 
-    // Generate JWT token
-    const token = AuthMiddleware.generateToken(user);
+    // Start a session
+    const refresh = await refreshTokenService.issue(user.id);
+
+    // The account works without it, so a failed email does not fail registration
+    emailVerificationService.sendVerification(user).catch((mailError) => {
+      logger.error('Failed to send verification email:', {
+        requestId,
+        userId: user.id,
+        error: mailError.message
+      });
+    });
 
     logger.info('User registered successfully:', {
       requestId,
@@ -171,9 +379,11 @@ router.post('/register', authLimiter, async (req, res) => {
           id: user.id,
           email: user.email,
           firstName: user.firstName,
-          lastName: user.lastName
+          lastName: user.lastName,
+          role: user.role,
+          emailVerified: user.emailVerified === 1
         },
-        token
+        ...sessionTokens(user, refresh)
       }
     });
 
@@ -233,8 +443,29 @@ router.post('/login', authLimiter, async (req, res) => {
     // Authenticate user
     const user = await userService.authenticateUser(email, password);
 
-    // Generate JWT token
-    const token = AuthMiddleware.generateToken(user);
+    // With two-factor authentication the password only earns a challenge,
+    // exchanged for a session at POST /auth/login/2fa
+    if (user.twoFactorEnabled === 1) {
+      const challengeToken = AuthMiddleware.generateChallengeToken(user);
+
+      logger.info('Two-factor challenge issued:', {
+        requestId,
+        userId: user.id
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          challengeToken,
+          expiresIn: AuthMiddleware.getTokenLifetime(challengeToken)
+        }
+      });
+    }
+
+    // Start a session
+    const refresh = await refreshTokenService.issue(user.id);
 
     logger.info('User logged in successfully:', {
       requestId,
@@ -250,9 +481,11 @@ router.post('/login', authLimiter, async (req, res) => {
           id: user.id,
           email: user.email,
           firstName: user.firstName,
-          lastName: user.lastName
+          lastName: user.lastName,
+          role: user.role,
+          emailVerified: user.emailVerified === 1
         },
-        token
+        ...sessionTokens(user, refresh)
       }
     });
 
@@ -283,6 +516,91 @@ router.post('/login', authLimiter, async (req, res) => {
   }
 });
 
+// POST /auth/login/2fa - Second login step: the challenge token from
+// POST /auth/login and a code from the authenticator app or a backup code
+router.post('/login/2fa', twoFactorLoginLimiter, twoFactorAccountLimiter, async (req, res) => {
+  const requestId = uuidv4();
+
+  const { error, value } = twoFactorLoginSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  const challenge = AuthMiddleware.verifyChallengeToken(value.challengeToken);
+  if (!challenge) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'The login has expired, please sign in again',
+        code: 'CHALLENGE_INVALID'
+      }
+    });
+  }
+
+  try {
+    const result = await twoFactorService.verifyCode(challenge.id, value.code);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'The code is incorrect or was already used',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        }
+      });
+    }
+
+    const user = await userService.getUserById(challenge.id);
+
+    // Start a session
+    const refresh = await refreshTokenService.issue(user.id);
+
+    logger.info('User logged in successfully:', {
+      requestId,
+      userId: user.id,
+      email: user.email,
+      twoFactorMethod: result.method
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Login successful',
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          emailVerified: user.emailVerified === 1
+        },
+        twoFactor: result,
+        ...sessionTokens(user, refresh)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor login error:', {
+      requestId,
+      userId: challenge.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Login failed. Please try again.',
+        code: 'LOGIN_ERROR'
+      }
+    });
+  }
+});
+
 // GET /auth/profile - Get user profile (protected)
 router.get('/profile', AuthMiddleware.verifyToken, async (req, res) => {
   try {
@@ -306,6 +624,12 @@ router.get('/profile', AuthMiddleware.verifyToken, async (req, res) => {
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
+          role: user.role,
+          emailVerified: user.emailVerified === 1,
+          pendingEmail: user.pendingEmail || null,
+          twoFactorEnabled: user.twoFactorEnabled === 1,
+          region: user.region || null,
+          excludeWadaProhibited: user.excludeWadaProhibited === 1,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -343,17 +667,42 @@ router.put('/profile', AuthMiddleware.verifyToken, async (req, res) => {
       });
     }
 
-    await userService.updateUser(req.user.id, value);
+    // A new email only replaces the current one once it is confirmed
+    const { email, ...profileFields } = value;
+    let pendingEmail = null;
+
+    if (email !== undefined) {
+      const user = await userService.getUserById(req.user.id);
+
+      if (email === user.email) {
+        // Keeping the current email cancels a pending change
+        if (user.pendingEmail) {
+          await userService.setPendingEmail(user.id, null);
+        }
+      } else {
+        await userService.setPendingEmail(user.id, email);
+        await emailVerificationService.sendVerification(user, email);
+        pendingEmail = email;
+      }
+    }
+
+    if (Object.keys(profileFields).length > 0 || email === undefined) {
+      await userService.updateUser(req.user.id, profileFields);
+    }
 
     logger.info('Profile updated successfully:', {
       userId: req.user.id,
-      updatedFields: Object.keys(value)
+      updatedFields: Object.keys(value),
+      emailChangePending: !!pendingEmail
     });
 
     res.json({
       success: true,
       data: {
-        message: 'Profile updated successfully'
+        message: pendingEmail
+          ? `Profile updated. Open the link sent to ${pendingEmail} to start using it.`
+          : 'Profile updated successfully',
+        pendingEmail
       }
     });
 
@@ -383,83 +732,455 @@ router.put('/profile', AuthMiddleware.verifyToken, async (req, res) => {
   }
 });
 
-// POST /auth/change-password - Change user password (protected)
-router.post('/change-password', AuthMiddleware.verifyToken, async (req, res) => {
-  try {
-    // Validate input
-    const { error, value } = changePasswordSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          code: 'VALIDATION_ERROR'
-        }
-      });
-    }
-
-    const { currentPassword, newPassword } = value;
-
-    await userService.changePassword(req.user.id, currentPassword, newPassword);
-
-    logger.info('Password changed successfully:', {
-      userId: req.user.id
+// GET /auth/verify-email?token= - Confirm the address a verification link
+// was sent to. For a pending email change, the new address replaces the old one.
+router.get('/verify-email', async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
     });
+  }
+
+  try {
+    const user = await emailVerificationService.verify(value.token);
 
     res.json({
       success: true,
       data: {
-        message: 'Password changed successfully'
+        message: 'Email verified successfully',
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          emailVerified: true
+        }
       }
     });
 
   } catch (error) {
-    logger.error('Password change error:', {
-      userId: req.user.id,
-      error: error.message
-    });
-
-    if (error.message.includes('Current password is incorrect')) {
+    if (error.message.includes('Invalid verification token')) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Current password is incorrect',
-          code: 'INVALID_CURRENT_PASSWORD'
+          message: 'This verification link is invalid, has expired or was already used',
+          code: 'VERIFICATION_TOKEN_INVALID'
+        }
+      });
+    }
+
+    if (error.message.includes('Email is already taken')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Email is already taken by another user',
+          code: 'EMAIL_TAKEN'
         }
       });
     }
 
+    logger.error('Email verification error:', {
+      error: error.message
+    });
+
     res.status(500).json({
       success: false,
       error: {
-        message: 'Failed to change password',
-        code: 'PASSWORD_CHANGE_ERROR'
+        message: 'Failed to verify email',
+        code: 'EMAIL_VERIFICATION_ERROR'
       }
     });
   }
 });
 
-// POST /auth/refresh - Refresh JWT token (protected)
-router.post('/refresh', AuthMiddleware.verifyToken, AuthMiddleware.refreshToken);
-
-// GET /auth/suggestions - Get user's suggestion history (protected)
-router.get('/suggestions', AuthMiddleware.verifyToken, async (req, res) => {
+// POST /auth/resend-verification - Send a new verification link, to the
+// pending email if a change is waiting, otherwise to the account's email (protected)
+router.post('/resend-verification', AuthMiddleware.verifyToken, verificationEmailLimiter, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const suggestions = await userService.getUserSuggestions(req.user.id, limit);
-
-    res.json({
-      success: true,
-      data: {
-        suggestions,
-        total: suggestions.length
-      }
-    });
+    const user = await userService.getUserById(req.user.id);
 
-  } catch (error) {
-    logger.error('Fetch suggestions error:', {
-      userId: req.user.id,
-      error: error.message
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        }
+      });
+    }
+
+    const email = user.pendingEmail || (user.emailVerified === 1 ? null : user.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Your email address is already verified',
+          code: 'EMAIL_ALREADY_VERIFIED'
+        }
+      });
+    }
+
+    await emailVerificationService.sendVerification(user, email);
+
+    res.json({
+      success: true,
+      data: {
+        message: `A new verification link has been sent to ${email}`,
+        email
+      }
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to send verification email',
+        code: 'VERIFICATION_EMAIL_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/change-password - Change user password (protected, accepts an Idempotency-Key header)
+router.post('/change-password', AuthMiddleware.verifyToken, idempotent('POST /auth/change-password'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const { currentPassword, newPassword } = value;
+
+    await userService.changePassword(req.user.id, currentPassword, newPassword);
+
+    // Sign out every other session, which may be using the old password
+    const sessionsRevoked = await refreshTokenService.revokeAllForUser(req.user.id, {
+      exceptFamilyId: req.user.sid
+    });
+
+    logger.info('Password changed successfully:', {
+      userId: req.user.id,
+      sessionsRevoked
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Password changed successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Password change error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    if (error.message.includes('Current password is incorrect')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Current password is incorrect',
+          code: 'INVALID_CURRENT_PASSWORD'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to change password',
+        code: 'PASSWORD_CHANGE_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/forgot-password - Email a password reset link. Responds the
+// same whether or not the email has an account, and before the lookup and
+// send finish, so neither the body nor the timing gives that away.
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  passwordResetService.requestReset(value.email).catch((resetError) => {
+    logger.error('Password reset request error:', {
+      error: resetError.message
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    }
+  });
+});
+
+// POST /auth/reset-password - Set a new password with a reset token. The
+// token works once, and every session of the account is signed out.
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  try {
+    const userId = await passwordResetService.resetPassword(value.token, value.newPassword);
+    const sessionsRevoked = await refreshTokenService.revokeAllForUser(userId);
+
+    logger.info('Password reset successfully:', {
+      userId,
+      sessionsRevoked
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Password has been reset. Please log in with your new password.'
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Invalid reset token')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This password reset link is invalid, has expired or was already used',
+          code: 'RESET_TOKEN_INVALID'
+        }
+      });
+    }
+
+    logger.error('Password reset error:', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to reset password',
+        code: 'PASSWORD_RESET_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/refresh - Exchange a refresh token for a new access token and
+// refresh token. Works with an expired access token.
+router.post('/refresh', async (req, res) => {
+  const { error, value } = refreshTokenSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  try {
+    const refresh = await refreshTokenService.rotate(value.refreshToken);
+    const user = await userService.getUserById(refresh.userId);
+
+    if (!user) {
+      await refreshTokenService.revokeFamily(refresh.familyId);
+      throw new Error('Invalid refresh token');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          emailVerified: user.emailVerified === 1
+        },
+        ...sessionTokens(user, refresh)
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('reuse detected')) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'This refresh token was already used, so the session has been signed out. Please log in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid refresh token')) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Refresh token is invalid or has expired',
+          code: 'REFRESH_TOKEN_INVALID'
+        }
+      });
+    }
+
+    logger.error('Token refresh error:', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to refresh token',
+        code: 'TOKEN_REFRESH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/logout - Sign out one session, given by its refresh token or by
+// the access token it issued. Succeeds for sessions already signed out.
+router.post('/logout', AuthMiddleware.optionalAuth, async (req, res) => {
+  const { error, value } = logoutSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  if (!value.refreshToken && !req.user?.sid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'A refresh token or access token is required',
+        code: 'TOKEN_MISSING'
+      }
+    });
+  }
+
+  try {
+    if (value.refreshToken) {
+      const session = await refreshTokenService.revokeToken(value.refreshToken);
+      logger.info('User logged out:', { userId: session?.userId || null });
+    } else {
+      await refreshTokenService.revokeFamily(req.user.sid);
+      logger.info('User logged out:', { userId: req.user.id });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out',
+        code: 'LOGOUT_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/logout-all - Sign out every session of the user (protected)
+router.post('/logout-all', AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    const sessionsRevoked = await refreshTokenService.revokeAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out of all sessions',
+        sessionsRevoked
+      }
+    });
+
+  } catch (error) {
+    logger.error('Logout-all error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out of all sessions',
+        code: 'LOGOUT_ALL_ERROR'
+      }
+    });
+  }
+});
+
+// GET /auth/suggestions - Get user's suggestion history (protected)
+router.get('/suggestions', AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const suggestions = await userService.getUserSuggestions(req.user.id, limit);
+    const feedback = await feedbackService.getFeedbackForSuggestions(
+      req.user.id,
+      suggestions.map(entry => entry.id)
+    );
+    suggestions.forEach((entry) => {
+      entry.feedback = feedback[entry.id] || [];
+    });
+
+    res.json({
+      success: true,
+      data: {
+        suggestions,
+        total: suggestions.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Fetch suggestions error:', {
+      userId: req.user.id,
+      error: error.message
     });
 
     res.status(500).json({
@@ -472,6 +1193,169 @@ router.get('/suggestions', AuthMiddleware.verifyToken, async (req, res) => {
   }
 });
 
+// Load a saved suggestion owned by the current user, responding 404 if there is none
+const loadOwnSuggestion = async (req, res) => {
+  const suggestionId = parseInt(req.params.id);
+  const entry = Number.isInteger(suggestionId)
+    ? await userService.getUserSuggestionById(req.user.id, suggestionId)
+    : null;
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Suggestion not found',
+        code: 'SUGGESTION_NOT_FOUND'
+      }
+    });
+  }
+
+  return entry;
+};
+
+// GET /auth/suggestions/:id/pdf - Download a saved suggestion as a PDF report (protected)
+router.get('/suggestions/:id/pdf', requireFeature('ENABLE_PDF_EXPORT', 'PDF export'), AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    const entry = await loadOwnSuggestion(req, res);
+    if (!entry) return;
+
+    const pdf = pdfService.generateSuggestionReport({
+      age: entry.age,
+      goal: entry.healthGoal,
+      goals: entry.healthGoals,
+      suggestions: entry.suggestions,
+      warnings: entry.warnings,
+      disclaimer: suggestionsService.disclaimer,
+      // SQLite stores UTC timestamps without a zone designator
+      generatedAt: new Date(`${entry.createdAt.replace(' ', 'T')}Z`)
+    });
+
+    logger.info('Suggestion PDF exported:', {
+      userId: req.user.id,
+      suggestionId: entry.id
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="peptide-suggestions-${entry.id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    logger.error('Suggestion PDF export error:', {
+      userId: req.user.id,
+      suggestionId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to generate PDF',
+        code: 'PDF_EXPORT_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/suggestions/:id/feedback - Rate a peptide in a saved suggestion (protected)
+router.post('/suggestions/:id/feedback', AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = feedbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const entry = await loadOwnSuggestion(req, res);
+    if (!entry) return;
+
+    const feedback = await feedbackService.saveFeedback(req.user.id, entry, value);
+
+    analyticsService.logFeedback({
+      peptideName: feedback.peptideName,
+      rating: feedback.rating,
+      triedIt: feedback.triedIt,
+      sideEffectsReported: feedback.sideEffects.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: 'Feedback saved successfully',
+        feedback
+      }
+    });
+
+  } catch (error) {
+    logger.error('Save feedback error:', {
+      userId: req.user.id,
+      suggestionId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.includes('not found in this suggestion')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This peptide is not part of the suggestion',
+          field: 'peptideName',
+          code: 'PEPTIDE_NOT_IN_SUGGESTION'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to save feedback',
+        code: 'FEEDBACK_SAVE_ERROR'
+      }
+    });
+  }
+});
+
+// GET /auth/suggestions/:id/feedback - Get feedback on a saved suggestion (protected)
+router.get('/suggestions/:id/feedback', AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    const entry = await loadOwnSuggestion(req, res);
+    if (!entry) return;
+
+    const feedback = await feedbackService.getFeedback(req.user.id, entry.id);
+
+    res.json({
+      success: true,
+      data: {
+        suggestionId: entry.id,
+        feedback
+      }
+    });
+
+  } catch (error) {
+    logger.error('Fetch feedback error:', {
+      userId: req.user.id,
+      suggestionId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch feedback',
+        code: 'FEEDBACK_FETCH_ERROR'
+      }
+    });
+  }
+});
+
 // DELETE /auth/account - Delete user account (protected)
 router.delete('/account', AuthMiddleware.verifyToken, async (req, res) => {
   try {
@@ -515,7 +1399,9 @@ router.get('/verify', AuthMiddleware.verifyToken, (req, res) => {
         id: req.user.id,
         email: req.user.email,
         firstName: req.user.firstName,
-        lastName: req.user.lastName
+        lastName: req.user.lastName,
+        role: req.user.role,
+        emailVerified: !!req.user.emailVerified
       }
     }
   });
@@ -0,0 +1,933 @@
+const express = require('express');
+const Joi = require('joi');
+const catalogService = require('../services/catalogService');
+const evidenceService = require('../services/evidenceService');
+const regulatoryService = require('../services/regulatoryService');
+const catalogSearchService = require('../services/catalogSearchService');
+const comparisonService = require('../services/comparisonService');
+const AuthMiddleware = require('../middleware/auth');
+const { healthGoalField } = require('../middleware/validation');
+const { CONTRAINDICATION_TYPES, CONTRAINDICATION_SEVERITIES, CONDITION_VALUES } = require('../config/medical');
+const { AMOUNT_UNITS } = require('../config/reconstitution');
+const { STUDY_TYPE_VALUES, GRADE_VALUES } = require('../config/evidence');
+const { getGoalLabel } = require('../config/goals');
+const { REGION_VALUES, WADA_REGION, STATUS_VALUES } = require('../config/regulatory');
+const { ROUTE_VALUES, getRouteLabel } = require('../config/administration');
+const { ADMIN_ROLE } = require('../config/roles');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const ageRuleSchema = Joi.object({
+  minAge: Joi.number().integer().min(0).max(120).optional(),
+  maxAge: Joi.number().integer().min(0).max(120).optional(),
+  text: Joi.string().trim().min(1).max(500).required()
+});
+
+// Condition contraindications name a known condition; medication ones name a
+// drug or medication class; pregnancy and breastfeeding take no value
+const contraindicationSchema = Joi.object({
+  type: Joi.string().valid(...CONTRAINDICATION_TYPES).required(),
+  value: Joi.when('type', {
+    switch: [
+      { is: 'condition', then: Joi.string().valid(...CONDITION_VALUES).required() },
+      { is: 'medication', then: Joi.string().trim().lowercase().min(2).max(100).required() }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  severity: Joi.string().valid(...CONTRAINDICATION_SEVERITIES).required(),
+  reason: Joi.string().trim().min(1).max(500).required()
+});
+
+// Typical single dose, per kilogram of body weight when perKg is set
+const doseRangeSchema = Joi.object({
+  min: Joi.number().positive().required(),
+  max: Joi.number().positive().min(Joi.ref('min')).required().messages({
+    'number.min': 'Dose range max must not be below min'
+  }),
+  unit: Joi.string().valid(...AMOUNT_UNITS).required(),
+  perKg: Joi.boolean().default(false)
+});
+
+const goalLinkSchema = Joi.alternatives().try(
+  healthGoalField,
+  Joi.object({
+    goal: healthGoalField.required(),
+    priority: Joi.number().integer().min(0).optional()
+  })
+);
+
+const peptideFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().min(1).max(1000),
+  personalizedDescription: Joi.string().trim().max(1000).allow(null, ''),
+  aliases: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20),
+  mechanism: Joi.string().trim().max(1000).allow(null, ''),
+  ageRules: Joi.array().items(ageRuleSchema).max(10),
+  dosage: Joi.string().trim().max(200).allow(null, ''),
+  timing: Joi.string().trim().max(200).allow(null, ''),
+  halfLife: Joi.string().trim().max(100).allow(null, ''),
+  route: Joi.string().valid(...ROUTE_VALUES).allow(null),
+  contraindications: Joi.array().items(contraindicationSchema).max(20),
+  doseRange: doseRangeSchema.allow(null),
+  goals: Joi.array().items(goalLinkSchema).max(20),
+  isActive: Joi.boolean()
+};
+
+const createPeptideSchema = Joi.object({
+  ...peptideFields,
+  name: peptideFields.name.required().messages({
+    'any.required': 'Peptide name is required'
+  }),
+  description: peptideFields.description.required().messages({
+    'any.required': 'Peptide description is required'
+  }),
+  goals: peptideFields.goals.min(1).required().messages({
+    'array.min': 'At least one goal is required',
+    'any.required': 'Goals are required'
+  })
+});
+
+const updatePeptideSchema = Joi.object(peptideFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+const evidenceSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(500).required(),
+  year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).required(),
+  studyType: Joi.string().valid(...STUDY_TYPE_VALUES).required(),
+  grade: Joi.string().uppercase().valid(...GRADE_VALUES).required(),
+  reference: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'A reference identifier (e.g. PMID or DOI) is required'
+  }),
+  summary: Joi.string().trim().max(2000).allow(null, '').optional()
+});
+
+// The WADA list only records prohibited peptides; delete the entry to lift it
+const regulatoryStatusSchema = Joi.object({
+  status: Joi.string().valid(...STATUS_VALUES).required(),
+  note: Joi.string().trim().max(500).allow(null, '').optional()
+});
+
+const wadaStatusSchema = regulatoryStatusSchema.keys({
+  status: Joi.string().valid('prohibited').required().messages({
+    'any.only': 'WADA entries can only mark a peptide as prohibited'
+  })
+});
+
+const regulatoryRegionSchema = Joi.string().uppercase().valid(...REGION_VALUES, WADA_REGION).required();
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required().messages({
+    'any.required': 'Search query q is required',
+    'string.empty': 'Search query q is required',
+    'string.min': 'Search query must be at least 2 characters'
+  }),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Most peptides shown side by side in one comparison
+const MAX_COMPARED_PEPTIDES = 6;
+
+// ?ids= is a comma-separated list of peptide IDs, slugs or names
+const compareIdsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(100))
+  .min(2)
+  .max(MAX_COMPARED_PEPTIDES)
+  .unique()
+  .messages({
+    'array.min': `Provide between 2 and ${MAX_COMPARED_PEPTIDES} peptides to compare`,
+    'array.max': `Provide between 2 and ${MAX_COMPARED_PEPTIDES} peptides to compare`,
+    'array.unique': 'Each peptide can only be compared once'
+  });
+
+const peptideIdSchema = Joi.number().integer().positive().required();
+
+// Respond 400 for an invalid :id parameter, otherwise return the numeric ID
+const parsePeptideId = (req, res) => {
+  const { error, value } = peptideIdSchema.validate(req.params.id, { convert: true });
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Peptide ID must be a positive integer',
+        code: 'VALIDATION_ERROR'
+      }
+    });
+    return null;
+  }
+  return value;
+};
+
+// Respond 400 for an invalid :region parameter, otherwise return the region value
+const parseRegion = (req, res) => {
+  const { error, value } = regulatoryRegionSchema.validate(req.params.region);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: `Region must be one of: ${[...REGION_VALUES, WADA_REGION].join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+    return null;
+  }
+  return value;
+};
+
+// GET /catalog/search - Full-text search over active peptides (public)
+router.get('/search', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = searchQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const { terms, corrections, results } = await catalogSearchService.search(value.q, { limit: value.limit });
+
+    res.json({
+      success: true,
+      data: {
+        query: value.q,
+        terms,
+        corrections,
+        results,
+        total: results.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog search error:', {
+      query: req.query.q,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to search catalog',
+        code: 'CATALOG_SEARCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /catalog/compare?ids=a,b,c - Side-by-side comparison of active peptides (public)
+router.get('/compare', async (req, res) => {
+  try {
+    // Validate input
+    const ids = typeof req.query.ids === 'string'
+      ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+    const { error, value } = compareIdsSchema.validate(ids);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: 'ids',
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const comparison = await comparisonService.compare(value);
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    logger.error('Catalog compare error:', {
+      ids: req.query.ids,
+      error: error.message
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    if (error.message.includes('two different peptides')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          field: 'ids',
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to compare peptides',
+        code: 'CATALOG_COMPARE_ERROR'
+      }
+    });
+  }
+});
+
+// GET /catalog/:slug - Detail record for an active peptide (public). Numeric
+// IDs fall through to the admin GET /catalog/:id below.
+router.get('/:slug', async (req, res, next) => {
+  if (/^\d+$/.test(req.params.slug)) {
+    return next();
+  }
+
+  try {
+    const peptide = await catalogService.getPeptideBySlug(req.params.slug);
+
+    if (!peptide || !peptide.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    const evidence = await evidenceService.getEvidenceForPeptide(peptide.id);
+    const statuses = await regulatoryService.getStatusesForPeptide(peptide.slug);
+
+    res.json({
+      success: true,
+      data: {
+        peptide: {
+          id: peptide.id,
+          slug: peptide.slug,
+          name: peptide.name,
+          aliases: peptide.aliases,
+          description: peptide.description,
+          mechanism: peptide.mechanism,
+          dosage: peptide.dosage,
+          timing: peptide.timing,
+          doseRange: peptide.doseRange,
+          halfLife: peptide.halfLife,
+          route: peptide.route ? { value: peptide.route, label: getRouteLabel(peptide.route) } : null,
+          goals: peptide.goals.map(({ goal }) => ({ goal, label: getGoalLabel(goal) })),
+          contraindications: peptide.contraindications,
+          evidence: {
+            summary: evidenceService.summarize(evidence),
+            entries: evidence
+          },
+          regulatory: {
+            wadaProhibited: statuses.some(status => status.region === WADA_REGION),
+            statuses
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog detail fetch error:', {
+      slug: req.params.slug,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch peptide',
+        code: 'CATALOG_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /catalog/:id/evidence - Evidence entries and overall grade for an active peptide (public)
+router.get('/:id/evidence', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    const peptide = await catalogService.getPeptideById(peptideId);
+
+    if (!peptide || !peptide.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    const evidence = await evidenceService.getEvidenceForPeptide(peptideId);
+
+    res.json({
+      success: true,
+      data: {
+        peptide: { id: peptide.id, slug: peptide.slug, name: peptide.name },
+        summary: evidenceService.summarize(evidence),
+        evidence
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog evidence fetch error:', {
+      peptideId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch evidence',
+        code: 'EVIDENCE_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /catalog/:id/regulatory - Regulatory status of an active peptide in each region (public)
+router.get('/:id/regulatory', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    const peptide = await catalogService.getPeptideById(peptideId);
+
+    if (!peptide || !peptide.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    const statuses = await regulatoryService.getStatusesForPeptide(peptide.slug);
+
+    res.json({
+      success: true,
+      data: {
+        peptide: { id: peptide.id, slug: peptide.slug, name: peptide.name },
+        wadaProhibited: statuses.some(status => status.region === WADA_REGION),
+        statuses
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog regulatory fetch error:', {
+      peptideId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch regulatory status',
+        code: 'REGULATORY_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// Every route below manages the catalog and is admin-only
+router.use(AuthMiddleware.verifyToken, AuthMiddleware.requireRole(ADMIN_ROLE));
+
+// GET /catalog - List catalog peptides (admin)
+router.get('/', async (req, res) => {
+  try {
+    const peptides = await catalogService.listPeptides({
+      goal: req.query.goal || null,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        peptides,
+        total: peptides.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog list error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch catalog',
+        code: 'CATALOG_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /catalog/:id - Get a single catalog peptide (admin)
+router.get('/:id', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    const peptide = await catalogService.getPeptideById(peptideId);
+
+    if (!peptide) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { peptide }
+    });
+
+  } catch (error) {
+    logger.error('Catalog fetch error:', {
+      userId: req.user.id,
+      peptideId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch peptide',
+        code: 'CATALOG_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /catalog - Create a catalog peptide (admin)
+router.post('/', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createPeptideSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const peptide = await catalogService.createPeptide(value);
+
+    logger.info('Catalog peptide created:', {
+      userId: req.user.id,
+      peptideId: peptide.id,
+      name: peptide.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: 'Peptide created successfully',
+        peptide
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog create error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A peptide with this name already exists',
+          code: 'PEPTIDE_EXISTS'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create peptide',
+        code: 'CATALOG_CREATE_ERROR'
+      }
+    });
+  }
+});
+
+// PUT /catalog/:id - Update a catalog peptide (admin)
+router.put('/:id', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    // Validate input
+    const { error, value } = updatePeptideSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const peptide = await catalogService.updatePeptide(peptideId, value);
+
+    logger.info('Catalog peptide updated:', {
+      userId: req.user.id,
+      peptideId,
+      updatedFields: Object.keys(value)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Peptide updated successfully',
+        peptide
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog update error:', {
+      userId: req.user.id,
+      peptideId,
+      error: error.message
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A peptide with this name already exists',
+          code: 'PEPTIDE_EXISTS'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update peptide',
+        code: 'CATALOG_UPDATE_ERROR'
+      }
+    });
+  }
+});
+
+// POST /catalog/:id/evidence - Add an evidence entry to a peptide (admin)
+router.post('/:id/evidence', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    // Validate input
+    const { error, value } = evidenceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const peptide = await catalogService.getPeptideById(peptideId);
+    if (!peptide) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    const evidence = await evidenceService.addEvidence(peptideId, value);
+
+    logger.info('Catalog evidence added:', {
+      userId: req.user.id,
+      peptideId,
+      evidenceId: evidence.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: 'Evidence added successfully',
+        evidence
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog evidence add error:', {
+      userId: req.user.id,
+      peptideId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to add evidence',
+        code: 'EVIDENCE_CREATE_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /catalog/:id/evidence/:evidenceId - Remove an evidence entry (admin)
+router.delete('/:id/evidence/:evidenceId', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    const evidenceId = parseInt(req.params.evidenceId);
+    const deleted = Number.isInteger(evidenceId)
+      ? await evidenceService.deleteEvidence(peptideId, evidenceId)
+      : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Evidence entry not found',
+          code: 'EVIDENCE_NOT_FOUND'
+        }
+      });
+    }
+
+    logger.info('Catalog evidence deleted:', {
+      userId: req.user.id,
+      peptideId,
+      evidenceId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Evidence deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog evidence delete error:', {
+      userId: req.user.id,
+      peptideId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete evidence',
+        code: 'EVIDENCE_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+// PUT /catalog/:id/regulatory/:region - Set a peptide's status in a region (admin)
+router.put('/:id/regulatory/:region', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+  const region = parseRegion(req, res);
+  if (region === null) return;
+
+  try {
+    // Validate input
+    const schema = region === WADA_REGION ? wadaStatusSchema : regulatoryStatusSchema;
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const peptide = await catalogService.getPeptideById(peptideId);
+    if (!peptide) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    const status = await regulatoryService.setStatus(peptide.slug, region, value);
+
+    logger.info('Catalog regulatory status saved:', {
+      userId: req.user.id,
+      peptideId,
+      region,
+      status: status.status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Regulatory status saved successfully',
+        status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog regulatory save error:', {
+      userId: req.user.id,
+      peptideId,
+      region,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to save regulatory status',
+        code: 'REGULATORY_UPDATE_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /catalog/:id/regulatory/:region - Remove a peptide's status in a region (admin)
+router.delete('/:id/regulatory/:region', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+  const region = parseRegion(req, res);
+  if (region === null) return;
+
+  try {
+    const peptide = await catalogService.getPeptideById(peptideId);
+    const deleted = peptide ? await regulatoryService.deleteStatus(peptide.slug, region) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'No regulatory status recorded for this region',
+          code: 'REGULATORY_STATUS_NOT_FOUND'
+        }
+      });
+    }
+
+    logger.info('Catalog regulatory status deleted:', {
+      userId: req.user.id,
+      peptideId,
+      region
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Regulatory status deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog regulatory delete error:', {
+      userId: req.user.id,
+      peptideId,
+      region,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete regulatory status',
+        code: 'REGULATORY_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /catalog/:id - Retire a catalog peptide (admin)
+router.delete('/:id', async (req, res) => {
+  const peptideId = parsePeptideId(req, res);
+  if (peptideId === null) return;
+
+  try {
+    await catalogService.deletePeptide(peptideId);
+
+    logger.info('Catalog peptide deleted:', {
+      userId: req.user.id,
+      peptideId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Peptide deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Catalog delete error:', {
+      userId: req.user.id,
+      peptideId,
+      error: error.message
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete peptide',
+        code: 'CATALOG_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
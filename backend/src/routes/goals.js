@@ -0,0 +1,16 @@
+const express = require('express');
+const { listGoals } = require('../config/goals');
+
+const router = express.Router();
+
+// GET /goals - List the health goals accepted by the suggestions API
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      goals: listGoals()
+    }
+  });
+});
+
+module.exports = router;
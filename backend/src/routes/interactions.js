@@ -0,0 +1,76 @@
+const express = require('express');
+const Joi = require('joi');
+const interactionService = require('../services/interactionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const checkInteractionsSchema = Joi.object({
+  peptides: Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .min(1)
+    .max(20)
+    .required()
+    .messages({
+      'array.min': 'At least one peptide is required',
+      'array.max': 'No more than 20 peptides can be checked at once',
+      'any.required': 'Peptides are required'
+    }),
+  medications: Joi.array()
+    .items(Joi.string().trim().min(2).max(100))
+    .max(30)
+    .default([])
+}).custom((value, helpers) => {
+  if (value.peptides.length + value.medications.length < 2) {
+    return helpers.message('Provide at least two peptides, or a peptide and a medication');
+  }
+  return value;
+});
+
+// POST /interactions/check - Check peptides and medications for pairwise interactions
+router.post('/check', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = checkInteractionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const { interactions, unknownPeptides } = await interactionService.checkInteractions(value);
+
+    res.json({
+      success: true,
+      data: {
+        interactions,
+        unknownPeptides,
+        checked: {
+          peptides: value.peptides.length,
+          medications: value.medications.length
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Interaction check error:', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to check interactions',
+        code: 'INTERACTION_CHECK_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,311 @@
+const express = require('express');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const questionnaireService = require('../services/questionnaireService');
+const suggestionRequestService = require('../services/suggestionRequestService');
+const analyticsService = require('../services/analyticsService');
+const AuthMiddleware = require('../middleware/auth');
+const { getProductionWarnings, schemas } = require('../middleware/validation');
+const { CURRENT_VERSION, getQuestionnaire } = require('../config/questionnaire');
+
+const router = express.Router();
+
+// Anonymous drafts are keyed by a random ID the browser keeps, sent as X-Device-Id
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,100}$/;
+
+// Drafts save partial answers, so list questions are not held to minItems
+// until submit. null clears an answer.
+const answerField = (question) => {
+  const options = (question.options || []).map(option => option.value);
+
+  switch (question.type) {
+    case 'number':
+      return Joi.number().integer().min(question.min).max(question.max);
+    case 'single':
+      return Joi.string().valid(...options);
+    case 'multi':
+      return Joi.array().items(Joi.string().valid(...options)).unique().max(question.maxItems);
+    case 'boolean':
+      return Joi.boolean();
+    case 'list':
+      return Joi.array().items(Joi.string().trim().min(2).max(100)).max(question.maxItems);
+    default:
+      throw new Error(`Unknown question type: ${question.type}`);
+  }
+};
+
+const draftSchema = (definition) => {
+  const questions = definition.steps.flatMap(step => step.questions);
+
+  return Joi.object({
+    answers: Joi.object(Object.fromEntries(questions.map(question => [
+      question.id,
+      answerField(question).allow(null).label(question.id)
+    ]))).default({}),
+    currentStep: Joi.string().valid(...definition.steps.map(step => step.id)).allow(null)
+  });
+};
+
+// Owner of the request's draft: the logged-in user, or the anonymous device.
+// Sends a 400 and returns null when there is neither.
+const getOwner = (req, res) => {
+  const deviceId = req.get('X-Device-Id');
+
+  if (deviceId !== undefined && !DEVICE_ID_PATTERN.test(deviceId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'X-Device-Id must be 8-100 letters, digits or hyphens',
+        code: 'INVALID_DEVICE_ID'
+      }
+    });
+    return null;
+  }
+
+  if (!req.user && !deviceId) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Log in or send an X-Device-Id header to save questionnaire answers',
+        code: 'DEVICE_ID_REQUIRED'
+      }
+    });
+    return null;
+  }
+
+  return { userId: req.user?.id || null, deviceId: deviceId || null };
+};
+
+const sendDraftNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'No questionnaire draft found',
+    code: 'QUESTIONNAIRE_DRAFT_NOT_FOUND'
+  }
+});
+
+// GET /questionnaire - Questionnaire definition, the current version unless ?version= is given
+router.get('/', async (req, res) => {
+  const version = req.query.version === undefined ? CURRENT_VERSION : Number(req.query.version);
+  const definition = Number.isInteger(version) ? getQuestionnaire(version) : null;
+
+  if (!definition) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Questionnaire version not found',
+        code: 'QUESTIONNAIRE_VERSION_NOT_FOUND'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      questionnaire: definition,
+      currentVersion: CURRENT_VERSION
+    }
+  });
+});
+
+// GET /questionnaire/draft - The open draft for the user or device, if any
+router.get('/draft', AuthMiddleware.optionalAuth, async (req, res) => {
+  const owner = getOwner(req, res);
+  if (!owner) {
+    return;
+  }
+
+  try {
+    const draft = await questionnaireService.getDraft(owner);
+
+    res.json({
+      success: true,
+      data: { draft }
+    });
+  } catch (error) {
+    logger.error('Get questionnaire draft error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch questionnaire draft',
+        code: 'QUESTIONNAIRE_DRAFT_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// PUT /questionnaire/draft - Save answers, starting a draft on the current version if needed
+router.put('/draft', AuthMiddleware.optionalAuth, async (req, res) => {
+  const owner = getOwner(req, res);
+  if (!owner) {
+    return;
+  }
+
+  try {
+    const draft = await questionnaireService.getDraft(owner);
+    const definition = getQuestionnaire(draft ? draft.version : CURRENT_VERSION);
+
+    const { error, value } = draftSchema(definition).validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[error.details[0].path.length > 1 ? 1 : 0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const saved = await questionnaireService.saveDraft(owner, draft, value);
+
+    res.json({
+      success: true,
+      data: { draft: saved }
+    });
+  } catch (error) {
+    logger.error('Save questionnaire draft error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to save questionnaire draft',
+        code: 'QUESTIONNAIRE_DRAFT_SAVE_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /questionnaire/draft - Discard the draft to start over
+router.delete('/draft', AuthMiddleware.optionalAuth, async (req, res) => {
+  const owner = getOwner(req, res);
+  if (!owner) {
+    return;
+  }
+
+  try {
+    const deleted = await questionnaireService.discardDraft(owner);
+    if (!deleted) {
+      return sendDraftNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Questionnaire draft discarded'
+    });
+  } catch (error) {
+    logger.error('Discard questionnaire draft error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to discard questionnaire draft',
+        code: 'QUESTIONNAIRE_DRAFT_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+// POST /questionnaire/draft/submit - Get suggestions from the completed draft.
+// Responds like POST /suggestions, plus the submitted session.
+router.post('/draft/submit', AuthMiddleware.optionalAuth, async (req, res) => {
+  const owner = getOwner(req, res);
+  if (!owner) {
+    return;
+  }
+
+  const draft = await questionnaireService.getDraft(owner);
+  if (!draft) {
+    return sendDraftNotFound(res);
+  }
+
+  if (!draft.progress.complete) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Answer all required questions before submitting',
+        code: 'QUESTIONNAIRE_INCOMPLETE',
+        missing: draft.progress.missing
+      }
+    });
+  }
+
+  const definition = getQuestionnaire(draft.version);
+  const { error, value: request } = schemas.suggestions.validate(
+    questionnaireService.buildSuggestionRequest(definition, draft.answers)
+  );
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        field: error.details[0].path[0],
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  // Only one of two submits racing on the same draft may run
+  if (!await questionnaireService.beginSubmit(draft.id)) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'This questionnaire has already been submitted',
+        code: 'QUESTIONNAIRE_ALREADY_SUBMITTED'
+      }
+    });
+  }
+
+  const requestId = uuidv4();
+
+  try {
+    logger.info('Processing questionnaire submission', {
+      requestId,
+      sessionId: draft.id,
+      version: draft.version,
+      goals: request.healthGoals.map(({ goal }) => goal),
+      userId: req.user?.id || 'anonymous'
+    });
+
+    const response = await suggestionRequestService.run(request, {
+      requestId,
+      user: req.user || null,
+      warnings: getProductionWarnings(request)
+    });
+
+    await questionnaireService.finishSubmit(draft.id);
+
+    res.json({
+      ...response,
+      questionnaire: {
+        sessionId: draft.id,
+        version: draft.version
+      }
+    });
+  } catch (error) {
+    logger.error('Error submitting questionnaire', {
+      requestId,
+      sessionId: draft.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    await questionnaireService.cancelSubmit(draft.id);
+
+    try {
+      await analyticsService.logFailedRequest(request.healthGoal, request.age, error.message);
+    } catch (analyticsError) {
+      logger.error('Failed to log analytics for failed request:', analyticsError);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to generate suggestions. Please try again.',
+        code: 'GENERATION_ERROR',
+        requestId
+      }
+    });
+  }
+});
+
+module.exports = router;
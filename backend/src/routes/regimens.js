@@ -0,0 +1,344 @@
+const express = require('express');
+const Joi = require('joi');
+const userService = require('../services/userService');
+const regimenService = require('../services/regimenService');
+const calendarService = require('../services/calendarService');
+const AuthMiddleware = require('../middleware/auth');
+const { REGIMEN_FREQUENCIES, FREQUENCY_VALUES, DAYS_OF_WEEK, DAY_VALUES } = require('../config/regimens');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every regimen route belongs to the signed-in user
+router.use(AuthMiddleware.verifyToken);
+
+// Validation schemas
+const calendarDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => (
+    Number.isNaN(Date.parse(`${value}T00:00:00Z`)) ? helpers.error('string.pattern.base') : value
+  ))
+  .messages({
+    'string.pattern.base': 'Dates must be valid calendar dates in YYYY-MM-DD format'
+  });
+
+const regimenItemSchema = Joi.object({
+  peptideName: Joi.string().trim().min(1).max(100).required(),
+  startDate: calendarDate.required(),
+  endDate: calendarDate.optional(),
+  frequency: Joi.string().valid(...FREQUENCY_VALUES).required(),
+  daysOfWeek: Joi.when('frequency', {
+    is: 'specific_days',
+    then: Joi.array().items(Joi.string().valid(...DAY_VALUES)).min(1).unique().required().messages({
+      'any.required': 'Days of the week are required for specific_days'
+    }),
+    otherwise: Joi.forbidden()
+  }),
+  timeOfDay: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Time of day must be in HH:MM 24-hour format'
+    }),
+  cycle: Joi.object({
+    onWeeks: Joi.number().integer().min(1).max(52).required(),
+    offWeeks: Joi.number().integer().min(1).max(52).required()
+  }).optional()
+}).custom((item, helpers) => (
+  item.endDate && item.endDate < item.startDate ? helpers.error('date.endBeforeStart') : item
+)).messages({
+  'date.endBeforeStart': 'End date cannot be before the start date'
+});
+
+const createRegimenSchema = Joi.object({
+  suggestionId: Joi.number().integer().positive().required(),
+  name: Joi.string().trim().min(1).max(100).optional(),
+  items: Joi.array()
+    .items(regimenItemSchema)
+    .min(1)
+    .max(20)
+    .required()
+    .messages({
+      'array.min': 'Choose at least one peptide',
+      'any.required': 'Regimen items are required'
+    })
+});
+
+// Respond 404 unless the current user owns the regimen in :id
+const loadOwnRegimen = async (req, res) => {
+  const regimenId = parseInt(req.params.id);
+  const regimen = Number.isInteger(regimenId)
+    ? await regimenService.getRegimenById(req.user.id, regimenId)
+    : null;
+
+  if (!regimen) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Regimen not found',
+        code: 'REGIMEN_NOT_FOUND'
+      }
+    });
+  }
+
+  return regimen;
+};
+
+// GET /auth/regimens/options - Frequencies and days accepted in regimen items
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      frequencies: REGIMEN_FREQUENCIES,
+      daysOfWeek: DAYS_OF_WEEK.map(({ value, label }) => ({ value, label }))
+    }
+  });
+});
+
+// GET /auth/regimens - List the user's regimens
+router.get('/', async (req, res) => {
+  try {
+    const regimens = await regimenService.getUserRegimens(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        regimens,
+        total: regimens.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Regimen list error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch regimens',
+        code: 'REGIMEN_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/regimens - Create a regimen from peptides in a saved suggestion
+router.post('/', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createRegimenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const suggestion = await userService.getUserSuggestionById(req.user.id, value.suggestionId);
+    if (!suggestion) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Suggestion not found',
+          code: 'SUGGESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    const regimen = await regimenService.createRegimen(req.user.id, suggestion, value);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: 'Regimen created successfully',
+        regimen
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create regimen error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    if (error.message.includes('not found in this suggestion')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          field: 'items',
+          code: 'PEPTIDE_NOT_IN_SUGGESTION'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create regimen',
+        code: 'REGIMEN_CREATE_ERROR'
+      }
+    });
+  }
+});
+
+// GET /auth/regimens/:id - Get a regimen
+router.get('/:id', async (req, res) => {
+  try {
+    const regimen = await loadOwnRegimen(req, res);
+    if (!regimen) return;
+
+    res.json({
+      success: true,
+      data: { regimen }
+    });
+
+  } catch (error) {
+    logger.error('Regimen fetch error:', {
+      userId: req.user.id,
+      regimenId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch regimen',
+        code: 'REGIMEN_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /auth/regimens/:id/schedule - Doses for each day of a week (?weekStart=YYYY-MM-DD)
+router.get('/:id/schedule', async (req, res) => {
+  try {
+    if (req.query.weekStart !== undefined && calendarDate.validate(req.query.weekStart).error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'weekStart must be a valid date in YYYY-MM-DD format',
+          field: 'weekStart',
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const regimen = await loadOwnRegimen(req, res);
+    if (!regimen) return;
+
+    res.json({
+      success: true,
+      data: {
+        regimenId: regimen.id,
+        ...regimenService.getWeekSchedule(regimen, req.query.weekStart)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Regimen schedule error:', {
+      userId: req.user.id,
+      regimenId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to build schedule',
+        code: 'REGIMEN_SCHEDULE_ERROR'
+      }
+    });
+  }
+});
+
+// GET /auth/regimens/:id/calendar.ics - Export a regimen as an iCalendar file
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const regimen = await loadOwnRegimen(req, res);
+    if (!regimen) return;
+
+    const calendar = calendarService.generateRegimenCalendar(regimen);
+
+    logger.info('Regimen calendar exported:', {
+      userId: req.user.id,
+      regimenId: regimen.id
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="regimen-${regimen.id}.ics"`
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Regimen calendar export error:', {
+      userId: req.user.id,
+      regimenId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to export calendar',
+        code: 'REGIMEN_EXPORT_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /auth/regimens/:id - Delete a regimen
+router.delete('/:id', async (req, res) => {
+  try {
+    const regimenId = parseInt(req.params.id);
+    const deleted = Number.isInteger(regimenId)
+      ? await regimenService.deleteRegimen(req.user.id, regimenId)
+      : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Regimen not found',
+          code: 'REGIMEN_NOT_FOUND'
+        }
+      });
+    }
+
+    logger.info('Regimen deleted:', {
+      userId: req.user.id,
+      regimenId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Regimen deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete regimen error:', {
+      userId: req.user.id,
+      regimenId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete regimen',
+        code: 'REGIMEN_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
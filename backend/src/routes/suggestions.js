@@ -4,131 +4,85 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const analyticsService = require('../services/analyticsService');
 const userService = require('../services/userService');
+const suggestionsService = require('../services/suggestionsService');
+const suggestionRequestService = require('../services/suggestionRequestService');
+const pdfService = require('../services/pdfService');
+const batchSuggestionService = require('../services/batchSuggestionService');
 const AuthMiddleware = require('../middleware/auth');
+const { validatePdfExportRequest, validateProductionConstraints, getProductionWarnings, schemas } = require('../middleware/validation');
+const { listGoals } = require('../config/goals');
+const { SEX_OPTIONS, MEDICAL_CONDITIONS } = require('../config/medical');
+const { REGIONS, REGULATORY_STATUSES } = require('../config/regulatory');
+const { requireFeature } = require('../middleware/featureFlags');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// Validation schema
-const suggestionsSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required()
-    .messages({
-      'number.base': 'Age must be a number',
-      'number.integer': 'Age must be a whole number',
-      'number.min': 'Age must be at least 18',
-      'number.max': 'Age must be 120 or less',
-      'any.required': 'Age is required'
-    }),
-  healthGoal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'weight_management', 'immune_support')
-    .required()
-    .messages({
-      'any.only': 'Health goal must be one of: energy, sleep, focus, recovery, weight_management, immune_support',
-      'any.required': 'Health goal is required'
-    })
+// Most profiles accepted in one batch request
+const MAX_BATCH_PROFILES = 100;
+
+// Batches larger than this are queued as a job instead of answered inline
+const SYNC_BATCH_LIMIT = 10;
+
+// Profiles are validated one by one below, so the envelope only checks the list
+const batchSchema = Joi.object({
+  profiles: Joi.array().items(Joi.object().unknown(true)).min(1).max(MAX_BATCH_PROFILES).required().messages({
+    'array.min': 'At least one profile is required',
+    'array.max': `A batch can contain at most ${MAX_BATCH_PROFILES} profiles`,
+    'any.required': 'Profiles are required'
+  })
 });
 
-// Mock suggestion generator (enhanced based on age and authentication status)
-function generateSuggestions(age, goal, isAuthenticated = false, userHistory = []) {
-  const baseTitle = isAuthenticated ? 'Personalized Peptide Recommendations' : 'General Peptide Recommendations';
-  
-  const suggestions = {
-    energy: [
-      {
-        name: "Peptide Alpha-E",
-        description: `Supports natural energy production. ${age < 30 ? 'Great for young adults building stamina.' : age < 50 ? 'Ideal for maintaining energy levels.' : 'Helps combat age-related energy decline.'}`
-      },
-      {
-        name: "Mitochondrial Boost Complex",
-        description: "Enhances cellular energy metabolism and reduces fatigue."
-      },
-      {
-        name: "Vitality Peptide",
-        description: isAuthenticated ? "Based on your profile, this may help with sustained energy throughout the day." : "May help with sustained energy throughout the day."
-      }
-    ],
-    sleep: [
-      {
-        name: "Deep Rest Peptide",
-        description: `Promotes restful sleep and recovery. ${age > 40 ? 'Particularly beneficial for age-related sleep improvements.' : 'Supports healthy sleep cycles.'}`
-      },
-      {
-        name: "Circadian Balance Formula",
-        description: "Helps regulate natural sleep-wake cycles and improves sleep quality."
-      },
-      {
-        name: "Recovery Sleep Support",
-        description: isAuthenticated ? "Customized for your sleep optimization needs." : "Supports optimal sleep recovery."
-      }
-    ],
-    focus: [
-      {
-        name: "Cognitive Enhancement Peptide",
-        description: `Supports mental clarity and focus. ${age < 35 ? 'Perfect for cognitive performance optimization.' : 'Helps maintain sharp mental function.'}`
-      },
-      {
-        name: "Brain Boost Complex",
-        description: "Enhances concentration and cognitive processing speed."
-      },
-      {
-        name: "Mental Clarity Support",
-        description: isAuthenticated ? "Tailored to your cognitive enhancement goals." : "Supports mental clarity and alertness."
-      }
-    ],
-    recovery: [
-      {
-        name: "Rapid Recovery Peptide",
-        description: `Accelerates muscle recovery and repair. ${age > 35 ? 'Essential for maintaining recovery speed with age.' : 'Optimizes post-workout recovery.'}`
-      },
-      {
-        name: "Tissue Repair Formula",
-        description: "Supports faster healing and reduces recovery time."
-      },
-      {
-        name: "Athletic Recovery Support",
-        description: isAuthenticated ? "Designed for your specific recovery needs." : "Supports comprehensive recovery processes."
-      }
-    ],
-    weight_management: [
-      {
-        name: "Metabolic Support Peptide",
-        description: `Supports healthy metabolism. ${age > 30 ? 'Helps counter age-related metabolic changes.' : 'Optimizes metabolic function.'}`
-      },
-      {
-        name: "Fat Metabolism Enhancer",
-        description: "Promotes efficient fat burning and metabolic health."
-      },
-      {
-        name: "Body Composition Support",
-        description: isAuthenticated ? "Personalized for your weight management journey." : "Supports healthy body composition."
+// Optional caller-supplied identifier echoed back with each result
+const batchReferenceSchema = Joi.alternatives().try(
+  Joi.string().trim().max(100),
+  Joi.number()
+).allow(null);
+
+// Validate each batch profile on its own, keeping input order. Returns entries
+// for batchSuggestionService: valid profiles with their production warnings,
+// invalid ones with the first validation error.
+const buildBatchEntries = (profiles) => profiles.map((item, index) => {
+  const { reference = null, ...profile } = item;
+
+  const referenceCheck = batchReferenceSchema.validate(reference);
+  if (referenceCheck.error) {
+    return {
+      index,
+      reference: null,
+      error: {
+        message: 'reference must be a string of at most 100 characters or a number',
+        field: 'reference',
+        code: 'VALIDATION_ERROR'
       }
-    ],
-    immune_support: [
-      {
-        name: "Immune Defense Peptide",
-        description: `Strengthens immune system function. ${age > 50 ? 'Critical for age-related immune support.' : 'Supports robust immune response.'}`
-      },
-      {
-        name: "Immunity Boost Complex",
-        description: "Enhances natural immune defenses and resistance."
-      },
-      {
-        name: "Wellness Protection Formula",
-        description: isAuthenticated ? "Customized immune support based on your profile." : "Supports overall immune wellness."
+    };
+  }
+
+  const { error, value } = schemas.suggestions.validate(profile);
+  if (error) {
+    return {
+      index,
+      reference: referenceCheck.value,
+      error: {
+        message: error.details[0].message,
+        field: error.details[0].path[0],
+        code: 'VALIDATION_ERROR'
       }
-    ]
-  };
+    };
+  }
 
-  return suggestions[goal] || suggestions.energy;
-}
+  return {
+    index,
+    reference: referenceCheck.value,
+    profile: value,
+    warnings: getProductionWarnings(value)
+  };
+});
 
 // Validation middleware
 const validateSuggestionsRequest = async (req, res, next) => {
   try {
-    const { error, value } = suggestionsSchema.validate(req.body);
+    const { error, value } = schemas.suggestions.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -152,87 +106,34 @@ const validateSuggestionsRequest = async (req, res, next) => {
   }
 };
 
-// POST /suggestions - Get peptide suggestions (works with and without auth)
-router.post('/', AuthMiddleware.optionalAuth, validateSuggestionsRequest, async (req, res) => {
+// POST /suggestions - Get peptide suggestions (works with and without auth).
+// ?explain=true adds the full rule evaluation trace. An Idempotency-Key header
+// replays the first response instead of saving and counting the request again.
+router.post('/', AuthMiddleware.optionalAuth, idempotent('POST /suggestions'), validateSuggestionsRequest, validateProductionConstraints, async (req, res) => {
   const requestId = uuidv4();
   
   try {
-    const { age, healthGoal } = req.body;
-    const isAuthenticated = !!req.user;
-    let userHistory = [];
+    const { age, healthGoals, healthIntake, region } = req.body;
 
     logger.info('Processing suggestions request', {
       requestId,
       age,
-      goal: healthGoal,
+      goals: healthGoals.map(({ goal }) => goal),
+      hasHealthIntake: !!healthIntake,
+      region: region || null,
       userId: req.user?.id || 'anonymous',
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
 
-    // Get user history if authenticated
-    if (isAuthenticated) {
-      try {
-        userHistory = await userService.getUserSuggestions(req.user.id, 5);
-      } catch (error) {
-        logger.warn('Failed to fetch user history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without history
-      }
-    }
-
-    // Log analytics
-    try {
-      await analyticsService.logGoalSelection(healthGoal, age, req.user?.id);
-    } catch (error) {
-      logger.error('Analytics logging failed:', {
-        requestId,
-        error: error.message
-      });
-      // Continue without analytics
-    }
-
-    // Generate suggestions
-    const suggestions = generateSuggestions(age, healthGoal, isAuthenticated, userHistory);
-
-    // Save to user history if authenticated
-    if (isAuthenticated) {
-      try {
-        await userService.saveSuggestion(req.user.id, age, healthGoal, suggestions);
-        logger.info('Suggestion saved to user history:', {
-          requestId,
-          userId: req.user.id
-        });
-      } catch (error) {
-        logger.error('Failed to save suggestion to history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without saving
-      }
-    }
-
-    logger.info('Successfully generated suggestions', {
+    const response = await suggestionRequestService.run(req.body, {
       requestId,
-      suggestionsCount: suggestions.length,
-      userId: req.user?.id || 'anonymous'
+      user: req.user || null,
+      warnings: req.validationWarnings || [],
+      explain: req.query.explain === 'true'
     });
 
-    res.json({
-      success: true,
-      requestId,
-      suggestions,
-      meta: {
-        generatedAt: new Date().toISOString(),
-        goalCategory: healthGoal,
-        authenticated: isAuthenticated,
-        timestamp: new Date().toISOString()
-      }
-    });
+    res.json(response);
 
   } catch (error) {
     logger.error('Error generating suggestions', {
@@ -261,40 +162,199 @@ router.post('/', AuthMiddleware.optionalAuth, validateSuggestionsRequest, async
   }
 });
 
-// GET /suggestions/goals - Get available health goals
+// POST /suggestions/batch - Get suggestions for many profiles at once. Each
+// profile is validated on its own and results keep input order. Batches over
+// SYNC_BATCH_LIMIT profiles, or any batch with ?async=true, are queued as a
+// job to poll with GET /suggestions/batch/:jobId. Requires a verified email.
+router.post('/batch', AuthMiddleware.verifyToken, AuthMiddleware.requireVerifiedEmail, async (req, res) => {
+  const batchId = uuidv4();
+
+  try {
+    // Validate input
+    const { error, value } = batchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const entries = buildBatchEntries(value.profiles);
+    const runAsync = req.query.async === 'true' || entries.length > SYNC_BATCH_LIMIT;
+
+    // The caller's regulatory defaults apply to profiles that do not set their own
+    let profile = null;
+    try {
+      profile = await userService.getUserById(req.user.id);
+    } catch (profileError) {
+      logger.warn('Failed to fetch user profile:', {
+        batchId,
+        userId: req.user.id,
+        error: profileError.message
+      });
+      // Continue without the profile's regulatory defaults
+    }
+
+    const context = {
+      batchId,
+      regulatoryDefaults: {
+        region: profile?.region || null,
+        excludeWadaProhibited: profile?.excludeWadaProhibited === 1
+      },
+      ip: req.ip
+    };
+
+    logger.info('Processing batch suggestions request', {
+      batchId,
+      total: entries.length,
+      invalid: entries.filter(entry => entry.error).length,
+      async: runAsync,
+      userId: req.user.id
+    });
+
+    if (runAsync) {
+      const job = await batchSuggestionService.createJob(req.user.id, entries, context);
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          message: 'Batch queued',
+          job,
+          statusUrl: `/suggestions/batch/${job.jobId}`
+        }
+      });
+    }
+
+    const results = await batchSuggestionService.runBatch(entries, context);
+
+    res.json({
+      success: true,
+      data: {
+        batchId,
+        summary: batchSuggestionService.summarize(results),
+        results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error processing batch suggestions', {
+      batchId,
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to process batch. Please try again.',
+        code: 'BATCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /suggestions/batch/:jobId - Status of a queued batch, with results once completed
+router.get('/batch/:jobId', AuthMiddleware.verifyToken, async (req, res) => {
+  try {
+    const job = await batchSuggestionService.getJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Batch job not found',
+          code: 'BATCH_JOB_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+
+  } catch (error) {
+    logger.error('Batch job fetch error:', {
+      userId: req.user.id,
+      jobId: req.params.jobId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch batch job',
+        code: 'BATCH_JOB_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// GET /suggestions/goals - Get available health goals (same list as GET /goals)
 router.get('/goals', (req, res) => {
-  const goals = [
-    { value: 'energy', label: 'Energy & Vitality' },
-    { value: 'sleep', label: 'Better Sleep' },
-    { value: 'focus', label: 'Mental Focus' },
-    { value: 'recovery', label: 'Recovery & Repair' },
-    { value: 'weight_management', label: 'Weight Management' },
-    { value: 'immune_support', label: 'Immune Support' }
-  ];
+  res.json({
+    success: true,
+    goals: listGoals()
+  });
+});
 
+// GET /suggestions/intake-options - Options for the optional health intake
+router.get('/intake-options', (req, res) => {
   res.json({
     success: true,
-    goals
+    data: {
+      sexes: SEX_OPTIONS,
+      conditions: MEDICAL_CONDITIONS
+    }
   });
 });
 
-// POST /suggestions/export-pdf - Export suggestions as PDF
-router.post('/export-pdf', validateSuggestionsRequest, async (req, res) => {
-  const { age, healthGoal, suggestions } = req.body;
+// GET /suggestions/regions - Regions and statuses for regulatory filtering
+router.get('/regions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      regions: REGIONS,
+      statuses: REGULATORY_STATUSES
+    }
+  });
+});
+
+// POST /suggestions/export/pdf - Export suggestions as a PDF report
+router.post('/export/pdf', requireFeature('ENABLE_PDF_EXPORT', 'PDF export'), validatePdfExportRequest, async (req, res) => {
+  const { age, goal, goals, suggestions, generatedAt, warnings } = req.body;
+
   try {
-    logger.info('Generating PDF export', { age, goal: healthGoal });
-    // This would integrate with a PDF generation service
-    // For now, return a mock response
-    res.json({
-      success: true,
-      message: 'PDF export feature coming soon',
-      downloadUrl: null
+    logger.info('Generating PDF export', { age, goal, suggestionsCount: suggestions.length });
+
+    const pdf = pdfService.generateSuggestionReport({
+      age,
+      goal,
+      goals,
+      suggestions,
+      disclaimer: suggestionsService.disclaimer,
+      generatedAt: generatedAt || new Date(),
+      warnings
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="peptide-suggestions-${goal}.pdf"`,
+      'Content-Length': pdf.length
     });
+    res.send(pdf);
   } catch (error) {
     logger.error('PDF export error:', error);
     res.status(500).json({
-      error: 'Failed to generate PDF',
-      message: 'PDF export is temporarily unavailable'
+      success: false,
+      error: {
+        message: 'Failed to generate PDF. Please try again.',
+        code: 'PDF_EXPORT_ERROR'
+      }
     });
   }
 });
@@ -0,0 +1,129 @@
+const express = require('express');
+const Joi = require('joi');
+const reconstitutionService = require('../services/reconstitutionService');
+const { AMOUNT_UNITS, DOSE_UNITS, VOLUME_UNITS, BODY_WEIGHT_UNITS, SYRINGES } = require('../config/reconstitution');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const quantity = (units, max) => Joi.object({
+  amount: Joi.number().positive().max(max).required(),
+  unit: Joi.string().valid(...units).required()
+});
+
+const reconstitutionSchema = Joi.object({
+  vial: quantity(AMOUNT_UNITS, 100000).required().messages({
+    'any.required': 'Vial contents are required'
+  }),
+  diluent: quantity(VOLUME_UNITS, 100).required().messages({
+    'any.required': 'Diluent volume is required'
+  }),
+  dose: quantity(DOSE_UNITS, 100000).required().messages({
+    'any.required': 'Dose is required'
+  }),
+  bodyWeight: quantity(Object.keys(BODY_WEIGHT_UNITS), 1000).optional(),
+  peptideId: Joi.number().integer().positive().optional()
+});
+
+// GET /tools/reconstitution/presets - Catalog peptides with typical dose ranges
+router.get('/reconstitution/presets', async (req, res) => {
+  try {
+    const presets = await reconstitutionService.getPresets();
+
+    res.json({
+      success: true,
+      data: {
+        presets,
+        units: {
+          amount: AMOUNT_UNITS,
+          dose: DOSE_UNITS,
+          volume: VOLUME_UNITS,
+          bodyWeight: Object.keys(BODY_WEIGHT_UNITS)
+        },
+        syringes: SYRINGES
+      }
+    });
+
+  } catch (error) {
+    logger.error('Reconstitution presets error:', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch calculator presets',
+        code: 'PRESETS_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /tools/reconstitution - Work out how much to draw for a dose
+router.post('/reconstitution', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = reconstitutionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.details[0].message,
+          field: error.details[0].path[0],
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const result = await reconstitutionService.calculate(value);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Reconstitution calculation error:', { error: error.message });
+
+    if (error.message.includes('Incompatible units')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          field: 'dose',
+          code: 'INCOMPATIBLE_UNITS'
+        }
+      });
+    }
+
+    if (error.message.includes('Body weight is required')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          field: 'bodyWeight',
+          code: 'BODY_WEIGHT_REQUIRED'
+        }
+      });
+    }
+
+    if (error.message.includes('Peptide not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Peptide not found',
+          code: 'PEPTIDE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to calculate dose',
+        code: 'RECONSTITUTION_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const userService = require('../services/userService');
+const twoFactorService = require('../services/twoFactorService');
+const refreshTokenService = require('../services/refreshTokenService');
+const AuthMiddleware = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Code checks per account, so codes cannot be guessed
+const codeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many two-factor attempts, please try again later.',
+      code: 'TOO_MANY_ATTEMPTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Validation schemas
+const codeField = Joi.string()
+  .trim()
+  .max(20)
+  .required()
+  .messages({
+    'any.required': 'Code is required'
+  });
+
+const codeSchema = Joi.object({
+  code: codeField
+});
+
+const disableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+  code: codeField
+});
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    message: error.details[0].message,
+    field: error.details[0].path[0],
+    code: 'VALIDATION_ERROR'
+  }
+});
+
+const sendInvalidCode = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'The code is incorrect or was already used',
+    code: 'INVALID_TWO_FACTOR_CODE'
+  }
+});
+
+const sendNotEnabled = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Two-factor authentication is not enabled',
+    code: 'TWO_FACTOR_NOT_ENABLED'
+  }
+});
+
+router.use(AuthMiddleware.verifyToken);
+
+// GET /auth/2fa - Whether two-factor authentication is on, and backup codes left
+router.get('/', async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Two-factor status error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch two-factor status',
+        code: 'TWO_FACTOR_STATUS_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/2fa/enroll - Start enrollment: a new secret as an otpauth URI and
+// QR code for an authenticator app. Nothing changes until POST /auth/2fa/confirm.
+router.post('/enroll', async (req, res) => {
+  try {
+    const user = await userService.getUserById(req.user.id);
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    if (error.message.includes('already enabled')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        }
+      });
+    }
+
+    logger.error('Two-factor enrollment error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start two-factor enrollment',
+        code: 'TWO_FACTOR_ENROLL_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/2fa/confirm - Turn two-factor authentication on with a code from
+// the app. Returns the backup codes, which are not shown again, and signs out
+// every other session.
+router.post('/confirm', codeLimiter, async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const backupCodes = await twoFactorService.confirmEnrollment(req.user.id, value.code);
+    if (!backupCodes) {
+      return sendInvalidCode(res);
+    }
+
+    const sessionsRevoked = await refreshTokenService.revokeAllForUser(req.user.id, {
+      exceptFamilyId: req.user.sid
+    });
+
+    logger.info('Two-factor authentication turned on:', {
+      userId: req.user.id,
+      sessionsRevoked
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Two-factor authentication is on. Store these backup codes somewhere safe; each works once.',
+        backupCodes
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('already enabled')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        }
+      });
+    }
+
+    if (error.message.includes('not started')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Start enrollment with POST /auth/2fa/enroll first',
+          code: 'TWO_FACTOR_NOT_STARTED'
+        }
+      });
+    }
+
+    logger.error('Two-factor confirmation error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to enable two-factor authentication',
+        code: 'TWO_FACTOR_CONFIRM_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/2fa/backup-codes - Replace the backup codes, given a current code
+router.post('/backup-codes', codeLimiter, async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const { enabled } = await twoFactorService.getStatus(req.user.id);
+    if (!enabled) {
+      return sendNotEnabled(res);
+    }
+
+    if (!await twoFactorService.verifyCode(req.user.id, value.code)) {
+      return sendInvalidCode(res);
+    }
+
+    const backupCodes = await twoFactorService.replaceBackupCodes(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'New backup codes created. The old ones no longer work.',
+        backupCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Backup code regeneration error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create backup codes',
+        code: 'BACKUP_CODES_ERROR'
+      }
+    });
+  }
+});
+
+// POST /auth/2fa/disable - Turn two-factor authentication off, given the
+// password and a current code
+router.post('/disable', codeLimiter, async (req, res) => {
+  const { error, value } = disableSchema.validate(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const { enabled } = await twoFactorService.getStatus(req.user.id);
+    if (!enabled) {
+      return sendNotEnabled(res);
+    }
+
+    if (!await userService.verifyPassword(req.user.id, value.password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Password is incorrect',
+          code: 'INVALID_PASSWORD'
+        }
+      });
+    }
+
+    if (!await twoFactorService.verifyCode(req.user.id, value.code)) {
+      return sendInvalidCode(res);
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Two-factor authentication is off'
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to disable two-factor authentication',
+        code: 'TWO_FACTOR_DISABLE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const Joi = require('joi');
+const userService = require('../services/userService');
+const AuthMiddleware = require('../middleware/auth');
+const { ROLES, ROLE_VALUES, ADMIN_ROLE } = require('../config/roles');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  role: Joi.string().valid(...ROLE_VALUES),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLE_VALUES).required().messages({
+    'any.only': `Role must be one of: ${ROLE_VALUES.join(', ')}`,
+    'any.required': 'Role is required'
+  })
+});
+
+const userIdSchema = Joi.number().integer().positive().required();
+
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Respond 400 for an invalid :id parameter, otherwise return the user ID
+const parseUserId = (req, res) => {
+  const { error, value } = userIdSchema.validate(req.params.id, { convert: true });
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'User ID must be a positive integer',
+        code: 'VALIDATION_ERROR'
+      }
+    });
+    return null;
+  }
+  return value;
+};
+
+// Every route here administers accounts and is admin-only
+router.use(AuthMiddleware.verifyToken, AuthMiddleware.requireRole(ADMIN_ROLE));
+
+// GET /users - List accounts (admin)
+router.get('/', async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        field: error.details[0].path[0],
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  try {
+    const { users, total } = await userService.listUsers(value);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        total,
+        limit: value.limit,
+        offset: value.offset
+      }
+    });
+  } catch (error) {
+    logger.error('User list error:', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch users',
+        code: 'USER_LIST_ERROR'
+      }
+    });
+  }
+});
+
+// GET /users/roles - Roles an account can have (admin)
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    data: { roles: ROLES }
+  });
+});
+
+// GET /users/:id - Get an account (admin)
+router.get('/:id', async (req, res) => {
+  const userId = parseUserId(req, res);
+  if (userId === null) return;
+
+  try {
+    const user = await userService.getUserById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    logger.error('User fetch error:', {
+      userId: req.user.id,
+      targetUserId: userId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch user',
+        code: 'USER_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// PUT /users/:id/role - Change an account's role (admin)
+router.put('/:id/role', async (req, res) => {
+  const userId = parseUserId(req, res);
+  if (userId === null) return;
+
+  const { error, value } = roleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: error.details[0].message,
+        field: error.details[0].path[0],
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  // Another admin has to do it, so the last admin cannot lock everyone out
+  if (userId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'You cannot change your own role',
+        code: 'OWN_ROLE_CHANGE'
+      }
+    });
+  }
+
+  try {
+    const user = await userService.setUserRole(userId, value.role);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        }
+      });
+    }
+
+    logger.info('Role changed by admin:', {
+      adminId: req.user.id,
+      userId,
+      role: value.role
+    });
+
+    res.json({
+      success: true,
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    logger.error('User role update error:', {
+      userId: req.user.id,
+      targetUserId: userId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update user role',
+        code: 'USER_ROLE_UPDATE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -9,11 +9,36 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const analyticsService = require('./services/analyticsService');
 const userService = require('./services/userService');
+const catalogService = require('./services/catalogService');
+const interactionService = require('./services/interactionService');
+const feedbackService = require('./services/feedbackService');
+const regimenService = require('./services/regimenService');
+const evidenceService = require('./services/evidenceService');
+const regulatoryService = require('./services/regulatoryService');
+const catalogSearchService = require('./services/catalogSearchService');
+const batchSuggestionService = require('./services/batchSuggestionService');
+const idempotencyService = require('./services/idempotencyService');
+const questionnaireService = require('./services/questionnaireService');
+const refreshTokenService = require('./services/refreshTokenService');
+const mailService = require('./services/mailService');
+const passwordResetService = require('./services/passwordResetService');
+const emailVerificationService = require('./services/emailVerificationService');
+const twoFactorService = require('./services/twoFactorService');
 const database = require('./config/database');
+const { ADMIN_ROLE } = require('./config/roles');
+const AuthMiddleware = require('./middleware/auth');
 
 // Import routes
 const suggestionsRouter = require('./routes/suggestions');
 const authRouter = require('./routes/auth');
+const catalogRouter = require('./routes/catalog');
+const goalsRouter = require('./routes/goals');
+const interactionsRouter = require('./routes/interactions');
+const regimensRouter = require('./routes/regimens');
+const toolsRouter = require('./routes/tools');
+const questionnaireRouter = require('./routes/questionnaire');
+const usersRouter = require('./routes/users');
+const twoFactorRouter = require('./routes/twoFactor');
 
 // Initialize Express app
 const app = express();
@@ -26,10 +51,70 @@ async function initializeApp() {
     await database.initialize();
     logger.info('Database initialized successfully');
 
-    // Initialize user service
-    userService.initialize();
+    // Initialize user service (gives ADMIN_EMAILS accounts the admin role)
+    await userService.initialize();
     logger.info('User service initialized successfully');
 
+    // Initialize suggestion feedback service
+    feedbackService.initialize();
+    logger.info('Feedback service initialized successfully');
+
+    // Initialize regimen scheduler
+    regimenService.initialize();
+    logger.info('Regimen service initialized successfully');
+
+    // Initialize peptide evidence records
+    evidenceService.initialize();
+    logger.info('Evidence service initialized successfully');
+
+    // Initialize peptide catalog (seeds a new database once)
+    await catalogService.initialize();
+    logger.info('Catalog service initialized successfully');
+
+    // Initialize catalog search (rebuilds the full-text index)
+    await catalogSearchService.initialize();
+    logger.info('Catalog search initialized successfully');
+
+    // Initialize interaction knowledge (seeds any missing entries)
+    await interactionService.initialize();
+    logger.info('Interaction service initialized successfully');
+
+    // Initialize regulatory statuses (seeds a new database once)
+    await regulatoryService.initialize();
+    logger.info('Regulatory service initialized successfully');
+
+    // Initialize batch suggestion jobs (fails jobs interrupted by a restart)
+    await batchSuggestionService.initialize();
+    logger.info('Batch suggestion service initialized successfully');
+
+    // Initialize idempotency keys (drops stored responses past their 24 hours)
+    await idempotencyService.initialize();
+    logger.info('Idempotency service initialized successfully');
+
+    // Initialize questionnaire sessions (drops stale anonymous drafts)
+    await questionnaireService.initialize();
+    logger.info('Questionnaire service initialized successfully');
+
+    // Initialize refresh tokens (drops expired ones)
+    await refreshTokenService.initialize();
+    logger.info('Refresh token service initialized successfully');
+
+    // Initialize mail transport (MAIL_TRANSPORT: smtp, file or console)
+    await mailService.initialize();
+    logger.info('Mail service initialized successfully');
+
+    // Initialize password resets (drops expired tokens)
+    await passwordResetService.initialize();
+    logger.info('Password reset service initialized successfully');
+
+    // Initialize email verification (drops expired tokens)
+    await emailVerificationService.initialize();
+    logger.info('Email verification service initialized successfully');
+
+    // Initialize two-factor authentication
+    twoFactorService.initialize();
+    logger.info('Two-factor service initialized successfully');
+
   } catch (error) {
     logger.error('Failed to initialize application:', error);
     process.exit(1);
@@ -59,7 +144,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Device-Id'],
+  exposedHeaders: ['Content-Disposition', 'Idempotent-Replayed']
 }));
 
 // Body parsing middleware
@@ -99,17 +185,29 @@ app.get('/health', (req, res) => {
     database: 'connected',
     services: {
       userService: 'ready',
+      catalog: 'ready',
+      interactions: 'ready',
+      regulatory: 'ready',
+      regimens: 'ready',
       analytics: 'ready'
     }
   });
 });
 
 // API routes
+app.use('/auth/regimens', regimensRouter);
+app.use('/auth/2fa', twoFactorRouter);
 app.use('/auth', authRouter);
 app.use('/suggestions', suggestionsRouter);
+app.use('/catalog', catalogRouter);
+app.use('/goals', goalsRouter);
+app.use('/interactions', interactionsRouter);
+app.use('/tools', toolsRouter);
+app.use('/questionnaire', questionnaireRouter);
+app.use('/users', usersRouter);
 
-// Analytics endpoint
-app.get('/analytics', async (req, res) => {
+// Analytics endpoint (admin)
+app.get('/analytics', AuthMiddleware.verifyToken, AuthMiddleware.requireRole(ADMIN_ROLE), async (req, res) => {
   try {
     const analytics = await analyticsService.getDailyAnalytics();
     res.json({
@@ -125,6 +223,26 @@ app.get('/analytics', async (req, res) => {
   }
 });
 
+// Per-peptide rating aggregates from suggestion feedback (admin)
+app.get('/analytics/peptide-ratings', AuthMiddleware.verifyToken, AuthMiddleware.requireRole(ADMIN_ROLE), async (req, res) => {
+  try {
+    const ratings = await analyticsService.getPeptideRatings();
+    res.json({
+      success: true,
+      data: {
+        ratings,
+        total: ratings.length
+      }
+    });
+  } catch (error) {
+    logger.error('Peptide ratings endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve peptide ratings'
+    });
+  }
+});
+
 // API documentation endpoint
 app.get('/api-docs', (req, res) => {
   res.json({
@@ -133,28 +251,97 @@ app.get('/api-docs', (req, res) => {
     description: 'API for personalized peptide recommendations with user authentication',
     endpoints: {
       authentication: {
-        'POST /auth/register': 'Register a new user account',
-        'POST /auth/login': 'Login with email and password',
+        'POST /auth/register': 'Register a new user account (accepts an Idempotency-Key header)',
+        'POST /auth/login': 'Login with email and password; accounts with two-factor get a challengeToken instead of tokens',
+        'POST /auth/login/2fa': 'Finish a login that returned twoFactorRequired, with its challengeToken and a code',
         'GET /auth/profile': 'Get user profile (requires authentication)',
-        'PUT /auth/profile': 'Update user profile (requires authentication)',
-        'POST /auth/change-password': 'Change user password (requires authentication)',
-        'POST /auth/refresh': 'Refresh JWT token (requires authentication)',
+        'PUT /auth/profile': 'Update user profile; a new email applies once confirmed (requires authentication)',
+        'POST /auth/change-password': 'Change user password (requires authentication, accepts an Idempotency-Key header)',
+        'GET /auth/2fa': 'Two-factor status and backup codes left (requires authentication)',
+        'POST /auth/2fa/enroll': 'Start two-factor enrollment: otpauth URI and QR code (requires authentication)',
+        'POST /auth/2fa/confirm': 'Turn two-factor on with a code from the app; returns backup codes (requires authentication)',
+        'POST /auth/2fa/backup-codes': 'Replace the backup codes, given a current code (requires authentication)',
+        'POST /auth/2fa/disable': 'Turn two-factor off, given the password and a current code (requires authentication)',
+        'POST /auth/refresh': 'Exchange a refresh token for a new access token and refresh token',
+        'POST /auth/logout': 'Sign out the session of a refresh token or access token',
+        'POST /auth/logout-all': 'Sign out every session of your account (requires authentication)',
+        'POST /auth/forgot-password': 'Email a password reset link (same response whether or not the email has an account)',
+        'POST /auth/reset-password': 'Set a new password with the token from a reset link; signs out every session',
+        'GET /auth/verify-email': 'Confirm an email address with ?token= from a verification link',
+        'POST /auth/resend-verification': 'Send a new email verification link, at most 3 an hour (requires authentication)',
         'GET /auth/suggestions': 'Get user suggestion history (requires authentication)',
+        'POST /auth/suggestions/:id/feedback': 'Rate a peptide in a saved suggestion (requires authentication)',
+        'GET /auth/suggestions/:id/feedback': 'Get feedback on a saved suggestion (requires authentication)',
+        'GET /auth/suggestions/:id/pdf': 'Download a saved suggestion as a PDF report (requires authentication, ENABLE_PDF_EXPORT)',
         'DELETE /auth/account': 'Delete user account (requires authentication)',
         'GET /auth/verify': 'Verify token validity (requires authentication)'
       },
+      regimens: {
+        'GET /auth/regimens': 'List your regimens (requires authentication)',
+        'POST /auth/regimens': 'Create a regimen from peptides in a saved suggestion (requires authentication)',
+        'GET /auth/regimens/options': 'Frequencies and days accepted in regimen items (requires authentication)',
+        'GET /auth/regimens/:id': 'Get a regimen (requires authentication)',
+        'GET /auth/regimens/:id/schedule': 'Doses for each day of a week, ?weekStart=YYYY-MM-DD (requires authentication)',
+        'GET /auth/regimens/:id/calendar.ics': 'Export a regimen as an iCalendar file (requires authentication)',
+        'DELETE /auth/regimens/:id': 'Delete a regimen (requires authentication)'
+      },
       suggestions: {
-        'POST /suggestions': 'Get peptide suggestions (works with or without authentication)'
+        'POST /suggestions': 'Get peptide suggestions (works with or without authentication, accepts an Idempotency-Key header)',
+        'POST /suggestions/batch': 'Get suggestions for up to 100 profiles, inline or as a job with ?async=true or over 10 profiles (requires authentication and a verified email)',
+        'GET /suggestions/batch/:jobId': 'Status and results of a batch job (requires authentication)',
+        'GET /suggestions/intake-options': 'Options for the optional health intake',
+        'GET /suggestions/regions': 'Regions and statuses for regulatory filtering',
+        'POST /suggestions/export/pdf': 'Export suggestions as a PDF report (ENABLE_PDF_EXPORT)'
+      },
+      questionnaire: {
+        'GET /questionnaire': 'Health questionnaire steps and questions, the current version unless ?version= is given',
+        'GET /questionnaire/draft': 'Your saved questionnaire draft (logged in, or anonymous with an X-Device-Id header)',
+        'PUT /questionnaire/draft': 'Save questionnaire answers and the current step',
+        'DELETE /questionnaire/draft': 'Discard your questionnaire draft',
+        'POST /questionnaire/draft/submit': 'Get suggestions from a completed questionnaire'
+      },
+      users: {
+        'GET /users': 'List accounts, filter with ?role= and page with ?limit= and ?offset= (admin)',
+        'GET /users/roles': 'Roles an account can have (admin)',
+        'GET /users/:id': 'Get an account (admin)',
+        'PUT /users/:id/role': 'Change an account\'s role (admin)'
+      },
+      catalog: {
+        'GET /catalog': 'List catalog peptides, filter with ?goal= and ?includeInactive=true (admin)',
+        'GET /catalog/:id': 'Get a catalog peptide (admin)',
+        'GET /catalog/search': 'Search active peptides by name, alias, description and mechanism, ?q= with optional ?limit=',
+        'GET /catalog/compare': 'Compare 2-6 active peptides side by side, ?ids= as comma-separated IDs or slugs, including interactions between them',
+        'GET /catalog/:slug': 'Detail record for an active peptide, with evidence and regulatory status',
+        'GET /catalog/:id/evidence': 'Evidence entries and overall evidence grade for a peptide',
+        'POST /catalog/:id/evidence': 'Add an evidence entry to a peptide (admin)',
+        'DELETE /catalog/:id/evidence/:evidenceId': 'Remove an evidence entry (admin)',
+        'GET /catalog/:id/regulatory': 'Regulatory status of a peptide in each region, including the WADA list',
+        'PUT /catalog/:id/regulatory/:region': 'Set a peptide\'s regulatory status in a region or on the WADA list (admin)',
+        'DELETE /catalog/:id/regulatory/:region': 'Remove a peptide\'s regulatory status in a region (admin)',
+        'POST /catalog': 'Create a catalog peptide (admin)',
+        'PUT /catalog/:id': 'Update a catalog peptide (admin)',
+        'DELETE /catalog/:id': 'Retire a catalog peptide (admin)'
+      },
+      goals: {
+        'GET /goals': 'List supported health goals'
+      },
+      interactions: {
+        'POST /interactions/check': 'Check peptides and medications for pairwise interactions'
+      },
+      tools: {
+        'POST /tools/reconstitution': 'Calculate the volume and syringe units to draw for a dose',
+        'GET /tools/reconstitution/presets': 'Catalog peptides with typical dose ranges, units and syringes'
       },
       system: {
         'GET /health': 'Health check endpoint',
-        'GET /analytics': 'Get analytics data',
+        'GET /analytics': 'Get analytics data (admin)',
+        'GET /analytics/peptide-ratings': 'Get average user ratings per peptide (admin)',
         'GET /api-docs': 'This documentation'
       }
     },
     authentication: {
       type: 'Bearer Token',
-      description: 'Include JWT token in Authorization header: "Bearer <token>"'
+      description: 'Include the JWT access token in Authorization header: "Bearer <token>". Access tokens expire after 15 minutes; get a new one from POST /auth/refresh.'
     },
     rateLimit: {
       general: '100 requests per 15 minutes',
@@ -232,25 +419,30 @@ const gracefulShutdown = async () => {
 process.on('SIGINT', gracefulShutdown);
 process.on('SIGTERM', gracefulShutdown);
 
-// Initialize and start server
-initializeApp().then(() => {
-  app.listen(PORT, () => {
-    logger.info(`🚀 Server running on port ${PORT}`, {
-      environment: process.env.NODE_ENV || 'development',
-      port: PORT
-    });
+// Initialize and start server when run directly; tests import the app and
+// call initializeApp themselves
+if (require.main === module) {
+  initializeApp().then(() => {
+    app.listen(PORT, () => {
+      logger.info(`🚀 Server running on port ${PORT}`, {
+        environment: process.env.NODE_ENV || 'development',
+        port: PORT
+      });
     
-    logger.info('🔗 Available endpoints:', {
-      health: `http://localhost:${PORT}/health`,
-      auth: `http://localhost:${PORT}/auth`,
-      suggestions: `http://localhost:${PORT}/suggestions`,
-      analytics: `http://localhost:${PORT}/analytics`,
-      docs: `http://localhost:${PORT}/api-docs`
+      logger.info('🔗 Available endpoints:', {
+        health: `http://localhost:${PORT}/health`,
+        auth: `http://localhost:${PORT}/auth`,
+        suggestions: `http://localhost:${PORT}/suggestions`,
+        catalog: `http://localhost:${PORT}/catalog`,
+        analytics: `http://localhost:${PORT}/analytics`,
+        docs: `http://localhost:${PORT}/api-docs`
+      });
     });
+  }).catch((error) => {
+    logger.error('Failed to start server:', error);
+    process.exit(1);
   });
-}).catch((error) => {
-  logger.error('Failed to start server:', error);
-  process.exit(1);
-});
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.initializeApp = initializeApp;
\ No newline at end of file
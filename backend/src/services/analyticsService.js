@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { analytics } = require('../utils/logger'); // Import the analytics function directly
+const database = require('../config/database');
 
 class AnalyticsService {
   constructor() {
@@ -130,6 +131,9 @@ class AnalyticsService {
       }
       
       const dayData = analytics[date];
+
+      // Stored as an array; restore the Set so repeat visitors count once
+      dayData.uniqueIPs = new Set(dayData.uniqueIPs);
       
       switch (eventType) {
         case 'goalSelection':
@@ -291,9 +295,82 @@ class AnalyticsService {
           errors: 0,
           successfulRequests: 0
         };
-      }, 24 * 60 * 60 * 1000);
+      }, 24 * 60 * 60 * 1000).unref();
       
-    }, msUntilMidnight);
+    }, msUntilMidnight).unref(); // Timers alone should not keep the process running
+  }
+  
+  /**
+   * Log feedback on a suggested peptide
+   * @param {Object} feedbackData - Peptide name, rating and whether it was tried
+   */
+  logFeedback(feedbackData) {
+    analytics('suggestion_feedback', {
+      ...feedbackData,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Aggregate user ratings per peptide from the suggestion_feedback table
+   * @returns {Promise<Array>} Per-peptide rating summaries, highest average first
+   */
+  async getPeptideRatings() {
+    const db = database.getDatabase();
+    
+    const rows = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT peptideName, rating, triedIt, sideEffects
+        FROM suggestion_feedback
+      `;
+      
+      db.all(query, [], (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+    
+    const byPeptide = {};
+    rows.forEach(row => {
+      if (!byPeptide[row.peptideName]) {
+        byPeptide[row.peptideName] = {
+          peptideName: row.peptideName,
+          ratingsCount: 0,
+          averageRating: 0,
+          distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+          triedCount: 0,
+          sideEffectReports: 0,
+          sideEffects: {}
+        };
+      }
+      
+      const summary = byPeptide[row.peptideName];
+      summary.ratingsCount++;
+      summary.averageRating += row.rating;
+      summary.distribution[row.rating]++;
+      if (row.triedIt) {
+        summary.triedCount++;
+      }
+      
+      const sideEffects = JSON.parse(row.sideEffects || '[]');
+      if (sideEffects.length > 0) {
+        summary.sideEffectReports++;
+        sideEffects.forEach(effect => {
+          const key = effect.toLowerCase();
+          summary.sideEffects[key] = (summary.sideEffects[key] || 0) + 1;
+        });
+      }
+    });
+    
+    return Object.values(byPeptide)
+      .map(summary => ({
+        ...summary,
+        averageRating: Math.round(summary.averageRating / summary.ratingsCount * 100) / 100
+      }))
+      .sort((a, b) => b.averageRating - a.averageRating || b.ratingsCount - a.ratingsCount);
   }
   
   /**
@@ -0,0 +1,285 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const suggestionsService = require('./suggestionsService');
+const interactionService = require('./interactionService');
+
+// Finished jobs are deleted this many days after they complete
+const JOB_RETENTION_DAYS = 7;
+
+class BatchSuggestionService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.failInterruptedJobs();
+    await this.deleteExpiredJobs();
+  }
+
+  // Jobs run in this process, so any left queued or processing by a previous
+  // run will never finish
+  async failInterruptedJobs() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE suggestion_batch_jobs
+        SET status = 'failed', error = 'Interrupted by a server restart', completedAt = datetime('now')
+        WHERE status IN ('queued', 'processing')
+      `;
+
+      this.db.run(query, [], function(err) {
+        if (err) {
+          logger.error('Error failing interrupted batch jobs:', err);
+          reject(new Error('Failed to initialize batch jobs'));
+        } else {
+          if (this.changes > 0) {
+            logger.warn('Interrupted batch jobs marked failed:', { count: this.changes });
+          }
+          resolve();
+        }
+      });
+    });
+  }
+
+  async deleteExpiredJobs() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        DELETE FROM suggestion_batch_jobs
+        WHERE completedAt IS NOT NULL AND completedAt < datetime('now', ?)
+      `;
+
+      this.db.run(query, [`-${JOB_RETENTION_DAYS} days`], (err) => {
+        if (err) {
+          logger.error('Error deleting expired batch jobs:', err);
+          reject(new Error('Failed to initialize batch jobs'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Record one batch item in analytics. Failures are logged and ignored so
+  // analytics never fails an item.
+  async recordAnalytics(requestId, { goals = [], error = null, ip }) {
+    try {
+      for (const goal of goals) {
+        await analyticsService.logGoalSelection(goal);
+      }
+
+      if (error) {
+        await analyticsService.logFailedRequest({ requestId, source: 'batch', error, ip });
+      } else {
+        await analyticsService.logSuccessfulRequest({ requestId, source: 'batch', ip });
+      }
+    } catch (analyticsError) {
+      logger.error('Batch analytics logging failed:', {
+        requestId,
+        error: analyticsError.message
+      });
+    }
+  }
+
+  /**
+   * Generate suggestions for one batch entry. Entries that failed validation
+   * are passed through with their error.
+   * @param {Object} entry - { index, reference, profile, warnings } or { index, reference, error }
+   * @param {Object} context - { batchId, regulatoryDefaults: { region, excludeWadaProhibited }, ip }
+   * @returns {Promise<Object>} { index, reference, success, ... } with suggestions or an error
+   */
+  async processEntry(entry, { batchId, regulatoryDefaults, ip }) {
+    const { index, reference } = entry;
+    const requestId = `${batchId}:${index}`;
+
+    if (entry.error) {
+      await this.recordAnalytics(requestId, { error: entry.error.message, ip });
+      return { index, reference, success: false, error: entry.error };
+    }
+
+    const { age, healthGoals, healthIntake, region, excludeWadaProhibited } = entry.profile;
+    const goals = healthGoals.map(({ goal }) => goal);
+
+    try {
+      // Profiles belong to the caller's patients, not the caller, so the
+      // caller's history and ratings do not personalize them
+      const result = await suggestionsService.generateSuggestions(age, healthGoals, true, [], {
+        healthIntake: healthIntake || null,
+        peptideFeedback: [],
+        regulatory: {
+          region: region || regulatoryDefaults.region,
+          excludeWadaProhibited: excludeWadaProhibited !== undefined
+            ? excludeWadaProhibited
+            : regulatoryDefaults.excludeWadaProhibited
+        }
+      });
+
+      const interactions = await interactionService.checkSuggestions(
+        result.suggestions,
+        [],
+        healthIntake?.medications || []
+      );
+
+      await this.recordAnalytics(requestId, { goals, ip });
+
+      return {
+        index,
+        reference,
+        success: true,
+        suggestions: result.suggestions,
+        warnings: entry.warnings,
+        contraindications: result.contraindications,
+        regulatory: result.regulatory,
+        interactions,
+        goals: healthGoals
+      };
+
+    } catch (error) {
+      logger.error('Batch item generation failed:', {
+        requestId,
+        error: error.message
+      });
+
+      await this.recordAnalytics(requestId, { goals, error: error.message, ip });
+
+      return {
+        index,
+        reference,
+        success: false,
+        error: {
+          message: 'Failed to generate suggestions for this profile',
+          code: 'GENERATION_ERROR'
+        }
+      };
+    }
+  }
+
+  // { total, succeeded, failed } counts for a list of item results
+  summarize(results) {
+    const succeeded = results.filter(result => result.success).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+  }
+
+  /**
+   * Process a batch inline, one entry at a time
+   * @param {Array} entries - Batch entries in input order (see processEntry)
+   * @param {Object} context - See processEntry
+   * @returns {Promise<Array>} Item results in input order
+   */
+  async runBatch(entries, context) {
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.processEntry(entry, context));
+    }
+    return results;
+  }
+
+  /**
+   * Queue a batch as a job processed in the background
+   * @param {number} userId - Owner of the job
+   * @param {Array} entries - Batch entries in input order (see processEntry)
+   * @param {Object} context - See processEntry; batchId is the job ID
+   * @returns {Promise<Object>} The queued job
+   */
+  async createJob(userId, entries, context) {
+    const jobId = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO suggestion_batch_jobs (id, userId, status, total, processed, createdAt)
+        VALUES (?, ?, 'queued', ?, 0, datetime('now'))
+      `;
+
+      this.db.run(query, [jobId, userId, entries.length], (err) => {
+        if (err) {
+          logger.error('Error creating batch job:', err);
+          reject(new Error('Failed to create batch job'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Batch job queued:', { jobId, userId, total: entries.length });
+
+    setImmediate(() => {
+      this.processJob(jobId, entries, { ...context, batchId: jobId }).catch((error) => {
+        logger.error('Batch job failed:', { jobId, error: error.message });
+        this.updateJob(jobId, { status: 'failed', error: 'Batch processing failed', completedAt: true })
+          .catch(updateError => logger.error('Error marking batch job failed:', { jobId, error: updateError.message }));
+      });
+    });
+
+    return this.getJob(jobId, userId);
+  }
+
+  async processJob(jobId, entries, context) {
+    await this.updateJob(jobId, { status: 'processing' });
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.processEntry(entry, context));
+      await this.updateJob(jobId, { processed: results.length });
+    }
+
+    await this.updateJob(jobId, { status: 'completed', results: JSON.stringify(results), completedAt: true });
+
+    logger.info('Batch job completed:', { jobId, ...this.summarize(results) });
+  }
+
+  // Set job columns; completedAt: true stamps the current time
+  async updateJob(jobId, fields) {
+    const updates = Object.keys(fields).map(field => (
+      field === 'completedAt' ? 'completedAt = datetime(\'now\')' : `${field} = ?`
+    ));
+    const values = Object.entries(fields)
+      .filter(([field]) => field !== 'completedAt')
+      .map(([, value]) => value);
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`UPDATE suggestion_batch_jobs SET ${updates.join(', ')} WHERE id = ?`, [...values, jobId], (err) => {
+        if (err) {
+          logger.error('Error updating batch job:', err);
+          reject(new Error('Failed to update batch job'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Get a job owned by the user, or null. Results are included once it completes.
+  async getJob(jobId, userId) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM suggestion_batch_jobs WHERE id = ? AND userId = ?', [jobId, userId], (err, result) => {
+        if (err) {
+          logger.error('Error fetching batch job:', err);
+          reject(new Error('Failed to fetch batch job'));
+        } else {
+          resolve(result || null);
+        }
+      });
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    const results = row.results ? JSON.parse(row.results) : null;
+
+    return {
+      jobId: row.id,
+      status: row.status,
+      total: row.total,
+      processed: row.processed,
+      ...(results && { summary: this.summarize(results) }),
+      results,
+      error: row.error || null,
+      createdAt: row.createdAt,
+      completedAt: row.completedAt || null
+    };
+  }
+}
+
+module.exports = new BatchSuggestionService();
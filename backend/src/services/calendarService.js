@@ -0,0 +1,137 @@
+const regimenService = require('./regimenService');
+const { DAYS_OF_WEEK, DOSE_EVENT_MINUTES, CALENDAR_HORIZON_DAYS } = require('../config/regimens');
+
+const PRODUCT_ID = '-//Peptide Suggestions//Regimen Calendar//EN';
+const UID_DOMAIN = 'peptide-suggestions';
+
+// RFC 5545 limits content lines to 75 octets
+const MAX_LINE_OCTETS = 75;
+
+class CalendarService {
+  // Escape a TEXT property value
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold a content line into 75-octet chunks without splitting a character
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+
+  // Floating local date-time, e.g. 20250106T080000 - doses follow the user's own clock
+  formatLocalDateTime(date, time = '00:00') {
+    return `${regimenService.formatDate(date).replace(/-/g, '')}T${time.replace(':', '')}00`;
+  }
+
+  formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // RRULE for one phase of an item; `until` is the last day of the phase, if any
+  buildRule(item, until) {
+    const parts = {
+      daily: ['FREQ=DAILY'],
+      every_other_day: ['FREQ=DAILY', 'INTERVAL=2'],
+      weekly: ['FREQ=WEEKLY'],
+      specific_days: [
+        'FREQ=WEEKLY',
+        `BYDAY=${DAYS_OF_WEEK.filter(day => item.daysOfWeek?.includes(day.value)).map(day => day.ics).join(',')}`
+      ]
+    }[item.frequency];
+
+    if (until) {
+      parts.push(`UNTIL=${regimenService.formatDate(until).replace(/-/g, '')}T235959`);
+    }
+
+    return parts.join(';');
+  }
+
+  // First dose day in a phase, or null if the phase has none
+  findFirstDose(item, phase) {
+    for (let offset = 0; offset < 7; offset++) {
+      const date = regimenService.addDays(phase.start, offset);
+      if (phase.end && date > phase.end) {
+        return null;
+      }
+      if (regimenService.isDoseDay(item, date)) {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Export a regimen as an RFC 5545 calendar. Each peptide becomes a
+   * recurring event; a cycled peptide gets one recurring event per on-phase,
+   * up to the item's end date or CALENDAR_HORIZON_DAYS ahead.
+   * @param {Object} regimen - Regimen from regimenService.getRegimenById
+   * @param {Date} [now] - Export time, used for DTSTAMP and the horizon
+   * @returns {string} iCalendar file contents
+   */
+  generateRegimenCalendar(regimen, now = new Date()) {
+    const stamp = this.formatUtcDateTime(now);
+    const today = regimenService.parseDate(regimenService.formatDate(now));
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(regimen.name)}`
+    ];
+
+    regimen.items.forEach((item, itemIndex) => {
+      const start = regimenService.parseDate(item.startDate);
+      const horizon = regimenService.addDays(start > today ? start : today, CALENDAR_HORIZON_DAYS);
+      const phases = regimenService.getOnPhases(item, horizon);
+
+      phases.forEach((phase, phaseIndex) => {
+        const firstDose = this.findFirstDose(item, phase);
+        if (!firstDose) {
+          return;
+        }
+
+        const description = [
+          item.dosage && `Dosage: ${item.dosage}`,
+          item.cycle && `Cycle ${phaseIndex + 1}: ${item.cycle.onWeeks} weeks on, ${item.cycle.offWeeks} weeks off`,
+          `Regimen: ${regimen.name}`
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:regimen-${regimen.id}-${itemIndex}-${phaseIndex}@${UID_DOMAIN}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART:${this.formatLocalDateTime(firstDose, item.timeOfDay)}`,
+          `DURATION:PT${DOSE_EVENT_MINUTES}M`,
+          `RRULE:${this.buildRule(item, phase.end)}`,
+          `SUMMARY:${this.escapeText(`Take ${item.peptideName}`)}`,
+          `DESCRIPTION:${this.escapeText(description)}`,
+          'END:VEVENT'
+        );
+      });
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(line => this.foldLine(line)).join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,189 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const catalogService = require('./catalogService');
+
+// Search terms shorter than this only match as prefixes, without typo tolerance
+const FUZZY_MIN_LENGTH = 4;
+
+// Terms of this length or longer may be two edits away from a catalog term
+const TWO_EDIT_MIN_LENGTH = 8;
+
+// Most query terms considered; the rest are ignored
+const MAX_QUERY_TERMS = 8;
+
+// Most near-miss catalog terms substituted for one query term
+const MAX_CORRECTIONS = 5;
+
+// bm25 column weights: name, aliases, description, mechanism
+const COLUMN_WEIGHTS = [10, 8, 2, 1];
+
+// Edit distance between two strings, counting an insertion, deletion,
+// substitution or swap of adjacent letters as one edit. Gives up once the
+// distance exceeds max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+class CatalogSearchService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Rebuild the index from the peptides table so rows written before the
+  // index existed are searchable; the database triggers keep it current after
+  async initialize() {
+    this.db = database.getDatabase();
+
+    await new Promise((resolve, reject) => {
+      this.db.run("INSERT INTO catalog_search (catalog_search) VALUES ('rebuild')", (err) => {
+        if (err) {
+          logger.error('Error rebuilding catalog search index:', err);
+          reject(new Error('Failed to build catalog search index'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // "Mito-chondrial boost!" -> ['mito', 'chondrial', 'boost']
+  tokenize(query) {
+    return query
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .slice(0, MAX_QUERY_TERMS);
+  }
+
+  // Every term in the search index
+  async getVocabulary() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT term FROM catalog_search_vocab', [], (err, rows) => {
+        if (err) {
+          logger.error('Error reading catalog search vocabulary:', err);
+          reject(new Error('Failed to search catalog'));
+        } else {
+          resolve(rows.map(row => row.term));
+        }
+      });
+    });
+  }
+
+  // Index terms within the allowed edit distance of a query term that matches
+  // nothing as typed. A longer index term also matches when its start is
+  // close, so typos in a prefix ("mitocon") still find the full word
+  // ("mitochondrial").
+  findCorrections(term, vocabulary) {
+    if (term.length < FUZZY_MIN_LENGTH || vocabulary.some(candidate => candidate.startsWith(term))) {
+      return [];
+    }
+
+    const maxEdits = term.length >= TWO_EDIT_MIN_LENGTH ? 2 : 1;
+
+    return vocabulary
+      .map(candidate => ({
+        candidate,
+        distance: Math.min(
+          editDistance(term, candidate, maxEdits),
+          candidate.length > term.length ? editDistance(term, candidate.slice(0, term.length), maxEdits) : maxEdits + 1
+        )
+      }))
+      .filter(({ distance }) => distance <= maxEdits)
+      .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+      .slice(0, MAX_CORRECTIONS)
+      .map(({ candidate }) => candidate);
+  }
+
+  /**
+   * Search active catalog peptides by name, alias, description and mechanism
+   * @param {string} text - Free-text query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Most results returned
+   * @returns {Promise<Object>} { terms, corrections: [{ term, matches }], results }, best match first
+   */
+  async search(text, { limit = 10 } = {}) {
+    const terms = this.tokenize(text);
+    if (terms.length === 0) {
+      return { terms, corrections: [], results: [] };
+    }
+
+    const vocabulary = await this.getVocabulary();
+    const corrections = [];
+
+    // Every term must match, as a prefix or as one of its corrections
+    const matchExpression = terms.map((term) => {
+      const matches = this.findCorrections(term, vocabulary);
+      if (matches.length > 0) {
+        corrections.push({ term, matches });
+      }
+      return `(${[`"${term}"*`, ...matches.map(match => `"${match}"`)].join(' OR ')})`;
+    }).join(' AND ');
+
+    const rows = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT p.*, bm25(catalog_search, ${COLUMN_WEIGHTS.join(', ')}) AS rank
+        FROM catalog_search
+        JOIN peptides p ON p.id = catalog_search.rowid
+        WHERE catalog_search MATCH ? AND p.isActive = 1
+        ORDER BY rank
+        LIMIT ?
+      `;
+
+      this.db.all(query, [matchExpression, limit], (err, result) => {
+        if (err) {
+          logger.error('Error searching catalog:', err);
+          reject(new Error('Failed to search catalog'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    const goalRows = await catalogService.getGoalRows(rows.map(row => row.id));
+
+    return {
+      terms,
+      corrections,
+      results: rows.map((row) => {
+        const peptide = catalogService.formatPeptide(row, goalRows);
+        return {
+          id: peptide.id,
+          slug: peptide.slug,
+          name: peptide.name,
+          aliases: peptide.aliases,
+          description: peptide.description,
+          mechanism: peptide.mechanism,
+          goals: peptide.goals.map(({ goal }) => goal)
+        };
+      })
+    };
+  }
+}
+
+module.exports = new CatalogSearchService();
@@ -0,0 +1,412 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const catalogSeed = require('../config/catalogSeed');
+
+// Plain text columns admins can edit directly
+const TEXT_FIELDS = ['description', 'personalizedDescription', 'mechanism', 'dosage', 'timing', 'halfLife', 'route'];
+
+// Columns stored as JSON strings, with the value used when a column is empty
+const JSON_FIELDS = {
+  ageRules: [],
+  contraindications: [],
+  doseRange: null,
+  aliases: []
+};
+
+class CatalogService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.seedCatalog();
+  }
+
+  // Build a URL-safe slug from a peptide name ("Peptide Alpha-E" -> "peptide-alpha-e")
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Convert a database row and its goal rows into the public catalog shape
+  formatPeptide(row, goalRows = []) {
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      description: row.description,
+      personalizedDescription: row.personalizedDescription || null,
+      mechanism: row.mechanism || null,
+      dosage: row.dosage || null,
+      timing: row.timing || null,
+      halfLife: row.halfLife || null,
+      route: row.route || null,
+      ...Object.fromEntries(Object.entries(JSON_FIELDS).map(([field, emptyValue]) => (
+        [field, row[field] ? JSON.parse(row[field]) : emptyValue]
+      ))),
+      goals: goalRows
+        .filter(goalRow => goalRow.peptideId === row.id)
+        .map(goalRow => ({ goal: goalRow.goal, priority: goalRow.priority })),
+      isActive: row.isActive === 1,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  // Map peptide fields to column values, serializing JSON fields.
+  // Only fields present in peptideData are included. The slug is not: it is
+  // set once at creation and kept on rename, since interaction and
+  // regulatory rows refer to peptides by slug.
+  toColumns(peptideData) {
+    const columns = {};
+
+    if (peptideData.name !== undefined) {
+      columns.name = peptideData.name;
+    }
+
+    TEXT_FIELDS.forEach((field) => {
+      if (peptideData[field] !== undefined) {
+        columns[field] = peptideData[field] || null;
+      }
+    });
+
+    Object.keys(JSON_FIELDS).forEach((field) => {
+      if (peptideData[field] !== undefined) {
+        columns[field] = JSON.stringify(peptideData[field]);
+      }
+    });
+
+    if (peptideData.isActive !== undefined) {
+      columns.isActive = peptideData.isActive ? 1 : 0;
+    }
+
+    return columns;
+  }
+
+  // Insert the seed catalog into a new database. A peptide's priority within
+  // a goal follows its position in the seed list.
+  async seedCatalog() {
+    await database.seedOnce('catalog', 'peptides', async () => {
+      const goalPositions = {};
+
+      for (const entry of catalogSeed) {
+        const goalLinks = entry.goals.map((goal) => {
+          goalPositions[goal] = (goalPositions[goal] || 0) + 1;
+          return { goal, priority: goalPositions[goal] };
+        });
+
+        const peptideId = await new Promise((resolve, reject) => {
+          const columns = { slug: this.slugify(entry.name), ...this.toColumns(entry) };
+          const names = Object.keys(columns);
+          const query = `
+            INSERT INTO peptides (${names.join(', ')}, createdAt, updatedAt)
+            VALUES (${names.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+          `;
+
+          this.db.run(query, Object.values(columns), function(err) {
+            if (err) {
+              logger.error('Error seeding peptide:', err);
+              reject(new Error('Failed to seed peptide catalog'));
+            } else {
+              resolve(this.lastID);
+            }
+          });
+        });
+
+        await this.setPeptideGoals(peptideId, goalLinks);
+      }
+
+      logger.info('Peptide catalog seeded:', { inserted: catalogSeed.length });
+    });
+  }
+
+  // List catalog peptides, optionally filtered by goal
+  async listPeptides({ goal = null, includeInactive = false } = {}) {
+    const rows = await new Promise((resolve, reject) => {
+      const conditions = [];
+      const values = [];
+
+      if (!includeInactive) {
+        conditions.push('p.isActive = 1');
+      }
+
+      if (goal) {
+        conditions.push('p.id IN (SELECT peptideId FROM peptide_goals WHERE goal = ?)');
+        values.push(goal);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const query = `SELECT p.* FROM peptides p ${where} ORDER BY p.name`;
+
+      this.db.all(query, values, (err, result) => {
+        if (err) {
+          logger.error('Error listing peptides:', err);
+          reject(new Error('Failed to fetch peptides'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    const goalRows = await this.getGoalRows(rows.map(row => row.id));
+    return rows.map(row => this.formatPeptide(row, goalRows));
+  }
+
+  // Get a single peptide by ID
+  async getPeptideById(id) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM peptides WHERE id = ?', [id], (err, result) => {
+        if (err) {
+          logger.error('Error fetching peptide by ID:', err);
+          reject(new Error('Database error'));
+        } else {
+          resolve(result || null);
+        }
+      });
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    const goalRows = await this.getGoalRows([row.id]);
+    return this.formatPeptide(row, goalRows);
+  }
+
+  // Get a single peptide by slug
+  async getPeptideBySlug(slug) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM peptides WHERE slug = ?', [slug], (err, result) => {
+        if (err) {
+          logger.error('Error fetching peptide by slug:', err);
+          reject(new Error('Database error'));
+        } else {
+          resolve(result || null);
+        }
+      });
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    const goalRows = await this.getGoalRows([row.id]);
+    return this.formatPeptide(row, goalRows);
+  }
+
+  // Look up peptides (active or retired) by name or slug. Names are compared
+  // as slugs, so case and punctuation differences are ignored, and match a
+  // peptide's current name as well as the slug it was created with. Returns
+  // { id, slug, name } rows; names with no match are omitted.
+  async findPeptidesByNames(names) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all('SELECT id, slug, name FROM peptides', [], (err, result) => {
+        if (err) {
+          logger.error('Error finding peptides by name:', err);
+          reject(new Error('Database error'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    return rows.filter(row => names.some(name => this.matchesName(row, name)));
+  }
+
+  // Whether a name or slug refers to a peptide ({ slug, name })
+  matchesName(peptide, name) {
+    const slug = this.slugify(name);
+    return peptide.slug === slug || this.slugify(peptide.name) === slug;
+  }
+
+  // Get the active peptides for a goal in suggestion priority order
+  async getPeptidesForGoal(goal) {
+    const rows = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT p.*
+        FROM peptides p
+        JOIN peptide_goals pg ON pg.peptideId = p.id
+        WHERE pg.goal = ? AND p.isActive = 1
+        ORDER BY pg.priority, p.name
+      `;
+
+      this.db.all(query, [goal], (err, result) => {
+        if (err) {
+          logger.error('Error fetching peptides for goal:', err);
+          reject(new Error('Failed to fetch peptides'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    const goalRows = await this.getGoalRows(rows.map(row => row.id));
+    return rows.map(row => this.formatPeptide(row, goalRows));
+  }
+
+  // Get peptide_goals rows for a set of peptide IDs
+  async getGoalRows(peptideIds) {
+    if (peptideIds.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const placeholders = peptideIds.map(() => '?').join(', ');
+      const query = `
+        SELECT peptideId, goal, priority
+        FROM peptide_goals
+        WHERE peptideId IN (${placeholders})
+        ORDER BY priority, goal
+      `;
+
+      this.db.all(query, peptideIds, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching peptide goals:', err);
+          reject(new Error('Failed to fetch peptide goals'));
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Replace the goal links for a peptide. Goals are given in priority order,
+  // either as plain goal names or as { goal, priority } objects.
+  async setPeptideGoals(peptideId, goals = []) {
+    const links = goals.map((entry, index) => (
+      typeof entry === 'string'
+        ? { goal: entry, priority: index + 1 }
+        : { goal: entry.goal, priority: entry.priority ?? index + 1 }
+    ));
+
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('DELETE FROM peptide_goals WHERE peptideId = ?', [peptideId], (err) => {
+          if (err) {
+            logger.error('Error clearing peptide goals:', err);
+            reject(new Error('Failed to update peptide goals'));
+          }
+        });
+
+        if (links.length === 0) {
+          resolve();
+          return;
+        }
+
+        const placeholders = links.map(() => '(?, ?, ?)').join(', ');
+        const values = links.flatMap(link => [peptideId, link.goal, link.priority]);
+
+        this.db.run(`INSERT INTO peptide_goals (peptideId, goal, priority) VALUES ${placeholders}`, values, (err) => {
+          if (err) {
+            logger.error('Error saving peptide goals:', err);
+            reject(new Error('Failed to update peptide goals'));
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
+  // Create a catalog peptide
+  async createPeptide(peptideData) {
+    const { name, goals = [] } = peptideData;
+    const columns = { slug: this.slugify(name), ...this.toColumns({ isActive: true, ...peptideData }) };
+    const names = Object.keys(columns);
+
+    const peptideId = await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO peptides (${names.join(', ')}, createdAt, updatedAt)
+        VALUES (${names.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+      `;
+
+      this.db.run(query, Object.values(columns), function(err) {
+        if (err) {
+          if (err.code === 'SQLITE_CONSTRAINT') {
+            reject(new Error('Peptide with this name already exists'));
+          } else {
+            logger.error('Error creating peptide:', err);
+            reject(new Error('Failed to create peptide'));
+          }
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+
+    await this.setPeptideGoals(peptideId, goals);
+
+    logger.info('Peptide created successfully:', { peptideId, name });
+    return this.getPeptideById(peptideId);
+  }
+
+  // Update a catalog peptide. Only provided fields are changed.
+  async updatePeptide(id, updateData) {
+    const existing = await this.getPeptideById(id);
+    if (!existing) {
+      throw new Error('Peptide not found');
+    }
+
+    const columns = this.toColumns(updateData);
+    const updateFields = Object.keys(columns).map(column => `${column} = ?`);
+    const values = Object.values(columns);
+
+    if (updateFields.length > 0) {
+      updateFields.push('updatedAt = datetime(\'now\')');
+      values.push(id);
+
+      await new Promise((resolve, reject) => {
+        const query = `UPDATE peptides SET ${updateFields.join(', ')} WHERE id = ?`;
+
+        this.db.run(query, values, (err) => {
+          if (err) {
+            if (err.code === 'SQLITE_CONSTRAINT') {
+              reject(new Error('Peptide with this name already exists'));
+            } else {
+              logger.error('Error updating peptide:', err);
+              reject(new Error('Failed to update peptide'));
+            }
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+
+    if (updateData.goals !== undefined) {
+      await this.setPeptideGoals(id, updateData.goals);
+    }
+
+    logger.info('Peptide updated successfully:', { peptideId: id });
+    return this.getPeptideById(id);
+  }
+
+  // Retire a catalog peptide. Rows are kept so saved history still resolves.
+  async deletePeptide(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE peptides SET isActive = 0, updatedAt = datetime(\'now\') WHERE id = ? AND isActive = 1';
+
+      this.db.run(query, [id], function(err) {
+        if (err) {
+          logger.error('Error deleting peptide:', err);
+          reject(new Error('Failed to delete peptide'));
+        } else if (this.changes === 0) {
+          reject(new Error('Peptide not found'));
+        } else {
+          logger.info('Peptide deactivated successfully:', { peptideId: id });
+          resolve({ message: 'Peptide deleted successfully' });
+        }
+      });
+    });
+  }
+}
+
+module.exports = new CatalogService();
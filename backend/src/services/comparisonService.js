@@ -0,0 +1,104 @@
+const logger = require('../utils/logger');
+const catalogService = require('./catalogService');
+const evidenceService = require('./evidenceService');
+const interactionService = require('./interactionService');
+const { getGoalLabel } = require('../config/goals');
+const { getRouteLabel } = require('../config/administration');
+
+class ComparisonService {
+  // Resolve an identifier to an active catalog peptide: numeric values are
+  // IDs, anything else is matched as a slug or peptide name
+  async resolvePeptide(identifier) {
+    let peptide = null;
+    if (/^\d+$/.test(identifier)) {
+      peptide = await catalogService.getPeptideById(parseInt(identifier));
+    } else {
+      const [match] = await catalogService.findPeptidesByNames([identifier]);
+      peptide = match ? await catalogService.getPeptideById(match.id) : null;
+    }
+
+    return peptide && peptide.isActive ? peptide : null;
+  }
+
+  /**
+   * Compare catalog peptides side by side
+   * @param {string[]} identifiers - Peptide IDs, slugs or names, in column order
+   * @returns {Promise<Object>} { peptides, rows: [{ key, label, values }], sharedGoals, interactions }.
+   *   Each row has one value per peptide, in the same order as `peptides`.
+   */
+  async compare(identifiers) {
+    const resolved = await Promise.all(identifiers.map(identifier => this.resolvePeptide(identifier)));
+
+    const missing = identifiers.filter((identifier, index) => !resolved[index]);
+    if (missing.length > 0) {
+      throw new Error(`Peptides not found: ${missing.join(', ')}`);
+    }
+
+    // The same peptide can be named twice, by ID and by slug
+    const peptides = resolved.filter((peptide, index) => (
+      resolved.findIndex(other => other.id === peptide.id) === index
+    ));
+    if (peptides.length < 2) {
+      throw new Error('At least two different peptides are required');
+    }
+
+    const evidence = await evidenceService.getEvidenceSummaries(peptides.map(peptide => peptide.id));
+    const { interactions } = await interactionService.checkInteractions({
+      peptides: peptides.map(peptide => peptide.slug)
+    });
+
+    const goalSets = peptides.map(peptide => peptide.goals.map(({ goal }) => goal));
+    const sharedGoals = goalSets[0].filter(goal => goalSets.every(goals => goals.includes(goal)));
+
+    logger.info('Peptides compared:', {
+      peptides: peptides.map(peptide => peptide.slug),
+      interactions: interactions.length
+    });
+
+    return {
+      peptides: peptides.map(peptide => ({ id: peptide.id, slug: peptide.slug, name: peptide.name })),
+      rows: [
+        {
+          key: 'goals',
+          label: 'Goals served',
+          values: peptides.map(peptide => peptide.goals.map(({ goal }) => ({ goal, label: getGoalLabel(goal) })))
+        },
+        {
+          key: 'evidence',
+          label: 'Evidence grade',
+          values: peptides.map(peptide => evidence.get(peptide.id))
+        },
+        {
+          key: 'dosing',
+          label: 'Typical dosing',
+          values: peptides.map(peptide => ({
+            dosage: peptide.dosage,
+            doseRange: peptide.doseRange,
+            timing: peptide.timing
+          }))
+        },
+        {
+          key: 'halfLife',
+          label: 'Half-life',
+          values: peptides.map(peptide => peptide.halfLife)
+        },
+        {
+          key: 'route',
+          label: 'Administration route',
+          values: peptides.map(peptide => (
+            peptide.route ? { value: peptide.route, label: getRouteLabel(peptide.route) } : null
+          ))
+        },
+        {
+          key: 'contraindications',
+          label: 'Contraindications',
+          values: peptides.map(peptide => peptide.contraindications)
+        }
+      ],
+      sharedGoals: sharedGoals.map(goal => ({ goal, label: getGoalLabel(goal) })),
+      interactions
+    };
+  }
+}
+
+module.exports = new ComparisonService();
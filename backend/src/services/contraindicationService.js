@@ -0,0 +1,86 @@
+const { medicationMatches, getConditionLabel } = require('../config/medical');
+const logger = require('../utils/logger');
+
+class ContraindicationService {
+  // Describe what in the intake triggered a contraindication, or null if nothing did
+  findTrigger(contraindication, healthIntake) {
+    const { type, value } = contraindication;
+
+    switch (type) {
+      case 'condition':
+        return healthIntake.conditions.includes(value) ? getConditionLabel(value) : null;
+      case 'medication': {
+        const medication = healthIntake.medications.find(entry => medicationMatches(entry, value));
+        return medication || null;
+      }
+      case 'pregnancy':
+        return healthIntake.pregnant ? 'Pregnancy' : null;
+      case 'breastfeeding':
+        return healthIntake.breastfeeding ? 'Breastfeeding' : null;
+      default:
+        return null;
+    }
+  }
+
+  // Contraindications of a peptide that apply to this intake
+  evaluatePeptide(peptide, healthIntake) {
+    return peptide.contraindications
+      .map((contraindication) => {
+        const trigger = this.findTrigger(contraindication, healthIntake);
+        if (!trigger) {
+          return null;
+        }
+
+        return {
+          type: contraindication.type,
+          severity: contraindication.severity,
+          trigger,
+          reason: contraindication.reason
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Screen catalog candidates against a health intake
+   * @param {Array} candidates - Catalog peptides in priority order
+   * @param {Object|null} healthIntake - Validated intake, or null when none was given
+   * @returns {Object} { allowed, excluded: [{ name, reasons }], cautions: Map<name, reasons> }
+   */
+  screenCandidates(candidates, healthIntake) {
+    const result = { allowed: [], excluded: [], cautions: new Map() };
+
+    if (!healthIntake) {
+      result.allowed = candidates;
+      return result;
+    }
+
+    candidates.forEach((peptide) => {
+      const matches = this.evaluatePeptide(peptide, healthIntake);
+
+      if (matches.some(match => match.severity === 'absolute')) {
+        result.excluded.push({
+          name: peptide.name,
+          reasons: matches.filter(match => match.severity === 'absolute')
+        });
+        return;
+      }
+
+      if (matches.length > 0) {
+        result.cautions.set(peptide.name, matches);
+      }
+      result.allowed.push(peptide);
+    });
+
+    if (result.excluded.length > 0 || result.cautions.size > 0) {
+      logger.info('Contraindications applied:', {
+        excluded: result.excluded.map(entry => entry.name),
+        cautioned: [...result.cautions.keys()]
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ContraindicationService();
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const userService = require('./userService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+// Hours an email verification link stays valid
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class EmailVerificationService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.deleteExpiredTokens();
+  }
+
+  async deleteExpiredTokens() {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM email_verification_tokens WHERE expiresAt <= datetime(\'now\')', [], (err) => {
+        if (err) {
+          logger.error('Error deleting expired email verification tokens:', err);
+          reject(new Error('Failed to initialize email verification'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Email a verification link for one of the user's addresses: their own
+   * email after registering, or their pendingEmail after asking to change it
+   * @param {Object} user - { id, email, firstName }
+   * @param {string} [email] - Address to confirm, the user's email by default
+   */
+  async sendVerification(user, email = user.email) {
+    const token = await this.createToken(user.id, email);
+    const isChange = email !== user.email;
+
+    await mailService.send({
+      to: email,
+      subject: isChange ? 'Confirm your new email address' : 'Verify your email address',
+      text: [
+        `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+        '',
+        isChange
+          ? `Open this link to start using ${email} for your Peptide Suggestions account. Until then your account keeps using ${user.email}.`
+          : 'Open this link to verify the email address of your new Peptide Suggestions account.',
+        `It expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours:`,
+        '',
+        mailService.frontendLink({ verifyToken: token }),
+        '',
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\n')
+    });
+
+    logger.info('Email verification link sent:', { userId: user.id, isChange });
+  }
+
+  /**
+   * Create a verification token for an address. Links sent earlier stop working.
+   * @param {number} userId
+   * @param {string} email
+   * @returns {Promise<string>} The token; only its hash is stored
+   */
+  async createToken(userId, email) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM email_verification_tokens WHERE userId = ? AND usedAt IS NULL', [userId], (err) => {
+        if (err) {
+          logger.error('Error replacing email verification tokens:', err);
+          reject(new Error('Failed to create email verification token'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO email_verification_tokens (userId, email, tokenHash, createdAt, expiresAt)
+        VALUES (?, ?, ?, datetime('now'), datetime('now', ?))
+      `;
+
+      this.db.run(query, [userId, email, hashToken(token), `+${VERIFICATION_TOKEN_TTL_HOURS} hours`], (err) => {
+        if (err) {
+          logger.error('Error creating email verification token:', err);
+          reject(new Error('Failed to create email verification token'));
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  /**
+   * Use up a verification token
+   * @param {string} token
+   * @returns {Promise<Object|null>} { userId, email }, or null if the token is unknown, used or expired
+   */
+  async consumeToken(token) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE email_verification_tokens SET usedAt = datetime('now')
+        WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > datetime('now')
+        RETURNING userId, email
+      `;
+
+      this.db.get(query, [hashToken(token)], (err, row) => {
+        if (err) {
+          logger.error('Error using email verification token:', err);
+          reject(new Error('Failed to check email verification token'));
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Confirm the address a verification token was sent to
+   * @param {string} token
+   * @returns {Promise<Object>} The updated user
+   * @throws {Error} 'Invalid verification token' or 'Email is already taken'
+   */
+  async verify(token) {
+    const claim = await this.consumeToken(token);
+    const user = claim ? await userService.confirmEmail(claim.userId, claim.email) : null;
+
+    if (!user) {
+      throw new Error('Invalid verification token');
+    }
+
+    return user;
+  }
+}
+
+module.exports = new EmailVerificationService();
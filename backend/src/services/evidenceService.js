@@ -0,0 +1,151 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { GRADE_VALUES, getGradeLabel } = require('../config/evidence');
+
+class EvidenceService {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = database.getDatabase();
+  }
+
+  // Convert a peptide_evidence row into the API shape
+  formatEvidence(row) {
+    return {
+      id: row.id,
+      peptideId: row.peptideId,
+      title: row.title,
+      year: row.year,
+      studyType: row.studyType,
+      grade: row.grade,
+      reference: row.reference,
+      summary: row.summary || null,
+      createdAt: row.createdAt
+    };
+  }
+
+  /**
+   * Overall evidence grade for a set of entries: the strongest grade among them
+   * @param {Array} entries - Evidence entries (only `grade` and `studyType` are read)
+   * @returns {Object} { grade, label, studyCount, studyTypes }, grade null when there are no entries
+   */
+  summarize(entries) {
+    const grades = entries.map(entry => GRADE_VALUES.indexOf(entry.grade)).filter(index => index >= 0);
+    const grade = grades.length > 0 ? GRADE_VALUES[Math.min(...grades)] : null;
+
+    const studyTypes = {};
+    entries.forEach((entry) => {
+      studyTypes[entry.studyType] = (studyTypes[entry.studyType] || 0) + 1;
+    });
+
+    return {
+      grade,
+      label: getGradeLabel(grade),
+      studyCount: entries.length,
+      studyTypes
+    };
+  }
+
+  // Evidence entries for a peptide, strongest grade and most recent first
+  async getEvidenceForPeptide(peptideId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM peptide_evidence
+        WHERE peptideId = ?
+        ORDER BY grade ASC, year DESC, id ASC
+      `;
+
+      this.db.all(query, [peptideId], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching peptide evidence:', err);
+          reject(new Error('Failed to fetch evidence'));
+        } else {
+          resolve(rows.map(row => this.formatEvidence(row)));
+        }
+      });
+    });
+  }
+
+  // Overall evidence summaries for several peptides, keyed by peptide ID.
+  // Peptides without entries get an ungraded summary.
+  async getEvidenceSummaries(peptideIds) {
+    const summaries = new Map(peptideIds.map(id => [id, this.summarize([])]));
+    if (peptideIds.length === 0) {
+      return summaries;
+    }
+
+    const placeholders = peptideIds.map(() => '?').join(', ');
+    const rows = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT peptideId, grade, studyType FROM peptide_evidence
+        WHERE peptideId IN (${placeholders})
+      `;
+
+      this.db.all(query, peptideIds, (err, result) => {
+        if (err) {
+          logger.error('Error summarizing peptide evidence:', err);
+          reject(new Error('Failed to fetch evidence'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    peptideIds.forEach((id) => {
+      summaries.set(id, this.summarize(rows.filter(row => row.peptideId === id)));
+    });
+
+    return summaries;
+  }
+
+  // Add an evidence entry to a peptide
+  async addEvidence(peptideId, evidenceData) {
+    const evidenceId = await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO peptide_evidence
+          (peptideId, title, year, studyType, grade, reference, summary, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `;
+
+      this.db.run(query, [
+        peptideId,
+        evidenceData.title,
+        evidenceData.year,
+        evidenceData.studyType,
+        evidenceData.grade,
+        evidenceData.reference,
+        evidenceData.summary || null
+      ], function(err) {
+        if (err) {
+          logger.error('Error adding peptide evidence:', err);
+          reject(new Error('Failed to add evidence'));
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+
+    logger.info('Peptide evidence added:', { peptideId, evidenceId, grade: evidenceData.grade });
+
+    const entries = await this.getEvidenceForPeptide(peptideId);
+    return entries.find(entry => entry.id === evidenceId);
+  }
+
+  // Delete an evidence entry, resolving false if the peptide has no such entry
+  async deleteEvidence(peptideId, evidenceId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM peptide_evidence WHERE id = ? AND peptideId = ?', [evidenceId, peptideId], function(err) {
+        if (err) {
+          logger.error('Error deleting peptide evidence:', err);
+          reject(new Error('Failed to delete evidence'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+}
+
+module.exports = new EvidenceService();
@@ -0,0 +1,156 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+class FeedbackService {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = database.getDatabase();
+  }
+
+  // Convert a suggestion_feedback row into the API shape
+  formatFeedback(row) {
+    return {
+      id: row.id,
+      suggestionId: row.suggestionId,
+      peptideName: row.peptideName,
+      rating: row.rating,
+      triedIt: row.triedIt === 1,
+      notes: row.notes,
+      sideEffects: JSON.parse(row.sideEffects || '[]'),
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  /**
+   * Record feedback for one peptide in a saved suggestion. Submitting again
+   * for the same peptide replaces the earlier feedback.
+   * @param {number} userId - Owner of the suggestion
+   * @param {Object} suggestion - Saved suggestion from userService.getUserSuggestionById
+   * @param {Object} feedback - { peptideName, rating, triedIt, notes, sideEffects }
+   * @returns {Promise<Object>} Saved feedback
+   */
+  async saveFeedback(userId, suggestion, feedback) {
+    const peptide = suggestion.suggestions.find(item => (
+      item.name.toLowerCase() === feedback.peptideName.toLowerCase()
+    ));
+    if (!peptide) {
+      throw new Error('Peptide not found in this suggestion');
+    }
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO suggestion_feedback
+          (suggestionId, userId, peptideName, rating, triedIt, notes, sideEffects, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        ON CONFLICT (suggestionId, peptideName) DO UPDATE SET
+          rating = excluded.rating,
+          triedIt = excluded.triedIt,
+          notes = excluded.notes,
+          sideEffects = excluded.sideEffects,
+          updatedAt = datetime('now')
+      `;
+
+      this.db.run(query, [
+        suggestion.id,
+        userId,
+        peptide.name,
+        feedback.rating,
+        feedback.triedIt ? 1 : 0,
+        feedback.notes || null,
+        JSON.stringify(feedback.sideEffects || [])
+      ], (err) => {
+        if (err) {
+          logger.error('Error saving suggestion feedback:', err);
+          reject(new Error('Failed to save feedback'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Suggestion feedback saved:', {
+      userId,
+      suggestionId: suggestion.id,
+      peptideName: peptide.name,
+      rating: feedback.rating
+    });
+
+    const saved = await this.getFeedback(userId, suggestion.id);
+    return saved.find(item => item.peptideName === peptide.name);
+  }
+
+  // All feedback a user has given on one saved suggestion
+  async getFeedback(userId, suggestionId) {
+    const feedbackBySuggestion = await this.getFeedbackForSuggestions(userId, [suggestionId]);
+    return feedbackBySuggestion[suggestionId] || [];
+  }
+
+  // A user's feedback across all their suggestions, summarized per peptide
+  async getPeptideFeedbackSummary(userId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          peptideName,
+          COUNT(*) as ratingsCount,
+          AVG(rating) as averageRating,
+          MAX(triedIt) as triedIt,
+          MAX(updatedAt) as lastRatedAt
+        FROM suggestion_feedback
+        WHERE userId = ?
+        GROUP BY peptideName
+      `;
+
+      this.db.all(query, [userId], (err, rows) => {
+        if (err) {
+          logger.error('Error summarizing peptide feedback:', err);
+          reject(new Error('Failed to fetch feedback'));
+        } else {
+          resolve(rows.map(row => ({
+            peptideName: row.peptideName,
+            ratingsCount: row.ratingsCount,
+            averageRating: Math.round(row.averageRating * 10) / 10,
+            triedIt: row.triedIt === 1,
+            lastRatedAt: row.lastRatedAt
+          })));
+        }
+      });
+    });
+  }
+
+  // Feedback for several saved suggestions, keyed by suggestion ID
+  async getFeedbackForSuggestions(userId, suggestionIds) {
+    if (suggestionIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = suggestionIds.map(() => '?').join(', ');
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM suggestion_feedback
+        WHERE userId = ? AND suggestionId IN (${placeholders})
+        ORDER BY peptideName
+      `;
+
+      this.db.all(query, [userId, ...suggestionIds], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching suggestion feedback:', err);
+          reject(new Error('Failed to fetch feedback'));
+        } else {
+          const grouped = {};
+          rows.forEach((row) => {
+            grouped[row.suggestionId] = grouped[row.suggestionId] || [];
+            grouped[row.suggestionId].push(this.formatFeedback(row));
+          });
+          resolve(grouped);
+        }
+      });
+    });
+  }
+}
+
+module.exports = new FeedbackService();
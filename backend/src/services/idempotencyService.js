@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const AuthMiddleware = require('../middleware/auth');
+
+// How long a stored response is replayed for
+const KEY_TTL_HOURS = 24;
+const REQUEST_HASH_SECRET = AuthMiddleware.deriveSecret('idempotency');
+
+// JSON with object keys sorted, so bodies that differ only in key order match
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+class IdempotencyService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.deleteExpired();
+  }
+
+  async deleteExpired() {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM idempotency_keys WHERE expiresAt <= datetime(\'now\')', [], (err) => {
+        if (err) {
+          logger.error('Error deleting expired idempotency keys:', err);
+          reject(new Error('Failed to clean up idempotency keys'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Fingerprint of a request body: an HMAC under a server secret, because
+  // bodies can contain passwords and a plain hash stored next to its key could
+  // be cracked offline from a database dump
+  hashRequest(key, body) {
+    return crypto.createHmac('sha256', REQUEST_HASH_SECRET)
+      .update(`${key}\n${canonicalJson(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Reserve a key for a request about to be processed
+   * @param {Object} claim - { scope, owner, key }
+   * @param {string} requestHash - From hashRequest
+   * @returns {Promise<Object|null>} null when the key was reserved, otherwise
+   *   the existing record { requestHash, status, responseStatus, responseBody }
+   */
+  async claim({ scope, owner, key }, requestHash) {
+    await this.deleteExpired();
+
+    const reserved = await new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO idempotency_keys
+          (scope, owner, idempotencyKey, requestHash, status, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, 'processing', datetime('now'), datetime('now', ?))
+      `;
+
+      this.db.run(query, [scope, owner, key, requestHash, `+${KEY_TTL_HOURS} hours`], function(err) {
+        if (err) {
+          logger.error('Error reserving idempotency key:', err);
+          reject(new Error('Failed to reserve idempotency key'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    if (reserved) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT requestHash, status, responseStatus, responseBody FROM idempotency_keys
+        WHERE scope = ? AND owner = ? AND idempotencyKey = ?
+      `;
+
+      this.db.get(query, [scope, owner, key], (err, row) => {
+        if (err) {
+          logger.error('Error fetching idempotency key:', err);
+          reject(new Error('Failed to fetch idempotency key'));
+        } else {
+          resolve({
+            requestHash: row.requestHash,
+            status: row.status,
+            responseStatus: row.responseStatus,
+            responseBody: row.responseBody ? JSON.parse(row.responseBody) : null
+          });
+        }
+      });
+    });
+  }
+
+  // Store the response for a reserved key so retries replay it
+  async complete({ scope, owner, key }, responseStatus, responseBody) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE idempotency_keys
+        SET status = 'completed', responseStatus = ?, responseBody = ?
+        WHERE scope = ? AND owner = ? AND idempotencyKey = ?
+      `;
+
+      this.db.run(query, [responseStatus, JSON.stringify(responseBody), scope, owner, key], (err) => {
+        if (err) {
+          logger.error('Error storing idempotent response:', err);
+          reject(new Error('Failed to store idempotent response'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Free a reserved key without storing a response, so a retry runs again
+  async release({ scope, owner, key }) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM idempotency_keys WHERE scope = ? AND owner = ? AND idempotencyKey = ? AND status = \'processing\'';
+
+      this.db.run(query, [scope, owner, key], (err) => {
+        if (err) {
+          logger.error('Error releasing idempotency key:', err);
+          reject(new Error('Failed to release idempotency key'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,170 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const catalogService = require('./catalogService');
+const interactionSeed = require('../config/interactionSeed');
+const { INTERACTION_SEVERITIES, medicationMatches } = require('../config/medical');
+
+class InteractionService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.seedInteractions();
+  }
+
+  // Insert any seed interactions not already in the table
+  async seedInteractions() {
+    let inserted = 0;
+
+    for (const entry of interactionSeed) {
+      const interactsWithType = entry.peptideWith ? 'peptide' : 'medication';
+      const interactsWith = entry.peptideWith
+        ? catalogService.slugify(entry.peptideWith)
+        : entry.medication.toLowerCase();
+
+      const changes = await new Promise((resolve, reject) => {
+        const query = `
+          INSERT OR IGNORE INTO peptide_interactions
+            (peptideSlug, interactsWithType, interactsWith, severity, rationale, createdAt)
+          VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `;
+
+        this.db.run(query, [
+          catalogService.slugify(entry.peptide),
+          interactsWithType,
+          interactsWith,
+          entry.severity,
+          entry.rationale
+        ], function(err) {
+          if (err) {
+            logger.error('Error seeding interaction:', err);
+            reject(new Error('Failed to seed interactions'));
+          } else {
+            resolve(this.changes);
+          }
+        });
+      });
+
+      inserted += changes;
+    }
+
+    if (inserted > 0) {
+      logger.info('Interaction knowledge seeded:', { inserted });
+    }
+  }
+
+  // Interaction rows that involve any of the given peptide slugs
+  async getInteractionRows(slugs) {
+    const placeholders = slugs.map(() => '?').join(', ');
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT peptideSlug, interactsWithType, interactsWith, severity, rationale
+        FROM peptide_interactions
+        WHERE peptideSlug IN (${placeholders})
+          OR (interactsWithType = 'peptide' AND interactsWith IN (${placeholders}))
+      `;
+
+      this.db.all(query, [...slugs, ...slugs], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching interactions:', err);
+          reject(new Error('Failed to check interactions'));
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check peptides and medications for pairwise interactions
+   * @param {Object} input - Items to check
+   * @param {string[]} input.peptides - Peptide names or slugs
+   * @param {string[]} [input.medications] - Medication names as entered by the user
+   * @returns {Promise<Object>} { interactions, unknownPeptides }, most severe interactions first
+   */
+  async checkInteractions({ peptides, medications = [] }) {
+    const found = await catalogService.findPeptidesByNames(peptides);
+    const peptidesBySlug = new Map(found.map(peptide => [peptide.slug, peptide]));
+    const unknownPeptides = peptides.filter(name => (
+      !found.some(peptide => catalogService.matchesName(peptide, name))
+    ));
+
+    if (peptidesBySlug.size === 0) {
+      return { interactions: [], unknownPeptides };
+    }
+
+    const rows = await this.getInteractionRows([...peptidesBySlug.keys()]);
+    const interactions = [];
+
+    rows.forEach((row) => {
+      const peptide = peptidesBySlug.get(row.peptideSlug);
+
+      if (row.interactsWithType === 'peptide') {
+        const other = peptidesBySlug.get(row.interactsWith);
+        if (peptide && other && peptide.slug !== other.slug) {
+          interactions.push({
+            type: 'peptide',
+            between: [peptide.name, other.name],
+            severity: row.severity,
+            rationale: row.rationale
+          });
+        }
+        return;
+      }
+
+      if (!peptide) {
+        return;
+      }
+
+      medications
+        .filter(medication => medicationMatches(medication, row.interactsWith))
+        .forEach((medication) => {
+          interactions.push({
+            type: 'medication',
+            between: [peptide.name, medication],
+            severity: row.severity,
+            rationale: row.rationale
+          });
+        });
+    });
+
+    interactions.sort((a, b) => (
+      INTERACTION_SEVERITIES.indexOf(b.severity) - INTERACTION_SEVERITIES.indexOf(a.severity)
+    ));
+
+    return { interactions, unknownPeptides };
+  }
+
+  /**
+   * Check new suggestions against each other, the peptides in the user's
+   * recent history and the user's medications
+   * @param {Array} suggestions - Newly generated suggestions
+   * @param {Array} userHistory - Recent history entries from userService.getUserSuggestions
+   * @param {string[]} [medications] - Medications from the health intake
+   * @returns {Promise<Object>} { checkedAgainst: { historyPeptides, medications }, results }
+   */
+  async checkSuggestions(suggestions, userHistory, medications = []) {
+    const suggestedNames = suggestions.map(suggestion => suggestion.name);
+    const historyPeptides = [...new Set(
+      userHistory.flatMap(entry => entry.suggestions.map(suggestion => suggestion.name))
+    )].filter(name => !suggestedNames.includes(name));
+
+    const { interactions } = await this.checkInteractions({
+      peptides: [...suggestedNames, ...historyPeptides],
+      medications
+    });
+
+    return {
+      checkedAgainst: { historyPeptides, medications },
+      // Only report interactions that involve something newly suggested
+      results: interactions.filter(interaction => (
+        interaction.between.some(name => suggestedNames.includes(name))
+      ))
+    };
+  }
+}
+
+module.exports = new InteractionService();
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+/**
+ * Sends account emails. MAIL_TRANSPORT picks how:
+ * - smtp: delivered through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD
+ * - file: written as JSON to MAIL_FILE_DIR (default logs/mail), for tests
+ * - console: written to the log
+ * When unset, production uses smtp and everything else console.
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.transportName = null;
+    this.from = null;
+    this.fileDir = null;
+  }
+
+  async initialize() {
+    const requested = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!TRANSPORTS.includes(requested)) {
+      throw new Error(`Unknown mail transport: ${requested}`);
+    }
+
+    this.transportName = requested;
+    this.from = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+
+    if (requested === 'smtp') {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+
+      // A bad SMTP setup should not stop the API, only email delivery
+      try {
+        await this.transport.verify();
+      } catch (error) {
+        logger.warn('SMTP server could not be verified, emails may not be delivered', {
+          host: process.env.SMTP_HOST,
+          error: error.message
+        });
+      }
+    } else {
+      this.transport = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (requested === 'file') {
+      this.fileDir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+      fs.mkdirSync(this.fileDir, { recursive: true });
+    }
+
+    logger.info('Mail transport configured', { transport: requested });
+  }
+
+  /**
+   * Link into the frontend for an email, e.g. { resetToken } gives FRONTEND_URL?resetToken=...
+   * @param {Object} params - Query parameters
+   * @returns {string}
+   */
+  frontendLink(params) {
+    const url = new URL(process.env.FRONTEND_URL || 'http://localhost:3000');
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @returns {Promise<string>} Message ID
+   */
+  async send({ to, subject, text }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text });
+
+    if (this.transportName === 'file') {
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(this.fileDir, fileName), info.message);
+    } else if (this.transportName === 'console') {
+      logger.info('Email (console transport):', { to, subject, text });
+    }
+
+    logger.info('Email sent', { subject, transport: this.transportName });
+    return info.messageId;
+  }
+}
+
+module.exports = new MailService();
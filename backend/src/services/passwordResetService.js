@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const userService = require('./userService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+// Minutes a password reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.deleteExpiredTokens();
+  }
+
+  async deleteExpiredTokens() {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM password_reset_tokens WHERE expiresAt <= datetime(\'now\')', [], (err) => {
+        if (err) {
+          logger.error('Error deleting expired password reset tokens:', err);
+          reject(new Error('Failed to initialize password resets'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Email a reset link to the account with this email, if there is one.
+   * Callers must respond the same way either way so the response does not
+   * reveal which emails have accounts.
+   * @param {string} email
+   * @returns {Promise<boolean>} Whether a link was sent
+   */
+  async requestReset(email) {
+    const user = await userService.getUserByEmail(email);
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return false;
+    }
+
+    const token = await this.createToken(user.id);
+
+    await mailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+        '',
+        'We received a request to reset the password for your Peptide Suggestions account.',
+        `Open this link to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and works once:`,
+        '',
+        mailService.frontendLink({ resetToken: token }),
+        '',
+        'If you did not ask for this, you can ignore this email; your password has not changed.'
+      ].join('\n')
+    });
+
+    logger.info('Password reset link sent:', { userId: user.id });
+    return true;
+  }
+
+  /**
+   * Create a reset token for a user. Links sent earlier stop working.
+   * @param {number} userId
+   * @returns {Promise<string>} The token; only its hash is stored
+   */
+  async createToken(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM password_reset_tokens WHERE userId = ? AND usedAt IS NULL', [userId], (err) => {
+        if (err) {
+          logger.error('Error replacing password reset tokens:', err);
+          reject(new Error('Failed to create password reset token'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO password_reset_tokens (userId, tokenHash, createdAt, expiresAt)
+        VALUES (?, ?, datetime('now'), datetime('now', ?))
+      `;
+
+      this.db.run(query, [userId, hashToken(token), `+${RESET_TOKEN_TTL_MINUTES} minutes`], (err) => {
+        if (err) {
+          logger.error('Error creating password reset token:', err);
+          reject(new Error('Failed to create password reset token'));
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  /**
+   * Use up a reset token
+   * @param {string} token
+   * @returns {Promise<number|null>} The user ID, or null if the token is unknown, used or expired
+   */
+  async consumeToken(token) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE password_reset_tokens SET usedAt = datetime('now')
+        WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > datetime('now')
+        RETURNING userId
+      `;
+
+      this.db.get(query, [hashToken(token)], (err, row) => {
+        if (err) {
+          logger.error('Error using password reset token:', err);
+          reject(new Error('Failed to check password reset token'));
+        } else {
+          resolve(row ? row.userId : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Set a new password with a reset token
+   * @param {string} token
+   * @param {string} newPassword
+   * @returns {Promise<number>} The user ID
+   * @throws {Error} 'Invalid reset token'
+   */
+  async resetPassword(token, newPassword) {
+    const userId = await this.consumeToken(token);
+
+    if (!userId || !await userService.setPassword(userId, newPassword)) {
+      throw new Error('Invalid reset token');
+    }
+
+    logger.info('Password reset:', { userId });
+    return userId;
+  }
+}
+
+module.exports = new PasswordResetService();
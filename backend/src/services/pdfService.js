@@ -0,0 +1,152 @@
+const { jsPDF } = require('jspdf');
+const logger = require('../utils/logger');
+const { getGoalLabel } = require('../config/goals');
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = [37, 99, 235]; // Tailwind blue-600, matches the frontend
+const TEXT_COLOR = [31, 41, 55];
+const MUTED_COLOR = [107, 114, 128];
+const CAUTION_COLOR = [180, 83, 9]; // Tailwind amber-700
+
+class PdfService {
+  // "Grade B (Moderate), 3 studies" or "Not graded"
+  formatEvidence({ grade, label, studyCount }) {
+    if (!grade) {
+      return label;
+    }
+    const studies = studyCount !== undefined ? `, ${studyCount} ${studyCount === 1 ? 'study' : 'studies'}` : '';
+    return `Grade ${grade} (${label})${studies}`;
+  }
+
+  // "Prescription only in US; Prohibited in sport (WADA)", or null when there is nothing to report
+  formatRegulatory({ region, status, label, wadaProhibited }) {
+    const parts = [];
+    if (region && status && status !== 'not_listed') {
+      parts.push(`${label} in ${region}`);
+    }
+    if (wadaProhibited) {
+      parts.push('Prohibited in sport (WADA)');
+    }
+    return parts.length > 0 ? parts.join('; ') : null;
+  }
+
+  /**
+   * Render a suggestion report as a branded PDF
+   * @param {Object} report - Report contents
+   * @param {number} report.age - User age
+   * @param {string} report.goal - Primary health goal
+   * @param {Array} [report.goals] - Every requested goal as { goal, weight }
+   * @param {Array} report.suggestions - Suggestions with name, description, dosage, timing and optional evidence, regulatory status and cautions
+   * @param {string} report.disclaimer - Medical disclaimer text
+   * @param {string|Date} report.generatedAt - When the suggestions were generated
+   * @param {Array} [report.warnings] - Safety warnings with severity and message
+   * @returns {Buffer} PDF file contents
+   */
+  generateSuggestionReport({ age, goal, goals = null, suggestions, disclaimer, generatedAt, warnings = [] }) {
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - PAGE_MARGIN * 2;
+    let y = 0;
+
+    // Start a new page when the next block would run past the bottom margin
+    const ensureSpace = (height) => {
+      if (y + height > pageHeight - PAGE_MARGIN) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+    };
+
+    const writeLines = (text, { size = 11, style = 'normal', color = TEXT_COLOR, spacing = 4 } = {}) => {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+
+      const lines = doc.splitTextToSize(text, contentWidth);
+      const lineHeight = size * 1.3;
+      lines.forEach((line) => {
+        ensureSpace(lineHeight);
+        doc.text(line, PAGE_MARGIN, y + size);
+        y += lineHeight;
+      });
+      y += spacing;
+    };
+
+    // Branded header band
+    doc.setFillColor(...BRAND_COLOR);
+    doc.rect(0, 0, pageWidth, 80, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(22);
+    doc.setTextColor(255, 255, 255);
+    doc.text('Peptide Suggestions', PAGE_MARGIN, 48);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    doc.text('Personal Recommendation Report', PAGE_MARGIN, 66);
+    y = 110;
+
+    // Profile summary
+    writeLines('Your Profile', { size: 14, style: 'bold' });
+    writeLines(`Age: ${age}`);
+    if (goals && goals.length > 1) {
+      const goalList = goals
+        .map(item => (item.weight === 1 ? getGoalLabel(item.goal) : `${getGoalLabel(item.goal)} (weight ${item.weight})`))
+        .join(', ');
+      writeLines(`Health goals: ${goalList}`, { spacing: 16 });
+    } else {
+      writeLines(`Health goal: ${getGoalLabel(goal)}`, { spacing: 16 });
+    }
+
+    // Safety warnings
+    if (warnings.length > 0) {
+      writeLines('Safety Notes', { size: 14, style: 'bold' });
+      warnings.forEach((warning) => {
+        writeLines(`[${warning.severity.toUpperCase()}] ${warning.message}`, { size: 10, spacing: 2 });
+      });
+      y += 14;
+    }
+
+    // Suggestions
+    writeLines('Recommendations', { size: 14, style: 'bold' });
+    suggestions.forEach((suggestion, index) => {
+      ensureSpace(60);
+      writeLines(`${index + 1}. ${suggestion.name}`, { size: 12, style: 'bold', spacing: 2 });
+      writeLines(suggestion.description, { spacing: 2 });
+      if (goals && goals.length > 1 && suggestion.goals?.length) {
+        writeLines(`Covers: ${suggestion.goals.map(getGoalLabel).join(', ')}`, { size: 10, color: MUTED_COLOR, spacing: 0 });
+      }
+      writeLines(`Dosage: ${suggestion.dosage || 'Discuss with your healthcare provider'}`, { size: 10, color: MUTED_COLOR, spacing: 0 });
+      if (suggestion.evidence) {
+        writeLines(`Evidence: ${this.formatEvidence(suggestion.evidence)}`, { size: 10, color: MUTED_COLOR, spacing: 0 });
+      }
+      const regulatory = suggestion.regulatory && this.formatRegulatory(suggestion.regulatory);
+      if (regulatory) {
+        writeLines(`Regulatory: ${regulatory}`, { size: 10, color: MUTED_COLOR, spacing: 0 });
+      }
+      writeLines(`Timing: ${suggestion.timing || 'Discuss with your healthcare provider'}`, { size: 10, color: MUTED_COLOR, spacing: suggestion.cautions?.length ? 2 : 12 });
+      (suggestion.cautions || []).forEach((caution, cautionIndex) => {
+        const spacing = cautionIndex === suggestion.cautions.length - 1 ? 12 : 0;
+        writeLines(`Caution (${caution.trigger}): ${caution.reason}`, { size: 10, color: CAUTION_COLOR, spacing });
+      });
+    });
+
+    // Disclaimer and footer
+    y += 8;
+    ensureSpace(40);
+    doc.setDrawColor(...MUTED_COLOR);
+    doc.line(PAGE_MARGIN, y, pageWidth - PAGE_MARGIN, y);
+    y += 12;
+    writeLines('Disclaimer', { size: 11, style: 'bold', spacing: 2 });
+    writeLines(disclaimer, { size: 9, color: MUTED_COLOR, spacing: 10 });
+    writeLines(`Generated: ${new Date(generatedAt).toUTCString()}`, { size: 9, color: MUTED_COLOR, spacing: 0 });
+
+    logger.debug('PDF report generated', {
+      goal,
+      suggestionsCount: suggestions.length,
+      pages: doc.getNumberOfPages()
+    });
+
+    return Buffer.from(doc.output('arraybuffer'));
+  }
+}
+
+module.exports = new PdfService();
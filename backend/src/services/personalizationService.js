@@ -0,0 +1,144 @@
+const logger = require('../utils/logger');
+
+// Average ratings at or below this count as poor, at or above GOOD_RATING_MIN as good
+const POOR_RATING_MAX = 2;
+const GOOD_RATING_MIN = 4;
+
+// Score multipliers applied for each history signal
+const SIGNAL_FACTORS = {
+  rated_well: 1.5,
+  rated_poorly: 0.5,
+  // Applied once per recent request that already showed the peptide
+  recently_suggested: 0.5
+};
+
+class PersonalizationService {
+  // How many of the recent history entries included each peptide, keyed by lowercase name
+  countRecentAppearances(userHistory) {
+    const counts = new Map();
+
+    userHistory.forEach((entry) => {
+      new Set(entry.suggestions.map(suggestion => suggestion.name.toLowerCase())).forEach((name) => {
+        counts.set(name, (counts.get(name) || 0) + 1);
+      });
+    });
+
+    return counts;
+  }
+
+  // History signals that apply to one peptide, as { signal, factor, detail }
+  evaluatePeptide(peptide, feedback, appearances, historyCount) {
+    const adjustments = [];
+
+    if (feedback && feedback.averageRating <= POOR_RATING_MAX && feedback.triedIt) {
+      return [{
+        signal: 'tried_rated_poorly',
+        factor: 0,
+        detail: `You tried it and rated it ${feedback.averageRating}/5`
+      }];
+    }
+
+    if (feedback && feedback.averageRating <= POOR_RATING_MAX) {
+      adjustments.push({
+        signal: 'rated_poorly',
+        factor: SIGNAL_FACTORS.rated_poorly,
+        detail: `You rated it ${feedback.averageRating}/5`
+      });
+    }
+
+    if (feedback && feedback.averageRating >= GOOD_RATING_MIN) {
+      // Well-rated peptides are promoted and exempt from rotation
+      return [{
+        signal: 'rated_well',
+        factor: SIGNAL_FACTORS.rated_well,
+        detail: `You rated it ${feedback.averageRating}/5`
+      }];
+    }
+
+    if (appearances > 0) {
+      adjustments.push({
+        signal: 'recently_suggested',
+        factor: Math.pow(SIGNAL_FACTORS.recently_suggested, appearances),
+        detail: `Suggested in ${appearances} of your last ${historyCount} request${historyCount === 1 ? '' : 's'}`
+      });
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Re-rank candidates using the user's recent suggestions and feedback.
+   * Peptides the user tried and rated poorly are rotated out, well-rated
+   * ones are promoted, and recently shown ones are demoted so repeated
+   * requests surface other catalog peptides.
+   * @param {Array} rankedPeptides - Candidates from suggestionsService.rankCandidates
+   * @param {Object} history - User history
+   * @param {Array} history.userHistory - Recent entries from userService.getUserSuggestions
+   * @param {Array} history.peptideFeedback - Summary from feedbackService.getPeptideFeedbackSummary
+   * @returns {Object} { ranked, rotatedOut, signals }
+   */
+  personalize(rankedPeptides, { userHistory = [], peptideFeedback = [] }) {
+    const feedbackByName = new Map(peptideFeedback.map(entry => [entry.peptideName.toLowerCase(), entry]));
+    const appearances = this.countRecentAppearances(userHistory);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    const adjusted = rankedPeptides.map((peptide) => {
+      const key = peptide.name.toLowerCase();
+      const historyAdjustments = this.evaluatePeptide(
+        peptide,
+        feedbackByName.get(key),
+        appearances.get(key) || 0,
+        userHistory.length
+      );
+      const factor = historyAdjustments.reduce((product, adjustment) => product * adjustment.factor, 1);
+
+      return {
+        ...peptide,
+        baseScore: peptide.score,
+        score: round(peptide.score * factor),
+        historyAdjustments
+      };
+    });
+
+    const isRotatedOut = peptide => peptide.historyAdjustments.some(({ signal }) => signal === 'tried_rated_poorly');
+    let ranked = adjusted.filter(peptide => !isRotatedOut(peptide));
+    let rotatedOut = adjusted.filter(isRotatedOut);
+
+    // Never rotate out every candidate - fall back to the unadjusted ranking
+    if (ranked.length === 0) {
+      ranked = rankedPeptides;
+      rotatedOut = [];
+    } else {
+      ranked.sort((a, b) => b.score - a.score);
+    }
+
+    const signals = [...ranked, ...rotatedOut]
+      .filter(peptide => peptide.historyAdjustments?.length > 0)
+      .flatMap(peptide => peptide.historyAdjustments.map(adjustment => ({
+        peptide: peptide.name,
+        signal: adjustment.signal,
+        effect: this.describeEffect(adjustment),
+        detail: adjustment.detail
+      })));
+
+    if (signals.length > 0) {
+      logger.info('History personalization applied:', {
+        promoted: signals.filter(({ effect }) => effect === 'promoted').map(({ peptide }) => peptide),
+        demoted: signals.filter(({ effect }) => effect === 'demoted').map(({ peptide }) => peptide),
+        rotatedOut: rotatedOut.map(peptide => peptide.name)
+      });
+    }
+
+    return { ranked, rotatedOut, signals };
+  }
+
+  // 'promoted', 'demoted' or 'rotated_out'
+  describeEffect({ factor }) {
+    if (factor === 0) {
+      return 'rotated_out';
+    }
+    return factor > 1 ? 'promoted' : 'demoted';
+  }
+}
+
+module.exports = new PersonalizationService();
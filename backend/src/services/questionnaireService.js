@@ -0,0 +1,327 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { CURRENT_VERSION, getQuestionnaire } = require('../config/questionnaire');
+
+// Anonymous drafts not updated for this many days are deleted
+const ANONYMOUS_DRAFT_RETENTION_DAYS = 30;
+
+class QuestionnaireService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.cleanUpSessions();
+  }
+
+  // Return sessions interrupted mid-submit to draft, and drop stale anonymous drafts
+  async cleanUpSessions() {
+    await new Promise((resolve, reject) => {
+      this.db.run('UPDATE questionnaire_sessions SET status = \'draft\' WHERE status = \'submitting\'', [], (err) => {
+        if (err) {
+          logger.error('Error resetting questionnaire sessions:', err);
+          reject(new Error('Failed to initialize questionnaire sessions'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        DELETE FROM questionnaire_sessions
+        WHERE userId IS NULL AND status = 'draft' AND updatedAt < datetime('now', ?)
+      `;
+
+      this.db.run(query, [`-${ANONYMOUS_DRAFT_RETENTION_DAYS} days`], (err) => {
+        if (err) {
+          logger.error('Error deleting stale questionnaire drafts:', err);
+          reject(new Error('Failed to initialize questionnaire sessions'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  isStepVisible(step, answers) {
+    return !step.showIf || answers[step.showIf.question] === step.showIf.equals;
+  }
+
+  // Steps shown for the given answers, in order
+  getVisibleSteps(definition, answers) {
+    return definition.steps.filter(step => this.isStepVisible(step, answers));
+  }
+
+  // List questions count as answered once they hold at least minItems entries
+  isAnswered(question, value) {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    if (Array.isArray(value)) {
+      return value.length >= (question.minItems || 1);
+    }
+    return true;
+  }
+
+  /**
+   * Progress through a questionnaire
+   * @param {Object} definition - Questionnaire definition
+   * @param {Object} answers - Answers keyed by question ID
+   * @returns {Object} { steps, completedSteps, totalSteps, complete, missing: [{ step, question }] },
+   *   where steps are the IDs of the steps shown for these answers
+   */
+  getProgress(definition, answers) {
+    const steps = this.getVisibleSteps(definition, answers);
+    const missing = steps.flatMap(step => step.questions
+      .filter(question => question.required && !this.isAnswered(question, answers[question.id]))
+      .map(question => ({ step: step.id, question: question.id })));
+
+    return {
+      steps: steps.map(step => step.id),
+      completedSteps: steps.filter(step => !missing.some(entry => entry.step === step.id)).length,
+      totalSteps: steps.length,
+      complete: missing.length === 0,
+      missing
+    };
+  }
+
+  // Build the POST /suggestions body from the answered questions on shown steps
+  buildSuggestionRequest(definition, answers) {
+    const request = {};
+
+    this.getVisibleSteps(definition, answers).forEach((step) => {
+      step.questions
+        .filter(question => question.field && this.isAnswered(question, answers[question.id]))
+        .forEach((question) => {
+          const path = question.field.split('.');
+          const parent = path.slice(0, -1).reduce((target, key) => {
+            target[key] = target[key] || {};
+            return target[key];
+          }, request);
+          parent[path[path.length - 1]] = answers[question.id];
+        });
+    });
+
+    return request;
+  }
+
+  formatSession(row) {
+    const answers = JSON.parse(row.answers);
+
+    return {
+      id: row.id,
+      version: row.version,
+      answers,
+      currentStep: row.currentStep || null,
+      status: row.status,
+      progress: this.getProgress(getQuestionnaire(row.version), answers),
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      submittedAt: row.submittedAt || null
+    };
+  }
+
+  async getDraftRow(column, value) {
+    return new Promise((resolve, reject) => {
+      const ownerCondition = column === 'userId' ? 'userId = ?' : 'deviceId = ? AND userId IS NULL';
+      const query = `
+        SELECT * FROM questionnaire_sessions
+        WHERE ${ownerCondition} AND status = 'draft'
+        ORDER BY updatedAt DESC
+        LIMIT 1
+      `;
+
+      this.db.get(query, [value], (err, row) => {
+        if (err) {
+          logger.error('Error fetching questionnaire draft:', err);
+          reject(new Error('Failed to fetch questionnaire draft'));
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the open draft for a user or anonymous device. A user without a draft
+   * takes over the draft started on their device before logging in.
+   * @param {Object} owner - { userId, deviceId }, either may be null
+   * @returns {Promise<Object|null>} Formatted draft, or null
+   */
+  async getDraft({ userId, deviceId }) {
+    let row = userId ? await this.getDraftRow('userId', userId) : null;
+
+    if (!row && deviceId) {
+      row = await this.getDraftRow('deviceId', deviceId);
+
+      if (row && userId) {
+        await this.updateSession(row.id, { userId, deviceId: null });
+        row = { ...row, userId, deviceId: null };
+        logger.info('Questionnaire draft claimed by user:', { sessionId: row.id, userId });
+      }
+    }
+
+    // Drafts on a version that has since been removed cannot be resumed
+    if (row && !getQuestionnaire(row.version)) {
+      await this.discardDraft({ userId, deviceId });
+      return null;
+    }
+
+    return row ? this.formatSession(row) : null;
+  }
+
+  /**
+   * Save answers to the owner's draft, starting one on the current version if
+   * there is none. Answers are merged into the saved ones; null clears an answer.
+   * @param {Object} owner - { userId, deviceId }
+   * @param {Object|null} draft - The owner's draft from getDraft
+   * @param {Object} changes - { answers, currentStep }
+   * @returns {Promise<Object>} The saved draft
+   */
+  async saveDraft({ userId, deviceId }, draft, { answers = {}, currentStep }) {
+    const merged = { ...(draft ? draft.answers : {}), ...answers };
+    Object.keys(merged).forEach((questionId) => {
+      if (merged[questionId] === null) {
+        delete merged[questionId];
+      }
+    });
+
+    if (draft) {
+      await this.updateSession(draft.id, {
+        answers: JSON.stringify(merged),
+        ...(currentStep !== undefined && { currentStep })
+      });
+      return this.getSession(draft.id);
+    }
+
+    const sessionId = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO questionnaire_sessions (id, userId, deviceId, version, answers, currentStep, status, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, 'draft', datetime('now'), datetime('now'))
+      `;
+
+      this.db.run(query, [
+        sessionId,
+        userId || null,
+        userId ? null : deviceId,
+        CURRENT_VERSION,
+        JSON.stringify(merged),
+        currentStep || null
+      ], (err) => {
+        if (err) {
+          logger.error('Error creating questionnaire draft:', err);
+          reject(new Error('Failed to save questionnaire draft'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Questionnaire draft started:', { sessionId, userId: userId || 'anonymous', version: CURRENT_VERSION });
+    return this.getSession(sessionId);
+  }
+
+  async getSession(sessionId) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM questionnaire_sessions WHERE id = ?', [sessionId], (err, result) => {
+        if (err) {
+          logger.error('Error fetching questionnaire session:', err);
+          reject(new Error('Failed to fetch questionnaire session'));
+        } else {
+          resolve(result || null);
+        }
+      });
+    });
+
+    return row ? this.formatSession(row) : null;
+  }
+
+  // Set session columns and touch updatedAt
+  async updateSession(sessionId, fields) {
+    const updates = Object.keys(fields).map(field => `${field} = ?`);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE questionnaire_sessions SET ${updates.join(', ')}, updatedAt = datetime('now') WHERE id = ?`;
+
+      this.db.run(query, [...Object.values(fields), sessionId], (err) => {
+        if (err) {
+          logger.error('Error updating questionnaire session:', err);
+          reject(new Error('Failed to save questionnaire draft'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Delete the owner's draft, resolving false if there was none
+  async discardDraft({ userId, deviceId }) {
+    return new Promise((resolve, reject) => {
+      const query = userId
+        ? 'DELETE FROM questionnaire_sessions WHERE userId = ? AND status = \'draft\''
+        : 'DELETE FROM questionnaire_sessions WHERE deviceId = ? AND userId IS NULL AND status = \'draft\'';
+
+      this.db.run(query, [userId || deviceId], function(err) {
+        if (err) {
+          logger.error('Error discarding questionnaire draft:', err);
+          reject(new Error('Failed to discard questionnaire draft'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  // Move a draft to 'submitting' so a repeated submit cannot run twice.
+  // Resolves false if the session is no longer a draft.
+  async beginSubmit(sessionId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE questionnaire_sessions SET status = 'submitting', updatedAt = datetime('now')
+        WHERE id = ? AND status = 'draft'
+      `;
+
+      this.db.run(query, [sessionId], function(err) {
+        if (err) {
+          logger.error('Error submitting questionnaire:', err);
+          reject(new Error('Failed to submit questionnaire'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async finishSubmit(sessionId) {
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE questionnaire_sessions
+        SET status = 'submitted', submittedAt = datetime('now'), updatedAt = datetime('now')
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [sessionId], (err) => {
+        if (err) {
+          logger.error('Error completing questionnaire submit:', err);
+          reject(new Error('Failed to submit questionnaire'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Questionnaire submitted:', { sessionId });
+  }
+
+  // Return a session to draft after a failed submit so it can be retried
+  async cancelSubmit(sessionId) {
+    await this.updateSession(sessionId, { status: 'draft' });
+  }
+}
+
+module.exports = new QuestionnaireService();
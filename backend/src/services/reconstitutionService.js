@@ -0,0 +1,205 @@
+const catalogService = require('./catalogService');
+const {
+  MASS_UNITS,
+  BODY_WEIGHT_UNITS,
+  UNITS_PER_ML,
+  SYRINGES,
+  MIN_MEASURABLE_UNITS
+} = require('../config/reconstitution');
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+class ReconstitutionService {
+  // 'mcg/kg' -> { unit: 'mcg', perKg: true }
+  parseDoseUnit(doseUnit) {
+    const [unit, per] = doseUnit.split('/');
+    return { unit, perKg: per === 'kg' };
+  }
+
+  // Whether two amount units can be converted into each other
+  isCompatible(fromUnit, toUnit) {
+    return fromUnit === toUnit || (fromUnit in MASS_UNITS && toUnit in MASS_UNITS);
+  }
+
+  convertAmount(amount, fromUnit, toUnit) {
+    if (fromUnit === toUnit) {
+      return amount;
+    }
+    return amount * MASS_UNITS[fromUnit] / MASS_UNITS[toUnit];
+  }
+
+  // Units to draw on each syringe, rounded to the nearest marking
+  describeSyringes(volumeMl) {
+    const units = volumeMl * UNITS_PER_ML;
+
+    return SYRINGES.map(syringe => ({
+      type: syringe.type,
+      capacityUnits: syringe.capacityUnits,
+      increment: syringe.increment,
+      units: round(units),
+      marking: round(Math.round(units / syringe.increment) * syringe.increment),
+      fits: units <= syringe.capacityUnits,
+      drawsNeeded: Math.ceil(round(units, 4) / syringe.capacityUnits)
+    }));
+  }
+
+  /**
+   * Compare a dose with a catalog peptide's typical dose range
+   * @returns {Object} { status: 'within' | 'below' | 'above' | 'not_checked', message }
+   */
+  checkDoseRange(range, { totalDose, doseUnit, perKgDose, bodyWeightKg }) {
+    if (!this.isCompatible(doseUnit, range.unit)) {
+      return {
+        status: 'not_checked',
+        message: `The typical range is in ${range.unit}, which cannot be compared with ${doseUnit}`
+      };
+    }
+
+    let compared = totalDose;
+    if (range.perKg) {
+      if (perKgDose === null && !bodyWeightKg) {
+        return {
+          status: 'not_checked',
+          message: 'The typical range is per kg of body weight; add your body weight to check this dose'
+        };
+      }
+      compared = perKgDose !== null ? perKgDose : totalDose / bodyWeightKg;
+    }
+
+    const value = round(this.convertAmount(compared, doseUnit, range.unit), 4);
+    const rangeLabel = `${range.min}-${range.max} ${range.unit}${range.perKg ? '/kg' : ''}`;
+
+    if (value < range.min) {
+      return { status: 'below', message: `This dose is below the typical range of ${rangeLabel}` };
+    }
+    if (value > range.max) {
+      return { status: 'above', message: `This dose is above the typical range of ${rangeLabel}` };
+    }
+    return { status: 'within', message: `This dose is within the typical range of ${rangeLabel}` };
+  }
+
+  /**
+   * Work out how much reconstituted solution to draw for a dose
+   * @param {Object} input - Validated calculator request
+   * @param {Object} input.vial - { amount, unit } of peptide in the vial
+   * @param {Object} input.diluent - { amount, unit: 'ml' } of bacteriostatic water added
+   * @param {Object} input.dose - { amount, unit }, where unit may be per kg (e.g. 'mcg/kg')
+   * @param {Object} [input.bodyWeight] - { amount, unit: 'kg' | 'lb' }
+   * @param {number} [input.peptideId] - Catalog peptide whose dose range to check against
+   * @returns {Promise<Object>} Concentration, volume, syringe markings, range check and warnings
+   */
+  async calculate({ vial, diluent, dose, bodyWeight, peptideId }) {
+    const { unit: doseUnit, perKg } = this.parseDoseUnit(dose.unit);
+
+    if (!this.isCompatible(vial.unit, doseUnit)) {
+      throw new Error(`Incompatible units: a vial measured in ${vial.unit} cannot be dosed in ${doseUnit}`);
+    }
+
+    const bodyWeightKg = bodyWeight ? bodyWeight.amount * BODY_WEIGHT_UNITS[bodyWeight.unit] : null;
+    if (perKg && !bodyWeightKg) {
+      throw new Error('Body weight is required for weight-based doses');
+    }
+
+    let peptide = null;
+    if (peptideId) {
+      peptide = await catalogService.getPeptideById(peptideId);
+      if (!peptide) {
+        throw new Error('Peptide not found');
+      }
+    }
+
+    // Everything below is in the dose's unit (e.g. mcg and mcg/ml)
+    const vialAmount = this.convertAmount(vial.amount, vial.unit, doseUnit);
+    const concentration = vialAmount / diluent.amount;
+    const totalDose = perKg ? dose.amount * bodyWeightKg : dose.amount;
+    const volumeMl = totalDose / concentration;
+    const syringeUnits = volumeMl * UNITS_PER_ML;
+
+    const warnings = [];
+    if (totalDose > vialAmount) {
+      warnings.push({
+        code: 'DOSE_EXCEEDS_VIAL',
+        message: 'This dose is more than the vial contains'
+      });
+    }
+    if (syringeUnits > SYRINGES[0].capacityUnits) {
+      warnings.push({
+        code: 'VOLUME_EXCEEDS_SYRINGE',
+        message: 'This dose needs more than 1 ml; use less bacteriostatic water or split the injection'
+      });
+    }
+    if (syringeUnits < MIN_MEASURABLE_UNITS) {
+      warnings.push({
+        code: 'VOLUME_TOO_SMALL',
+        message: `Under ${MIN_MEASURABLE_UNITS} units is hard to measure accurately; consider adding more bacteriostatic water`
+      });
+    }
+
+    let doseRange = null;
+    if (peptide && peptide.doseRange) {
+      const check = this.checkDoseRange(peptide.doseRange, {
+        totalDose,
+        doseUnit,
+        perKgDose: perKg ? dose.amount : null,
+        bodyWeightKg
+      });
+
+      doseRange = {
+        peptide: { id: peptide.id, name: peptide.name },
+        min: peptide.doseRange.min,
+        max: peptide.doseRange.max,
+        unit: peptide.doseRange.unit,
+        perKg: !!peptide.doseRange.perKg,
+        ...check
+      };
+
+      if (check.status === 'below' || check.status === 'above') {
+        warnings.push({
+          code: check.status === 'above' ? 'DOSE_ABOVE_RANGE' : 'DOSE_BELOW_RANGE',
+          message: `${peptide.name}: ${check.message}`
+        });
+      }
+    }
+
+    return {
+      vial: { amount: vial.amount, unit: vial.unit },
+      diluent: { amount: diluent.amount, unit: diluent.unit },
+      concentration: {
+        perMl: round(concentration, 4),
+        perSyringeUnit: round(concentration / UNITS_PER_ML, 4),
+        unit: doseUnit
+      },
+      dose: {
+        requested: { amount: dose.amount, unit: dose.unit },
+        ...(bodyWeightKg && { bodyWeightKg: round(bodyWeightKg) }),
+        total: { amount: round(totalDose, 4), unit: doseUnit }
+      },
+      volumeMl: round(volumeMl, 4),
+      dosesPerVial: Math.floor(round(vialAmount / totalDose, 4)),
+      syringes: this.describeSyringes(volumeMl),
+      doseRange,
+      warnings,
+      ...(peptide && !peptide.doseRange && { note: `No typical dose range is recorded for ${peptide.name}` })
+    };
+  }
+
+  // Active catalog peptides with a typical dose range, for prefilling the calculator
+  async getPresets() {
+    const peptides = await catalogService.listPeptides();
+
+    return peptides
+      .filter(peptide => peptide.doseRange)
+      .map(peptide => ({
+        id: peptide.id,
+        slug: peptide.slug,
+        name: peptide.name,
+        dosage: peptide.dosage,
+        doseRange: { perKg: false, ...peptide.doseRange }
+      }));
+  }
+}
+
+module.exports = new ReconstitutionService();
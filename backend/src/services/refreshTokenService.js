@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+// Days a refresh token stays valid; each refresh issues a new one
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class RefreshTokenService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.deleteExpiredTokens();
+  }
+
+  async deleteExpiredTokens() {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM refresh_tokens WHERE expiresAt <= datetime(\'now\')', [], function(err) {
+        if (err) {
+          logger.error('Error deleting expired refresh tokens:', err);
+          reject(new Error('Failed to initialize refresh tokens'));
+        } else {
+          if (this.changes > 0) {
+            logger.info('Expired refresh tokens deleted:', { count: this.changes });
+          }
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Issue a refresh token. Only its hash is stored.
+   * @param {number} userId
+   * @param {string} [familyId] - Family of the token being rotated; a new login starts a new family
+   * @returns {Promise<Object>} { token, familyId, expiresAt }
+   */
+  async issue(userId, familyId = uuidv4()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const expiresAt = await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO refresh_tokens (userId, familyId, tokenHash, createdAt, expiresAt)
+        VALUES (?, ?, ?, datetime('now'), datetime('now', ?))
+        RETURNING expiresAt
+      `;
+
+      this.db.get(query, [userId, familyId, hashToken(token), `+${REFRESH_TOKEN_TTL_DAYS} days`], (err, row) => {
+        if (err) {
+          logger.error('Error issuing refresh token:', err);
+          reject(new Error('Failed to issue refresh token'));
+        } else {
+          resolve(row.expiresAt);
+        }
+      });
+    });
+
+    return { token, familyId, expiresAt };
+  }
+
+  async findToken(token) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT *, expiresAt > datetime('now') AS active
+        FROM refresh_tokens
+        WHERE tokenHash = ?
+      `;
+
+      this.db.get(query, [hashToken(token)], (err, row) => {
+        if (err) {
+          logger.error('Error fetching refresh token:', err);
+          reject(new Error('Failed to check refresh token'));
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family. A token can
+   * only be exchanged once: presenting a used token again means it was
+   * copied, so the whole family is revoked.
+   * @param {string} token
+   * @returns {Promise<Object>} { userId, token, familyId, expiresAt }
+   * @throws {Error} 'Invalid refresh token' or 'Refresh token reuse detected'
+   */
+  async rotate(token) {
+    const row = await this.findToken(token);
+
+    if (!row || row.revokedAt || !row.active) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (row.usedAt) {
+      await this.revokeFamily(row.familyId);
+      logger.warn('Refresh token reuse detected, family revoked:', {
+        userId: row.userId,
+        familyId: row.familyId
+      });
+      throw new Error('Refresh token reuse detected');
+    }
+
+    const claimed = await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE refresh_tokens SET usedAt = datetime('now')
+        WHERE id = ? AND usedAt IS NULL AND revokedAt IS NULL
+      `;
+
+      this.db.run(query, [row.id], function(err) {
+        if (err) {
+          logger.error('Error rotating refresh token:', err);
+          reject(new Error('Failed to rotate refresh token'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    // Another request exchanged the same token first
+    if (!claimed) {
+      await this.revokeFamily(row.familyId);
+      logger.warn('Concurrent refresh token use, family revoked:', {
+        userId: row.userId,
+        familyId: row.familyId
+      });
+      throw new Error('Refresh token reuse detected');
+    }
+
+    const next = await this.issue(row.userId, row.familyId);
+    return { userId: row.userId, ...next };
+  }
+
+  async revokeFamily(familyId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE refresh_tokens SET revokedAt = datetime('now')
+        WHERE familyId = ? AND revokedAt IS NULL
+      `;
+
+      this.db.run(query, [familyId], (err) => {
+        if (err) {
+          logger.error('Error revoking refresh token family:', err);
+          reject(new Error('Failed to revoke refresh token'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Sign out the session a refresh token belongs to
+   * @param {string} token
+   * @returns {Promise<Object|null>} { userId, familyId } of the revoked session, or null for an unknown token
+   */
+  async revokeToken(token) {
+    const row = await this.findToken(token);
+    if (!row) {
+      return null;
+    }
+
+    await this.revokeFamily(row.familyId);
+    return { userId: row.userId, familyId: row.familyId };
+  }
+
+  /**
+   * Sign out every session of a user
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.exceptFamilyId] - Session to keep signed in
+   * @returns {Promise<number>} Number of sessions that were still active
+   */
+  async revokeAllForUser(userId, { exceptFamilyId = null } = {}) {
+    const exceptClause = exceptFamilyId ? 'AND familyId != ?' : '';
+    const params = exceptFamilyId ? [userId, exceptFamilyId] : [userId];
+
+    const activeSessions = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT COUNT(DISTINCT familyId) AS count FROM refresh_tokens
+        WHERE userId = ? ${exceptClause} AND usedAt IS NULL AND revokedAt IS NULL AND expiresAt > datetime('now')
+      `;
+
+      this.db.get(query, params, (err, row) => {
+        if (err) {
+          logger.error('Error counting refresh token sessions:', err);
+          reject(new Error('Failed to revoke sessions'));
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE refresh_tokens SET revokedAt = datetime('now')
+        WHERE userId = ? ${exceptClause} AND revokedAt IS NULL
+      `;
+
+      this.db.run(query, params, (err) => {
+        if (err) {
+          logger.error('Error revoking user sessions:', err);
+          reject(new Error('Failed to revoke sessions'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('User sessions revoked:', { userId, activeSessions, keptFamilyId: exceptFamilyId });
+    return activeSessions;
+  }
+}
+
+module.exports = new RefreshTokenService();
@@ -0,0 +1,269 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { getGoalLabel } = require('../config/goals');
+const { DAYS_OF_WEEK } = require('../config/regimens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RegimenService {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = database.getDatabase();
+  }
+
+  // Regimen dates are calendar dates ('YYYY-MM-DD'), handled as UTC midnight
+  // so day arithmetic is unaffected by daylight saving changes
+  parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  daysBetween(from, to) {
+    return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+  }
+
+  // Monday of the week containing a date
+  startOfWeek(date) {
+    return this.addDays(date, -((date.getUTCDay() + 6) % 7));
+  }
+
+  // Convert a regimens row into the API shape
+  formatRegimen(row) {
+    return {
+      id: row.id,
+      suggestionId: row.suggestionId,
+      name: row.name,
+      items: JSON.parse(row.items),
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  /**
+   * Create a regimen from peptides in a saved suggestion. Peptide names are
+   * matched case-insensitively and dosage is copied from the suggestion.
+   * @param {number} userId - Owner of the suggestion
+   * @param {Object} suggestion - Saved suggestion from userService.getUserSuggestionById
+   * @param {Object} regimen - { name?, items: [{ peptideName, startDate, endDate?, frequency, daysOfWeek?, timeOfDay, cycle? }] }
+   * @returns {Promise<Object>} Created regimen
+   */
+  async createRegimen(userId, suggestion, { name, items }) {
+    const scheduled = items.map((item) => {
+      const peptide = suggestion.suggestions.find(entry => (
+        entry.name.toLowerCase() === item.peptideName.toLowerCase()
+      ));
+      if (!peptide) {
+        throw new Error(`Peptide not found in this suggestion: ${item.peptideName}`);
+      }
+
+      return {
+        ...item,
+        peptideName: peptide.name,
+        dosage: peptide.dosage || null
+      };
+    });
+
+    const regimenName = name || `${getGoalLabel(suggestion.healthGoal)} regimen`;
+
+    const regimenId = await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO regimens (userId, suggestionId, name, items, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+      `;
+
+      this.db.run(query, [userId, suggestion.id, regimenName, JSON.stringify(scheduled)], function(err) {
+        if (err) {
+          logger.error('Error creating regimen:', err);
+          reject(new Error('Failed to create regimen'));
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+
+    logger.info('Regimen created:', {
+      userId,
+      regimenId,
+      suggestionId: suggestion.id,
+      peptides: scheduled.map(item => item.peptideName)
+    });
+
+    return this.getRegimenById(userId, regimenId);
+  }
+
+  // All regimens belonging to a user, newest first
+  async getUserRegimens(userId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM regimens
+        WHERE userId = ?
+        ORDER BY createdAt DESC, id DESC
+      `;
+
+      this.db.all(query, [userId], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching regimens:', err);
+          reject(new Error('Failed to fetch regimens'));
+        } else {
+          resolve(rows.map(row => this.formatRegimen(row)));
+        }
+      });
+    });
+  }
+
+  // A single regimen belonging to a user, or null
+  async getRegimenById(userId, regimenId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM regimens WHERE id = ? AND userId = ?', [regimenId, userId], (err, row) => {
+        if (err) {
+          logger.error('Error fetching regimen:', err);
+          reject(new Error('Failed to fetch regimen'));
+        } else {
+          resolve(row ? this.formatRegimen(row) : null);
+        }
+      });
+    });
+  }
+
+  // Delete a regimen, resolving false if the user has no such regimen
+  async deleteRegimen(userId, regimenId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM regimens WHERE id = ? AND userId = ?', [regimenId, userId], function(err) {
+        if (err) {
+          logger.error('Error deleting regimen:', err);
+          reject(new Error('Failed to delete regimen'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Where a date falls in an item's schedule
+   * @returns {Object} { status: 'before' | 'after' | 'on' | 'off', phaseDay }
+   * `phaseDay` counts days from the start of the current on-phase (or from
+   * the start date when the item has no cycle).
+   */
+  getPhase(item, date) {
+    const start = this.parseDate(item.startDate);
+    if (date < start) {
+      return { status: 'before', phaseDay: null };
+    }
+    if (item.endDate && date > this.parseDate(item.endDate)) {
+      return { status: 'after', phaseDay: null };
+    }
+
+    const dayIndex = this.daysBetween(start, date);
+    if (!item.cycle) {
+      return { status: 'on', phaseDay: dayIndex };
+    }
+
+    const cycleDays = (item.cycle.onWeeks + item.cycle.offWeeks) * 7;
+    const position = dayIndex % cycleDays;
+    return position < item.cycle.onWeeks * 7
+      ? { status: 'on', phaseDay: position }
+      : { status: 'off', phaseDay: null };
+  }
+
+  // Whether an on-phase day matches the item's frequency
+  matchesFrequency(item, date, phaseDay) {
+    switch (item.frequency) {
+      case 'every_other_day':
+        return phaseDay % 2 === 0;
+      case 'weekly':
+        return phaseDay % 7 === 0;
+      case 'specific_days':
+        return item.daysOfWeek.includes(DAYS_OF_WEEK[date.getUTCDay()].value);
+      default:
+        return true;
+    }
+  }
+
+  isDoseDay(item, date) {
+    const { status, phaseDay } = this.getPhase(item, date);
+    return status === 'on' && this.matchesFrequency(item, date, phaseDay);
+  }
+
+  /**
+   * On-phases of a cycled item that start on or before `until`, as
+   * { start, end } dates. An item without a cycle has a single phase with
+   * a null end when it has no end date.
+   */
+  getOnPhases(item, until) {
+    const start = this.parseDate(item.startDate);
+    const endDate = item.endDate ? this.parseDate(item.endDate) : null;
+
+    if (!item.cycle) {
+      return [{ start, end: endDate }];
+    }
+
+    const cycleDays = (item.cycle.onWeeks + item.cycle.offWeeks) * 7;
+    const phases = [];
+
+    for (let phaseStart = start; phaseStart <= until; phaseStart = this.addDays(phaseStart, cycleDays)) {
+      if (endDate && phaseStart > endDate) {
+        break;
+      }
+
+      const phaseEnd = this.addDays(phaseStart, item.cycle.onWeeks * 7 - 1);
+      phases.push({ start: phaseStart, end: endDate && endDate < phaseEnd ? endDate : phaseEnd });
+    }
+
+    return phases;
+  }
+
+  /**
+   * Doses for each day of one week
+   * @param {Object} regimen - Regimen from getRegimenById
+   * @param {string} [weekStart] - Any date in the week ('YYYY-MM-DD'); defaults to the current week
+   * @returns {Object} { weekStart, days: [{ date, day, doses, resting }] }
+   * `resting` lists peptides in the off part of their cycle that day.
+   */
+  getWeekSchedule(regimen, weekStart) {
+    const monday = this.startOfWeek(weekStart ? this.parseDate(weekStart) : this.parseDate(this.formatDate(new Date())));
+
+    const days = [...Array(7).keys()].map((offset) => {
+      const date = this.addDays(monday, offset);
+      const doses = [];
+      const resting = [];
+
+      regimen.items.forEach((item) => {
+        const { status, phaseDay } = this.getPhase(item, date);
+
+        if (status === 'off') {
+          resting.push(item.peptideName);
+        } else if (status === 'on' && this.matchesFrequency(item, date, phaseDay)) {
+          doses.push({
+            peptideName: item.peptideName,
+            dosage: item.dosage,
+            timeOfDay: item.timeOfDay
+          });
+        }
+      });
+
+      doses.sort((a, b) => a.timeOfDay.localeCompare(b.timeOfDay));
+
+      return {
+        date: this.formatDate(date),
+        day: DAYS_OF_WEEK[date.getUTCDay()].value,
+        doses,
+        resting
+      };
+    });
+
+    return { weekStart: this.formatDate(monday), days };
+  }
+}
+
+module.exports = new RegimenService();
@@ -0,0 +1,206 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const catalogService = require('./catalogService');
+const regulatorySeed = require('../config/regulatorySeed');
+const { WADA_REGION, getStatus, getRegionLabel } = require('../config/regulatory');
+
+class RegulatoryService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDatabase();
+    await this.seedStatuses();
+  }
+
+  // Insert the seed statuses into a new database. They are not applied again,
+  // so statuses admins change or delete (such as a lifted WADA entry) stay that way.
+  async seedStatuses() {
+    await database.seedOnce('regulatory', 'peptide_regulatory_status', async () => {
+      for (const entry of regulatorySeed) {
+        await new Promise((resolve, reject) => {
+          const query = `
+            INSERT INTO peptide_regulatory_status (peptideSlug, region, status, note, updatedAt)
+            VALUES (?, ?, ?, ?, datetime('now'))
+          `;
+
+          this.db.run(query, [
+            catalogService.slugify(entry.peptide),
+            entry.region,
+            entry.status,
+            entry.note || null
+          ], (err) => {
+            if (err) {
+              logger.error('Error seeding regulatory status:', err);
+              reject(new Error('Failed to seed regulatory statuses'));
+            } else {
+              resolve();
+            }
+          });
+        });
+      }
+
+      logger.info('Regulatory statuses seeded:', { inserted: regulatorySeed.length });
+    });
+  }
+
+  // Convert a peptide_regulatory_status row into the API shape
+  formatStatus(row) {
+    return {
+      region: row.region,
+      regionLabel: getRegionLabel(row.region),
+      status: row.status,
+      label: getStatus(row.status).label,
+      note: row.note || null,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  // Status rows for the given peptide slugs, optionally limited to some regions
+  async getStatusRows(slugs, regions = null) {
+    if (slugs.length === 0) {
+      return [];
+    }
+
+    const params = [...slugs];
+    let query = `
+      SELECT * FROM peptide_regulatory_status
+      WHERE peptideSlug IN (${slugs.map(() => '?').join(', ')})
+    `;
+    if (regions) {
+      query += ` AND region IN (${regions.map(() => '?').join(', ')})`;
+      params.push(...regions);
+    }
+    query += ' ORDER BY region ASC';
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching regulatory statuses:', err);
+          reject(new Error('Failed to fetch regulatory statuses'));
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Every recorded status for one peptide, WADA included
+  async getStatusesForPeptide(slug) {
+    const rows = await this.getStatusRows([slug]);
+    return rows.map(row => this.formatStatus(row));
+  }
+
+  // Create or replace a peptide's status in a region
+  async setStatus(slug, region, { status, note }) {
+    await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO peptide_regulatory_status (peptideSlug, region, status, note, updatedAt)
+        VALUES (?, ?, ?, ?, datetime('now'))
+        ON CONFLICT (peptideSlug, region)
+        DO UPDATE SET status = excluded.status, note = excluded.note, updatedAt = excluded.updatedAt
+      `;
+
+      this.db.run(query, [slug, region, status, note || null], (err) => {
+        if (err) {
+          logger.error('Error saving regulatory status:', err);
+          reject(new Error('Failed to save regulatory status'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Regulatory status saved:', { peptide: slug, region, status });
+
+    const rows = await this.getStatusRows([slug], [region]);
+    return this.formatStatus(rows[0]);
+  }
+
+  // Delete a peptide's status in a region, resolving false if none was recorded
+  async deleteStatus(slug, region) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM peptide_regulatory_status WHERE peptideSlug = ? AND region = ?', [slug, region], function(err) {
+        if (err) {
+          logger.error('Error deleting regulatory status:', err);
+          reject(new Error('Failed to delete regulatory status'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  // Regulatory summary attached to a suggestion: the status in the requested
+  // region (null fields without a region) and whether WADA prohibits it
+  describe(rows, region) {
+    const wada = rows.find(row => row.region === WADA_REGION);
+    const summary = { region: region || null, status: null, label: null, note: null, wadaProhibited: !!wada };
+
+    if (region) {
+      const row = rows.find(entry => entry.region === region);
+      const status = getStatus(row ? row.status : null);
+      Object.assign(summary, { status: status.value, label: status.label, note: row ? row.note || null : null });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Screen catalog candidates against a region's regulatory statuses
+   * @param {Array} candidates - Catalog peptides in priority order
+   * @param {Object} options - Regulatory settings for the request
+   * @param {string|null} options.region - Region value, or null when none was given
+   * @param {boolean} options.excludeWadaProhibited - Leave out peptides on the WADA prohibited list
+   * @returns {Promise<Object>} { allowed, excluded: [{ name, reasons }], statuses: Map<name, summary> }
+   */
+  async screenCandidates(candidates, { region = null, excludeWadaProhibited = false } = {}) {
+    const result = { allowed: [], excluded: [], statuses: new Map() };
+    const regions = region ? [region, WADA_REGION] : [WADA_REGION];
+    const rows = await this.getStatusRows(candidates.map(peptide => peptide.slug), regions);
+
+    candidates.forEach((peptide) => {
+      const peptideRows = rows.filter(row => row.peptideSlug === peptide.slug);
+      const summary = this.describe(peptideRows, region);
+      const reasons = [];
+
+      if (region && getStatus(summary.status).action === 'exclude') {
+        reasons.push({
+          region,
+          status: summary.status,
+          reason: `${summary.label} in ${getRegionLabel(region)}${summary.note ? `: ${summary.note}` : ''}`
+        });
+      }
+
+      if (excludeWadaProhibited && summary.wadaProhibited) {
+        const wada = peptideRows.find(row => row.region === WADA_REGION);
+        reasons.push({
+          region: WADA_REGION,
+          status: wada.status,
+          reason: `On the WADA prohibited list${wada.note ? `: ${wada.note}` : ''}`
+        });
+      }
+
+      if (reasons.length > 0) {
+        result.excluded.push({ name: peptide.name, reasons });
+        return;
+      }
+
+      result.statuses.set(peptide.name, summary);
+      result.allowed.push(peptide);
+    });
+
+    if (result.excluded.length > 0) {
+      logger.info('Regulatory filtering applied:', {
+        region,
+        excludeWadaProhibited,
+        excluded: result.excluded.map(entry => entry.name)
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new RegulatoryService();
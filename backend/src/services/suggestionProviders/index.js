@@ -0,0 +1,82 @@
+const Joi = require('joi');
+const RulesProvider = require('./rulesProvider');
+const OpenAiProvider = require('./openAiProvider');
+const StubProvider = require('./stubProvider');
+const { isFeatureEnabled } = require('../../middleware/featureFlags');
+const logger = require('../../utils/logger');
+
+/**
+ * Suggestion providers share one interface:
+ *   name     - identifier recorded in the response
+ *   generate({ age, goal, goals, isAuthenticated, userHistory, candidates, limit })
+ *            - resolves to [{ name, description, dosage?, timing? }]
+ * `goals` lists every requested { goal, weight }; `goal` is the first of them.
+ * `candidates` are the catalog peptides for those goals ranked by combined
+ * score (each with `matchedGoals` and `score`), minus any with an absolute
+ * contraindication for the user's health intake. For signed-in users the
+ * scores already include history adjustments (see personalizationService).
+ */
+const PROVIDER_NAMES = ['rules', 'openai', 'stub'];
+
+// Shape every provider's output must match before it reaches a user
+const providerOutputSchema = Joi.array()
+  .items(Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().min(1).max(1000).required(),
+    dosage: Joi.string().allow(null, '').optional(),
+    timing: Joi.string().allow(null, '').optional()
+  }))
+  .min(1)
+  .required();
+
+/**
+ * How long a provider may take before the rules engine is used instead
+ * @returns {number} Timeout in milliseconds
+ */
+const getProviderTimeoutMs = () => parseInt(process.env.SUGGESTION_PROVIDER_TIMEOUT_MS) || 10000;
+
+/**
+ * Build the configured provider from the environment
+ * SUGGESTION_PROVIDER picks one of PROVIDER_NAMES; when unset, the OpenAI
+ * provider is used if ENABLE_OPENAI_INTEGRATION is on, otherwise the rules engine.
+ * @returns {Object} Provider instance
+ */
+const createConfiguredProvider = () => {
+  const requested = process.env.SUGGESTION_PROVIDER
+    || (isFeatureEnabled('ENABLE_OPENAI_INTEGRATION') ? 'openai' : 'rules');
+
+  if (!PROVIDER_NAMES.includes(requested)) {
+    logger.warn('Unknown suggestion provider, using rules engine', { requested });
+    return new RulesProvider();
+  }
+
+  if (requested === 'stub') {
+    return new StubProvider({ mode: process.env.STUB_PROVIDER_MODE || 'valid' });
+  }
+
+  if (requested === 'openai') {
+    if (!isFeatureEnabled('ENABLE_OPENAI_INTEGRATION')) {
+      logger.warn('OpenAI provider requested but ENABLE_OPENAI_INTEGRATION is off, using rules engine');
+      return new RulesProvider();
+    }
+
+    return new OpenAiProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4',
+      timeoutMs: getProviderTimeoutMs()
+    });
+  }
+
+  return new RulesProvider();
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  providerOutputSchema,
+  getProviderTimeoutMs,
+  createConfiguredProvider,
+  RulesProvider,
+  OpenAiProvider,
+  StubProvider
+};
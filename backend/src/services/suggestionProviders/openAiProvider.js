@@ -0,0 +1,74 @@
+const OpenAI = require('openai');
+const { getGoalLabel } = require('../../config/goals');
+
+/**
+ * OpenAI-compatible chat completions provider. Works against any server that
+ * implements the /chat/completions API via OPENAI_BASE_URL. The model may only
+ * choose from the catalog candidates it is given.
+ */
+class OpenAiProvider {
+  constructor({ apiKey, baseURL, model, timeoutMs }) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({
+      apiKey,
+      baseURL,
+      timeout: timeoutMs,
+      maxRetries: 0
+    });
+  }
+
+  buildMessages({ age, goals, isAuthenticated, userHistory, candidates, limit }) {
+    const catalog = candidates.map(peptide => ({
+      name: peptide.name,
+      description: peptide.description,
+      goals: peptide.matchedGoals.map(getGoalLabel)
+    }));
+    const previousGoals = userHistory.map(entry => entry.healthGoal);
+
+    return [
+      {
+        role: 'system',
+        content: [
+          'You recommend peptides from a fixed catalog for a wellness app.',
+          `Choose at most ${limit} peptides and only use names exactly as they appear in the catalog.`,
+          'Prefer peptides that cover more of the user\'s goals, giving more weight to higher-weighted goals.',
+          'Write a one or two sentence description per peptide tailored to the user.',
+          'Do not give dosing instructions or medical claims.',
+          'Respond with JSON only: {"suggestions": [{"name": string, "description": string}]}'
+        ].join(' ')
+      },
+      {
+        role: 'user',
+        content: JSON.stringify({
+          age,
+          goals: goals.map(({ goal, weight }) => ({ goal: getGoalLabel(goal), weight })),
+          returningUser: isAuthenticated,
+          previousGoals,
+          catalog
+        })
+      }
+    ];
+  }
+
+  async generate(context) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: this.buildMessages(context),
+      response_format: { type: 'json_object' },
+      temperature: 0.3
+    });
+
+    const content = completion.choices?.[0]?.message?.content;
+
+    try {
+      return JSON.parse(content).suggestions;
+    } catch (parseError) {
+      const error = new Error('Provider returned a response that is not valid JSON');
+      error.code = 'PROVIDER_INVALID_OUTPUT';
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAiProvider;
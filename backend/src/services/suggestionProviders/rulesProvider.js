@@ -0,0 +1,50 @@
+/**
+ * Rules engine provider - builds suggestions directly from catalog entries,
+ * using each peptide's age rules and personalized description.
+ */
+class RulesProvider {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  // Pick the age-specific sentence for a peptide, if one of its rules matches
+  matchAgeRule(peptide, age) {
+    return peptide.ageRules.find(rule => (
+      age >= (rule.minAge ?? 0) && age <= (rule.maxAge ?? Infinity)
+    )) || null;
+  }
+
+  // Decide which description a peptide gets: `source` is 'personalized',
+  // 'age_rule' or 'catalog', and `rule` is the matched age rule, if any
+  selectDescription(peptide, age, isAuthenticated) {
+    const rule = this.matchAgeRule(peptide, age);
+
+    if (isAuthenticated && peptide.personalizedDescription) {
+      return { source: 'personalized', rule };
+    }
+
+    return { source: rule ? 'age_rule' : 'catalog', rule };
+  }
+
+  // Build the description shown to the user for a catalog peptide
+  buildDescription(peptide, age, isAuthenticated) {
+    const { source, rule } = this.selectDescription(peptide, age, isAuthenticated);
+
+    if (source === 'personalized') {
+      return peptide.personalizedDescription;
+    }
+
+    return rule ? `${peptide.description} ${rule.text}` : peptide.description;
+  }
+
+  async generate({ age, isAuthenticated, candidates, limit }) {
+    return candidates.slice(0, limit).map(peptide => ({
+      name: peptide.name,
+      description: this.buildDescription(peptide, age, isAuthenticated),
+      dosage: peptide.dosage,
+      timing: peptide.timing
+    }));
+  }
+}
+
+module.exports = RulesProvider;
@@ -0,0 +1,36 @@
+/**
+ * Deterministic local provider for tests and offline development.
+ * It never calls the network; `mode` simulates the failure cases the
+ * fallback logic has to handle.
+ *   valid   - candidates in reverse priority order with fixed descriptions
+ *   invalid - output that fails schema validation
+ *   timeout - a promise that never settles
+ *   error   - a rejected promise
+ */
+class StubProvider {
+  constructor({ mode = 'valid' } = {}) {
+    this.name = 'stub';
+    this.mode = mode;
+  }
+
+  async generate({ age, goal, candidates, limit }) {
+    switch (this.mode) {
+      case 'invalid':
+        return [{ name: 'Unlisted Peptide' }];
+      case 'timeout':
+        return new Promise(() => {});
+      case 'error':
+        throw new Error('Stub provider failure');
+      default:
+        return candidates
+          .slice(0, limit)
+          .reverse()
+          .map(peptide => ({
+            name: peptide.name,
+            description: `Stub suggestion for ${goal} at age ${age}: ${peptide.description}`
+          }));
+    }
+  }
+}
+
+module.exports = StubProvider;
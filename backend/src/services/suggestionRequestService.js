@@ -0,0 +1,159 @@
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const userService = require('./userService');
+const suggestionsService = require('./suggestionsService');
+const interactionService = require('./interactionService');
+const feedbackService = require('./feedbackService');
+
+class SuggestionRequestService {
+  /**
+   * Run a validated suggestions request end to end: load the user's history,
+   * ratings and regulatory defaults, record analytics, generate suggestions,
+   * check interactions and save the result to the user's history
+   * @param {Object} request - Body validated by schemas.suggestions
+   * @param {Object} context
+   * @param {string} context.requestId - ID for logs and the response
+   * @param {Object|null} [context.user] - Authenticated user, null for anonymous requests.
+   *   Users who have not verified their email are served like anonymous ones.
+   * @param {Array} [context.warnings] - Production warnings for the request
+   * @param {boolean} [context.explain] - Include the rule evaluation trace
+   * @returns {Promise<Object>} The POST /suggestions response body
+   */
+  async run(request, { requestId, user = null, warnings = [], explain = false }) {
+    const { age, healthGoal, healthGoals, healthIntake, region, excludeWadaProhibited } = request;
+    let userHistory = [];
+    let peptideFeedback = [];
+    let profile = null;
+
+    if (user) {
+      try {
+        profile = await userService.getUserById(user.id);
+      } catch (error) {
+        logger.warn('Failed to fetch user profile:', {
+          requestId,
+          userId: user.id,
+          error: error.message
+        });
+        // Continue as an anonymous request
+      }
+    }
+
+    // Accounts get personalized suggestions once their email is verified
+    const isAuthenticated = profile?.emailVerified === 1;
+    const emailVerificationRequired = !!profile && !isAuthenticated;
+
+    // Get user history and ratings if authenticated
+    if (isAuthenticated) {
+      try {
+        userHistory = await userService.getUserSuggestions(user.id, 5);
+        peptideFeedback = await feedbackService.getPeptideFeedbackSummary(user.id);
+      } catch (error) {
+        logger.warn('Failed to fetch user history:', {
+          requestId,
+          userId: user.id,
+          error: error.message
+        });
+        // Continue without history
+      }
+    }
+
+    // Values in the request override the profile's regulatory defaults
+    const defaults = isAuthenticated ? profile : null;
+    const regulatory = {
+      region: region || defaults?.region || null,
+      excludeWadaProhibited: excludeWadaProhibited !== undefined
+        ? excludeWadaProhibited
+        : defaults?.excludeWadaProhibited === 1
+    };
+
+    // Log analytics
+    try {
+      for (const { goal } of healthGoals) {
+        await analyticsService.logGoalSelection(goal, age, user?.id);
+      }
+    } catch (error) {
+      logger.error('Analytics logging failed:', {
+        requestId,
+        error: error.message
+      });
+      // Continue without analytics
+    }
+
+    // Generate suggestions
+    const result = await suggestionsService.generateSuggestions(age, healthGoals, isAuthenticated, userHistory, {
+      healthIntake: healthIntake || null,
+      peptideFeedback,
+      regulatory,
+      explain
+    });
+    const { suggestions, contraindications } = result;
+
+    // Check the new suggestions against recent history and listed medications
+    let interactions = null;
+    try {
+      interactions = await interactionService.checkSuggestions(
+        suggestions,
+        userHistory,
+        healthIntake?.medications || []
+      );
+    } catch (error) {
+      logger.error('Interaction check failed:', {
+        requestId,
+        error: error.message
+      });
+      // Continue without the interaction check
+    }
+
+    // Save to user history if authenticated
+    if (isAuthenticated) {
+      try {
+        await userService.saveSuggestion(user.id, age, healthGoal, suggestions, warnings, healthGoals);
+        logger.info('Suggestion saved to user history:', {
+          requestId,
+          userId: user.id
+        });
+      } catch (error) {
+        logger.error('Failed to save suggestion to history:', {
+          requestId,
+          userId: user.id,
+          error: error.message
+        });
+        // Continue without saving
+      }
+    }
+
+    logger.info('Successfully generated suggestions', {
+      requestId,
+      suggestionsCount: suggestions.length,
+      warningsCount: warnings.length,
+      excludedCount: contraindications.excluded.length,
+      regulatoryExcludedCount: result.regulatory.excluded.length,
+      interactionsCount: interactions ? interactions.results.length : null,
+      provider: result.provider.name,
+      userId: user?.id || 'anonymous'
+    });
+
+    return {
+      success: true,
+      requestId,
+      suggestions,
+      warnings,
+      contraindications,
+      regulatory: result.regulatory,
+      interactions,
+      ...(result.personalization && { personalization: result.personalization }),
+      ...(result.trace && { trace: result.trace }),
+      meta: {
+        generatedAt: new Date().toISOString(),
+        goalCategory: healthGoal,
+        goals: healthGoals,
+        authenticated: isAuthenticated,
+        ...(emailVerificationRequired && { emailVerificationRequired }),
+        provider: result.provider,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+module.exports = new SuggestionRequestService();
@@ -1,296 +1,512 @@
-const express = require('express');
-const Joi = require('joi');
-const { v4: uuidv4 } = require('uuid');
+const catalogService = require('./catalogService');
+const contraindicationService = require('./contraindicationService');
+const personalizationService = require('./personalizationService');
+const evidenceService = require('./evidenceService');
+const regulatoryService = require('./regulatoryService');
+const {
+  providerOutputSchema,
+  getProviderTimeoutMs,
+  createConfiguredProvider,
+  RulesProvider
+} = require('./suggestionProviders');
+const { DEFAULT_GOAL, getGoalLabel } = require('../config/goals');
+const { getRegionLabel } = require('../config/regulatory');
 const logger = require('../utils/logger');
-const analyticsService = require('../services/analyticsService');
-const userService = require('../services/userService');
-const AuthMiddleware = require('../middleware/auth');
-
-const router = express.Router();
-
-// Validation schema
-const suggestionsSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required()
-    .messages({
-      'number.base': 'Age must be a number',
-      'number.integer': 'Age must be a whole number',
-      'number.min': 'Age must be at least 18',
-      'number.max': 'Age must be 120 or less',
-      'any.required': 'Age is required'
-    }),
-  healthGoal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'weight_management', 'immune_support')
-    .required()
-    .messages({
-      'any.only': 'Health goal must be one of: energy, sleep, focus, recovery, weight_management, immune_support',
-      'any.required': 'Health goal is required'
-    })
-});
-
-// Mock suggestion generator (enhanced based on age and authentication status)
-function generateSuggestions(age, goal, isAuthenticated = false, userHistory = []) {
-  const baseTitle = isAuthenticated ? 'Personalized Peptide Recommendations' : 'General Peptide Recommendations';
-  
-  const suggestions = {
-    energy: [
-      {
-        name: "Peptide Alpha-E",
-        description: `Supports natural energy production. ${age < 30 ? 'Great for young adults building stamina.' : age < 50 ? 'Ideal for maintaining energy levels.' : 'Helps combat age-related energy decline.'}`
-      },
-      {
-        name: "Mitochondrial Boost Complex",
-        description: "Enhances cellular energy metabolism and reduces fatigue."
-      },
-      {
-        name: "Vitality Peptide",
-        description: isAuthenticated ? "Based on your profile, this may help with sustained energy throughout the day." : "May help with sustained energy throughout the day."
-      }
-    ],
-    sleep: [
-      {
-        name: "Deep Rest Peptide",
-        description: `Promotes restful sleep and recovery. ${age > 40 ? 'Particularly beneficial for age-related sleep improvements.' : 'Supports healthy sleep cycles.'}`
-      },
-      {
-        name: "Circadian Balance Formula",
-        description: "Helps regulate natural sleep-wake cycles and improves sleep quality."
-      },
-      {
-        name: "Recovery Sleep Support",
-        description: isAuthenticated ? "Customized for your sleep optimization needs." : "Supports optimal sleep recovery."
-      }
-    ],
-    focus: [
-      {
-        name: "Cognitive Enhancement Peptide",
-        description: `Supports mental clarity and focus. ${age < 35 ? 'Perfect for cognitive performance optimization.' : 'Helps maintain sharp mental function.'}`
-      },
-      {
-        name: "Brain Boost Complex",
-        description: "Enhances concentration and cognitive processing speed."
-      },
-      {
-        name: "Mental Clarity Support",
-        description: isAuthenticated ? "Tailored to your cognitive enhancement goals." : "Supports mental clarity and alertness."
-      }
-    ],
-    recovery: [
-      {
-        name: "Rapid Recovery Peptide",
-        description: `Accelerates muscle recovery and repair. ${age > 35 ? 'Essential for maintaining recovery speed with age.' : 'Optimizes post-workout recovery.'}`
-      },
-      {
-        name: "Tissue Repair Formula",
-        description: "Supports faster healing and reduces recovery time."
-      },
-      {
-        name: "Athletic Recovery Support",
-        description: isAuthenticated ? "Designed for your specific recovery needs." : "Supports comprehensive recovery processes."
-      }
-    ],
-    weight_management: [
-      {
-        name: "Metabolic Support Peptide",
-        description: `Supports healthy metabolism. ${age > 30 ? 'Helps counter age-related metabolic changes.' : 'Optimizes metabolic function.'}`
-      },
-      {
-        name: "Fat Metabolism Enhancer",
-        description: "Promotes efficient fat burning and metabolic health."
-      },
-      {
-        name: "Body Composition Support",
-        description: isAuthenticated ? "Personalized for your weight management journey." : "Supports healthy body composition."
-      }
-    ],
-    immune_support: [
-      {
-        name: "Immune Defense Peptide",
-        description: `Strengthens immune system function. ${age > 50 ? 'Critical for age-related immune support.' : 'Supports robust immune response.'}`
-      },
-      {
-        name: "Immunity Boost Complex",
-        description: "Enhances natural immune defenses and resistance."
-      },
-      {
-        name: "Wellness Protection Formula",
-        description: isAuthenticated ? "Customized immune support based on your profile." : "Supports overall immune wellness."
-      }
-    ]
-  };
-
-  // Add personalization note for authenticated users
-  const baseResponse = {
-    title: baseTitle,
-    suggestions: suggestions[goal] || suggestions.energy,
-    disclaimer: "These suggestions are for informational purposes only. Consult with a healthcare professional before starting any new supplement regimen.",
-    generatedAt: new Date().toISOString()
-  };
-
-  if (isAuthenticated) {
-    baseResponse.personalization = {
-      note: "These recommendations are personalized based on your profile and previous interactions.",
-      historyCount: userHistory.length,
-      lastGoal: userHistory.length > 0 ? userHistory[0].healthGoal : null
-    };
+
+const SUGGESTIONS_PER_GOAL = 3;
+
+// Upper bound on suggestions for a multi-goal request
+const MAX_SUGGESTIONS = 6;
+
+// General age bands, reported in a rationale when no peptide age rule matched
+const AGE_BANDS = [
+  { maxAge: 29, label: '18-29' },
+  { minAge: 30, maxAge: 49, label: '30-49' },
+  { minAge: 50, maxAge: 69, label: '50-69' },
+  { minAge: 70, label: '70+' }
+];
+
+// Reported as provider.fallbackReason when the rules engine takes over
+const FALLBACK_REASONS = {
+  PROVIDER_TIMEOUT: 'timeout',
+  PROVIDER_INVALID_OUTPUT: 'invalid_output'
+};
+
+class SuggestionsService {
+  constructor() {
+    this.disclaimer = 'These suggestions are for informational purposes only. Consult with a healthcare professional before starting any new supplement regimen.';
+    this.rulesProvider = new RulesProvider();
+    this.provider = null;
   }
 
-  return baseResponse;
-}
+  // Configured provider, created on first use so .env has been loaded
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createConfiguredProvider();
+    }
+    return this.provider;
+  }
 
-// POST /suggestions - Get peptide suggestions (works with and without auth)
-router.post('/', AuthMiddleware.optionalAuth, async (req, res) => {
-  const requestId = uuidv4();
-  
-  try {
-    // Validate request body
-    const { error, value } = suggestionsSchema.validate(req.body);
+  // Replace the active provider (e.g. with a StubProvider in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Run a provider, rejecting with code PROVIDER_TIMEOUT if it takes too long
+  async runWithTimeout(provider, context, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Provider ${provider.name} timed out after ${timeoutMs}ms`);
+        error.code = 'PROVIDER_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider.generate(context), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Validate provider output against the suggestion shape and the catalog.
+  // Dosage and timing always come from the catalog, never from the provider.
+  normalizeOutput(output, candidates, limit = SUGGESTIONS_PER_GOAL) {
+    const { error, value } = providerOutputSchema.validate(output, { stripUnknown: true });
     if (error) {
-      logger.warn('Validation error in suggestions:', {
-        requestId,
-        error: error.details[0].message,
-        body: req.body,
-        ip: req.ip
+      const validationError = new Error(`Invalid provider output: ${error.details[0].message}`);
+      validationError.code = 'PROVIDER_INVALID_OUTPUT';
+      throw validationError;
+    }
+
+    const candidatesByName = new Map(candidates.map(peptide => [peptide.name.toLowerCase(), peptide]));
+
+    const seen = new Set();
+    const suggestions = [];
+
+    value.forEach((suggestion) => {
+      const peptide = candidatesByName.get(suggestion.name.toLowerCase());
+      if (!peptide) {
+        const catalogError = new Error(`Invalid provider output: "${suggestion.name}" is not in the catalog for this goal`);
+        catalogError.code = 'PROVIDER_INVALID_OUTPUT';
+        throw catalogError;
+      }
+
+      if (seen.has(peptide.name)) {
+        return;
+      }
+      seen.add(peptide.name);
+
+      suggestions.push({
+        name: peptide.name,
+        description: suggestion.description,
+        dosage: peptide.dosage,
+        timing: peptide.timing
       });
+    });
 
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          field: error.details[0].path[0],
-          code: 'VALIDATION_ERROR'
-        }
+    return suggestions.slice(0, limit);
+  }
+
+  // Merge the catalog peptides for each goal into one ranked list. A goal
+  // adds weight / position to every peptide it lists, so a peptide serving
+  // several goals outranks one serving a single goal at the same position.
+  // Scores are normalized by the total weight to fall between 0 and 1.
+  async rankCandidates(goals) {
+    const merged = new Map();
+
+    for (const { goal, weight } of goals) {
+      const peptides = await catalogService.getPeptidesForGoal(goal);
+
+      peptides.forEach((peptide, index) => {
+        const entry = merged.get(peptide.id) || { peptide, contributions: [] };
+        entry.contributions.push({ goal, weight, position: index + 1 });
+        merged.set(peptide.id, entry);
       });
     }
 
-    const { age, healthGoal } = value;
-    const isAuthenticated = !!req.user;
-    let userHistory = [];
+    const totalWeight = goals.reduce((sum, { weight }) => sum + weight, 0);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return [...merged.values()]
+      .map(({ peptide, contributions }) => {
+        const scoreBreakdown = contributions.map(contribution => ({
+          ...contribution,
+          contribution: round(contribution.weight / contribution.position / totalWeight)
+        }));
 
-    logger.info('Generating suggestions:', {
-      requestId,
+        return {
+          ...peptide,
+          matchedGoals: contributions.map(({ goal }) => goal),
+          scoreBreakdown,
+          score: round(contributions.reduce((sum, { weight, position }) => sum + weight / position, 0) / totalWeight)
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Suggestion generator (catalog-backed, produced by the configured provider
+  // with the rules engine as fallback). `goals` is a goal value or a list of
+  // { goal, weight }; candidates from every goal are merged and ranked by
+  // rankCandidates. Peptides prohibited in options.regulatory.region (or on
+  // the WADA list when options.regulatory.excludeWadaProhibited is set) and
+  // peptides with an absolute contraindication for options.healthIntake are
+  // never offered to the provider; relative contraindications are kept and
+  // flagged with cautions. For signed-in users the ranking is first adjusted
+  // by personalizationService using userHistory and options.peptideFeedback.
+  // options.explain adds the full rule trace.
+  async generateSuggestions(age, goals, isAuthenticated = false, userHistory = [], options = {}) {
+    const {
+      healthIntake = null,
+      explain = false,
+      peptideFeedback = [],
+      regulatory = { region: null, excludeWadaProhibited: false }
+    } = options;
+    const goalList = typeof goals === 'string' ? [{ goal: goals, weight: 1 }] : goals;
+    const baseTitle = isAuthenticated ? 'Personalized Peptide Recommendations' : 'General Peptide Recommendations';
+
+    let rankedPeptides = await this.rankCandidates(goalList);
+    if (rankedPeptides.length === 0 && !goalList.some(({ goal }) => goal === DEFAULT_GOAL)) {
+      rankedPeptides = await this.rankCandidates([{ goal: DEFAULT_GOAL, weight: 1 }]);
+    }
+
+    const personalization = isAuthenticated
+      ? personalizationService.personalize(rankedPeptides, { userHistory, peptideFeedback })
+      : null;
+    if (personalization) {
+      rankedPeptides = personalization.ranked;
+    }
+
+    const regulatoryScreening = await regulatoryService.screenCandidates(rankedPeptides, regulatory);
+    const screening = contraindicationService.screenCandidates(regulatoryScreening.allowed, healthIntake);
+    const candidates = screening.allowed;
+    const evidence = await evidenceService.getEvidenceSummaries(candidates.map(peptide => peptide.id));
+    const limit = Math.min(SUGGESTIONS_PER_GOAL * goalList.length, MAX_SUGGESTIONS);
+
+    const context = {
       age,
-      goal: healthGoal,
-      userId: req.user?.id || 'anonymous',
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
+      goal: goalList[0].goal,
+      goals: goalList,
+      isAuthenticated,
+      userHistory,
+      candidates,
+      limit
+    };
 
-    // Get user history if authenticated
-    if (isAuthenticated) {
-      try {
-        userHistory = await userService.getUserSuggestions(req.user.id, 5);
-      } catch (error) {
-        logger.warn('Failed to fetch user history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without history
-      }
+    const provider = this.getProvider();
+    const providerInfo = { name: provider.name, requested: provider.name, fallback: false };
+    const response = {
+      title: baseTitle,
+      age,
+      goals: goalList,
+      healthIntake,
+      rankedPeptides,
+      candidates,
+      limit,
+      providerInfo,
+      screening,
+      regulatory,
+      regulatoryScreening,
+      personalization,
+      evidence,
+      isAuthenticated,
+      userHistory,
+      peptideFeedback,
+      explain
+    };
+
+    if (candidates.length === 0) {
+      // Everything was prohibited or contraindicated - nothing for a provider to choose from
+      return this.buildResponse({ ...response, suggestions: [] });
     }
 
-    // Log analytics
+    let suggestions;
+
     try {
-      await analyticsService.logGoalSelection(healthGoal, age, req.user?.id);
+      const output = await this.runWithTimeout(provider, context, getProviderTimeoutMs());
+      suggestions = this.normalizeOutput(output, candidates, limit);
     } catch (error) {
-      logger.error('Analytics logging failed:', {
-        requestId,
+      if (provider.name === this.rulesProvider.name) {
+        throw error;
+      }
+
+      logger.warn('Suggestion provider failed, falling back to rules engine', {
+        provider: provider.name,
+        code: error.code,
         error: error.message
       });
-      // Continue without analytics
+
+      suggestions = await this.rulesProvider.generate(context);
+      providerInfo.name = this.rulesProvider.name;
+      providerInfo.fallback = true;
+      providerInfo.fallbackReason = FALLBACK_REASONS[error.code] || 'provider_error';
     }
 
-    // Generate suggestions
-    const suggestions = generateSuggestions(age, healthGoal, isAuthenticated, userHistory);
+    return this.buildResponse({ ...response, suggestions });
+  }
 
-    // Save to user history if authenticated
-    if (isAuthenticated) {
-      try {
-        await userService.saveSuggestion(req.user.id, age, healthGoal, suggestions.suggestions);
-        logger.info('Suggestion saved to user history:', {
-          requestId,
-          userId: req.user.id
-        });
-      } catch (error) {
-        logger.error('Failed to save suggestion to history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without saving
-      }
+  // Label for a peptide age rule range, e.g. "30-49", "up to 29" or "50+"
+  formatAgeRange(rule) {
+    if (rule.minAge !== undefined && rule.maxAge !== undefined) {
+      return `${rule.minAge}-${rule.maxAge}`;
     }
+    return rule.maxAge !== undefined ? `up to ${rule.maxAge}` : `${rule.minAge}+`;
+  }
 
-    logger.info('Suggestions generated successfully:', {
-      requestId,
-      suggestionsCount: suggestions.suggestions.length,
-      userId: req.user?.id || 'anonymous'
-    });
+  // Structured explanation of why a suggestion was made
+  buildRationale(candidate, { age, goals, healthIntake, isAuthenticated, providerName, cautions, regulatoryStatus }) {
+    const selection = this.rulesProvider.selectDescription(candidate, age, isAuthenticated);
+    const ageBand = selection.rule
+      ? { label: this.formatAgeRange(selection.rule), source: 'peptide_rule' }
+      : {
+        label: AGE_BANDS.find(band => age >= (band.minAge ?? 0) && age <= (band.maxAge ?? Infinity)).label,
+        source: 'general'
+      };
 
-    res.json({
-      success: true,
-      data: suggestions,
-      meta: {
-        requestId,
-        authenticated: isAuthenticated,
-        timestamp: new Date().toISOString()
-      }
+    const matchedRules = candidate.scoreBreakdown.map(({ goal, position }) => ({
+      rule: 'goal_match',
+      goal,
+      detail: `Listed #${position} in the catalog for ${getGoalLabel(goal)}`
+    }));
+
+    if (selection.rule) {
+      matchedRules.push({
+        rule: 'age_rule',
+        minAge: selection.rule.minAge ?? null,
+        maxAge: selection.rule.maxAge ?? null,
+        detail: selection.rule.text
+      });
+    }
+
+    if (selection.source === 'personalized') {
+      matchedRules.push({
+        rule: 'personalized_description',
+        detail: 'Signed-in users get this peptide\'s personalized description'
+      });
+    }
+
+    (candidate.historyAdjustments || []).forEach((adjustment) => {
+      matchedRules.push({
+        rule: 'history_signal',
+        signal: adjustment.signal,
+        detail: adjustment.detail
+      });
     });
 
-  } catch (error) {
-    logger.error('Error generating suggestions:', {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      age: req.body.age,
-      goal: req.body.healthGoal
+    (cautions || []).forEach((caution) => {
+      matchedRules.push({
+        rule: 'contraindication_caution',
+        detail: `${caution.trigger}: ${caution.reason}`
+      });
     });
 
-    // Log failed request
-    try {
-      await analyticsService.logFailedRequest(req.body.healthGoal, req.body.age, error.message);
-    } catch (analyticsError) {
-      logger.error('Failed to log analytics for failed request:', analyticsError);
+    const profileFactors = [
+      {
+        factor: 'age',
+        value: age,
+        effect: selection.rule
+          ? `Matched the age rule for ${ageBand.label}`
+          : 'No age rule of this peptide applies'
+      },
+      {
+        factor: 'goals',
+        value: goals.map(({ goal }) => goal),
+        effect: `Covers ${candidate.matchedGoals.length} of ${goals.length} requested goal${goals.length === 1 ? '' : 's'}`
+      },
+      {
+        factor: 'authenticated',
+        value: isAuthenticated,
+        effect: selection.source === 'personalized' ? 'Personalized description used' : 'No personalized description used'
+      }
+    ];
+
+    if (isAuthenticated) {
+      const adjustments = candidate.historyAdjustments || [];
+      profileFactors.push({
+        factor: 'history',
+        value: adjustments.map(({ signal }) => signal),
+        effect: adjustments.length > 0
+          ? `Score adjusted from ${candidate.baseScore} to ${candidate.score} by your history`
+          : 'No history signals for this peptide'
+      });
     }
 
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to generate suggestions. Please try again.',
-        code: 'GENERATION_ERROR',
-        requestId
-      }
-    });
+    if (regulatoryStatus.region) {
+      profileFactors.push({
+        factor: 'region',
+        value: regulatoryStatus.region,
+        effect: regulatoryStatus.status === 'not_listed'
+          ? `No regulatory status recorded for ${getRegionLabel(regulatoryStatus.region)}`
+          : `${regulatoryStatus.label} in ${getRegionLabel(regulatoryStatus.region)}`
+      });
+    }
+
+    if (healthIntake) {
+      profileFactors.push({
+        factor: 'health_intake',
+        value: true,
+        effect: cautions
+          ? `${cautions.length} relative contraindication${cautions.length === 1 ? '' : 's'} flagged`
+          : 'No contraindications matched'
+      });
+    }
+
+    return {
+      score: candidate.score,
+      ...(candidate.baseScore !== undefined && { baseScore: candidate.baseScore }),
+      scoreBreakdown: candidate.scoreBreakdown,
+      ageBand,
+      matchedRules,
+      profileFactors,
+      descriptionSource: providerName === this.rulesProvider.name ? selection.source : 'provider'
+    };
   }
-});
-
-// Enhanced error handling middleware
-router.use((error, req, res, next) => {
-  const errorId = uuidv4();
-  
-  logger.error('Suggestions route error:', {
-    errorId,
-    message: error.message,
-    stack: error.stack,
-    url: req.url,
-    method: req.method,
-    body: req.body,
-    userId: req.user?.id,
-    ip: req.ip
-  });
-
-  res.status(500).json({
-    success: false,
-    error: {
-      message: 'An unexpected error occurred',
-      code: 'INTERNAL_ERROR',
-      errorId
+
+  // Full rule evaluation for every ranked peptide, returned with explain=true
+  buildTrace({ age, goals, healthIntake, rankedPeptides, limit, providerInfo, screening, regulatory, regulatoryScreening, personalization, isAuthenticated, suggestedNames }) {
+    const excludedNames = new Set(screening.excluded.map(entry => entry.name));
+    const regulatoryExcluded = new Map(regulatoryScreening.excluded.map(entry => [entry.name, entry.reasons]));
+    const rotatedOut = personalization ? personalization.rotatedOut : [];
+    const rotatedOutNames = new Set(rotatedOut.map(peptide => peptide.name));
+    let allowedRank = 0;
+
+    return {
+      inputs: {
+        age,
+        goals,
+        isAuthenticated,
+        healthIntakeProvided: !!healthIntake,
+        region: regulatory.region,
+        excludeWadaProhibited: regulatory.excludeWadaProhibited,
+        limit,
+        provider: providerInfo.name
+      },
+      candidates: [...rankedPeptides, ...rotatedOut].map((peptide, index) => {
+        const excluded = excludedNames.has(peptide.name) || regulatoryExcluded.has(peptide.name);
+        if (!excluded) {
+          allowedRank++;
+        }
+
+        let outcome = 'suggested';
+        let note = null;
+        if (rotatedOutNames.has(peptide.name)) {
+          outcome = 'rotated_out';
+          note = 'Tried and rated poorly by this user';
+        } else if (regulatoryExcluded.has(peptide.name)) {
+          outcome = 'excluded';
+          note = regulatoryExcluded.get(peptide.name).map(reason => reason.reason).join('; ');
+        } else if (excluded) {
+          outcome = 'excluded';
+          note = 'Absolute contraindication for the health intake';
+        } else if (!suggestedNames.includes(peptide.name)) {
+          outcome = 'not_selected';
+          note = allowedRank > limit ? `Ranked below the limit of ${limit}` : 'Not chosen by the provider';
+        }
+
+        return {
+          name: peptide.name,
+          rank: index + 1,
+          score: peptide.score,
+          scoreBreakdown: peptide.scoreBreakdown,
+          ...(peptide.historyAdjustments && {
+            baseScore: peptide.baseScore,
+            historyAdjustments: peptide.historyAdjustments
+          }),
+          ageRules: peptide.ageRules.map(rule => ({
+            ...rule,
+            matched: age >= (rule.minAge ?? 0) && age <= (rule.maxAge ?? Infinity)
+          })),
+          contraindications: peptide.contraindications.map((contraindication) => {
+            const trigger = healthIntake ? contraindicationService.findTrigger(contraindication, healthIntake) : null;
+            return { ...contraindication, matched: !!trigger, trigger };
+          }),
+          outcome,
+          note
+        };
+      })
+    };
+  }
+
+  // Assemble the generator result. Each suggestion gets its catalog slug, the
+  // requested goals it covers, its ranking score, its overall evidence grade,
+  // its regulatory status, a rationale and any contraindication cautions.
+  buildResponse(result) {
+    const {
+      title,
+      suggestions,
+      candidates,
+      providerInfo,
+      screening,
+      regulatory,
+      regulatoryScreening,
+      personalization,
+      evidence,
+      userHistory,
+      peptideFeedback,
+      explain
+    } = result;
+    const candidatesByName = new Map(candidates.map(peptide => [peptide.name, peptide]));
+
+    const baseResponse = {
+      title,
+      suggestions: suggestions.map((suggestion) => {
+        const candidate = candidatesByName.get(suggestion.name);
+        const cautions = screening.cautions.get(suggestion.name);
+        const { grade, label, studyCount } = evidence.get(candidate.id);
+        const regulatoryStatus = regulatoryScreening.statuses.get(suggestion.name);
+
+        return {
+          ...suggestion,
+          slug: candidate.slug,
+          goals: candidate.matchedGoals,
+          score: candidate.score,
+          evidence: { grade, label, studyCount },
+          regulatory: regulatoryStatus,
+          rationale: this.buildRationale(candidate, {
+            ...result,
+            providerName: providerInfo.name,
+            cautions,
+            regulatoryStatus
+          }),
+          ...(cautions && { cautions })
+        };
+      }),
+      contraindications: {
+        excluded: screening.excluded
+      },
+      regulatory: {
+        region: regulatory.region,
+        excludeWadaProhibited: regulatory.excludeWadaProhibited,
+        excluded: regulatoryScreening.excluded
+      },
+      disclaimer: this.disclaimer,
+      provider: providerInfo,
+      generatedAt: new Date().toISOString()
+    };
+
+    if (explain) {
+      baseResponse.trace = this.buildTrace({
+        ...result,
+        suggestedNames: suggestions.map(suggestion => suggestion.name)
+      });
+    }
+
+    // List the history signals that shaped the ranking for authenticated users
+    if (personalization) {
+      baseResponse.personalization = {
+        note: personalization.signals.length > 0
+          ? 'These recommendations were ranked using your previous suggestions and ratings.'
+          : 'No history signals applied yet. Rate peptides in your history to personalize future recommendations.',
+        historyCount: userHistory.length,
+        ratedPeptides: peptideFeedback.length,
+        lastGoal: userHistory.length > 0 ? userHistory[0].healthGoal : null,
+        signals: personalization.signals
+      };
     }
-  });
-});
 
-module.exports = router;
\ No newline at end of file
+    return baseResponse;
+  }
+}
+
+module.exports = new SuggestionsService();
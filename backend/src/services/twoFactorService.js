@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { authenticator: defaultAuthenticator } = require('otplib');
+const QRCode = require('qrcode');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+// Name authenticator apps show for the account
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Peptide Suggestions';
+const BACKUP_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// RFC 6238 defaults (SHA-1, 6 digits, 30 second steps), accepting the
+// neighbouring step either side for clock drift
+const authenticator = defaultAuthenticator.clone({ step: TOTP_STEP_SECONDS, window: 1 });
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Backup codes are compared without case, spaces or dashes
+const normalizeBackupCode = (code) => code.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// 10 characters shown as xxxxx-xxxxx
+const generateBackupCode = () => {
+  const code = crypto.randomBytes(8).toString('hex').slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+class TwoFactorService {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = database.getDatabase();
+  }
+
+  async getTwoFactorRow(userId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT id, email, twoFactorSecret, twoFactorEnabled, twoFactorLastStep
+        FROM users WHERE id = ?
+      `;
+
+      this.db.get(query, [userId], (err, row) => {
+        if (err) {
+          logger.error('Error fetching two-factor settings:', err);
+          reject(new Error('Database error'));
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  async countBackupCodes(userId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT COUNT(*) AS count FROM two_factor_backup_codes WHERE userId = ? AND usedAt IS NULL';
+
+      this.db.get(query, [userId], (err, row) => {
+        if (err) {
+          logger.error('Error counting backup codes:', err);
+          reject(new Error('Database error'));
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<Object>} { enabled, backupCodesRemaining }
+   */
+  async getStatus(userId) {
+    const row = await this.getTwoFactorRow(userId);
+    const enabled = row?.twoFactorEnabled === 1;
+
+    return {
+      enabled,
+      backupCodesRemaining: enabled ? await this.countBackupCodes(userId) : 0
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. Starting again replaces a secret
+   * that was never confirmed.
+   * @param {Object} user - { id, email }
+   * @returns {Promise<Object>} { secret, otpauthUri, qrCode } where qrCode is a PNG data URL of the URI
+   * @throws {Error} 'Two-factor authentication is already enabled'
+   */
+  async beginEnrollment(user) {
+    const row = await this.getTwoFactorRow(user.id);
+    if (row?.twoFactorEnabled === 1) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    // 160-bit secret, as RFC 4226 recommends
+    const secret = authenticator.generateSecret(20);
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET twoFactorSecret = ?, twoFactorLastStep = NULL, updatedAt = datetime('now')
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [secret, user.id], (err) => {
+        if (err) {
+          logger.error('Error saving two-factor secret:', err);
+          reject(new Error('Failed to start two-factor enrollment'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    const otpauthUri = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    logger.info('Two-factor enrollment started:', { userId: user.id });
+    return { secret, otpauthUri, qrCode };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<string[]|null>} Backup codes, shown to the user only
+   *   now, or null if the code is wrong
+   * @throws {Error} 'Two-factor enrollment not started' or 'Two-factor authentication is already enabled'
+   */
+  async confirmEnrollment(userId, code) {
+    const row = await this.getTwoFactorRow(userId);
+
+    if (row?.twoFactorEnabled === 1) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!row?.twoFactorSecret) {
+      throw new Error('Two-factor enrollment not started');
+    }
+
+    if (!await this.acceptTotp(row, code)) {
+      return null;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.db.run('UPDATE users SET twoFactorEnabled = 1, updatedAt = datetime(\'now\') WHERE id = ?', [userId], (err) => {
+        if (err) {
+          logger.error('Error enabling two-factor authentication:', err);
+          reject(new Error('Failed to enable two-factor authentication'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Two-factor authentication enabled:', { userId });
+    return this.replaceBackupCodes(userId);
+  }
+
+  /**
+   * Check a second-factor code: a TOTP code or an unused backup code
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<Object|null>} { method: 'totp' | 'backup_code', backupCodesRemaining },
+   *   or null if the code is wrong or already used
+   */
+  async verifyCode(userId, code) {
+    const row = await this.getTwoFactorRow(userId);
+    if (row?.twoFactorEnabled !== 1) {
+      return null;
+    }
+
+    let method = null;
+    if (/^\d{6}$/.test(code)) {
+      method = await this.acceptTotp(row, code) ? 'totp' : null;
+    } else {
+      method = await this.useBackupCode(userId, code) ? 'backup_code' : null;
+    }
+
+    if (!method) {
+      logger.warn('Invalid two-factor code:', { userId });
+      return null;
+    }
+
+    const backupCodesRemaining = await this.countBackupCodes(userId);
+    if (method === 'backup_code') {
+      logger.info('Backup code used:', { userId, backupCodesRemaining });
+    }
+
+    return { method, backupCodesRemaining };
+  }
+
+  /**
+   * Check a TOTP code against the user's secret. A code is accepted once:
+   * its time step has to be later than the last accepted one.
+   * @param {Object} row - From getTwoFactorRow
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async acceptTotp(row, code) {
+    const delta = authenticator.checkDelta(code, row.twoFactorSecret);
+    if (delta === null) {
+      return false;
+    }
+
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET twoFactorLastStep = ?
+        WHERE id = ? AND (twoFactorLastStep IS NULL OR twoFactorLastStep < ?)
+      `;
+
+      this.db.run(query, [step, row.id, step], function(err) {
+        if (err) {
+          logger.error('Error recording two-factor code use:', err);
+          reject(new Error('Failed to check two-factor code'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async useBackupCode(userId, code) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE two_factor_backup_codes SET usedAt = datetime('now')
+        WHERE id = (
+          SELECT id FROM two_factor_backup_codes
+          WHERE userId = ? AND codeHash = ? AND usedAt IS NULL
+          LIMIT 1
+        )
+      `;
+
+      this.db.run(query, [userId, hashCode(normalizeBackupCode(code))], function(err) {
+        if (err) {
+          logger.error('Error using backup code:', err);
+          reject(new Error('Failed to check two-factor code'));
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Issue a new set of backup codes; earlier ones stop working
+   * @param {number} userId
+   * @returns {Promise<string[]>} The codes; only their hashes are stored
+   */
+  async replaceBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+    await new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('DELETE FROM two_factor_backup_codes WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            logger.error('Error deleting backup codes:', err);
+            reject(new Error('Failed to create backup codes'));
+          }
+        });
+
+        const placeholders = codes.map(() => '(?, ?, datetime(\'now\'))').join(', ');
+        const values = codes.flatMap(code => [userId, hashCode(normalizeBackupCode(code))]);
+
+        this.db.run(`INSERT INTO two_factor_backup_codes (userId, codeHash, createdAt) VALUES ${placeholders}`, values, (err) => {
+          if (err) {
+            logger.error('Error saving backup codes:', err);
+            reject(new Error('Failed to create backup codes'));
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+
+    logger.info('Backup codes issued:', { userId, count: codes.length });
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and backup codes
+   * @param {number} userId
+   */
+  async disable(userId) {
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET twoFactorEnabled = 0, twoFactorSecret = NULL, twoFactorLastStep = NULL, updatedAt = datetime('now')
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [userId], (err) => {
+        if (err) {
+          logger.error('Error disabling two-factor authentication:', err);
+          reject(new Error('Failed to disable two-factor authentication'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM two_factor_backup_codes WHERE userId = ?', [userId], (err) => {
+        if (err) {
+          logger.error('Error deleting backup codes:', err);
+          reject(new Error('Failed to disable two-factor authentication'));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Two-factor authentication disabled:', { userId });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,14 +1,47 @@
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
 const logger = require('../utils/logger');
+const { DEFAULT_ROLE, ADMIN_ROLE, getConfiguredAdminEmails } = require('../config/roles');
+
+// Columns returned for a user; never includes the password hash
+const USER_COLUMNS = 'id, email, firstName, lastName, region, excludeWadaProhibited, role, emailVerified, pendingEmail, twoFactorEnabled, createdAt, updatedAt';
 
 class UserService {
   constructor() {
     this.db = null;
   }
 
-  initialize() {
+  async initialize() {
     this.db = database.getDatabase();
+    await this.promoteConfiguredAdmins();
+  }
+
+  // Give the admin role to existing accounts listed in ADMIN_EMAILS. Only
+  // verified addresses count, so registering a listed email is not enough.
+  async promoteConfiguredAdmins() {
+    const adminEmails = getConfiguredAdminEmails();
+    if (adminEmails.length === 0) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET role = ?, updatedAt = datetime('now')
+        WHERE lower(email) IN (${adminEmails.map(() => '?').join(', ')}) AND role != ? AND emailVerified = 1
+      `;
+
+      this.db.run(query, [ADMIN_ROLE, ...adminEmails, ADMIN_ROLE], function(err) {
+        if (err) {
+          logger.error('Error promoting configured admins:', err);
+          reject(new Error('Failed to initialize user roles'));
+        } else {
+          if (this.changes > 0) {
+            logger.info('Configured admins promoted:', { count: this.changes });
+          }
+          resolve();
+        }
+      });
+    });
   }
 
   // Hash password
@@ -36,23 +69,27 @@ class UserService {
 
         // Hash password
         const hashedPassword = await this.hashPassword(password);
+        // Addresses in ADMIN_EMAILS get the admin role once confirmed, in confirmEmail
+        const role = DEFAULT_ROLE;
 
         const query = `
-          INSERT INTO users (email, password, firstName, lastName, createdAt, updatedAt)
-          VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+          INSERT INTO users (email, password, firstName, lastName, role, createdAt, updatedAt)
+          VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
         `;
 
-        this.db.run(query, [email, hashedPassword, firstName, lastName], function(err) {
+        this.db.run(query, [email, hashedPassword, firstName, lastName, role], function(err) {
           if (err) {
             logger.error('Error creating user:', err);
             reject(new Error('Failed to create user'));
           } else {
-            logger.info('User created successfully:', { userId: this.lastID, email });
+            logger.info('User created successfully:', { userId: this.lastID, email, role });
             resolve({
               id: this.lastID,
               email,
               firstName,
               lastName,
+              role,
+              emailVerified: 0,
               createdAt: new Date().toISOString()
             });
           }
@@ -83,7 +120,7 @@ class UserService {
   // Get user by ID
   async getUserById(id) {
     return new Promise((resolve, reject) => {
-      const query = 'SELECT id, email, firstName, lastName, createdAt, updatedAt FROM users WHERE id = ?';
+      const query = `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`;
       
       this.db.get(query, [id], (err, row) => {
         if (err) {
@@ -124,7 +161,8 @@ class UserService {
   async updateUser(userId, updateData) {
     return new Promise(async (resolve, reject) => {
       try {
-        const { firstName, lastName, email } = updateData;
+        // Email changes go through setPendingEmail and confirmEmail instead
+        const { firstName, lastName, region, excludeWadaProhibited } = updateData;
         const updateFields = [];
         const values = [];
 
@@ -138,14 +176,14 @@ class UserService {
           values.push(lastName);
         }
 
-        if (email !== undefined) {
-          // Check if email is already taken by another user
-          const existingUser = await this.getUserByEmail(email);
-          if (existingUser && existingUser.id !== userId) {
-            return reject(new Error('Email is already taken'));
-          }
-          updateFields.push('email = ?');
-          values.push(email);
+        if (region !== undefined) {
+          updateFields.push('region = ?');
+          values.push(region);
+        }
+
+        if (excludeWadaProhibited !== undefined) {
+          updateFields.push('excludeWadaProhibited = ?');
+          values.push(excludeWadaProhibited ? 1 : 0);
         }
 
         if (updateFields.length === 0) {
@@ -175,6 +213,142 @@ class UserService {
     });
   }
 
+  /**
+   * Hold a new email address until it is confirmed; the current one stays in use
+   * @param {number} userId
+   * @param {string|null} email - null cancels a pending change
+   * @throws {Error} 'Email is already taken'
+   */
+  async setPendingEmail(userId, email) {
+    if (email) {
+      const existingUser = await this.getUserByEmail(email);
+      if (existingUser && existingUser.id !== userId) {
+        throw new Error('Email is already taken');
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET pendingEmail = ?, updatedAt = datetime(\'now\') WHERE id = ?';
+
+      this.db.run(query, [email, userId], function(err) {
+        if (err) {
+          logger.error('Error setting pending email:', err);
+          reject(new Error('Failed to update user'));
+        } else if (this.changes === 0) {
+          reject(new Error('User not found'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Mark an address as confirmed. When it is the account's pending email, it
+   * replaces the current one.
+   * @param {number} userId
+   * @param {string} email - Address the verification link was sent to
+   * @returns {Promise<Object|null>} The updated user, or null when the address
+   *   is neither the account's email nor its pending email any more
+   * @throws {Error} 'Email is already taken'
+   */
+  async confirmEmail(userId, email) {
+    const user = await this.getUserById(userId);
+    if (!user || (email !== user.email && email !== user.pendingEmail)) {
+      return null;
+    }
+
+    // A confirmed address listed in ADMIN_EMAILS makes the account an admin
+    const promoteToAdmin = getConfiguredAdminEmails().includes(email.toLowerCase());
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET email = ?, emailVerified = 1,
+          pendingEmail = CASE WHEN pendingEmail = ? THEN NULL ELSE pendingEmail END,
+          role = COALESCE(?, role),
+          updatedAt = datetime('now')
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [email, email, promoteToAdmin ? ADMIN_ROLE : null, userId], (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+          reject(new Error('Email is already taken'));
+        } else if (err) {
+          logger.error('Error confirming email:', err);
+          reject(new Error('Failed to update user'));
+        } else {
+          logger.info('Email confirmed:', { userId, changed: email !== user.email, promoteToAdmin });
+          resolve();
+        }
+      });
+    });
+
+    return this.getUserById(userId);
+  }
+
+  /**
+   * List accounts for administration, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.role] - Only accounts with this role
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {Promise<Object>} { users, total }
+   */
+  async listUsers({ role, limit = 50, offset = 0 } = {}) {
+    const where = role ? 'WHERE role = ?' : '';
+    const params = role ? [role] : [];
+
+    const total = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) AS count FROM users ${where}`, params, (err, row) => {
+        if (err) {
+          logger.error('Error counting users:', err);
+          reject(new Error('Failed to fetch users'));
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+
+    const users = await new Promise((resolve, reject) => {
+      const query = `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?`;
+
+      this.db.all(query, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          logger.error('Error listing users:', err);
+          reject(new Error('Failed to fetch users'));
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    return { users, total };
+  }
+
+  // Set a user's role, resolving the updated user or null if there is no such user
+  async setUserRole(userId, role) {
+    const changes = await new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET role = ?, updatedAt = datetime(\'now\') WHERE id = ?';
+
+      this.db.run(query, [role, userId], function(err) {
+        if (err) {
+          logger.error('Error updating user role:', err);
+          reject(new Error('Failed to update user role'));
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+
+    if (changes === 0) {
+      return null;
+    }
+
+    logger.info('User role updated:', { userId, role });
+    return this.getUserById(userId);
+  }
+
   // Change password
   async changePassword(userId, currentPassword, newPassword) {
     try {
@@ -190,36 +364,53 @@ class UserService {
         throw new Error('Current password is incorrect');
       }
 
-      const hashedNewPassword = await this.hashPassword(newPassword);
-
-      return new Promise((resolve, reject) => {
-        const query = 'UPDATE users SET password = ?, updatedAt = datetime(\'now\') WHERE id = ?';
-        
-        this.db.run(query, [hashedNewPassword, userId], function(err) {
-          if (err) {
-            logger.error('Error changing password:', err);
-            reject(new Error('Failed to change password'));
-          } else {
-            logger.info('Password changed successfully:', { userId });
-            resolve({ message: 'Password changed successfully' });
-          }
-        });
-      });
+      await this.setPassword(userId, newPassword);
+      return { message: 'Password changed successfully' };
     } catch (error) {
       logger.error('Change password error:', error);
       throw error;
     }
   }
 
-  // Save user suggestion
-  async saveSuggestion(userId, age, healthGoal, suggestions) {
+  // Check a user's password, e.g. before a sensitive settings change
+  async verifyPassword(userId, password) {
+    const user = await this.getUserById(userId);
+    const withPassword = user ? await this.getUserByEmail(user.email) : null;
+
+    return !!withPassword && this.comparePassword(password, withPassword.password);
+  }
+
+  // Set a new password without checking the current one, for password resets
+  async setPassword(userId, newPassword) {
+    const hashedNewPassword = await this.hashPassword(newPassword);
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET password = ?, updatedAt = datetime(\'now\') WHERE id = ?';
+
+      this.db.run(query, [hashedNewPassword, userId], function(err) {
+        if (err) {
+          logger.error('Error changing password:', err);
+          reject(new Error('Failed to change password'));
+        } else {
+          logger.info('Password changed successfully:', { userId });
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  // Save user suggestion. healthGoal is the primary goal; healthGoals lists
+  // every requested { goal, weight } and defaults to the primary goal alone.
+  async saveSuggestion(userId, age, healthGoal, suggestions, warnings = [], healthGoals = null) {
+    const goals = healthGoals || [{ goal: healthGoal, weight: 1 }];
+
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO user_suggestions (userId, age, healthGoal, suggestions, createdAt)
-        VALUES (?, ?, ?, ?, datetime('now'))
+        INSERT INTO user_suggestions (userId, age, healthGoal, healthGoals, suggestions, warnings, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
       `;
 
-      this.db.run(query, [userId, age, healthGoal, JSON.stringify(suggestions)], function(err) {
+      this.db.run(query, [userId, age, healthGoal, JSON.stringify(goals), JSON.stringify(suggestions), JSON.stringify(warnings)], function(err) {
         if (err) {
           logger.error('Error saving suggestion:', err);
           reject(new Error('Failed to save suggestion'));
@@ -230,7 +421,9 @@ class UserService {
             userId,
             age,
             healthGoal,
+            healthGoals: goals,
             suggestions,
+            warnings,
             createdAt: new Date().toISOString()
           });
         }
@@ -238,11 +431,22 @@ class UserService {
     });
   }
 
+  // Parse the JSON columns of a user_suggestions row. Entries saved before
+  // multi-goal support have no healthGoals and are treated as single-goal.
+  formatSuggestionRow(row) {
+    return {
+      ...row,
+      healthGoals: row.healthGoals ? JSON.parse(row.healthGoals) : [{ goal: row.healthGoal, weight: 1 }],
+      suggestions: JSON.parse(row.suggestions),
+      warnings: JSON.parse(row.warnings || '[]')
+    };
+  }
+
   // Get user's suggestion history
   async getUserSuggestions(userId, limit = 10) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT id, age, healthGoal, suggestions, createdAt
+        SELECT id, age, healthGoal, healthGoals, suggestions, warnings, createdAt
         FROM user_suggestions
         WHERE userId = ?
         ORDER BY createdAt DESC
@@ -254,11 +458,29 @@ class UserService {
           logger.error('Error fetching user suggestions:', err);
           reject(new Error('Failed to fetch suggestions'));
         } else {
-          const suggestions = rows.map(row => ({
-            ...row,
-            suggestions: JSON.parse(row.suggestions)
-          }));
-          resolve(suggestions);
+          resolve(rows.map(row => this.formatSuggestionRow(row)));
+        }
+      });
+    });
+  }
+
+  // Get a single saved suggestion belonging to a user
+  async getUserSuggestionById(userId, suggestionId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT id, age, healthGoal, healthGoals, suggestions, warnings, createdAt
+        FROM user_suggestions
+        WHERE id = ? AND userId = ?
+      `;
+
+      this.db.get(query, [suggestionId, userId], (err, row) => {
+        if (err) {
+          logger.error('Error fetching user suggestion:', err);
+          reject(new Error('Failed to fetch suggestion'));
+        } else if (!row) {
+          resolve(null);
+        } else {
+          resolve(this.formatSuggestionRow(row));
         }
       });
     });
@@ -266,11 +488,29 @@ class UserService {
 
   // Delete user account
   async deleteUser(userId) {
+    const { db } = this;
+
     return new Promise((resolve, reject) => {
       this.db.serialize(() => {
         this.db.run('BEGIN TRANSACTION');
 
-        // Delete user suggestions first (due to foreign key)
+        // Delete regimens, suggestion feedback and suggestions first (due to foreign keys)
+        this.db.run('DELETE FROM regimens WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting regimens:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM suggestion_feedback WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting suggestion feedback:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
         this.db.run('DELETE FROM user_suggestions WHERE userId = ?', [userId], (err) => {
           if (err) {
             this.db.run('ROLLBACK');
@@ -279,6 +519,64 @@ class UserService {
           }
         });
 
+        // Questionnaire answers hold health details, so they go with the account
+        this.db.run('DELETE FROM questionnaire_sessions WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting questionnaire sessions:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM suggestion_batch_jobs WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting batch suggestion jobs:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        // Stored responses for the user's Idempotency-Keys
+        this.db.run('DELETE FROM idempotency_keys WHERE owner = ?', [`user:${userId}`], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting idempotency keys:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM refresh_tokens WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting refresh tokens:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM password_reset_tokens WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting password reset tokens:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM email_verification_tokens WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting email verification tokens:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
+        this.db.run('DELETE FROM two_factor_backup_codes WHERE userId = ?', [userId], (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            logger.error('Error deleting two-factor backup codes:', err);
+            return reject(new Error('Failed to delete user data'));
+          }
+        });
+
         // Delete analytics data (set userId to NULL)
         this.db.run('UPDATE analytics SET userId = NULL WHERE userId = ?', [userId], (err) => {
           if (err) {
@@ -289,19 +587,20 @@ class UserService {
         });
 
         // Delete user
+        // `this` is the statement inside this callback, so it uses db
         this.db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
           if (err) {
-            this.db.run('ROLLBACK');
+            db.run('ROLLBACK');
             logger.error('Error deleting user:', err);
             return reject(new Error('Failed to delete user'));
           }
 
           if (this.changes === 0) {
-            this.db.run('ROLLBACK');
+            db.run('ROLLBACK');
             return reject(new Error('User not found'));
           }
 
-          this.db.run('COMMIT', (err) => {
+          db.run('COMMIT', (err) => {
             if (err) {
               logger.error('Error committing transaction:', err);
               return reject(new Error('Failed to complete deletion'));
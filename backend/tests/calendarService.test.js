@@ -0,0 +1,129 @@
+const calendarService = require('../src/services/calendarService');
+
+// Content lines of an iCalendar file with folded lines joined back up
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('calendarService.foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = `SUMMARY:${'a'.repeat(67)}`;
+
+    expect(calendarService.foldLine(line)).toBe(line);
+  });
+
+  it('folds at 75 octets without splitting multibyte characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}${'😀'.repeat(20)}`;
+
+    const folded = calendarService.foldLine(line);
+    const [first, ...rest] = folded.split('\r\n');
+
+    expect(rest.length).toBeGreaterThan(0);
+    expect(Buffer.byteLength(first)).toBeLessThanOrEqual(75);
+    rest.forEach((continuation) => {
+      expect(continuation.startsWith(' ')).toBe(true);
+      expect(Buffer.byteLength(continuation)).toBeLessThanOrEqual(75);
+    });
+    // 'SUMMARY:' is 8 octets, so a 75th octet would fall inside an 'é'
+    expect(Buffer.byteLength(first)).toBe(74);
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('calendarService.escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(calendarService.escapeText('a\\b;c,d\ne\r\nf')).toBe('a\\\\b\\;c\\,d\\ne\\nf');
+  });
+});
+
+describe('calendarService.buildRule', () => {
+  it('lists specific days in week order', () => {
+    const item = { frequency: 'specific_days', daysOfWeek: ['fri', 'mon', 'wed'] };
+
+    expect(calendarService.buildRule(item)).toBe('FREQ=WEEKLY;BYDAY=MO,WE,FR');
+  });
+
+  it('ends the rule on the last day of the phase', () => {
+    const item = { frequency: 'every_other_day' };
+
+    expect(calendarService.buildRule(item, new Date('2025-01-19T00:00:00Z')))
+      .toBe('FREQ=DAILY;INTERVAL=2;UNTIL=20250119T235959');
+  });
+});
+
+describe('calendarService.generateRegimenCalendar', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  it('exports one event per on-phase of a cycled item', () => {
+    const regimen = {
+      id: 7,
+      name: 'Recovery, phase 1',
+      items: [{
+        peptideName: 'BPC-157',
+        dosage: '250 mcg',
+        startDate: '2025-01-06',
+        endDate: '2025-02-16',
+        frequency: 'daily',
+        timeOfDay: '08:00',
+        cycle: { onWeeks: 2, offWeeks: 1 }
+      }]
+    };
+
+    const lines = unfold(calendarService.generateRegimenCalendar(regimen, now));
+
+    expect(lines).toContain('X-WR-CALNAME:Recovery\\, phase 1');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines.filter(line => line.startsWith('UID:'))).toEqual([
+      'UID:regimen-7-0-0@peptide-suggestions',
+      'UID:regimen-7-0-1@peptide-suggestions'
+    ]);
+    expect(lines.filter(line => line.startsWith('DTSTART:'))).toEqual([
+      'DTSTART:20250106T080000',
+      'DTSTART:20250127T080000'
+    ]);
+    expect(lines.filter(line => line.startsWith('RRULE:'))).toEqual([
+      'RRULE:FREQ=DAILY;UNTIL=20250119T235959',
+      'RRULE:FREQ=DAILY;UNTIL=20250209T235959'
+    ]);
+  });
+
+  it('starts a specific-days event on the first matching day', () => {
+    const regimen = {
+      id: 8,
+      name: 'Sleep',
+      items: [{
+        peptideName: 'DSIP',
+        startDate: '2025-01-06',
+        frequency: 'specific_days',
+        daysOfWeek: ['thu', 'tue'],
+        timeOfDay: '21:30'
+      }]
+    };
+
+    const lines = unfold(calendarService.generateRegimenCalendar(regimen, now));
+
+    expect(lines).toContain('DTSTART:20250107T213000');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU,TH');
+    expect(lines).toContain('DTSTAMP:20250101T120000Z');
+  });
+
+  it('folds every content line to 75 octets', () => {
+    const regimen = {
+      id: 9,
+      name: 'Régime très long, avec des accents et des virgules; pour tester le pliage des lignes',
+      items: [{
+        peptideName: 'Épithalon',
+        dosage: '5 mg, dissous dans de l’eau bactériostatique',
+        startDate: '2025-01-06',
+        frequency: 'weekly',
+        timeOfDay: '07:00'
+      }]
+    };
+
+    const ics = calendarService.generateRegimenCalendar(regimen, now);
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    ics.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(unfold(ics)).toContain('SUMMARY:Take Épithalon');
+  });
+});
@@ -0,0 +1,32 @@
+const { app, request, startApp, stopApp, registerUser, waitForMailToken } = require('./testApp');
+
+const verifyEmail = token => request(app).get('/auth/verify-email').query({ token });
+
+const getProfile = token => request(app)
+  .get('/auth/profile')
+  .set('Authorization', `Bearer ${token}`)
+  .expect(200)
+  .then(res => res.body.data.user);
+
+describe('email verification', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('verifies the address with the emailed token, once', async () => {
+    const { token: accessToken } = await registerUser('verify@example.com');
+    expect((await getProfile(accessToken)).emailVerified).toBe(false);
+
+    const token = await waitForMailToken('verify@example.com', 'verifyToken');
+
+    await verifyEmail(token).expect(200);
+    expect((await getProfile(accessToken)).emailVerified).toBe(true);
+
+    const reuse = await verifyEmail(token).expect(400);
+    expect(reuse.body.error.code).toBe('VERIFICATION_TOKEN_INVALID');
+  });
+
+  it('rejects unknown tokens', async () => {
+    const res = await verifyEmail('not-a-real-token').expect(400);
+    expect(res.body.error.code).toBe('VERIFICATION_TOKEN_INVALID');
+  });
+});
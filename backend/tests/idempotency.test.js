@@ -0,0 +1,43 @@
+const { app, request, startApp, stopApp, registerUser } = require('./testApp');
+const idempotencyService = require('../src/services/idempotencyService');
+
+const body = { age: 40, healthGoal: 'sleep' };
+
+const postSuggestions = (key, token) => {
+  const req = request(app).post('/suggestions').set('Idempotency-Key', key);
+  return (token ? req.set('Authorization', `Bearer ${token}`) : req).send(body).expect(200);
+};
+
+describe('Idempotency-Key', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('replays an anonymous response to the same client', async () => {
+    const first = await postSuggestions('anonymous-retry');
+    const retry = await postSuggestions('anonymous-retry');
+
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.requestId).toBe(first.body.requestId);
+  });
+
+  it('scopes anonymous keys to the client IP', async () => {
+    const claim = jest.spyOn(idempotencyService, 'claim');
+
+    await postSuggestions('anonymous-owner');
+    const [{ owner }] = claim.mock.calls[0];
+    claim.mockRestore();
+
+    expect(owner).toMatch(/^anonymous:.+/);
+  });
+
+  it('does not replay an anonymous response to a logged-in user', async () => {
+    const { token } = await registerUser('idempotency@example.com');
+    const anonymous = await postSuggestions('shared-key');
+
+    const res = await postSuggestions('shared-key', token);
+
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(res.body.requestId).not.toBe(anonymous.body.requestId);
+  });
+});
@@ -0,0 +1,32 @@
+const { app, request, startApp, stopApp, registerUser, waitForMailToken } = require('./testApp');
+
+const requestReset = email => request(app).post('/auth/forgot-password').send({ email }).expect(202);
+const resetPassword = (token, newPassword) => request(app).post('/auth/reset-password').send({ token, newPassword });
+
+describe('password reset', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('accepts a reset token once', async () => {
+    const { refreshToken } = await registerUser('reset@example.com');
+    await requestReset('reset@example.com');
+    const token = await waitForMailToken('reset@example.com', 'resetToken');
+
+    await resetPassword(token, 'NewPassw0rd').expect(200);
+
+    const reuse = await resetPassword(token, 'OtherPassw0rd').expect(400);
+    expect(reuse.body.error.code).toBe('RESET_TOKEN_INVALID');
+
+    // The first reset set the password and signed out existing sessions
+    await request(app)
+      .post('/auth/login')
+      .send({ email: 'reset@example.com', password: 'NewPassw0rd' })
+      .expect(200);
+    await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('answers the same way for unknown emails', async () => {
+    const res = await requestReset('nobody@example.com');
+    expect(res.body.data.message).toMatch(/If an account exists/);
+  });
+});
@@ -0,0 +1,35 @@
+const { app, request, startApp, stopApp, registerUser } = require('./testApp');
+
+const refresh = refreshToken => request(app).post('/auth/refresh').send({ refreshToken });
+
+describe('POST /auth/refresh', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await registerUser('rotate@example.com');
+
+    const res = await refresh(refreshToken).expect(200);
+
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.refreshToken).toBeTruthy();
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+  });
+
+  it('revokes the whole token family when a rotated token is reused', async () => {
+    const { refreshToken: first } = await registerUser('reuse@example.com');
+    const second = (await refresh(first).expect(200)).body.data.refreshToken;
+
+    const reuse = await refresh(first).expect(401);
+    expect(reuse.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The legitimate holder's newer token was revoked with its family
+    const afterReuse = await refresh(second).expect(401);
+    expect(afterReuse.body.error.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await refresh('not-a-real-token').expect(401);
+    expect(res.body.error.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+});
@@ -0,0 +1,47 @@
+process.env.ADMIN_EMAILS = 'admin@example.com,second-admin@example.com';
+
+const { app, request, startApp, stopApp, registerUser, waitForMailToken } = require('./testApp');
+const userService = require('../src/services/userService');
+
+const listUsers = token => request(app).get('/users').set('Authorization', `Bearer ${token}`);
+
+describe('ADMIN_EMAILS', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('does not make an unverified registrant an admin', async () => {
+    const { user, token } = await registerUser('admin@example.com');
+    expect(user.role).toBe('user');
+
+    const res = await listUsers(token).expect(403);
+    expect(res.body.error.code).toBe('INSUFFICIENT_ROLE');
+  });
+
+  it('makes the account an admin once the listed address is verified', async () => {
+    const { refreshToken } = await registerUser('second-admin@example.com');
+    const verifyToken = await waitForMailToken('second-admin@example.com', 'verifyToken');
+
+    await request(app).get('/auth/verify-email').query({ token: verifyToken }).expect(200);
+
+    const refreshed = await request(app).post('/auth/refresh').send({ refreshToken }).expect(200);
+    expect(refreshed.body.data.user.role).toBe('admin');
+    await listUsers(refreshed.body.data.token).expect(200);
+  });
+
+  it('requires a verified email for role-restricted routes', async () => {
+    const { user, refreshToken } = await registerUser('unverified-admin@example.com');
+    await userService.setUserRole(user.id, 'admin');
+    const refreshed = await request(app).post('/auth/refresh').send({ refreshToken }).expect(200);
+
+    const res = await listUsers(refreshed.body.data.token).expect(403);
+    expect(res.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  it('skips unverified accounts when promoting at startup', async () => {
+    const { id } = await userService.getUserByEmail('admin@example.com');
+
+    await userService.promoteConfiguredAdmins();
+
+    expect((await userService.getUserById(id)).role).toBe('user');
+  });
+});
@@ -0,0 +1,118 @@
+process.env.SUGGESTION_PROVIDER_TIMEOUT_MS = '50';
+
+const { app, request, startApp, stopApp } = require('./testApp');
+const suggestionsService = require('../src/services/suggestionsService');
+const {
+  createConfiguredProvider,
+  RulesProvider,
+  OpenAiProvider,
+  StubProvider
+} = require('../src/services/suggestionProviders');
+
+const requestSuggestions = () => request(app)
+  .post('/suggestions')
+  .send({ age: 40, healthGoal: 'recovery' })
+  .expect(200);
+
+describe('POST /suggestions provider fallback', () => {
+  beforeAll(startApp);
+  afterAll(stopApp);
+
+  it('reports the stub provider when its output is valid', async () => {
+    suggestionsService.setProvider(new StubProvider());
+
+    const res = await requestSuggestions();
+
+    expect(res.body.meta.provider).toEqual({ name: 'stub', requested: 'stub', fallback: false });
+    expect(res.body.suggestions.length).toBeGreaterThan(0);
+    res.body.suggestions.forEach((suggestion) => {
+      expect(suggestion.description).toMatch(/^Stub suggestion for recovery at age 40/);
+    });
+  });
+
+  it('falls back to the rules provider when the provider times out', async () => {
+    suggestionsService.setProvider(new StubProvider({ mode: 'timeout' }));
+
+    const res = await requestSuggestions();
+
+    expect(res.body.meta.provider).toEqual({
+      name: 'rules',
+      requested: 'stub',
+      fallback: true,
+      fallbackReason: 'timeout'
+    });
+    expect(res.body.suggestions.length).toBeGreaterThan(0);
+    res.body.suggestions.forEach((suggestion) => {
+      expect(suggestion.description).not.toMatch(/^Stub suggestion/);
+    });
+  });
+
+  it('falls back to the rules provider when the provider output is malformed', async () => {
+    suggestionsService.setProvider(new StubProvider({ mode: 'invalid' }));
+
+    const res = await requestSuggestions();
+
+    expect(res.body.meta.provider).toEqual({
+      name: 'rules',
+      requested: 'stub',
+      fallback: true,
+      fallbackReason: 'invalid_output'
+    });
+    expect(res.body.suggestions.length).toBeGreaterThan(0);
+  });
+
+  it('falls back to the rules provider when the provider fails', async () => {
+    suggestionsService.setProvider(new StubProvider({ mode: 'error' }));
+
+    const res = await requestSuggestions();
+
+    expect(res.body.meta.provider.name).toBe('rules');
+    expect(res.body.meta.provider.fallbackReason).toBe('provider_error');
+  });
+});
+
+describe('createConfiguredProvider', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('uses the rules engine by default', () => {
+    delete process.env.SUGGESTION_PROVIDER;
+    delete process.env.ENABLE_OPENAI_INTEGRATION;
+
+    expect(createConfiguredProvider()).toBeInstanceOf(RulesProvider);
+  });
+
+  it('uses OpenAI by default when the integration is enabled', () => {
+    delete process.env.SUGGESTION_PROVIDER;
+    process.env.ENABLE_OPENAI_INTEGRATION = 'true';
+    process.env.OPENAI_API_KEY = 'test-key';
+
+    expect(createConfiguredProvider()).toBeInstanceOf(OpenAiProvider);
+  });
+
+  it('falls back to the rules engine when OpenAI is requested but disabled', () => {
+    process.env.SUGGESTION_PROVIDER = 'openai';
+    process.env.ENABLE_OPENAI_INTEGRATION = 'false';
+
+    expect(createConfiguredProvider()).toBeInstanceOf(RulesProvider);
+  });
+
+  it('builds the stub provider in the configured mode', () => {
+    process.env.SUGGESTION_PROVIDER = 'stub';
+    process.env.STUB_PROVIDER_MODE = 'timeout';
+
+    const provider = createConfiguredProvider();
+
+    expect(provider).toBeInstanceOf(StubProvider);
+    expect(provider.mode).toBe('timeout');
+  });
+
+  it('uses the rules engine for an unknown provider name', () => {
+    process.env.SUGGESTION_PROVIDER = 'unknown';
+
+    expect(createConfiguredProvider()).toBeInstanceOf(RulesProvider);
+  });
+});
@@ -0,0 +1,60 @@
+// Shared setup for the API tests: the app on an in-memory database, with
+// outgoing mail captured instead of sent and data/analytics.json left alone
+process.env.DATABASE_PATH = ':memory:';
+process.env.MAIL_TRANSPORT = 'console';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { logger } = require('../src/utils/logger');
+const database = require('../src/config/database');
+const mailService = require('../src/services/mailService');
+const analyticsService = require('../src/services/analyticsService');
+
+const sentMail = [];
+
+logger.silent = true;
+
+const startApp = async () => {
+  await app.initializeApp();
+  jest.spyOn(mailService, 'send').mockImplementation(async (message) => {
+    sentMail.push(message);
+    return `test-message-${sentMail.length}`;
+  });
+  jest.spyOn(analyticsService, 'updateDailyAnalytics').mockResolvedValue();
+};
+
+const stopApp = () => database.close();
+
+// Register an account and return the register response data
+const registerUser = async (email, password = 'Passw0rd1') => {
+  const res = await request(app)
+    .post('/auth/register')
+    .send({ email, password, firstName: 'Test', lastName: 'User' })
+    .expect(201);
+
+  return res.body.data;
+};
+
+// Wait for an email to an address and return the value of a query parameter
+// in its link, e.g. 'resetToken'. Some emails are sent after the response.
+const waitForMailToken = async (to, param) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const message = [...sentMail].reverse().find(mail => mail.to === to && mail.text.includes(`${param}=`));
+    if (message) {
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(param);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`No email with ${param} sent to ${to}`);
+};
+
+module.exports = {
+  app,
+  request,
+  sentMail,
+  startApp,
+  stopApp,
+  registerUser,
+  waitForMailToken
+};
@@ -0,0 +1,72 @@
+const { authenticator } = require('otplib');
+const { app, request, startApp, stopApp, registerUser } = require('./testApp');
+
+const EMAIL = 'totp@example.com';
+const PASSWORD = 'Passw0rd1';
+
+const login = () => request(app)
+  .post('/auth/login')
+  .send({ email: EMAIL, password: PASSWORD })
+  .expect(200)
+  .then(res => res.body.data);
+
+const completeLogin = (challengeToken, code) => request(app)
+  .post('/auth/login/2fa')
+  .send({ challengeToken, code });
+
+describe('two-factor authentication', () => {
+  let totpCode;
+  let backupCodes;
+
+  beforeAll(async () => {
+    await startApp();
+
+    const { token } = await registerUser(EMAIL, PASSWORD);
+    const enroll = await request(app)
+      .post('/auth/2fa/enroll')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    totpCode = authenticator.generate(enroll.body.data.secret);
+    const confirm = await request(app)
+      .post('/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totpCode })
+      .expect(200);
+
+    ({ backupCodes } = confirm.body.data);
+  });
+
+  afterAll(stopApp);
+
+  it('rejects a TOTP code that was already accepted', async () => {
+    const challenge = await login();
+    expect(challenge.twoFactorRequired).toBe(true);
+    expect(challenge.token).toBeUndefined();
+
+    // The code confirmed enrollment, so its time step is used up
+    const res = await completeLogin(challenge.challengeToken, totpCode).expect(401);
+    expect(res.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('accepts each backup code once', async () => {
+    const first = await login();
+    const res = await completeLogin(first.challengeToken, backupCodes[0]).expect(200);
+
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.twoFactor).toEqual({ method: 'backup_code', backupCodesRemaining: backupCodes.length - 1 });
+
+    const second = await login();
+    const reuse = await completeLogin(second.challengeToken, backupCodes[0]).expect(401);
+    expect(reuse.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('does not accept a challenge token as an access token', async () => {
+    const { challengeToken } = await login();
+
+    await request(app)
+      .get('/auth/profile')
+      .set('Authorization', `Bearer ${challengeToken}`)
+      .expect(401);
+  });
+});
@@ -0,0 +1,76 @@
+// frontend/src/components/EmailVerificationBanner.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { CheckCircle, AlertCircle, Mail, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Confirms the address when the page is opened from a verification link
+// (?verifyToken=...), and reminds signed-in users who have not verified yet.
+const EmailVerificationBanner = () => {
+  const { user, verifyEmail, resendVerificationEmail } = useAuth();
+  const [result, setResult] = useState(null); // { success, message }
+  const [isSending, setIsSending] = useState(false);
+  // Tokens work once, so verify only on the first run of the effect. It runs
+  // again whenever verifyEmail changes and returns early from then on.
+  const verifyStarted = useRef(false);
+
+  useEffect(() => {
+    const verifyToken = new URLSearchParams(window.location.search).get('verifyToken');
+    if (!verifyToken || verifyStarted.current) return;
+
+    verifyStarted.current = true;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    verifyEmail(verifyToken).then(({ success, message, error }) => {
+      setResult({ success, message: success ? message : error });
+    });
+  }, [verifyEmail]);
+
+  const handleResend = async () => {
+    setIsSending(true);
+    const { success, message, error } = await resendVerificationEmail();
+    setResult({ success, message: success ? message : error });
+    setIsSending(false);
+  };
+
+  if (result) {
+    return (
+      <div className={`border-b px-4 py-3 ${result.success ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+        <div className="max-w-7xl mx-auto flex items-center justify-between">
+          <div className={`flex items-center text-sm ${result.success ? 'text-green-800' : 'text-red-800'}`}>
+            {result.success
+              ? <CheckCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              : <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />}
+            {result.message}
+          </div>
+          <button onClick={() => setResult(null)} className="text-gray-500 hover:text-gray-700" aria-label="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 px-4 py-3">
+      <div className="max-w-7xl mx-auto flex items-center justify-between">
+        <div className="flex items-center text-sm text-amber-800">
+          <Mail className="w-4 h-4 mr-2 flex-shrink-0" />
+          Verify {user.email} to get personalized suggestions and history. Check your inbox for the link.
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={isSending}
+          className="text-sm font-medium text-amber-900 hover:underline disabled:opacity-50 ml-4 whitespace-nowrap"
+        >
+          {isSending ? 'Sending...' : 'Resend link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,492 @@
+// frontend/src/components/HealthQuestionnaire.jsx
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Save, RefreshCw, AlertCircle, CheckCircle, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getDeviceId } from '../utils/device';
+
+// Same rule the API applies: a step with showIf is shown only when the
+// earlier answer matches
+const getVisibleSteps = (definition, answers) => definition.steps.filter(step => (
+  !step.showIf || answers[step.showIf.question] === step.showIf.equals
+));
+
+const isAnswered = (question, value) => {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length >= (question.minItems || 1);
+  return true;
+};
+
+// Drafts of signed-out users are saved against this browser's device ID
+const withDeviceId = (options = {}) => ({
+  ...options,
+  headers: { 'X-Device-Id': getDeviceId(), ...options.headers }
+});
+
+const optionClass = (selected) => `border rounded-lg px-3 py-2 text-sm text-left transition-colors ${
+  selected ? 'border-blue-500 bg-blue-50 text-blue-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+}`;
+
+// One question, rendered according to its type
+const QuestionInput = ({ question, value, onChange, disabled }) => {
+  const [entry, setEntry] = useState('');
+
+  switch (question.type) {
+    case 'number':
+      return (
+        <input
+          type="number"
+          value={value ?? ''}
+          min={question.min}
+          max={question.max}
+          onChange={(e) => onChange(e.target.value === '' ? null : parseInt(e.target.value, 10))}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={disabled}
+        />
+      );
+    case 'single':
+      return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {question.options.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => onChange(value === option.value ? null : option.value)}
+              className={optionClass(value === option.value)}
+              disabled={disabled}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    case 'multi': {
+      const selected = value || [];
+      return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {question.options.map(option => {
+            const checked = selected.includes(option.value);
+            return (
+              <label key={option.value} className={`flex items-center cursor-pointer ${optionClass(checked)}`}>
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  onChange={() => onChange(checked
+                    ? selected.filter(item => item !== option.value)
+                    : [...selected, option.value])}
+                  className="mr-2"
+                  disabled={disabled}
+                />
+                {option.label}
+              </label>
+            );
+          })}
+        </div>
+      );
+    }
+    case 'boolean':
+      return (
+        <div className="flex gap-2">
+          {[{ value: true, label: 'Yes' }, { value: false, label: 'No' }].map(option => (
+            <button
+              key={option.label}
+              type="button"
+              onClick={() => onChange(option.value)}
+              className={`flex-1 ${optionClass(value === option.value)}`}
+              disabled={disabled}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    case 'list': {
+      const items = value || [];
+      const addEntry = () => {
+        const text = entry.trim();
+        if (text.length < 2 || items.includes(text) || items.length >= question.maxItems) return;
+        onChange([...items, text]);
+        setEntry('');
+      };
+
+      return (
+        <div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={entry}
+              onChange={(e) => setEntry(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  addEntry();
+                }
+              }}
+              maxLength={100}
+              placeholder="Type one and press Add"
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              disabled={disabled}
+            />
+            <button
+              type="button"
+              onClick={addEntry}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50"
+              disabled={disabled}
+            >
+              Add
+            </button>
+          </div>
+          {items.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              {items.map(item => (
+                <span key={item} className="flex items-center text-sm bg-blue-100 text-blue-800 rounded-full pl-3 pr-1 py-1">
+                  {item}
+                  <button
+                    type="button"
+                    onClick={() => onChange(items.filter(other => other !== item))}
+                    className="ml-1 p-0.5 rounded-full hover:bg-blue-200"
+                    aria-label={`Remove ${item}`}
+                    disabled={disabled}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+// Multi-step health questionnaire. Answers are saved as a draft on the server
+// (per account, or per browser when signed out) each time the user moves on,
+// so it can be resumed later. onComplete receives the suggestions response.
+const HealthQuestionnaire = ({ onComplete }) => {
+  const { user, makeAuthenticatedRequest } = useAuth();
+  const [definition, setDefinition] = useState(null);
+  const [savedDraft, setSavedDraft] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [stepId, setStepId] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Load the saved draft, if any, and the questionnaire version it was started on.
+  // Reloads on sign in or out, since drafts belong to the account or browser.
+  useEffect(() => {
+    const load = async () => {
+      setStatus('loading');
+      setError('');
+
+      try {
+        const draftResponse = await makeAuthenticatedRequest('/questionnaire/draft', withDeviceId());
+        const draftData = await draftResponse.json();
+        if (!draftResponse.ok || !draftData.success) {
+          throw new Error(draftData.error?.message || 'Failed to load your saved answers');
+        }
+
+        const { draft } = draftData.data;
+        const version = draft ? `?version=${draft.version}` : '';
+        const response = await makeAuthenticatedRequest(`/questionnaire${version}`, withDeviceId());
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error?.message || 'Failed to load the questionnaire');
+        }
+
+        setDefinition(data.data.questionnaire);
+        setSavedDraft(draft);
+        setAnswers({});
+        setStepId(data.data.questionnaire.steps[0].id);
+        setStatus(draft ? 'resume' : 'active');
+      } catch (err) {
+        setError(err.message || 'Unable to load the questionnaire. Please try again.');
+        setStatus('error');
+      }
+    };
+
+    load();
+  }, [user, makeAuthenticatedRequest]);
+
+  const resumeDraft = () => {
+    const steps = getVisibleSteps(definition, savedDraft.answers);
+    setAnswers(savedDraft.answers);
+    setStepId(steps.some(step => step.id === savedDraft.currentStep) ? savedDraft.currentStep : steps[0].id);
+    setStatus('active');
+  };
+
+  // Discard the saved draft; a new one starts on the current version
+  const startOver = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await makeAuthenticatedRequest('/questionnaire/draft', withDeviceId({ method: 'DELETE' }));
+      const response = await makeAuthenticatedRequest('/questionnaire', withDeviceId());
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || 'Failed to load the questionnaire');
+      }
+
+      setDefinition(data.data.questionnaire);
+      setSavedDraft(null);
+      setAnswers({});
+      setStepId(data.data.questionnaire.steps[0].id);
+      setStatus('active');
+    } catch (err) {
+      setError(err.message || 'Failed to start over. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveDraft = async (currentStep) => {
+    const response = await makeAuthenticatedRequest('/questionnaire/draft', withDeviceId({
+      method: 'PUT',
+      body: JSON.stringify({ answers, currentStep })
+    }));
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error?.message || 'Failed to save your answers');
+    }
+    setSavedDraft(data.data.draft);
+    return data.data.draft;
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 text-center text-gray-500">
+        <RefreshCw className="w-5 h-5 inline mr-2 animate-spin" />
+        Loading questionnaire...
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-red-700">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'resume') {
+    const { completedSteps, totalSteps } = savedDraft.progress;
+
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Welcome back</h2>
+        <p className="text-gray-600 mb-6">
+          You have a saved questionnaire with {completedSteps} of {totalSteps} steps completed.
+        </p>
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+        <div className="flex gap-4">
+          <button
+            type="button"
+            onClick={resumeDraft}
+            className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            disabled={saving}
+          >
+            Resume
+          </button>
+          <button
+            type="button"
+            onClick={startOver}
+            className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            disabled={saving}
+          >
+            Start over
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'submitted') {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-start mb-4">
+          <CheckCircle className="w-5 h-5 text-green-600 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-green-700">Questionnaire submitted. Your recommendations are below.</p>
+        </div>
+        <button
+          type="button"
+          onClick={startOver}
+          className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+        >
+          Start a new questionnaire
+        </button>
+      </div>
+    );
+  }
+
+  const steps = getVisibleSteps(definition, answers);
+  const stepIndex = Math.max(steps.findIndex(item => item.id === stepId), 0);
+  const step = steps[stepIndex];
+  const isLastStep = stepIndex === steps.length - 1;
+  const stepComplete = step.questions.every(question => !question.required || isAnswered(question, answers[question.id]));
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+    setError('');
+    setNotice('');
+  };
+
+  const goBack = () => {
+    setStepId(steps[stepIndex - 1].id);
+    setError('');
+    setNotice('');
+  };
+
+  // Save, then move to the next step or submit after the last one
+  const goNext = async () => {
+    if (!stepComplete) {
+      setError('Please answer the required questions to continue');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setNotice('');
+
+    try {
+      if (!isLastStep) {
+        const nextStep = steps[stepIndex + 1].id;
+        await saveDraft(nextStep);
+        setStepId(nextStep);
+        return;
+      }
+
+      await saveDraft(step.id);
+      const response = await makeAuthenticatedRequest('/questionnaire/draft/submit', withDeviceId({ method: 'POST' }));
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || 'Failed to get suggestions. Please try again.');
+      }
+
+      setStatus('submitted');
+      onComplete(data, answers);
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const finishLater = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await saveDraft(step.id);
+      setNotice(user
+        ? 'Saved to your account. Come back any time to pick up where you left off.'
+        : 'Saved on this device. Come back any time to pick up where you left off.');
+    } catch (err) {
+      setError(err.message || 'Failed to save your answers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      {/* Progress */}
+      <div className="mb-6">
+        <div className="flex justify-between text-sm text-gray-500 mb-2">
+          <span>Step {stepIndex + 1} of {steps.length}</span>
+          <span>{step.title}</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-600 transition-all"
+            style={{ width: `${Math.round(((stepIndex + 1) / steps.length) * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        {step.questions.map(question => (
+          <div key={question.id}>
+            <p className="block text-sm font-medium text-gray-700 mb-2">
+              {question.label}
+              {!question.required && <span className="text-gray-400 font-normal"> (optional)</span>}
+            </p>
+            <QuestionInput
+              question={question}
+              value={answers[question.id]}
+              onChange={(value) => setAnswer(question.id, value)}
+              disabled={saving}
+            />
+          </div>
+        ))}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start">
+            <AlertCircle className="w-5 h-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-start">
+            <CheckCircle className="w-5 h-5 text-green-600 mr-3 mt-0.5 flex-shrink-0" />
+            <p className="text-green-700">{notice}</p>
+          </div>
+        )}
+
+        {/* Navigation */}
+        <div className="flex items-center gap-3">
+          {stepIndex > 0 && (
+            <button
+              type="button"
+              onClick={goBack}
+              className="flex items-center px-4 py-3 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+              disabled={saving}
+            >
+              <ChevronLeft className="w-4 h-4 mr-1" />
+              Back
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={goNext}
+            className="flex-1 flex items-center justify-center bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={saving}
+          >
+            {saving ? (
+              <RefreshCw className="w-5 h-5 animate-spin" />
+            ) : isLastStep ? (
+              <>🔬 Get Suggestions</>
+            ) : (
+              <>
+                Next
+                <ChevronRight className="w-4 h-4 ml-1" />
+              </>
+            )}
+          </button>
+        </div>
+
+        <button
+          type="button"
+          onClick={finishLater}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+          disabled={saving}
+        >
+          <Save className="w-4 h-4 mr-1" />
+          Save and finish later
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HealthQuestionnaire;
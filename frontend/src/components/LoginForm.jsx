@@ -1,7 +1,137 @@
 // frontend/src/components/LoginForm.jsx
 import React, { useState } from 'react';
-import { Eye, EyeOff, Mail, Lock, UserPlus, LogIn } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, UserPlus, LogIn, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import PasswordResetForm from './PasswordResetForm';
+
+// Token from an emailed password reset link (?resetToken=...)
+const getResetTokenFromUrl = () => new URLSearchParams(window.location.search).get('resetToken');
+
+// Second login step for accounts with two-factor authentication
+const TwoFactorStep = ({ onSuccess }) => {
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { completeTwoFactorLogin, cancelTwoFactorLogin, error: authError, clearError } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await completeTwoFactorLogin(code.trim());
+
+      if (result.success) {
+        if (result.twoFactor?.method === 'backup_code') {
+          window.alert(`Backup code used. You have ${result.twoFactor.backupCodesRemaining} left.`);
+        }
+        if (onSuccess) {
+          onSuccess(result.user);
+        }
+      } else {
+        setCode('');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleBackupCode = () => {
+    setUseBackupCode(!useBackupCode);
+    setCode('');
+    clearError();
+  };
+
+  const handleCancel = () => {
+    clearError();
+    cancelTwoFactorLogin();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-8 px-4">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="mx-auto w-16 h-16 bg-blue-600 rounded-full flex items-center justify-center mb-4">
+            <ShieldCheck className="text-white w-8 h-8" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Two-Factor Verification</h1>
+          <p className="text-gray-600">
+            {useBackupCode
+              ? 'Enter one of the backup codes you saved when turning on two-factor authentication'
+              : 'Enter the 6-digit code from your authenticator app'
+            }
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                {useBackupCode ? 'Backup Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="twoFactorCode"
+                value={code}
+                onChange={(e) => { setCode(e.target.value); clearError(); }}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors text-center text-lg tracking-widest"
+                placeholder={useBackupCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                maxLength={useBackupCode ? 20 : 6}
+                autoFocus
+                disabled={isSubmitting}
+              />
+            </div>
+
+            {/* Error Message */}
+            {authError && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-red-600 text-sm">{authError}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isSubmitting || !code.trim()}
+              className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+            >
+              {isSubmitting ? (
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                'Verify'
+              )}
+            </button>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={toggleBackupCode}
+                className="text-blue-600 hover:text-blue-700 font-medium"
+                disabled={isSubmitting}
+              >
+                {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+              </button>
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="text-gray-600 hover:text-gray-800"
+                disabled={isSubmitting}
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const LoginForm = ({ onSuccess }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -15,8 +145,10 @@ const LoginForm = ({ onSuccess }) => {
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [resetToken, setResetToken] = useState(getResetTokenFromUrl);
+  const [showPasswordReset, setShowPasswordReset] = useState(() => !!getResetTokenFromUrl());
 
-  const { login, register, error: authError, clearError } = useAuth();
+  const { login, register, twoFactorChallenge, error: authError, clearError } = useAuth();
 
   // Handle input changes
   const handleInputChange = (e) => {
@@ -128,6 +260,23 @@ const LoginForm = ({ onSuccess }) => {
     clearError();
   };
 
+  // Leave the reset screen, dropping the reset token from the URL
+  const closePasswordReset = () => {
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+      setResetToken(null);
+    }
+    setShowPasswordReset(false);
+  };
+
+  if (showPasswordReset) {
+    return <PasswordResetForm resetToken={resetToken} onBack={closePasswordReset} />;
+  }
+
+  if (twoFactorChallenge) {
+    return <TwoFactorStep onSuccess={onSuccess} />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-8 px-4">
       <div className="max-w-md w-full">
@@ -253,6 +402,18 @@ const LoginForm = ({ onSuccess }) => {
               {errors.password && (
                 <p className="mt-1 text-sm text-red-600">{errors.password}</p>
               )}
+              {isLogin && (
+                <div className="mt-2 text-right">
+                  <button
+                    type="button"
+                    onClick={() => { clearError(); setShowPasswordReset(true); }}
+                    className="text-sm text-blue-600 hover:text-blue-700"
+                    disabled={isSubmitting}
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Confirm Password Field (Registration Only) */}
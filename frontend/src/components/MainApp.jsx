@@ -2,13 +2,21 @@
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import LoginForm from './LoginForm';
+import EmailVerificationBanner from './EmailVerificationBanner';
 import PeptideSuggestionsApp from './PeptideSuggestionsApp';
 import LoadingSpinner from './LoadingSpinner';
-import { User, LogOut, History, Settings } from 'lucide-react';
+import RegimenPlanner, { RegimenBuilder } from './RegimenPlanner';
+import ReconstitutionCalculator from './ReconstitutionCalculator';
+import PeptideCatalog, { PeptideDetail } from './PeptideCatalog';
+import PeptideComparison from './PeptideComparison';
+import { User, LogOut, History, Settings, Download, Star, Calendar, Calculator, BookOpen, Columns } from 'lucide-react';
+import { downloadPdfResponse } from '../utils/download';
 
 const MainApp = () => {
-  const { user, loading, logout, isAuthenticated } = useAuth();
-  const [currentView, setCurrentView] = useState('suggestions'); // 'suggestions', 'profile', 'history'
+  const { user, loading, logout, logoutAll, isAuthenticated } = useAuth();
+  const [currentView, setCurrentView] = useState('suggestions'); // 'suggestions', 'profile', 'history', 'regimens', 'calculator', 'catalog', 'peptide', 'compare'
+  const [peptidePage, setPeptidePage] = useState({ slug: null, returnView: 'catalog' });
+  const [comparePage, setComparePage] = useState({ ids: [], returnView: 'suggestions' });
   const [showUserMenu, setShowUserMenu] = useState(false);
 
   // Show loading spinner during authentication check
@@ -18,9 +26,26 @@ const MainApp = () => {
 
   // Show login form if user is not authenticated
   if (!isAuthenticated) {
-    return <LoginForm onSuccess={() => setCurrentView('suggestions')} />;
+    return (
+      <>
+        <EmailVerificationBanner />
+        <LoginForm onSuccess={() => setCurrentView('suggestions')} />
+      </>
+    );
   }
 
+  // Open a peptide's detail page, remembering where to go back to
+  const openPeptide = (slug) => {
+    setPeptidePage({ slug, returnView: currentView });
+    setCurrentView('peptide');
+  };
+
+  // Compare peptides (slugs or names) side by side
+  const openComparison = (ids) => {
+    setComparePage({ ids, returnView: currentView });
+    setCurrentView('compare');
+  };
+
   // Handle logout
   const handleLogout = () => {
     logout();
@@ -28,6 +53,19 @@ const MainApp = () => {
     setShowUserMenu(false);
   };
 
+  // Sign out on every device, e.g. after losing one
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+
+    const result = await logoutAll();
+    if (result.success) {
+      setCurrentView('suggestions');
+      setShowUserMenu(false);
+    } else {
+      window.alert(result.error);
+    }
+  };
+
   // Navigation header for authenticated users
   const NavigationHeader = () => (
     <header className="bg-white shadow-sm border-b border-gray-200">
@@ -66,6 +104,39 @@ const MainApp = () => {
               <History className="w-4 h-4 inline mr-1" />
               History
             </button>
+            <button
+              onClick={() => setCurrentView('regimens')}
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                currentView === 'regimens'
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <Calendar className="w-4 h-4 inline mr-1" />
+              Regimens
+            </button>
+            <button
+              onClick={() => setCurrentView('calculator')}
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                currentView === 'calculator'
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <Calculator className="w-4 h-4 inline mr-1" />
+              Calculator
+            </button>
+            <button
+              onClick={() => setCurrentView('catalog')}
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                currentView === 'catalog'
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <BookOpen className="w-4 h-4 inline mr-1" />
+              Catalog
+            </button>
            
           </nav>
 
@@ -109,6 +180,13 @@ const MainApp = () => {
                   <LogOut className="w-4 h-4 inline mr-2" />
                   Sign Out
                 </button>
+                <button
+                  onClick={handleLogoutAll}
+                  className="block w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+                >
+                  <LogOut className="w-4 h-4 inline mr-2" />
+                  Sign Out Everywhere
+                </button>
               </div>
             )}
           </div>
@@ -140,27 +218,84 @@ const MainApp = () => {
             <History className="w-5 h-5 mb-1" />
             History
           </button>
+          <button
+            onClick={() => setCurrentView('regimens')}
+            className={`flex flex-col items-center px-3 py-2 text-xs font-medium transition-colors ${
+              currentView === 'regimens'
+                ? 'text-blue-600'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <Calendar className="w-5 h-5 mb-1" />
+            Regimens
+          </button>
+          <button
+            onClick={() => setCurrentView('calculator')}
+            className={`flex flex-col items-center px-3 py-2 text-xs font-medium transition-colors ${
+              currentView === 'calculator'
+                ? 'text-blue-600'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <Calculator className="w-5 h-5 mb-1" />
+            Calculator
+          </button>
+          <button
+            onClick={() => setCurrentView('catalog')}
+            className={`flex flex-col items-center px-3 py-2 text-xs font-medium transition-colors ${
+              currentView === 'catalog'
+                ? 'text-blue-600'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <BookOpen className="w-5 h-5 mb-1" />
+            Catalog
+          </button>
        
         </div>
       </div>
     </header>
   );
 
-  // Render current view
+  // Render current view. The suggestions view is rendered separately so its
+  // results survive a visit to a peptide page.
   const renderCurrentView = () => {
     switch (currentView) {
-      case 'suggestions':
-        return <PeptideSuggestionsApp />;
       case 'history':
-        return <SuggestionHistory />;
+        return (
+          <SuggestionHistory
+            onRegimenCreated={() => setCurrentView('regimens')}
+            onViewPeptide={openPeptide}
+            onCompare={openComparison}
+          />
+        );
+      case 'regimens':
+        return <RegimenPlanner />;
+      case 'calculator':
+        return <ReconstitutionCalculator />;
+      case 'catalog':
+        return <PeptideCatalog onViewPeptide={openPeptide} />;
+      case 'peptide':
+        return <PeptideDetail slug={peptidePage.slug} onBack={() => setCurrentView(peptidePage.returnView)} />;
+      case 'compare':
+        return (
+          <PeptideComparison
+            ids={comparePage.ids}
+            onBack={() => setCurrentView(comparePage.returnView)}
+            onViewPeptide={openPeptide}
+          />
+        );
       default:
-        return <PeptideSuggestionsApp />;
+        return null;
     }
   };
 
+  const showSuggestions = !['history', 'regimens', 'calculator', 'catalog', 'peptide', 'compare'].includes(currentView);
+
   return (
     <div className="min-h-screen bg-gray-50">
       <NavigationHeader />
+      <EmailVerificationBanner />
       
       {/* Click outside to close user menu */}
       {showUserMenu && (
@@ -172,18 +307,150 @@ const MainApp = () => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className={showSuggestions ? '' : 'hidden'}>
+          <PeptideSuggestionsApp onViewPeptide={openPeptide} onCompare={openComparison} />
+        </div>
         {renderCurrentView()}
       </main>
     </div>
   );
 };
 
+// "weight_management" -> "Weight management"
+const formatGoal = (goal) => goal.charAt(0).toUpperCase() + goal.slice(1).replace(/_/g, ' ');
+
+// Rating controls for one peptide in a saved suggestion
+const PeptideFeedback = ({ suggestionId, peptideName, existing }) => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [rating, setRating] = useState(existing?.rating || 0);
+  const [triedIt, setTriedIt] = useState(existing?.triedIt || false);
+  const [notes, setNotes] = useState(existing?.notes || '');
+  const [sideEffects, setSideEffects] = useState((existing?.sideEffects || []).join(', '));
+  const [showDetails, setShowDetails] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(existing ? 'saved' : '');
+
+  const handleSave = async () => {
+    if (!rating) {
+      setStatus('Please choose a rating');
+      return;
+    }
+
+    setSaving(true);
+    setStatus('');
+
+    try {
+      const response = await makeAuthenticatedRequest(`/auth/suggestions/${suggestionId}/feedback`, {
+        method: 'POST',
+        body: JSON.stringify({
+          peptideName,
+          rating,
+          triedIt,
+          notes,
+          sideEffects: sideEffects.split(',').map(effect => effect.trim()).filter(Boolean)
+        })
+      });
+      const data = await response.json();
+
+      setStatus(response.ok && data.success ? 'saved' : (data.error?.message || 'Failed to save feedback'));
+    } catch (err) {
+      setStatus('Failed to save feedback');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex" aria-label="Rating">
+          {[1, 2, 3, 4, 5].map(value => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => { setRating(value); setStatus(''); }}
+              aria-label={`${value} star${value === 1 ? '' : 's'}`}
+              className="p-0.5"
+            >
+              <Star className={`w-4 h-4 ${value <= rating ? 'text-yellow-500 fill-yellow-400' : 'text-gray-300'}`} />
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center text-gray-600">
+          <input
+            type="checkbox"
+            checked={triedIt}
+            onChange={(e) => { setTriedIt(e.target.checked); setStatus(''); }}
+            className="mr-1"
+          />
+          I tried it
+        </label>
+        <button
+          type="button"
+          onClick={() => setShowDetails(prev => !prev)}
+          className="text-blue-600 hover:text-blue-700"
+        >
+          {showDetails ? 'Hide notes' : 'Add notes'}
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        {status === 'saved' && <span className="text-green-600">Saved</span>}
+        {status && status !== 'saved' && <span className="text-red-600">{status}</span>}
+      </div>
+
+      {showDetails && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={notes}
+            onChange={(e) => { setNotes(e.target.value); setStatus(''); }}
+            placeholder="How did it go?"
+            rows={2}
+            maxLength={2000}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="text"
+            value={sideEffects}
+            onChange={(e) => { setSideEffects(e.target.value); setStatus(''); }}
+            placeholder="Side effects, separated by commas"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Simple Suggestion History Component
-const SuggestionHistory = () => {
-  const { getSuggestionHistory } = useAuth();
+const SuggestionHistory = ({ onRegimenCreated, onViewPeptide, onCompare }) => {
+  const { getSuggestionHistory, makeAuthenticatedRequest } = useAuth();
+  const [planningId, setPlanningId] = useState(null);
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [downloadError, setDownloadError] = useState('');
+
+  // Download a saved entry as a PDF report
+  const handleDownloadPdf = async (suggestionId) => {
+    setDownloadingId(suggestionId);
+    setDownloadError('');
+
+    try {
+      const response = await makeAuthenticatedRequest(`/auth/suggestions/${suggestionId}/pdf`);
+      await downloadPdfResponse(response, `peptide-suggestions-${suggestionId}.pdf`);
+    } catch (err) {
+      setDownloadError(err.message || 'Failed to download PDF');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
 
   React.useEffect(() => {
     const fetchHistory = async () => {
@@ -239,28 +506,99 @@ const SuggestionHistory = () => {
         <p className="text-gray-600">View your previous peptide recommendations and track your health journey.</p>
       </div>
 
+      {downloadError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-600 text-sm">{downloadError}</p>
+        </div>
+      )}
+
       <div className="space-y-4">
         {history.map((item, index) => (
           <div key={item.id || index} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <div className="flex justify-between items-start mb-4">
               <div>
                 <h3 className="text-lg font-medium text-gray-900">
-                  {item.healthGoal.charAt(0).toUpperCase() + item.healthGoal.slice(1).replace('_', ' ')} Goal
+                  {(item.healthGoals || [{ goal: item.healthGoal }]).map(({ goal }) => formatGoal(goal)).join(' + ')}
+                  {(item.healthGoals || []).length > 1 ? ' Goals' : ' Goal'}
                 </h3>
                 <p className="text-sm text-gray-500">
                   Age: {item.age} • {new Date(item.createdAt).toLocaleDateString()}
                 </p>
               </div>
+              <div className="flex gap-4">
+                <button
+                  onClick={() => setPlanningId(planningId === item.id ? null : item.id)}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                >
+                  <Calendar className="w-4 h-4 mr-1" />
+                  Plan regimen
+                </button>
+                {item.suggestions.length > 1 && (
+                  <button
+                    onClick={() => onCompare(item.suggestions.map(suggestion => suggestion.slug || suggestion.name))}
+                    className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    <Columns className="w-4 h-4 mr-1" />
+                    Compare
+                  </button>
+                )}
+                <button
+                  onClick={() => handleDownloadPdf(item.id)}
+                  disabled={downloadingId === item.id}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4 mr-1" />
+                  PDF
+                </button>
+              </div>
             </div>
             
             <div className="space-y-3">
               {item.suggestions.map((suggestion, suggestionIndex) => (
                 <div key={suggestionIndex} className="border-l-4 border-blue-200 pl-4">
-                  <h4 className="font-medium text-gray-900">{suggestion.name}</h4>
+                  <h4 className="font-medium text-gray-900">
+                    {suggestion.slug ? (
+                      <button
+                        type="button"
+                        onClick={() => onViewPeptide(suggestion.slug)}
+                        className="hover:text-blue-600 hover:underline text-left"
+                      >
+                        {suggestion.name}
+                      </button>
+                    ) : suggestion.name}
+                  </h4>
+                  {suggestion.evidence && (
+                    <p className="text-xs text-gray-500">
+                      Evidence: {suggestion.evidence.grade
+                        ? `Grade ${suggestion.evidence.grade} (${suggestion.evidence.label})`
+                        : suggestion.evidence.label}
+                    </p>
+                  )}
+                  {item.healthGoals?.length > 1 && suggestion.goals?.length > 0 && (
+                    <p className="text-xs text-blue-600">Covers: {suggestion.goals.map(formatGoal).join(', ')}</p>
+                  )}
                   <p className="text-sm text-gray-600">{suggestion.description}</p>
+                  {suggestion.cautions?.map((caution) => (
+                    <p key={`${caution.type}-${caution.trigger}`} className="text-xs text-amber-700 mt-1">
+                      Caution ({caution.trigger}): {caution.reason}
+                    </p>
+                  ))}
+                  <PeptideFeedback
+                    suggestionId={item.id}
+                    peptideName={suggestion.name}
+                    existing={(item.feedback || []).find(entry => entry.peptideName === suggestion.name)}
+                  />
                 </div>
               ))}
             </div>
+
+            {planningId === item.id && (
+              <RegimenBuilder
+                suggestion={item}
+                onCreated={onRegimenCreated}
+                onCancel={() => setPlanningId(null)}
+              />
+            )}
           </div>
         ))}
       </div>
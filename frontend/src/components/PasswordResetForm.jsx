@@ -0,0 +1,199 @@
+// frontend/src/components/PasswordResetForm.jsx
+import React, { useState } from 'react';
+import { ArrowLeft, CheckCircle, KeyRound, Lock, Mail } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// With a resetToken (from the emailed link) this sets a new password;
+// without one it asks for the link.
+const PasswordResetForm = ({ resetToken, onBack }) => {
+  const [email, setEmail] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fieldError, setFieldError] = useState('');
+  const [doneMessage, setDoneMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { requestPasswordReset, resetPassword, error: authError, clearError } = useAuth();
+
+  const validate = () => {
+    if (!resetToken) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return 'Please enter a valid email address';
+      }
+      return '';
+    }
+
+    if (newPassword.length < 8) {
+      return 'Password must be at least 8 characters long';
+    }
+    if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(newPassword)) {
+      return 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    }
+    if (newPassword !== confirmPassword) {
+      return 'Passwords do not match';
+    }
+    return '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validate();
+    setFieldError(validationError);
+    if (validationError) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = resetToken
+        ? await resetPassword(resetToken, newPassword)
+        : await requestPasswordReset(email);
+
+      if (result.success) {
+        setDoneMessage(result.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleBack = () => {
+    clearError();
+    onBack();
+  };
+
+  const inputClass = `w-full px-4 py-3 pl-12 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+    fieldError ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-8 px-4">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="mx-auto w-16 h-16 bg-blue-600 rounded-full flex items-center justify-center mb-4">
+            <KeyRound className="text-white w-8 h-8" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">
+            {resetToken ? 'Choose a New Password' : 'Forgot Your Password?'}
+          </h1>
+          <p className="text-gray-600">
+            {resetToken
+              ? 'Enter a new password for your account'
+              : "Enter your email and we'll send you a link to reset your password"
+            }
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          {doneMessage ? (
+            <div className="space-y-6 text-center">
+              <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+              <p className="text-gray-700">{doneMessage}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {resetToken ? (
+                <>
+                  <div>
+                    <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                      New Password
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="password"
+                        id="newPassword"
+                        value={newPassword}
+                        onChange={(e) => { setNewPassword(e.target.value); setFieldError(''); clearError(); }}
+                        className={inputClass}
+                        placeholder="Create a strong password"
+                        disabled={isSubmitting}
+                      />
+                      <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                      Confirm Password
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="password"
+                        id="confirmNewPassword"
+                        value={confirmPassword}
+                        onChange={(e) => { setConfirmPassword(e.target.value); setFieldError(''); clearError(); }}
+                        className={inputClass}
+                        placeholder="Confirm your password"
+                        disabled={isSubmitting}
+                      />
+                      <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <label htmlFor="resetEmail" className="block text-sm font-medium text-gray-700 mb-2">
+                    Email Address
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="email"
+                      id="resetEmail"
+                      value={email}
+                      onChange={(e) => { setEmail(e.target.value); setFieldError(''); clearError(); }}
+                      className={inputClass}
+                      placeholder="john@example.com"
+                      disabled={isSubmitting}
+                    />
+                    <Mail className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  </div>
+                </div>
+              )}
+
+              {fieldError && (
+                <p className="text-sm text-red-600">{fieldError}</p>
+              )}
+
+              {/* Error Message */}
+              {authError && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-red-600 text-sm">{authError}</p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+              >
+                {isSubmitting ? (
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  resetToken ? 'Reset Password' : 'Send Reset Link'
+                )}
+              </button>
+            </form>
+          )}
+
+          <div className="text-center mt-6">
+            <button
+              type="button"
+              onClick={handleBack}
+              className="text-blue-600 hover:text-blue-700 font-medium inline-flex items-center"
+              disabled={isSubmitting}
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordResetForm;
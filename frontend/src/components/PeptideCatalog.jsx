@@ -0,0 +1,258 @@
+// frontend/src/components/PeptideCatalog.jsx
+import React, { useState, useEffect } from 'react';
+import { Search, ArrowLeft, AlertTriangle, BookOpen } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+const formatRange = (range) => `${range.min}-${range.max} ${range.unit}${range.perKg ? '/kg' : ''}`;
+
+// Catalog search by name, alias, description or mechanism
+const PeptideCatalog = ({ onViewPeptide }) => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setSearch(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await makeAuthenticatedRequest(`/catalog/search?q=${encodeURIComponent(query.trim())}`);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setSearch(data.data);
+        } else {
+          setError(data.error?.message || 'Search failed');
+        }
+      } catch (err) {
+        setError('Unable to connect to server. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, makeAuthenticatedRequest]);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Peptide Catalog</h2>
+        <p className="text-gray-600">Look up a peptide by name, alias or what it does.</p>
+      </div>
+
+      <div className="relative">
+        <Search className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="e.g. collagen, sleep, MBC"
+          className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          autoFocus
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {loading && <p className="text-sm text-gray-500">Searching...</p>}
+
+      {search && !loading && (
+        <div className="space-y-3">
+          {search.corrections.length > 0 && (
+            <p className="text-sm text-gray-500">
+              Also matching {search.corrections.map(({ term, matches }) => `"${matches.join('", "')}" for "${term}"`).join('; ')}
+            </p>
+          )}
+
+          {search.results.length === 0 ? (
+            <p className="text-gray-600">No peptides match "{search.query}".</p>
+          ) : (
+            search.results.map(result => (
+              <button
+                key={result.slug}
+                type="button"
+                onClick={() => onViewPeptide(result.slug)}
+                className="block w-full text-left bg-white border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors"
+              >
+                <div className="flex items-baseline justify-between gap-2">
+                  <h3 className="font-semibold text-gray-900">{result.name}</h3>
+                  {result.aliases.length > 0 && (
+                    <span className="text-xs text-gray-500">{result.aliases.join(', ')}</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600 mt-1">{result.description}</p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Detail page for one catalog peptide
+export const PeptideDetail = ({ slug, onBack }) => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [peptide, setPeptide] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPeptide = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await makeAuthenticatedRequest(`/catalog/${encodeURIComponent(slug)}`);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setPeptide(data.data.peptide);
+        } else {
+          setError(data.error?.message || 'Failed to load peptide');
+        }
+      } catch (err) {
+        setError('Unable to connect to server. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPeptide();
+  }, [slug, makeAuthenticatedRequest]);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <button
+        type="button"
+        onClick={onBack}
+        className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+      >
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back
+      </button>
+
+      {loading && <p className="text-gray-500">Loading...</p>}
+      {error && <p className="text-red-600">{error}</p>}
+
+      {peptide && !loading && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-5">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">{peptide.name}</h2>
+            {peptide.aliases.length > 0 && (
+              <p className="text-sm text-gray-500">Also known as {peptide.aliases.join(', ')}</p>
+            )}
+            <div className="flex flex-wrap gap-1 mt-2">
+              {peptide.goals.map(({ goal, label }) => (
+                <span key={goal} className="text-xs bg-blue-100 text-blue-700 rounded-full px-2 py-0.5">{label}</span>
+              ))}
+            </div>
+          </div>
+
+          <p className="text-gray-700">{peptide.description}</p>
+
+          {peptide.mechanism && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-1">How it works</h3>
+              <p className="text-sm text-gray-700">{peptide.mechanism}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Dosage</p>
+              <p className="text-gray-900">{peptide.dosage || 'Discuss with your healthcare provider'}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Typical range</p>
+              <p className="text-gray-900">{peptide.doseRange ? formatRange(peptide.doseRange) : 'Not recorded'}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Timing</p>
+              <p className="text-gray-900">{peptide.timing || 'Discuss with your healthcare provider'}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Half-life</p>
+              <p className="text-gray-900">{peptide.halfLife || 'Not recorded'}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Route</p>
+              <p className="text-gray-900">{peptide.route ? peptide.route.label : 'Not recorded'}</p>
+            </div>
+          </div>
+
+          {peptide.contraindications.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Contraindications</h3>
+              <ul className="space-y-1">
+                {peptide.contraindications.map(contraindication => (
+                  <li
+                    key={`${contraindication.type}-${contraindication.value || ''}`}
+                    className="flex items-start text-sm text-amber-800"
+                  >
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-amber-600" />
+                    <span>
+                      <span className="font-medium capitalize">{contraindication.severity}:</span> {contraindication.reason}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+              <BookOpen className="w-4 h-4 mr-1" />
+              Evidence: {peptide.evidence.summary.grade
+                ? `Grade ${peptide.evidence.summary.grade} (${peptide.evidence.summary.label})`
+                : peptide.evidence.summary.label}
+            </h3>
+            {peptide.evidence.entries.length > 0 && (
+              <ul className="space-y-1 text-sm text-gray-700">
+                {peptide.evidence.entries.map(entry => (
+                  <li key={entry.id}>
+                    <span className="font-medium">{entry.grade}</span> · {entry.title} ({entry.year}) · {entry.reference}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {peptide.regulatory.statuses.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Regulatory status</h3>
+              <table className="w-full text-sm">
+                <tbody>
+                  {peptide.regulatory.statuses.map(status => (
+                    <tr key={status.region} className="border-b border-gray-100">
+                      <td className="py-1 text-gray-900">{status.regionLabel}</td>
+                      <td className="py-1 text-gray-700">{status.label}</td>
+                      <td className="py-1 text-gray-500">{status.note}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            For informational purposes only. Consult with a healthcare professional before starting any new supplement regimen.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeptideCatalog;
@@ -0,0 +1,178 @@
+// frontend/src/components/PeptideComparison.jsx
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, AlertTriangle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatRange = (range) => `${range.min}-${range.max} ${range.unit}${range.perKg ? '/kg' : ''}`;
+
+const severityStyles = {
+  major: 'bg-red-50 border-red-200 text-red-800',
+  moderate: 'bg-amber-50 border-amber-200 text-amber-800',
+  minor: 'bg-gray-50 border-gray-200 text-gray-700'
+};
+
+const notRecorded = <span className="text-gray-400">Not recorded</span>;
+
+// Render one comparison cell according to its row
+const renderCell = (key, value) => {
+  switch (key) {
+    case 'goals':
+      return (
+        <div className="flex flex-wrap gap-1">
+          {value.map(({ goal, label }) => (
+            <span key={goal} className="text-xs bg-blue-100 text-blue-700 rounded-full px-2 py-0.5">{label}</span>
+          ))}
+        </div>
+      );
+    case 'evidence':
+      return value.grade ? `Grade ${value.grade} (${value.label})` : value.label;
+    case 'dosing':
+      return (
+        <div className="space-y-0.5">
+          <p>{value.dosage || 'Discuss with your healthcare provider'}</p>
+          {value.doseRange && <p className="text-xs text-gray-500">Range {formatRange(value.doseRange)}</p>}
+          {value.timing && <p className="text-xs text-gray-500">{value.timing}</p>}
+        </div>
+      );
+    case 'route':
+      return value ? value.label : notRecorded;
+    case 'contraindications':
+      return value.length === 0 ? <span className="text-gray-400">None recorded</span> : (
+        <ul className="space-y-1">
+          {value.map(contraindication => (
+            <li key={`${contraindication.type}-${contraindication.value || ''}`} className="text-amber-800">
+              <span className="font-medium capitalize">{contraindication.severity}:</span> {contraindication.reason}
+            </li>
+          ))}
+        </ul>
+      );
+    default:
+      return value || notRecorded;
+  }
+};
+
+// Side-by-side comparison of catalog peptides, given as slugs or names
+const PeptideComparison = ({ ids, onBack, onViewPeptide }) => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const idList = ids.join(',');
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const query = idList.split(',').map(encodeURIComponent).join(',');
+        const response = await makeAuthenticatedRequest(`/catalog/compare?ids=${query}`);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setComparison(data.data);
+        } else {
+          setError(data.error?.message || 'Failed to compare peptides');
+        }
+      } catch (err) {
+        setError('Unable to connect to server. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [idList, makeAuthenticatedRequest]);
+
+  return (
+    <div className="space-y-6">
+      <button
+        type="button"
+        onClick={onBack}
+        className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+      >
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back
+      </button>
+
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Compare Peptides</h2>
+        {comparison && comparison.sharedGoals.length > 0 && (
+          <p className="text-gray-600">
+            All of these support {comparison.sharedGoals.map(({ label }) => label).join(', ')}.
+          </p>
+        )}
+      </div>
+
+      {loading && <p className="text-gray-500">Loading...</p>}
+      {error && <p className="text-red-600">{error}</p>}
+
+      {comparison && !loading && (
+        <>
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="p-3 w-40" />
+                  {comparison.peptides.map(peptide => (
+                    <th key={peptide.id} className="p-3 font-semibold text-gray-900 align-bottom">
+                      <button
+                        type="button"
+                        onClick={() => onViewPeptide(peptide.slug)}
+                        className="hover:text-blue-600 hover:underline text-left"
+                        title="View peptide details"
+                      >
+                        {peptide.name}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map(row => (
+                  <tr key={row.key} className="border-b border-gray-100 align-top">
+                    <th className="p-3 text-xs text-gray-500 uppercase tracking-wide font-medium">{row.label}</th>
+                    {row.values.map((value, index) => (
+                      <td key={comparison.peptides[index].id} className="p-3 text-gray-700">
+                        {renderCell(row.key, value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Interactions between these peptides</h3>
+            {comparison.interactions.length === 0 ? (
+              <p className="text-sm text-gray-600">No known interactions between these peptides.</p>
+            ) : (
+              <div className="space-y-2">
+                {comparison.interactions.map(interaction => (
+                  <div
+                    key={interaction.between.join('+')}
+                    className={`flex items-start border rounded-lg p-3 text-sm ${severityStyles[interaction.severity] || severityStyles.minor}`}
+                  >
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      <span className="font-medium">{interaction.between.join(' + ')}</span>
+                      <span className="capitalize"> ({interaction.severity})</span>: {interaction.rationale}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-500">
+            For informational purposes only. Consult with a healthcare professional before starting any new supplement regimen.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PeptideComparison;
@@ -1,28 +1,184 @@
-import React, { useState } from 'react';
-import { Download, RefreshCw, AlertCircle, CheckCircle, Calendar, User } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, Columns, RefreshCw, AlertCircle, AlertTriangle, Info, CheckCircle, Calendar, User, ChevronDown, ChevronUp, ShieldAlert } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import HealthQuestionnaire from './HealthQuestionnaire';
+import { downloadPdfResponse } from '../utils/download';
+import { createIdempotencyTracker } from '../utils/idempotency';
 
-const PeptideSuggestionsApp = () => {
+const PeptideSuggestionsApp = ({ onViewPeptide, onCompare }) => {
   const { user, makeAuthenticatedRequest } = useAuth();
   const [formData, setFormData] = useState({
     age: '',
-    healthGoal: ''
+    healthGoals: []
   });
+  const emptyIntake = {
+    sex: '',
+    pregnant: false,
+    breastfeeding: false,
+    conditions: [],
+    medications: ''
+  };
+  // 'quick' form on this page, or the step-by-step 'questionnaire'
+  const [mode, setMode] = useState('quick');
+  const [showIntake, setShowIntake] = useState(false);
+  const [intake, setIntake] = useState(emptyIntake);
+  const [intakeOptions, setIntakeOptions] = useState({ sexes: [], conditions: [] });
+  const [regions, setRegions] = useState({ regions: [], statuses: [] });
+  const [regulatory, setRegulatory] = useState({ region: '', excludeWadaProhibited: false });
+  const [regulatoryExcluded, setRegulatoryExcluded] = useState([]);
+  const [savingDefaults, setSavingDefaults] = useState(false);
+  const [defaultsSaved, setDefaultsSaved] = useState(false);
   const [suggestions, setSuggestions] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [excluded, setExcluded] = useState([]);
+  const [interactions, setInteractions] = useState([]);
+  const [historySignals, setHistorySignals] = useState([]);
+  const [openRationale, setOpenRationale] = useState(null);
+  const [generatedAt, setGeneratedAt] = useState(null);
+  const [resultGoals, setResultGoals] = useState({ primary: '', goals: [] });
   const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  // Reuses the Idempotency-Key when a submission is retried after a network error
+  const submitKeys = useRef(createIdempotencyTracker()).current;
+
+  const [goals, setGoals] = useState([]);
+  const [goalsError, setGoalsError] = useState('');
+
+  // Load supported health goals from the API so the list matches server validation
+  useEffect(() => {
+    const fetchGoals = async () => {
+      try {
+        const response = await makeAuthenticatedRequest('/goals');
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setGoals(data.data.goals);
+        } else {
+          setGoalsError(data.error?.message || 'Failed to load health goals');
+        }
+      } catch (err) {
+        setGoalsError('Unable to load health goals. Please make sure the backend is running on port 3001.');
+      }
+    };
+
+    fetchGoals();
+  }, [makeAuthenticatedRequest]);
+
+  // Load regions, prefilled from the profile's regulatory defaults when signed in
+  useEffect(() => {
+    const fetchRegions = async () => {
+      try {
+        const response = await makeAuthenticatedRequest('/suggestions/regions');
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setRegions(data.data);
+        }
+
+        if (user) {
+          const profileResponse = await makeAuthenticatedRequest('/auth/profile');
+          const profileData = await profileResponse.json();
+
+          if (profileResponse.ok && profileData.success) {
+            setRegulatory({
+              region: profileData.data.user.region || '',
+              excludeWadaProhibited: profileData.data.user.excludeWadaProhibited
+            });
+          }
+        }
+      } catch (err) {
+        // Regulatory filtering is optional; the form still works without it
+      }
+    };
+
+    fetchRegions();
+  }, [user, makeAuthenticatedRequest]);
+
+  // Load health intake options the first time the section is opened
+  useEffect(() => {
+    if (!showIntake || intakeOptions.conditions.length > 0) return;
+
+    const fetchIntakeOptions = async () => {
+      try {
+        const response = await makeAuthenticatedRequest('/suggestions/intake-options');
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setIntakeOptions(data.data);
+        }
+      } catch (err) {
+        // The intake is optional; the form still works without the options
+      }
+    };
+
+    fetchIntakeOptions();
+  }, [showIntake, intakeOptions.conditions.length, makeAuthenticatedRequest]);
+
+  // Interaction severities map onto the warning styles
+  const interactionStyles = {
+    major: 'high',
+    moderate: 'moderate',
+    minor: 'low'
+  };
+
+  // How a history signal changed a peptide's ranking
+  const historyEffectLabels = {
+    promoted: 'Promoted',
+    demoted: 'Shown less often',
+    rotated_out: 'Left out'
+  };
+
+  // Badge colours for overall evidence grades (A strongest); ungraded peptides use the null entry
+  const evidenceStyles = {
+    A: 'bg-green-100 text-green-800',
+    B: 'bg-teal-100 text-teal-800',
+    C: 'bg-yellow-100 text-yellow-800',
+    D: 'bg-orange-100 text-orange-800',
+    null: 'bg-gray-100 text-gray-600'
+  };
+
+  // Whether a suggestion's status in the selected region is shown as a label
+  const hasStatusLabel = (status) => regions.statuses.some(entry => entry.value === status && entry.action === 'label');
+
+  // Styling for each warning severity returned by the API
+  const warningStyles = {
+    high: { container: 'bg-red-50 border-red-300', text: 'text-red-800', icon: AlertCircle, iconColor: 'text-red-600' },
+    moderate: { container: 'bg-amber-50 border-amber-300', text: 'text-amber-800', icon: AlertTriangle, iconColor: 'text-amber-600' },
+    low: { container: 'bg-blue-50 border-blue-200', text: 'text-blue-800', icon: Info, iconColor: 'text-blue-600' }
+  };
 
-  const healthGoalOptions = [
-    { value: '', label: 'Select your health goal' },
-    { value: 'energy', label: '⚡ Energy & Vitality' },
-    { value: 'sleep', label: '😴 Better Sleep' },
-    { value: 'focus', label: '🧠 Mental Focus' },
-    { value: 'recovery', label: '💪 Recovery & Repair' },
-    { value: 'weight_management', label: '⚖️ Weight Management' },
-    { value: 'immune_support', label: '🛡️ Immune Support' }
+  // Weights offered for each selected goal
+  const goalWeightOptions = [
+    { value: 1, label: 'Normal' },
+    { value: 2, label: 'High priority' }
   ];
 
+  const getGoalLabel = (value) => goals.find(goal => goal.value === value)?.label || value;
+
+  // Add or remove a goal from the selection
+  const toggleGoal = (value) => {
+    setFormData(prev => ({
+      ...prev,
+      healthGoals: prev.healthGoals.some(item => item.goal === value)
+        ? prev.healthGoals.filter(item => item.goal !== value)
+        : [...prev.healthGoals, { goal: value, weight: 1 }]
+    }));
+
+    if (error) setError('');
+    if (success) setSuccess(false);
+  };
+
+  const setGoalWeight = (value, weight) => {
+    setFormData(prev => ({
+      ...prev,
+      healthGoals: prev.healthGoals.map(item => (
+        item.goal === value ? { ...item, weight } : item
+      ))
+    }));
+  };
+
   // Handle input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -36,13 +192,105 @@ const PeptideSuggestionsApp = () => {
     if (success) setSuccess(false);
   };
 
+  // Handle health intake changes
+  const handleIntakeChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setIntake(prev => {
+      const next = { ...prev, [name]: type === 'checkbox' ? checked : value };
+      if (name === 'sex' && value === 'male') {
+        next.pregnant = false;
+        next.breastfeeding = false;
+      }
+      return next;
+    });
+  };
+
+  const toggleCondition = (condition) => {
+    setIntake(prev => ({
+      ...prev,
+      conditions: prev.conditions.includes(condition)
+        ? prev.conditions.filter(value => value !== condition)
+        : [...prev.conditions, condition]
+    }));
+  };
+
+  // Build the optional healthIntake payload, or null if the section is closed
+  const buildHealthIntake = () => {
+    if (!showIntake) return null;
+
+    return {
+      ...(intake.sex && { sex: intake.sex }),
+      pregnant: intake.pregnant,
+      breastfeeding: intake.breastfeeding,
+      conditions: intake.conditions,
+      medications: intake.medications
+        .split(',')
+        .map(medication => medication.trim())
+        .filter(Boolean)
+    };
+  };
+
+  const handleRegulatoryChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRegulatory(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setDefaultsSaved(false);
+  };
+
+  // Save the region and WADA setting to the profile for future requests
+  const saveRegulatoryDefaults = async () => {
+    setSavingDefaults(true);
+    setError('');
+
+    try {
+      const response = await makeAuthenticatedRequest('/auth/profile', {
+        method: 'PUT',
+        body: JSON.stringify({
+          region: regulatory.region || null,
+          excludeWadaProhibited: regulatory.excludeWadaProhibited
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setDefaultsSaved(true);
+      } else {
+        setError(data.error?.message || 'Failed to save your defaults');
+      }
+    } catch (err) {
+      setError('Unable to connect to server. Please try again.');
+    } finally {
+      setSavingDefaults(false);
+    }
+  };
+
+  // Show a suggestions response from the form or the questionnaire
+  const showResults = (data) => {
+    setSuggestions(data.suggestions);
+    setWarnings(data.warnings || []);
+    setExcluded(data.contraindications?.excluded || []);
+    setRegulatoryExcluded(data.regulatory?.excluded || []);
+    setInteractions(data.interactions?.results || []);
+    setHistorySignals(data.personalization?.signals || []);
+    setOpenRationale(null);
+    setGeneratedAt(data.meta?.generatedAt || null);
+    setResultGoals({ primary: data.meta?.goalCategory || '', goals: data.meta?.goals || [] });
+    setSuccess(true);
+  };
+
+  // Keep the questionnaire's age and goals so the PDF export matches the results
+  const handleQuestionnaireComplete = (data, answers) => {
+    setFormData({ age: String(answers.age), healthGoals: data.meta?.goals || [] });
+    setError('');
+    showResults(data);
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Basic validation
-    if (!formData.age || !formData.healthGoal) {
-      setError('Please fill in all fields');
+    if (!formData.age || formData.healthGoals.length === 0) {
+      setError('Please enter your age and select at least one health goal');
       return;
     }
 
@@ -56,19 +304,25 @@ const PeptideSuggestionsApp = () => {
     setSuccess(false);
 
     try {
+      const healthIntake = buildHealthIntake();
+      const body = JSON.stringify({
+        age: parseInt(formData.age),
+        healthGoals: formData.healthGoals,
+        ...(regulatory.region && { region: regulatory.region }),
+        excludeWadaProhibited: regulatory.excludeWadaProhibited,
+        ...(healthIntake && { healthIntake })
+      });
       const response = await makeAuthenticatedRequest('/suggestions', {
         method: 'POST',
-        body: JSON.stringify({
-          age: parseInt(formData.age),
-          healthGoal: formData.healthGoal
-        })
+        headers: { 'Idempotency-Key': submitKeys.keyFor(body) },
+        body
       });
+      submitKeys.settle();
 
       const data = await response.json();
 
       if (response.ok && data.success) {
-        setSuggestions(data.suggestions);
-        setSuccess(true);
+        showResults(data);
       } else {
         setError(data.error?.message || 'Failed to get suggestions. Please try again.');
       }
@@ -83,9 +337,45 @@ const PeptideSuggestionsApp = () => {
     }
   };
 
+  // Download the current results as a PDF report
+  const handleDownloadPdf = async () => {
+    setDownloading(true);
+    setError('');
+
+    try {
+      const response = await makeAuthenticatedRequest('/suggestions/export/pdf', {
+        method: 'POST',
+        body: JSON.stringify({
+          age: parseInt(formData.age),
+          goal: resultGoals.primary,
+          goals: resultGoals.goals,
+          suggestions,
+          warnings,
+          ...(generatedAt && { generatedAt })
+        })
+      });
+
+      const goalNames = resultGoals.goals.map(item => item.goal).join('-');
+      await downloadPdfResponse(response, `peptide-suggestions-${goalNames}.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download PDF. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   const resetForm = () => {
-    setFormData({ age: '', healthGoal: '' });
+    setFormData({ age: '', healthGoals: [] });
+    setResultGoals({ primary: '', goals: [] });
+    setIntake(emptyIntake);
+    setShowIntake(false);
     setSuggestions([]);
+    setWarnings([]);
+    setExcluded([]);
+    setRegulatoryExcluded([]);
+    setInteractions([]);
+    setHistorySignals([]);
+    setGeneratedAt(null);
     setError('');
     setSuccess(false);
   };
@@ -119,8 +409,31 @@ const PeptideSuggestionsApp = () => {
           </p>
         </div>
 
+        {/* Form Mode */}
+        <div className="flex bg-white rounded-lg shadow-sm p-1 mb-6">
+          {[
+            { value: 'quick', label: 'Quick form' },
+            { value: 'questionnaire', label: 'Full questionnaire' }
+          ].map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`flex-1 py-2 rounded-md text-sm font-medium transition-colors ${
+                mode === option.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'questionnaire' && (
+          <HealthQuestionnaire onComplete={handleQuestionnaireComplete} />
+        )}
+
         {/* Main Form Card */}
-        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <div className={`bg-white rounded-xl shadow-lg p-6 mb-6 ${mode === 'quick' ? '' : 'hidden'}`}>
           <div className="space-y-6">
             {/* Age Input */}
             <div>
@@ -141,25 +454,204 @@ const PeptideSuggestionsApp = () => {
               />
             </div>
 
-            {/* Health Goal Dropdown */}
+            {/* Health Goals */}
             <div>
-              <label htmlFor="healthGoal" className="block text-sm font-medium text-gray-700 mb-2">
-                Health Goal
+              <p className="block text-sm font-medium text-gray-700 mb-2">
+                Health Goals
+              </p>
+              <p className="text-xs text-gray-500 mb-3">
+                Select one or more goals. Peptides that serve several of your goals are ranked higher.
+              </p>
+              {goals.length === 0 && !goalsError && (
+                <p className="text-sm text-gray-500">Loading health goals...</p>
+              )}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {goals.map(goal => {
+                  const selection = formData.healthGoals.find(item => item.goal === goal.value);
+
+                  return (
+                    <div
+                      key={goal.value}
+                      className={`border rounded-lg px-3 py-2 transition-colors ${selection ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+                    >
+                      <label className="flex items-center text-sm text-gray-800 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={!!selection}
+                          onChange={() => toggleGoal(goal.value)}
+                          className="mr-2"
+                          disabled={loading}
+                        />
+                        {goal.icon && <span className="mr-1">{goal.icon}</span>}
+                        {goal.label}
+                      </label>
+                      {selection && formData.healthGoals.length > 1 && (
+                        <select
+                          value={selection.weight}
+                          onChange={(e) => setGoalWeight(goal.value, Number(e.target.value))}
+                          className="mt-2 w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                          disabled={loading}
+                          aria-label={`Priority for ${goal.label}`}
+                        >
+                          {goalWeightOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              {goalsError && (
+                <p className="mt-1 text-sm text-red-600">{goalsError}</p>
+              )}
+            </div>
+
+            {/* Regulatory Filtering */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+              <div>
+                <label htmlFor="region" className="block text-sm font-medium text-gray-700 mb-2">
+                  Region
+                </label>
+                <select
+                  id="region"
+                  name="region"
+                  value={regulatory.region}
+                  onChange={handleRegulatoryChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={loading}
+                >
+                  <option value="">Not specified</option>
+                  {regions.regions.map(region => (
+                    <option key={region.value} value={region.value}>{region.label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center text-sm text-gray-700 pb-2">
+                <input
+                  type="checkbox"
+                  name="excludeWadaProhibited"
+                  checked={regulatory.excludeWadaProhibited}
+                  onChange={handleRegulatoryChange}
+                  className="mr-2"
+                  disabled={loading}
+                />
+                I compete in tested sport (leave out WADA-prohibited peptides)
               </label>
-              <select
-                id="healthGoal"
-                name="healthGoal"
-                value={formData.healthGoal}
-                onChange={handleInputChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
-                disabled={loading}
+            </div>
+            {user && (
+              <div className="-mt-4 text-xs text-gray-500">
+                <button
+                  type="button"
+                  onClick={saveRegulatoryDefaults}
+                  disabled={savingDefaults}
+                  className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                >
+                  {savingDefaults ? 'Saving...' : 'Save as my default'}
+                </button>
+                {defaultsSaved && <span className="ml-2 text-green-600">Saved</span>}
+              </div>
+            )}
+
+            {/* Optional Health Intake */}
+            <div className="border border-gray-200 rounded-lg">
+              <button
+                type="button"
+                onClick={() => setShowIntake(prev => !prev)}
+                className="w-full flex items-center justify-between px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-lg"
               >
-                {healthGoalOptions.map(option => (
-                  <option key={option.value} value={option.value}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
+                <span>Health details (optional)</span>
+                {showIntake ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </button>
+
+              {showIntake && (
+                <div className="px-4 pb-4 space-y-4">
+                  <p className="text-xs text-gray-500">
+                    Used to leave out peptides that are not safe for you. These details are not saved.
+                  </p>
+
+                  <div>
+                    <label htmlFor="sex" className="block text-sm font-medium text-gray-700 mb-2">
+                      Sex
+                    </label>
+                    <select
+                      id="sex"
+                      name="sex"
+                      value={intake.sex}
+                      onChange={handleIntakeChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={loading}
+                    >
+                      <option value="">Not specified</option>
+                      {intakeOptions.sexes.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {intake.sex !== 'male' && (
+                    <div className="flex gap-6">
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          name="pregnant"
+                          checked={intake.pregnant}
+                          onChange={handleIntakeChange}
+                          className="mr-2"
+                          disabled={loading}
+                        />
+                        Pregnant
+                      </label>
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          name="breastfeeding"
+                          checked={intake.breastfeeding}
+                          onChange={handleIntakeChange}
+                          className="mr-2"
+                          disabled={loading}
+                        />
+                        Breastfeeding
+                      </label>
+                    </div>
+                  )}
+
+                  <div>
+                    <p className="block text-sm font-medium text-gray-700 mb-2">Medical conditions</p>
+                    <div className="grid grid-cols-2 gap-2">
+                      {intakeOptions.conditions.map(condition => (
+                        <label key={condition.value} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={intake.conditions.includes(condition.value)}
+                            onChange={() => toggleCondition(condition.value)}
+                            className="mr-2"
+                            disabled={loading}
+                          />
+                          {condition.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label htmlFor="medications" className="block text-sm font-medium text-gray-700 mb-2">
+                      Current medications
+                    </label>
+                    <input
+                      type="text"
+                      id="medications"
+                      name="medications"
+                      value={intake.medications}
+                      onChange={handleIntakeChange}
+                      placeholder="e.g. metformin, warfarin"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={loading}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Separate multiple medications with commas</p>
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Error Message */}
@@ -214,6 +706,126 @@ const PeptideSuggestionsApp = () => {
           </div>
         </div>
 
+        {/* Safety Warnings */}
+        {suggestions.length > 0 && warnings.length > 0 && (
+          <div className="space-y-3 mb-6">
+            {warnings.map((warning) => {
+              const style = warningStyles[warning.severity] || warningStyles.low;
+              const WarningIcon = style.icon;
+
+              return (
+                <div
+                  key={warning.code || warning.message}
+                  className={`border-2 rounded-lg p-4 flex items-start ${style.container}`}
+                >
+                  <WarningIcon className={`w-5 h-5 mr-3 mt-0.5 flex-shrink-0 ${style.iconColor}`} />
+                  <div>
+                    <p className={`text-xs font-semibold uppercase tracking-wide ${style.text}`}>
+                      {warning.severity} priority
+                    </p>
+                    <p className={style.text}>{warning.message}</p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Contraindicated Peptides */}
+        {success && excluded.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border-l-4 border-red-400">
+            <div className="flex items-center mb-3">
+              <ShieldAlert className="w-5 h-5 text-red-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-800">Left out for your safety</h2>
+            </div>
+            <ul className="space-y-2">
+              {excluded.map(entry => (
+                <li key={entry.name} className="text-sm text-gray-700">
+                  <span className="font-medium">{entry.name}</span>
+                  {entry.reasons.map(reason => (
+                    <span key={`${reason.type}-${reason.trigger}`} className="block text-gray-500">
+                      {reason.trigger}: {reason.reason}
+                    </span>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Peptides Not Permitted */}
+        {success && regulatoryExcluded.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border-l-4 border-gray-400">
+            <div className="flex items-center mb-3">
+              <ShieldAlert className="w-5 h-5 text-gray-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-800">Not permitted for you</h2>
+            </div>
+            <ul className="space-y-2">
+              {regulatoryExcluded.map(entry => (
+                <li key={entry.name} className="text-sm text-gray-700">
+                  <span className="font-medium">{entry.name}</span>
+                  {entry.reasons.map(reason => (
+                    <span key={reason.region} className="block text-gray-500">{reason.reason}</span>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Possible Interactions */}
+        {suggestions.length > 0 && interactions.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Possible interactions</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Checked against {user ? 'your recent suggestions and ' : ''}the medications you listed.
+            </p>
+            <div className="space-y-3">
+              {interactions.map((interaction) => {
+                const style = warningStyles[interactionStyles[interaction.severity]] || warningStyles.low;
+                const InteractionIcon = style.icon;
+
+                return (
+                  <div
+                    key={interaction.between.join('|')}
+                    className={`border rounded-lg p-3 flex items-start ${style.container}`}
+                  >
+                    <InteractionIcon className={`w-5 h-5 mr-3 mt-0.5 flex-shrink-0 ${style.iconColor}`} />
+                    <div>
+                      <p className={`text-sm font-medium ${style.text}`}>
+                        {interaction.between.join(' + ')}
+                        <span className="ml-2 text-xs uppercase tracking-wide">{interaction.severity}</span>
+                      </p>
+                      <p className={`text-sm ${style.text}`}>{interaction.rationale}</p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* History Signals */}
+        {suggestions.length > 0 && historySignals.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Based on your history</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Your ratings and recent suggestions changed how these peptides were ranked.
+            </p>
+            <ul className="space-y-2">
+              {historySignals.map(signal => (
+                <li key={`${signal.peptide}-${signal.signal}`} className="text-sm text-gray-700">
+                  <span className="font-medium">{signal.peptide}</span>
+                  <span className="ml-2 text-xs uppercase tracking-wide text-gray-500">
+                    {historyEffectLabels[signal.effect] || signal.effect}
+                  </span>
+                  <span className="block text-gray-500">{signal.detail}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Results Section */}
         {suggestions.length > 0 && (
           <div className="bg-white rounded-xl shadow-lg p-6">
@@ -221,12 +833,37 @@ const PeptideSuggestionsApp = () => {
               <h2 className="text-2xl font-bold text-gray-800">
                 Your Recommendations
               </h2>
-              {user && (
-                <div className="flex items-center text-sm text-gray-500">
-                  <Calendar className="w-4 h-4 mr-1" />
-                  Saved to your history
-                </div>
-              )}
+              <div className="flex items-center gap-4">
+                {user && (
+                  <div className="flex items-center text-sm text-gray-500">
+                    <Calendar className="w-4 h-4 mr-1" />
+                    Saved to your history
+                  </div>
+                )}
+                {onCompare && suggestions.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => onCompare(suggestions.map(suggestion => suggestion.slug || suggestion.name))}
+                    className="flex items-center px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-lg font-medium hover:bg-blue-50 transition-colors"
+                  >
+                    <Columns className="w-4 h-4 mr-2" />
+                    Compare
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={handleDownloadPdf}
+                  disabled={downloading}
+                  className="flex items-center px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-lg font-medium hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {downloading ? (
+                    <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                  ) : (
+                    <Download className="w-4 h-4 mr-2" />
+                  )}
+                  Download PDF
+                </button>
+              </div>
             </div>
 
             <div className="space-y-4">
@@ -235,12 +872,103 @@ const PeptideSuggestionsApp = () => {
                   key={index}
                   className="border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors"
                 >
-                  <h3 className="text-lg font-semibold text-gray-800 mb-2">
-                    {suggestion.name}
-                  </h3>
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <h3 className="text-lg font-semibold text-gray-800">
+                      {onViewPeptide && suggestion.slug ? (
+                        <button
+                          type="button"
+                          onClick={() => onViewPeptide(suggestion.slug)}
+                          className="hover:text-blue-600 hover:underline text-left"
+                          title="View peptide details"
+                        >
+                          {suggestion.name}
+                        </button>
+                      ) : suggestion.name}
+                    </h3>
+                    {suggestion.evidence && (
+                      <span
+                        className={`text-xs font-medium rounded-full px-2 py-0.5 whitespace-nowrap ${evidenceStyles[suggestion.evidence.grade]}`}
+                        title={`${suggestion.evidence.studyCount} ${suggestion.evidence.studyCount === 1 ? 'study' : 'studies'} on record`}
+                      >
+                        {suggestion.evidence.grade
+                          ? `Evidence ${suggestion.evidence.grade}: ${suggestion.evidence.label}`
+                          : suggestion.evidence.label}
+                      </span>
+                    )}
+                  </div>
+                  {resultGoals.goals.length > 1 && suggestion.goals?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {suggestion.goals.map(goal => (
+                        <span key={goal} className="text-xs bg-blue-100 text-blue-700 rounded-full px-2 py-0.5">
+                          {getGoalLabel(goal)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {suggestion.regulatory && (hasStatusLabel(suggestion.regulatory.status) || suggestion.regulatory.wadaProhibited) && (
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {hasStatusLabel(suggestion.regulatory.status) && (
+                        <span
+                          className="text-xs bg-purple-100 text-purple-800 rounded-full px-2 py-0.5"
+                          title={suggestion.regulatory.note || undefined}
+                        >
+                          {suggestion.regulatory.label} in {suggestion.regulatory.region}
+                        </span>
+                      )}
+                      {suggestion.regulatory.wadaProhibited && (
+                        <span className="text-xs bg-red-100 text-red-800 rounded-full px-2 py-0.5">
+                          Prohibited in sport (WADA)
+                        </span>
+                      )}
+                    </div>
+                  )}
                   <p className="text-gray-600 leading-relaxed">
                     {suggestion.description}
                   </p>
+                  {(suggestion.dosage || suggestion.timing) && (
+                    <p className="text-sm text-gray-500 mt-2">
+                      {suggestion.dosage && <span>Dosage: {suggestion.dosage}</span>}
+                      {suggestion.dosage && suggestion.timing && ' • '}
+                      {suggestion.timing && <span>Timing: {suggestion.timing}</span>}
+                    </p>
+                  )}
+                  {suggestion.cautions?.map(caution => (
+                    <div key={`${caution.type}-${caution.trigger}`} className="mt-2 flex items-start text-sm text-amber-800 bg-amber-50 rounded-md px-3 py-2">
+                      <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-amber-600" />
+                      <span><span className="font-medium">Caution ({caution.trigger}):</span> {caution.reason}</span>
+                    </div>
+                  ))}
+                  {suggestion.rationale && (
+                    <div className="mt-3">
+                      <button
+                        type="button"
+                        onClick={() => setOpenRationale(openRationale === index ? null : index)}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        {openRationale === index ? <ChevronUp className="w-4 h-4 mr-1" /> : <ChevronDown className="w-4 h-4 mr-1" />}
+                        Why this suggestion?
+                      </button>
+                      {openRationale === index && (
+                        <div className="mt-2 text-sm text-gray-600 bg-gray-50 rounded-md px-3 py-2 space-y-1">
+                          <p>
+                            <span className="font-medium">Score:</span> {suggestion.rationale.score}
+                            {' • '}
+                            <span className="font-medium">Age band:</span> {suggestion.rationale.ageBand.label}
+                          </p>
+                          <ul className="list-disc list-inside">
+                            {suggestion.rationale.matchedRules.map(rule => (
+                              <li key={`${rule.rule}-${rule.goal || rule.detail}`}>{rule.detail}</li>
+                            ))}
+                          </ul>
+                          <ul className="list-disc list-inside text-gray-500">
+                            {suggestion.rationale.profileFactors.map(factor => (
+                              <li key={factor.factor}>{factor.effect}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
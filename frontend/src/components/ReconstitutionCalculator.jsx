@@ -0,0 +1,286 @@
+// frontend/src/components/ReconstitutionCalculator.jsx
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, CheckCircle, Info } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const rangeStyles = {
+  within: { container: 'bg-green-50 border-green-200 text-green-800', icon: CheckCircle },
+  below: { container: 'bg-yellow-50 border-yellow-300 text-yellow-800', icon: AlertTriangle },
+  above: { container: 'bg-red-50 border-red-300 text-red-800', icon: AlertTriangle },
+  not_checked: { container: 'bg-blue-50 border-blue-200 text-blue-800', icon: Info }
+};
+
+const formatRange = (range) => `${range.min}-${range.max} ${range.unit}${range.perKg ? '/kg' : ''}`;
+
+// Vial reconstitution and syringe unit calculator
+const ReconstitutionCalculator = () => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [presets, setPresets] = useState([]);
+  const [units, setUnits] = useState({ amount: ['mcg', 'mg', 'IU'], dose: [], bodyWeight: ['kg', 'lb'] });
+  const [form, setForm] = useState({
+    peptideId: '',
+    vialAmount: '5',
+    vialUnit: 'mg',
+    diluentMl: '2',
+    doseAmount: '250',
+    doseUnit: 'mcg',
+    bodyWeight: '',
+    bodyWeightUnit: 'kg'
+  });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const response = await makeAuthenticatedRequest('/tools/reconstitution/presets');
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setPresets(data.data.presets);
+          setUnits(data.data.units);
+        }
+      } catch (err) {
+        // Presets are optional; the calculator works without them
+      }
+    };
+
+    fetchPresets();
+  }, [makeAuthenticatedRequest]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setError('');
+  };
+
+  // Prefill the dose from the peptide's typical range
+  const handlePresetChange = (e) => {
+    const preset = presets.find(entry => entry.id === parseInt(e.target.value));
+    if (!preset) {
+      updateForm({ peptideId: '' });
+      return;
+    }
+
+    updateForm({
+      peptideId: preset.id,
+      doseAmount: String(preset.doseRange.min),
+      doseUnit: preset.doseRange.perKg ? `${preset.doseRange.unit}/kg` : preset.doseRange.unit
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const response = await makeAuthenticatedRequest('/tools/reconstitution', {
+        method: 'POST',
+        body: JSON.stringify({
+          vial: { amount: parseFloat(form.vialAmount), unit: form.vialUnit },
+          diluent: { amount: parseFloat(form.diluentMl), unit: 'ml' },
+          dose: { amount: parseFloat(form.doseAmount), unit: form.doseUnit },
+          ...(form.bodyWeight && {
+            bodyWeight: { amount: parseFloat(form.bodyWeight), unit: form.bodyWeightUnit }
+          }),
+          ...(form.peptideId && { peptideId: form.peptideId })
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setResult(data.data);
+      } else {
+        setError(data.error?.message || 'Failed to calculate dose');
+      }
+    } catch (err) {
+      setError('Unable to connect to server. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedPreset = presets.find(entry => entry.id === form.peptideId);
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const RangeIcon = result?.doseRange ? rangeStyles[result.doseRange.status].icon : null;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Reconstitution Calculator</h2>
+        <p className="text-gray-600">Work out how many syringe units to draw for a dose from a reconstituted vial.</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Peptide (optional)</label>
+          <select value={form.peptideId} onChange={handlePresetChange} className={inputClass}>
+            <option value="">Not listed / skip range check</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+          {selectedPreset && (
+            <p className="text-xs text-gray-500 mt-1">Typical dose: {formatRange(selectedPreset.doseRange)}</p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Peptide in vial</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={form.vialAmount}
+                onChange={(e) => updateForm({ vialAmount: e.target.value })}
+                required
+                className={inputClass}
+              />
+              <select value={form.vialUnit} onChange={(e) => updateForm({ vialUnit: e.target.value })} className={inputClass}>
+                {units.amount.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bacteriostatic water (ml)</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={form.diluentMl}
+              onChange={(e) => updateForm({ diluentMl: e.target.value })}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Dose</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={form.doseAmount}
+                onChange={(e) => updateForm({ doseAmount: e.target.value })}
+                required
+                className={inputClass}
+              />
+              <select value={form.doseUnit} onChange={(e) => updateForm({ doseUnit: e.target.value })} className={inputClass}>
+                {(units.dose.length > 0 ? units.dose : units.amount).map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Body weight {form.doseUnit.endsWith('/kg') ? '' : '(optional)'}
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={form.bodyWeight}
+                onChange={(e) => updateForm({ bodyWeight: e.target.value })}
+                required={form.doseUnit.endsWith('/kg')}
+                className={inputClass}
+              />
+              <select
+                value={form.bodyWeightUnit}
+                onChange={(e) => updateForm({ bodyWeightUnit: e.target.value })}
+                className={inputClass}
+              >
+                {units.bodyWeight.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 font-medium"
+        >
+          {loading ? 'Calculating...' : 'Calculate'}
+        </button>
+      </form>
+
+      {result && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Concentration</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {result.concentration.perMl} {result.concentration.unit}/ml
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Dose</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {result.dose.total.amount} {result.dose.total.unit}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 uppercase tracking-wide">Volume to draw</p>
+              <p className="text-lg font-semibold text-gray-900">{result.volumeMl} ml</p>
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Syringe</th>
+                <th className="py-2">Draw to</th>
+                <th className="py-2">Exact units</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.syringes.map(syringe => (
+                <tr key={syringe.type} className="border-b border-gray-100">
+                  <td className="py-2 font-medium text-gray-900">{syringe.type}</td>
+                  <td className="py-2 text-gray-700">
+                    {syringe.fits
+                      ? `${syringe.marking} units`
+                      : `Too small (${syringe.drawsNeeded} draws needed)`}
+                  </td>
+                  <td className="py-2 text-gray-500">{syringe.units}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-sm text-gray-600">About {result.dosesPerVial} doses per vial.</p>
+
+          {result.doseRange && (
+            <div className={`border rounded-lg p-3 flex items-start text-sm ${rangeStyles[result.doseRange.status].container}`}>
+              <RangeIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+              <p>{result.doseRange.peptide.name}: {result.doseRange.message}</p>
+            </div>
+          )}
+
+          {result.warnings
+            .filter(warning => !['DOSE_ABOVE_RANGE', 'DOSE_BELOW_RANGE'].includes(warning.code))
+            .map(warning => (
+              <div key={warning.code} className="border rounded-lg p-3 flex items-start text-sm bg-yellow-50 border-yellow-300 text-yellow-800">
+                <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+                <p>{warning.message}</p>
+              </div>
+            ))}
+
+          <p className="text-xs text-gray-500">
+            For informational purposes only. Confirm doses with a healthcare professional.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReconstitutionCalculator;
@@ -0,0 +1,481 @@
+// frontend/src/components/RegimenPlanner.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Calendar, ChevronLeft, ChevronRight, Download, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { downloadResponse } from '../utils/download';
+
+// Today's date as YYYY-MM-DD in the user's time zone
+const todayString = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Shift a YYYY-MM-DD date by a number of days
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const newItem = (peptideName) => ({
+  peptideName,
+  selected: true,
+  startDate: todayString(),
+  endDate: '',
+  frequency: 'daily',
+  daysOfWeek: [],
+  timeOfDay: '08:00',
+  useCycle: false,
+  onWeeks: 8,
+  offWeeks: 4
+});
+
+// Form for turning peptides from a saved suggestion into a regimen
+export const RegimenBuilder = ({ suggestion, onCreated, onCancel }) => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [options, setOptions] = useState({ frequencies: [], daysOfWeek: [] });
+  const [name, setName] = useState('');
+  const [items, setItems] = useState(suggestion.suggestions.map(entry => newItem(entry.name)));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await makeAuthenticatedRequest('/auth/regimens/options');
+        const data = await response.json();
+        if (response.ok && data.success) {
+          setOptions(data.data);
+        }
+      } catch (err) {
+        setError('Failed to load scheduling options');
+      }
+    };
+
+    fetchOptions();
+  }, [makeAuthenticatedRequest]);
+
+  const updateItem = (index, changes) => {
+    setItems(prev => prev.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)));
+    setError('');
+  };
+
+  const toggleDay = (index, day) => {
+    const { daysOfWeek } = items[index];
+    updateItem(index, {
+      daysOfWeek: daysOfWeek.includes(day) ? daysOfWeek.filter(value => value !== day) : [...daysOfWeek, day]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const selected = items.filter(item => item.selected);
+    if (selected.length === 0) {
+      setError('Choose at least one peptide');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await makeAuthenticatedRequest('/auth/regimens', {
+        method: 'POST',
+        body: JSON.stringify({
+          suggestionId: suggestion.id,
+          ...(name.trim() && { name: name.trim() }),
+          items: selected.map(item => ({
+            peptideName: item.peptideName,
+            startDate: item.startDate,
+            ...(item.endDate && { endDate: item.endDate }),
+            frequency: item.frequency,
+            ...(item.frequency === 'specific_days' && { daysOfWeek: item.daysOfWeek }),
+            timeOfDay: item.timeOfDay,
+            ...(item.useCycle && {
+              cycle: { onWeeks: parseInt(item.onWeeks), offWeeks: parseInt(item.offWeeks) }
+            })
+          }))
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        onCreated(data.data.regimen);
+      } else {
+        setError(data.error?.message || 'Failed to create regimen');
+      }
+    } catch (err) {
+      setError('Failed to create regimen');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 border-t border-gray-200 pt-4 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Regimen name (optional)</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          className={`w-full ${inputClass}`}
+        />
+      </div>
+
+      {items.map((item, index) => (
+        <div key={item.peptideName} className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <label className="flex items-center font-medium text-gray-900">
+            <input
+              type="checkbox"
+              checked={item.selected}
+              onChange={(e) => updateItem(index, { selected: e.target.checked })}
+              className="mr-2"
+            />
+            {item.peptideName}
+          </label>
+
+          {item.selected && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+              <label className="flex flex-col text-gray-600">
+                Start date
+                <input
+                  type="date"
+                  value={item.startDate}
+                  onChange={(e) => updateItem(index, { startDate: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                End date (optional)
+                <input
+                  type="date"
+                  value={item.endDate}
+                  min={item.startDate}
+                  onChange={(e) => updateItem(index, { endDate: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Frequency
+                <select
+                  value={item.frequency}
+                  onChange={(e) => updateItem(index, { frequency: e.target.value })}
+                  className={inputClass}
+                >
+                  {options.frequencies.map(frequency => (
+                    <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Time of day
+                <input
+                  type="time"
+                  value={item.timeOfDay}
+                  onChange={(e) => updateItem(index, { timeOfDay: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </label>
+
+              {item.frequency === 'specific_days' && (
+                <div className="sm:col-span-2 flex flex-wrap gap-2">
+                  {options.daysOfWeek.map(day => (
+                    <button
+                      key={day.value}
+                      type="button"
+                      onClick={() => toggleDay(index, day.value)}
+                      className={`px-2 py-1 rounded-md border text-xs ${
+                        item.daysOfWeek.includes(day.value)
+                          ? 'bg-blue-600 border-blue-600 text-white'
+                          : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      {day.label.slice(0, 3)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="sm:col-span-2 flex flex-wrap items-center gap-2 text-gray-600">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={item.useCycle}
+                    onChange={(e) => updateItem(index, { useCycle: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Cycle:
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="52"
+                  value={item.onWeeks}
+                  disabled={!item.useCycle}
+                  onChange={(e) => updateItem(index, { onWeeks: e.target.value })}
+                  className={`w-20 ${inputClass} disabled:bg-gray-100`}
+                />
+                weeks on,
+                <input
+                  type="number"
+                  min="1"
+                  max="52"
+                  value={item.offWeeks}
+                  disabled={!item.useCycle}
+                  onChange={(e) => updateItem(index, { offWeeks: e.target.value })}
+                  className={`w-20 ${inputClass} disabled:bg-gray-100`}
+                />
+                weeks off
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Regimen'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Weekly schedule view for the user's regimens
+const RegimenPlanner = () => {
+  const { makeAuthenticatedRequest } = useAuth();
+  const [regimens, setRegimens] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [weekStart, setWeekStart] = useState(todayString());
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchRegimens = useCallback(async () => {
+    try {
+      const response = await makeAuthenticatedRequest('/auth/regimens');
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setRegimens(data.data.regimens);
+        setSelectedId(prev => (
+          data.data.regimens.some(regimen => regimen.id === prev) ? prev : data.data.regimens[0]?.id || null
+        ));
+      } else {
+        setError(data.error?.message || 'Failed to load regimens');
+      }
+    } catch (err) {
+      setError('Failed to load regimens');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeAuthenticatedRequest]);
+
+  useEffect(() => {
+    fetchRegimens();
+  }, [fetchRegimens]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setSchedule(null);
+      return;
+    }
+
+    const fetchSchedule = async () => {
+      try {
+        const response = await makeAuthenticatedRequest(`/auth/regimens/${selectedId}/schedule?weekStart=${weekStart}`);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setSchedule(data.data);
+        } else {
+          setError(data.error?.message || 'Failed to load schedule');
+        }
+      } catch (err) {
+        setError('Failed to load schedule');
+      }
+    };
+
+    fetchSchedule();
+  }, [selectedId, weekStart, makeAuthenticatedRequest]);
+
+  const handleDownloadCalendar = async () => {
+    setError('');
+
+    try {
+      const response = await makeAuthenticatedRequest(`/auth/regimens/${selectedId}/calendar.ics`);
+      await downloadResponse(response, `regimen-${selectedId}.ics`, 'Failed to export calendar');
+    } catch (err) {
+      setError(err.message || 'Failed to export calendar');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this regimen?')) {
+      return;
+    }
+
+    try {
+      const response = await makeAuthenticatedRequest(`/auth/regimens/${selectedId}`, { method: 'DELETE' });
+      if (response.ok) {
+        await fetchRegimens();
+      } else {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error?.message || 'Failed to delete regimen');
+      }
+    } catch (err) {
+      setError('Failed to delete regimen');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (regimens.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">No Regimens Yet</h3>
+        <p className="text-gray-500">
+          Open a saved suggestion in your history and choose "Plan regimen" to build a schedule.
+        </p>
+        {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+      </div>
+    );
+  }
+
+  const selected = regimens.find(regimen => regimen.id === selectedId);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Regimens</h2>
+        <p className="text-gray-600">Your weekly dosing schedule. Export it to add reminders to your calendar app.</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <select
+            value={selectedId || ''}
+            onChange={(e) => setSelectedId(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {regimens.map(regimen => (
+              <option key={regimen.id} value={regimen.id}>{regimen.name}</option>
+            ))}
+          </select>
+          <div className="flex gap-3">
+            <button
+              onClick={handleDownloadCalendar}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+            >
+              <Download className="w-4 h-4 mr-1" />
+              Calendar (.ics)
+            </button>
+            <button
+              onClick={handleDelete}
+              className="flex items-center text-sm text-red-600 hover:text-red-700"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {selected && (
+          <ul className="text-sm text-gray-600 mb-4 space-y-1">
+            {selected.items.map(item => (
+              <li key={item.peptideName}>
+                <span className="font-medium text-gray-900">{item.peptideName}</span>
+                {item.dosage && ` - ${item.dosage}`}
+                {item.cycle && ` (${item.cycle.onWeeks} weeks on, ${item.cycle.offWeeks} weeks off)`}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex items-center justify-between mb-3">
+          <button
+            onClick={() => setWeekStart(shiftDate(schedule?.weekStart || weekStart, -7))}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100"
+            aria-label="Previous week"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span className="text-sm font-medium text-gray-700">
+            {schedule && `Week of ${formatDay(schedule.weekStart)}`}
+          </span>
+          <button
+            onClick={() => setWeekStart(shiftDate(schedule?.weekStart || weekStart, 7))}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100"
+            aria-label="Next week"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+
+        {schedule && (
+          <div className="grid grid-cols-1 sm:grid-cols-7 gap-2">
+            {schedule.days.map(day => (
+              <div
+                key={day.date}
+                className={`border rounded-md p-2 min-h-24 ${day.date === todayString() ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}
+              >
+                <p className="text-xs font-medium text-gray-500 mb-2">{formatDay(day.date)}</p>
+                {day.doses.map(dose => (
+                  <div key={`${dose.peptideName}-${dose.timeOfDay}`} className="text-xs mb-2">
+                    <p className="font-medium text-gray-900">{dose.timeOfDay}</p>
+                    <p className="text-gray-700">{dose.peptideName}</p>
+                  </div>
+                ))}
+                {day.resting.map(name => (
+                  <p key={name} className="text-xs text-gray-400 italic">{name}: off cycle</p>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RegimenPlanner;
@@ -1,5 +1,6 @@
 // frontend/src/contexts/AuthContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { createIdempotencyTracker } from '../utils/idempotency';
 
 const AuthContext = createContext();
 
@@ -16,9 +17,78 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // Challenge token of a login waiting for its two-factor code. Kept here, as
+  // the login form is unmounted while login() is loading.
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  // Reuses the Idempotency-Key when registration is retried after a network error
+  const registerKeys = useRef(createIdempotencyTracker()).current;
+  // The refresh in flight, shared by requests that find their access token expired
+  const refreshPromise = useRef(null);
 
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+  // Save the user and tokens from a login, register or refresh response
+  const storeSession = useCallback(({ user: userData, token: accessToken, refreshToken }) => {
+    setUser(userData);
+    setToken(accessToken);
+
+    localStorage.setItem('auth_token', accessToken);
+    localStorage.setItem('auth_refresh_token', refreshToken);
+    localStorage.setItem('auth_user', JSON.stringify(userData));
+  }, []);
+
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setToken(null);
+
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('auth_refresh_token');
+    localStorage.removeItem('auth_user');
+  }, []);
+
+  // Exchange the refresh token for new tokens. A refresh token works only
+  // once, so concurrent callers share one request. Resolves the new access
+  // token, or null if the session has ended.
+  const refreshSession = useCallback(() => {
+    if (!refreshPromise.current) {
+      refreshPromise.current = (async () => {
+        try {
+          // Read from storage, as another tab may have rotated the token already
+          const refreshToken = localStorage.getItem('auth_refresh_token');
+          if (!refreshToken) {
+            clearSession();
+            return null;
+          }
+
+          const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+          });
+          const data = await response.json();
+
+          if (response.ok && data.success) {
+            storeSession(data.data);
+            return data.data.token;
+          }
+
+          clearSession();
+          return null;
+        } catch (error) {
+          // Keep the session through network errors; the next request retries
+          console.error('Token refresh error:', error);
+          return null;
+        } finally {
+          refreshPromise.current = null;
+        }
+      })();
+    }
+
+    return refreshPromise.current;
+  }, [API_BASE_URL, storeSession, clearSession]);
+
   // Initialize auth state from localStorage
   useEffect(() => {
     const initAuth = async () => {
@@ -33,22 +103,20 @@ export const AuthProvider = ({ children }) => {
             setToken(storedToken);
             setUser(JSON.parse(storedUser));
           } else {
-            // Token invalid, clear storage
-            localStorage.removeItem('auth_token');
-            localStorage.removeItem('auth_user');
+            // Access token expired, start a new one from the refresh token
+            await refreshSession();
           }
         }
       } catch (error) {
         console.error('Auth initialization error:', error);
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('auth_user');
+        clearSession();
       } finally {
         setLoading(false);
       }
     };
 
     initAuth();
-  }, []);
+  }, [refreshSession, clearSession]);
 
   // Verify token validity
   const verifyToken = async (tokenToVerify) => {
@@ -88,17 +156,13 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
-      if (response.ok && data.success) {
-        const { user: userData, token: userToken } = data.data;
-        
-        setUser(userData);
-        setToken(userToken);
-        
-        // Store in localStorage
-        localStorage.setItem('auth_token', userToken);
-        localStorage.setItem('auth_user', JSON.stringify(userData));
-        
-        return { success: true, user: userData };
+      if (response.ok && data.success && data.data.twoFactorRequired) {
+        // Password accepted; finish with completeTwoFactorLogin
+        setTwoFactorChallenge(data.data.challengeToken);
+        return { success: false, twoFactorRequired: true };
+      } else if (response.ok && data.success) {
+        storeSession(data.data);
+        return { success: true, user: data.data.user };
       } else {
         const errorMessage = data.error?.message || 'Login failed';
         setError(errorMessage);
@@ -113,33 +177,69 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step for accounts with two-factor authentication, with a
+  // code from the authenticator app or a backup code
+  const completeTwoFactorLogin = async (code) => {
+    try {
+      setError('');
+
+      const response = await fetch(`${API_BASE_URL}/auth/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken: twoFactorChallenge, code })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setTwoFactorChallenge(null);
+        storeSession(data.data);
+        return { success: true, user: data.data.user, twoFactor: data.data.twoFactor };
+      } else {
+        // An expired challenge means starting over with the password
+        if (data.error?.code === 'CHALLENGE_INVALID') {
+          setTwoFactorChallenge(null);
+        }
+        const errorMessage = data.error?.message || 'Verification failed';
+        setError(errorMessage);
+        return { success: false, error: errorMessage };
+      }
+    } catch (error) {
+      const errorMessage = 'Network error. Please check your connection.';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       setLoading(true);
       setError('');
 
+      const body = JSON.stringify(userData);
       const response = await fetch(`${API_BASE_URL}/auth/register`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Idempotency-Key': registerKeys.keyFor(body)
         },
-        body: JSON.stringify(userData)
+        body
       });
+      registerKeys.settle();
 
       const data = await response.json();
 
       if (response.ok && data.success) {
-        const { user: newUser, token: userToken } = data.data;
-        
-        setUser(newUser);
-        setToken(userToken);
-        
-        // Store in localStorage
-        localStorage.setItem('auth_token', userToken);
-        localStorage.setItem('auth_user', JSON.stringify(newUser));
-        
-        return { success: true, user: newUser };
+        // A replayed registration carries no tokens, so log in for them
+        if (!data.data.token) {
+          return login(userData.email, userData.password);
+        }
+
+        storeSession(data.data);
+        return { success: true, user: data.data.user };
       } else {
         const errorMessage = data.error?.message || 'Registration failed';
         setError(errorMessage);
@@ -154,25 +254,49 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
-    setUser(null);
-    setToken(null);
+  // Logout function: ends the session on the server as well as locally
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('auth_refresh_token');
+    clearSession();
     setError('');
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('auth_user');
+
+    if (refreshToken) {
+      try {
+        await fetch(`${API_BASE_URL}/auth/logout`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ refreshToken })
+        });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+  };
+
+  // Sign out every session of the account, on all devices
+  const logoutAll = async () => {
+    try {
+      const response = await makeAuthenticatedRequest('/auth/logout-all', { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error?.message || 'Failed to sign out of all devices' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+
+    clearSession();
+    setError('');
+    return { success: true };
   };
 
   // Get user suggestion history
   const getSuggestionHistory = async (limit = 10) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/auth/suggestions?limit=${limit}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await makeAuthenticatedRequest(`/auth/suggestions?limit=${limit}`);
 
       const data = await response.json();
 
@@ -186,21 +310,131 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Make authenticated API request
+  // Make authenticated API request. Access tokens are short-lived, so a 401
+  // is retried once with a refreshed token.
   const makeAuthenticatedRequest = async (url, options = {}) => {
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers
+    const send = (accessToken) => {
+      const headers = {
+        'Content-Type': 'application/json',
+        ...options.headers
+      };
+
+      if (accessToken) {
+        headers.Authorization = `Bearer ${accessToken}`;
+      }
+
+      return fetch(`${API_BASE_URL}${url}`, {
+        ...options,
+        headers
+      });
     };
 
-    if (token) {
-      headers.Authorization = `Bearer ${token}`;
+    const response = await send(token);
+
+    if (response.status === 401 && token) {
+      const refreshedToken = await refreshSession();
+      if (refreshedToken) {
+        return send(refreshedToken);
+      }
     }
 
-    return fetch(`${API_BASE_URL}${url}`, {
-      ...options,
-      headers
-    });
+    return response;
+  };
+
+  // Ask for a password reset link. The response is the same whether or not
+  // the email has an account.
+  const requestPasswordReset = async (email) => {
+    try {
+      setError('');
+
+      const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, message: data.data.message };
+      } else {
+        const errorMessage = data.error?.message || 'Failed to request a password reset';
+        setError(errorMessage);
+        return { success: false, error: errorMessage };
+      }
+    } catch (error) {
+      const errorMessage = 'Network error. Please check your connection.';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Set a new password with the token from a reset link
+  const resetPassword = async (resetToken, newPassword) => {
+    try {
+      setError('');
+
+      const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token: resetToken, newPassword })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, message: data.data.message };
+      } else {
+        const errorMessage = data.error?.message || 'Failed to reset password';
+        setError(errorMessage);
+        return { success: false, error: errorMessage };
+      }
+    } catch (error) {
+      const errorMessage = 'Network error. Please check your connection.';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Confirm an email address with the token from a verification link. A
+  // signed-in user's session is refreshed to pick up the confirmed address.
+  const verifyEmail = async (verifyToken) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/verify-email?token=${encodeURIComponent(verifyToken)}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error?.message || 'Failed to verify email' };
+      }
+
+      if (localStorage.getItem('auth_refresh_token')) {
+        await refreshSession();
+      }
+
+      return { success: true, message: data.data.message };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Send a new verification link for the email waiting to be confirmed
+  const resendVerificationEmail = async () => {
+    try {
+      const response = await makeAuthenticatedRequest('/auth/resend-verification', { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error?.message || 'Failed to send verification email' };
+      }
+
+      return { success: true, message: data.data.message };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
   };
 
   const value = {
@@ -210,8 +444,16 @@ export const AuthProvider = ({ children }) => {
     error,
     isAuthenticated: !!user,
     login,
+    twoFactorChallenge,
+    completeTwoFactorLogin,
+    cancelTwoFactorLogin: () => setTwoFactorChallenge(null),
     register,
     logout,
+    logoutAll,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     getSuggestionHistory,
     makeAuthenticatedRequest,
     clearError: () => setError('')
@@ -0,0 +1,17 @@
+// Random ID for this browser, sent as X-Device-Id so anonymous visitors can
+// save and resume a questionnaire draft without an account.
+
+const STORAGE_KEY = 'device_id';
+
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(STORAGE_KEY);
+
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(STORAGE_KEY, deviceId);
+  }
+
+  return deviceId;
+};
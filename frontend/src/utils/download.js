@@ -0,0 +1,26 @@
+// Trigger a browser download for a Blob (e.g. a PDF returned by the API)
+export const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Download a file from an API response, surfacing the JSON error body on failure
+export const downloadResponse = async (response, filename, errorMessage = 'Failed to download file') => {
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error?.message || errorMessage);
+  }
+
+  saveBlob(await response.blob(), filename);
+};
+
+// Download a PDF from an API response
+export const downloadPdfResponse = (response, filename) => (
+  downloadResponse(response, filename, 'Failed to download PDF')
+);
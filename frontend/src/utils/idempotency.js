@@ -0,0 +1,26 @@
+// Idempotency-Key support. The API replays its first response for a repeated
+// key, so a request retried after a lost response is not processed twice.
+
+const newKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+// Keeps one key while the same request body is retried. A new key is issued
+// once a response arrives (call settle) or the body changes.
+export const createIdempotencyTracker = () => {
+  let pending = null;
+
+  return {
+    keyFor(body) {
+      if (!pending || pending.body !== body) {
+        pending = { body, key: newKey() };
+      }
+      return pending.key;
+    },
+    settle() {
+      pending = null;
+    }
+  };
+};